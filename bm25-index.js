@@ -0,0 +1,116 @@
+// Words too common in docs and code to help ranking
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "how",
+  "in", "is", "it", "of", "on", "or", "that", "the", "this", "to", "was",
+  "what", "when", "with", "you", "your",
+]);
+
+/**
+ * In-memory BM25 keyword index. Used by LocalVectorStore when no embedding
+ * model is available, so retrieval still works fully offline.
+ */
+class Bm25Index {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Document length normalization
+   * @param {Function} [options.tokenize] - Custom tokenizer, defaults to Bm25Index.tokenize
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 !== undefined ? options.k1 : 1.2;
+    this.b = options.b !== undefined ? options.b : 0.75;
+    this.tokenize = options.tokenize || Bm25Index.tokenize;
+    this.documents = new Map(); // id -> { length, terms: Map<term, count> }
+    this.documentFrequency = new Map(); // term -> number of documents
+    this.totalLength = 0;
+  }
+
+  /**
+   * Splits text into lowercase terms, breaking up camelCase and snake_case
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  static tokenize(text) {
+    return String(text || "")
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((term) => term.length > 1 && !STOP_WORDS.has(term));
+  }
+
+  /**
+   * Adds or replaces a document
+   * @param {string} id
+   * @param {string} text
+   */
+  add(id, text) {
+    this.remove(id);
+    const terms = new Map();
+    const tokens = this.tokenize(text);
+    tokens.forEach((term) => terms.set(term, (terms.get(term) || 0) + 1));
+    terms.forEach((count, term) => {
+      this.documentFrequency.set(
+        term,
+        (this.documentFrequency.get(term) || 0) + 1
+      );
+    });
+    this.documents.set(id, { length: tokens.length, terms });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Removes a document if present
+   * @param {string} id
+   */
+  remove(id) {
+    const existing = this.documents.get(id);
+    if (!existing) return;
+    existing.terms.forEach((count, term) => {
+      const frequency = this.documentFrequency.get(term) - 1;
+      if (frequency > 0) {
+        this.documentFrequency.set(term, frequency);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    });
+    this.totalLength -= existing.length;
+    this.documents.delete(id);
+  }
+
+  /**
+   * Ranks documents against the query
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of hits
+   * @param {Function} [options.filter] - Called with an id, false skips the document
+   * @returns {Array<Object>} - Hits as { id, score }, best first
+   */
+  search(query, options = {}) {
+    const limit = options.limit || 10;
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const count = this.documents.size;
+    if (queryTerms.length === 0 || count === 0) return [];
+
+    const averageLength = this.totalLength / count || 1;
+    const hits = [];
+    this.documents.forEach((doc, id) => {
+      if (options.filter && !options.filter(id)) return;
+      let score = 0;
+      queryTerms.forEach((term) => {
+        const frequency = doc.terms.get(term);
+        if (!frequency) return;
+        const df = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+        score +=
+          (idf * frequency * (this.k1 + 1)) /
+          (frequency +
+            this.k1 * (1 - this.b + (this.b * doc.length) / averageLength));
+      });
+      if (score > 0) hits.push({ id, score });
+    });
+
+    return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = Bm25Index;
@@ -0,0 +1,151 @@
+/**
+ * Helpers for threading AbortSignals through documentation and AI requests.
+ * Cancellation errors carry the code "CANCELLED" so callers can tell a user
+ * stop apart from a real failure; timeouts carry "TIMEOUT".
+ */
+
+class CancellationError extends Error {
+  constructor(message = "Request cancelled") {
+    super(message);
+    this.name = "CancellationError";
+    this.code = "CANCELLED";
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(message = "Request timed out") {
+    super(message);
+    this.name = "TimeoutError";
+    this.code = "TIMEOUT";
+  }
+}
+
+/**
+ * Whether the error comes from an aborted request (user stop, not a timeout)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isCancellation(error) {
+  if (!error) return false;
+  return (
+    error.code === "CANCELLED" ||
+    error.code === "ERR_CANCELED" ||
+    error.name === "CanceledError" ||
+    error.name === "AbortError"
+  );
+}
+
+/**
+ * Whether the error was raised because a signal was aborted, for any reason
+ * @param {Error} error
+ * @param {AbortSignal} [signal]
+ * @returns {boolean}
+ */
+function isAbortError(error, signal) {
+  return isCancellation(error) || Boolean(signal && signal.aborted);
+}
+
+/**
+ * The error to surface for an aborted signal
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+function abortReason(signal) {
+  const reason = signal && signal.reason;
+  // A plain abort() leaves a generic AbortError as the reason
+  if (reason instanceof Error && reason.name !== "AbortError") {
+    return reason;
+  }
+  return new CancellationError();
+}
+
+/**
+ * Throws the abort reason if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortReason(signal);
+}
+
+/**
+ * Rejects as soon as the signal aborts, for work that can't take a signal itself
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function raceWithSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortReason(signal));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortReason(signal));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Aborts the controller with a TimeoutError after the given delay
+ * @param {AbortController} controller
+ * @param {number} ms
+ * @param {string} message
+ * @returns {Function} - Clears the timer
+ */
+function abortAfter(controller, ms, message) {
+  const timer = setTimeout(() => controller.abort(new TimeoutError(message)), ms);
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Aborts the controller when the parent signal aborts
+ * @param {AbortSignal} [parent]
+ * @param {AbortController} controller
+ */
+function linkSignal(parent, controller) {
+  if (!parent) return;
+  if (parent.aborted) {
+    controller.abort(parent.reason);
+    return;
+  }
+  parent.addEventListener("abort", () => controller.abort(parent.reason), {
+    once: true,
+  });
+}
+
+/**
+ * Aborts the controller when a VS Code CancellationToken is cancelled
+ * @param {Object} [token] - vscode.CancellationToken
+ * @param {AbortController} controller
+ * @returns {Object} - Disposable for the token listener
+ */
+function linkCancellationToken(token, controller) {
+  if (!token) return { dispose() {} };
+  if (token.isCancellationRequested) {
+    controller.abort(new CancellationError());
+    return { dispose() {} };
+  }
+  return token.onCancellationRequested(() =>
+    controller.abort(new CancellationError())
+  );
+}
+
+module.exports = {
+  CancellationError,
+  TimeoutError,
+  isCancellation,
+  isAbortError,
+  abortReason,
+  throwIfAborted,
+  raceWithSignal,
+  abortAfter,
+  linkSignal,
+  linkCancellationToken,
+};
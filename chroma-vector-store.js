@@ -0,0 +1,125 @@
+const { ChromaClient } = require("chromadb");
+
+/**
+ * Optional backend that keeps the documentation in a ChromaDB server.
+ * Exposes the same methods as LocalVectorStore.
+ */
+class ChromaVectorStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Collection name
+   * @param {string} [options.url] - ChromaDB server, e.g. http://localhost:8000
+   * @param {Object} [options.embeddingFunction] - Object with generate(texts) returning vectors
+   * @param {Object} [options.client] - ChromaClient to use instead of one for url
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.client =
+      options.client ||
+      new ChromaClient(options.url ? { path: options.url } : {});
+    this.embeddingFunction = options.embeddingFunction || undefined;
+    this.collection = null;
+  }
+
+  /**
+   * Connects to the server and opens the collection, creating it if needed.
+   * A collection created before cosine distances were used is recreated
+   * empty; the next sync of the docs or workspace code fills it again.
+   * Throws when the server can't be reached.
+   */
+  async connect() {
+    if (this.collection) return;
+    // Cosine distances, like the local store, so scores are comparable
+    const options = {
+      name: this.name,
+      metadata: {
+        description: "Documentation for RealTime CodeAi",
+        "hnsw:space": "cosine",
+      },
+      embeddingFunction: this.embeddingFunction,
+    };
+    const collection = await this.client.getOrCreateCollection(options);
+    // The distance function can only be chosen when a collection is created,
+    // and Chroma's default is squared L2
+    const space = (collection.metadata || {})["hnsw:space"];
+    if (space === "cosine") {
+      this.collection = collection;
+      return;
+    }
+    console.warn(
+      `ChromaDB collection ${this.name} uses ${
+        space || "l2"
+      } distances, recreating it with cosine distances`
+    );
+    await this.client.deleteCollection({ name: this.name });
+    this.collection = await this.client.createCollection(options);
+  }
+
+  async add(params) {
+    await this.connect();
+    return this.collection.add(params);
+  }
+
+  async upsert(params) {
+    await this.connect();
+    return this.collection.upsert(params);
+  }
+
+  async get(params = {}) {
+    await this.connect();
+    return this.collection.get(params);
+  }
+
+  /**
+   * Deletes the documents matching a where filter and upserts new ones
+   * @param {Object} params - { where, ids, documents, metadatas }
+   * @returns {Promise<Array<string>>} - Ids of the deleted documents
+   */
+  async replace({ where, ...entries }) {
+    await this.connect();
+    // Documents upserted again are updated rather than deleted first
+    const { ids } = await this.collection.get({ where });
+    const kept = new Set(entries.ids);
+    const removed = ids.filter((id) => !kept.has(id));
+    if (removed.length > 0) await this.collection.delete({ ids: removed });
+    const batchSize = 100;
+    for (let i = 0; i < entries.ids.length; i += batchSize) {
+      await this.collection.upsert({
+        ids: entries.ids.slice(i, i + batchSize),
+        documents: entries.documents.slice(i, i + batchSize),
+        metadatas: entries.metadatas.slice(i, i + batchSize),
+      });
+    }
+    return removed;
+  }
+
+  async delete(params = {}) {
+    if (!params.ids && !params.where) {
+      throw new Error(
+        "delete() needs ids or a where filter, use clear() to empty the store"
+      );
+    }
+    await this.connect();
+    const { ids } = await this.collection.get(params);
+    if (ids.length > 0) await this.collection.delete({ ids });
+    return ids;
+  }
+
+  async clear() {
+    await this.connect();
+    const { ids } = await this.collection.get();
+    if (ids.length > 0) await this.collection.delete({ ids });
+  }
+
+  async query(params) {
+    await this.connect();
+    return this.collection.query(params);
+  }
+
+  async count() {
+    await this.connect();
+    return this.collection.count();
+  }
+}
+
+module.exports = ChromaVectorStore;
@@ -0,0 +1,426 @@
+const vscode = require("vscode");
+const path = require("path");
+const EditLocator = require("./edit-locator");
+const EditSet = require("./edit-set");
+
+const PROPOSAL_SCHEME = "realtime-ai-proposal";
+
+/**
+ * Copies, inserts and applies code blocks from AI answers to the editor.
+ * Applying shows a diff of the proposed change against the file first and
+ * only edits it once confirmed. Multi-file edit sets are reviewed file by
+ * file and applied as one undoable workspace edit.
+ */
+class CodeApplier {
+  constructor() {
+    this.proposals = new Map(); // proposal uri -> proposed file content
+    this.proposalCounter = 0;
+    this.editSets = new Map(); // review id -> files with their proposed content
+    this.onDidChangeProposal = new vscode.EventEmitter();
+    // Clicking in the assistant panel blurs the editor the code is meant for
+    this.lastEditor = vscode.window.activeTextEditor || null;
+    this.disposables = [
+      this.onDidChangeProposal,
+      vscode.workspace.registerTextDocumentContentProvider(PROPOSAL_SCHEME, {
+        onDidChange: this.onDidChangeProposal.event,
+        provideTextDocumentContent: (uri) =>
+          this.proposals.get(uri.toString()) || "",
+      }),
+      vscode.window.onDidChangeActiveTextEditor((editor) => {
+        if (editor && editor.document.uri.scheme !== PROPOSAL_SCHEME) {
+          this.lastEditor = editor;
+        }
+      }),
+    ];
+  }
+
+  /**
+   * Copies code to the clipboard
+   * @param {string} code
+   */
+  async copy(code) {
+    await vscode.env.clipboard.writeText(code);
+    vscode.window.setStatusBarMessage("Code copied to the clipboard", 2000);
+  }
+
+  /**
+   * Inserts code at the cursor, replacing the selection if there is one
+   * @param {string} code
+   * @returns {Promise<boolean>} - Whether the code was inserted
+   */
+  async insert(code) {
+    const editor = await this._showTargetEditor();
+    if (!editor) return false;
+    return editor.edit((builder) => builder.replace(editor.selection, code));
+  }
+
+  /**
+   * Previews a code block as a diff against the file it was written for and
+   * applies it on confirmation. A selection is replaced by the code; without
+   * one, the declarations the code redefines are, and other code is
+   * inserted at the cursor.
+   * @param {string} code
+   * @returns {Promise<boolean>} - Whether the change was applied
+   */
+  async applyAsDiff(code) {
+    const editor = await this._showTargetEditor();
+    if (!editor) return false;
+    const document = editor.document;
+    const version = document.version;
+    const replacements = this._replacements(editor, code.replace(/\n$/, ""));
+
+    const proposalUri = vscode.Uri.from({
+      scheme: PROPOSAL_SCHEME,
+      path: document.uri.path,
+      query: String(++this.proposalCounter),
+    });
+    this.proposals.set(
+      proposalUri.toString(),
+      this._proposedText(document, replacements)
+    );
+    this.onDidChangeProposal.fire(proposalUri);
+
+    const fileName = path.basename(document.fileName);
+    try {
+      await vscode.commands.executeCommand(
+        "vscode.diff",
+        document.uri,
+        proposalUri,
+        `${fileName}: Current ↔ Proposed`,
+        { preview: true }
+      );
+      const choice = await vscode.window.showInformationMessage(
+        `Apply the proposed change to ${fileName}?`,
+        "Apply",
+        "Discard"
+      );
+      await this._closeDiff(proposalUri);
+      if (choice !== "Apply") return false;
+
+      if (document.version !== version) {
+        vscode.window.showWarningMessage(
+          `${fileName} changed while the diff was open. Apply the code again to see the current diff.`
+        );
+        return false;
+      }
+      const edit = new vscode.WorkspaceEdit();
+      replacements.forEach(({ range, text }) =>
+        edit.replace(document.uri, range, text)
+      );
+      const applied = await vscode.workspace.applyEdit(edit);
+      if (applied) {
+        await vscode.window.showTextDocument(document, editor.viewColumn);
+      }
+      return applied;
+    } finally {
+      this.proposals.delete(proposalUri.toString());
+    }
+  }
+
+  /**
+   * Applies the hunks of an edit set to the current files, keeping the
+   * results for review
+   * @param {Object} editSet - From EditSet.parse
+   * @returns {Promise<Object>} - Review as { id, summary, files: [{ path,
+   *   exists, hunks, applied, failed }] }, failed listing why hunks didn't apply
+   */
+  async prepareEditSet(editSet) {
+    const id = `edit-set-${++this.proposalCounter}`;
+    const files = [];
+    for (const file of editSet.files) {
+      const uri = this._resolveWorkspacePath(file.path);
+      const original = uri ? await this._readFile(uri) : null;
+      const result = uri
+        ? EditSet.applyHunks(original, file.hunks)
+        : {
+            content: null,
+            applied: 0,
+            failed: [{ index: 0, reason: "Outside the workspace" }],
+          };
+      files.push({
+        path: file.path,
+        uri,
+        original,
+        proposed: result.content,
+        hunks: file.hunks.length,
+        applied: result.applied,
+        failed: result.failed,
+        proposalUris: [],
+      });
+    }
+
+    this.editSets.set(id, files);
+    // Reviews of older answers can't be applied anymore
+    if (this.editSets.size > 20) {
+      this._dropEditSet(this.editSets.keys().next().value);
+    }
+
+    return {
+      id,
+      summary: editSet.summary,
+      files: files.map((file) => ({
+        path: file.path,
+        exists: file.original !== null,
+        hunks: file.hunks,
+        applied: file.applied,
+        failed: file.failed.map(
+          (failure) => `Hunk ${failure.index + 1}: ${failure.reason}`
+        ),
+      })),
+    };
+  }
+
+  /**
+   * Shows the diff of one file of an edit set
+   * @param {string} id - Review id from prepareEditSet
+   * @param {string} filePath - Path as given in the edit set
+   */
+  async showEditSetDiff(id, filePath) {
+    const file = (this.editSets.get(id) || []).find(
+      (entry) => entry.path === filePath
+    );
+    if (!file || file.proposed === null) {
+      vscode.window.showInformationMessage(
+        `There are no changes to show for ${filePath}.`
+      );
+      return;
+    }
+
+    const proposalUri = (content) => {
+      const uri = vscode.Uri.from({
+        scheme: PROPOSAL_SCHEME,
+        path: file.uri.path,
+        query: String(++this.proposalCounter),
+      });
+      this.proposals.set(uri.toString(), content);
+      this.onDidChangeProposal.fire(uri);
+      file.proposalUris.push(uri.toString());
+      return uri;
+    };
+    await vscode.commands.executeCommand(
+      "vscode.diff",
+      file.original === null ? proposalUri("") : file.uri,
+      proposalUri(file.proposed),
+      `${file.path}: Current ↔ Proposed`,
+      { preview: true }
+    );
+  }
+
+  /**
+   * Applies the accepted files of an edit set as one workspace edit, which
+   * a single undo reverts. Nothing is applied if one of the files changed
+   * since the review.
+   * @param {string} id - Review id from prepareEditSet
+   * @param {Array<string>} paths - Accepted paths
+   * @returns {Promise<Object>} - { applied, paths }
+   */
+  async applyEditSet(id, paths) {
+    const files = this.editSets.get(id);
+    if (!files) {
+      throw new Error(
+        "This edit set is no longer available. Ask again to get a new one."
+      );
+    }
+    const accepted = files.filter(
+      (file) =>
+        paths.includes(file.path) && file.proposed !== null && file.applied > 0
+    );
+    if (accepted.length === 0) return { applied: false, paths: [] };
+
+    for (const file of accepted) {
+      if ((await this._readFile(file.uri)) !== file.original) {
+        throw new Error(
+          `${file.path} changed after the edit set was proposed. Ask again to get a new one.`
+        );
+      }
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    for (const file of accepted) {
+      if (file.original === null) {
+        edit.createFile(file.uri, { ignoreIfExists: false });
+        edit.insert(file.uri, new vscode.Position(0, 0), file.proposed);
+        continue;
+      }
+      // Replace only the changed middle so cursors and folds elsewhere stay
+      const document = await vscode.workspace.openTextDocument(file.uri);
+      const { original, proposed } = file;
+      let prefix = 0;
+      while (
+        prefix < original.length &&
+        prefix < proposed.length &&
+        original[prefix] === proposed[prefix]
+      ) {
+        prefix++;
+      }
+      let suffix = 0;
+      while (
+        suffix < original.length - prefix &&
+        suffix < proposed.length - prefix &&
+        original[original.length - 1 - suffix] ===
+          proposed[proposed.length - 1 - suffix]
+      ) {
+        suffix++;
+      }
+      edit.replace(
+        file.uri,
+        new vscode.Range(
+          document.positionAt(prefix),
+          document.positionAt(original.length - suffix)
+        ),
+        proposed.slice(prefix, proposed.length - suffix)
+      );
+    }
+
+    const applied = await vscode.workspace.applyEdit(edit, {
+      isRefactoring: true,
+    });
+    if (applied) this._dropEditSet(id);
+    return { applied, paths: accepted.map((file) => file.path) };
+  }
+
+  _dropEditSet(id) {
+    (this.editSets.get(id) || []).forEach((file) =>
+      file.proposalUris.forEach((uri) => this.proposals.delete(uri))
+    );
+    this.editSets.delete(id);
+  }
+
+  /**
+   * Resolves an edit set path inside the workspace. In multi-root
+   * workspaces the path may start with the folder name.
+   * @param {string} filePath
+   * @returns {vscode.Uri|null} - null for paths outside the workspace
+   */
+  _resolveWorkspacePath(filePath) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    if (folders.length === 0) return null;
+
+    const [first, ...rest] = filePath.split("/");
+    const named = folders.find((folder) => folder.name === first);
+    const folder = named && folders.length > 1 ? named : folders[0];
+    const relative = named && folders.length > 1 ? rest.join("/") : filePath;
+    const resolved = path.resolve(folder.uri.fsPath, relative);
+    const inside = path.relative(folder.uri.fsPath, resolved);
+    if (!inside || inside.startsWith("..") || path.isAbsolute(inside)) {
+      return null;
+    }
+    return vscode.Uri.file(resolved);
+  }
+
+  /**
+   * Current content of a file, including unsaved changes
+   * @param {vscode.Uri} uri
+   * @returns {Promise<string|null>} - null if the file doesn't exist
+   */
+  async _readFile(uri) {
+    const open = vscode.workspace.textDocuments.find(
+      (document) => document.uri.toString() === uri.toString()
+    );
+    if (open) return open.getText();
+    try {
+      return Buffer.from(await vscode.workspace.fs.readFile(uri)).toString(
+        "utf8"
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ranges of the document the code replaces
+   * @param {vscode.TextEditor} editor
+   * @param {string} code
+   * @returns {Array<Object>} - { range, text }
+   */
+  _replacements(editor, code) {
+    const document = editor.document;
+    if (!editor.selection.isEmpty) {
+      return [{ range: editor.selection, text: code }];
+    }
+
+    const located = EditLocator.locate(document.getText(), code);
+    if (!located) {
+      const cursor = editor.selection.active;
+      return [{ range: new vscode.Range(cursor, cursor), text: code }];
+    }
+    return located.map(({ startLine, endLine, text }) =>
+      endLine < startLine
+        ? {
+            range: new vscode.Range(startLine, 0, startLine, 0),
+            text: text + "\n\n",
+          }
+        : {
+            range: new vscode.Range(
+              startLine,
+              0,
+              endLine,
+              document.lineAt(endLine).text.length
+            ),
+            text,
+          }
+    );
+  }
+
+  /**
+   * The document's text with the replacements applied
+   * @returns {string}
+   */
+  _proposedText(document, replacements) {
+    let text = document.getText();
+    [...replacements]
+      .sort(
+        (a, b) =>
+          document.offsetAt(b.range.start) - document.offsetAt(a.range.start)
+      )
+      .forEach(({ range, text: replacement }) => {
+        text =
+          text.slice(0, document.offsetAt(range.start)) +
+          replacement +
+          text.slice(document.offsetAt(range.end));
+      });
+    return text;
+  }
+
+  /**
+   * Focuses the editor the user was last working in
+   * @returns {Promise<vscode.TextEditor|null>}
+   */
+  async _showTargetEditor() {
+    const target =
+      vscode.window.activeTextEditor ||
+      this.lastEditor ||
+      vscode.window.visibleTextEditors[0];
+    if (!target || target.document.isClosed) {
+      vscode.window.showWarningMessage(
+        "Open the file you want to apply the code to first."
+      );
+      return null;
+    }
+    // The editor object may be stale if its tab was hidden in between
+    return vscode.window.showTextDocument(target.document, {
+      viewColumn: target.viewColumn,
+      selection: target.selection,
+    });
+  }
+
+  async _closeDiff(proposalUri) {
+    const tabs = vscode.window.tabGroups.all
+      .flatMap((group) => group.tabs)
+      .filter(
+        (tab) =>
+          tab.input instanceof vscode.TabInputTextDiff &&
+          tab.input.modified.toString() === proposalUri.toString()
+      );
+    if (tabs.length > 0) await vscode.window.tabGroups.close(tabs);
+  }
+
+  dispose() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.disposables = [];
+    this.proposals.clear();
+    this.editSets.clear();
+  }
+}
+
+module.exports = CodeApplier;
@@ -0,0 +1,209 @@
+const path = require("path");
+const DocChunker = require("./doc-chunker");
+
+// Top-level declarations that start a chunk, with the kind they define
+const DECLARATIONS = [
+  {
+    kind: "function",
+    pattern:
+      /^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\*?\s*([A-Za-z_$][\w$]*)?/,
+  },
+  {
+    kind: "class",
+    pattern:
+      /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)?/,
+  },
+  {
+    kind: "function",
+    pattern:
+      /^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=>)/,
+  },
+  {
+    kind: "type",
+    pattern:
+      /^(?:export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+([A-Za-z_$][\w$]*)/,
+  },
+  { kind: "function", pattern: /^(?:async\s+)?def\s+(\w+)/ },
+  { kind: "class", pattern: /^class\s+(\w+)/ },
+  { kind: "function", pattern: /^func\s+(?:\([^)]*\)\s*)?(\w+)/ },
+  {
+    kind: "function",
+    pattern: /^(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+(\w+)/,
+  },
+];
+
+// Class members a large class is split into
+const MEMBER_PATTERNS = [
+  /^\s+(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*(#?[A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\([^;]*$/,
+  /^\s+(?:async\s+)?def\s+(\w+)/,
+];
+const NOT_MEMBERS = new Set(["if", "for", "while", "switch", "catch"]);
+// Comment and decorator lines kept with the declaration below them
+const LEADING_LINE = /^\s*(\/\/|\/?\*|@|#)/;
+
+/**
+ * Splits source files into chunks along top-level functions and classes.
+ * Classes over the token budget are split into their methods and anything
+ * still too big into line windows.
+ */
+class CodeChunker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxTokens] - Token budget per chunk
+   */
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens || 400;
+  }
+
+  /**
+   * Chunks one source file
+   * @param {string} content - File content
+   * @param {string} filePath - Used to name the module-level chunk
+   * @returns {Array<Object>} - Chunks as { name, kind, startLine, endLine, text },
+   *   lines 1-based and inclusive
+   */
+  chunk(content, filePath) {
+    const lines = String(content || "")
+      .replace(/\r\n/g, "\n")
+      .split("\n");
+    const units = [];
+    let current = {
+      name: path.basename(filePath || ""),
+      kind: "module",
+      start: 0,
+    };
+
+    lines.forEach((line, index) => {
+      const declaration = this._declaration(line);
+      if (!declaration) return;
+      // Comments and decorators right above belong to the declaration
+      let start = index;
+      while (start > current.start && LEADING_LINE.test(lines[start - 1])) {
+        start--;
+      }
+      units.push({ ...current, end: start - 1 });
+      current = { ...declaration, start };
+    });
+    units.push({ ...current, end: lines.length - 1 });
+
+    const chunks = [];
+    units.forEach((unit) => {
+      const text = lines.slice(unit.start, unit.end + 1).join("\n");
+      // Skip empty module preambles, e.g. files starting with a function
+      if (!text.trim()) return;
+      if (DocChunker.estimateTokens(text) <= this.maxTokens) {
+        chunks.push(
+          this._chunk(unit.name, unit.kind, lines, unit.start, unit.end)
+        );
+      } else if (unit.kind === "class") {
+        chunks.push(...this._splitClass(unit, lines));
+      } else {
+        chunks.push(
+          ...this._splitLines(
+            unit.name,
+            unit.kind,
+            lines,
+            unit.start,
+            unit.end
+          )
+        );
+      }
+    });
+    return chunks;
+  }
+
+  /**
+   * Recognizes a top-level declaration
+   * @param {string} line
+   * @returns {Object|null} - { name, kind }
+   */
+  _declaration(line) {
+    for (const { kind, pattern } of DECLARATIONS) {
+      const match = line.match(pattern);
+      if (match) return { name: match[1] || "default", kind };
+    }
+    return null;
+  }
+
+  /**
+   * Splits a large class at its methods, the class header and fields before
+   * the first method forming their own chunk
+   * @param {Object} unit
+   * @param {Array<string>} lines
+   * @returns {Array<Object>}
+   */
+  _splitClass(unit, lines) {
+    const starts = [];
+    for (let i = unit.start + 1; i <= unit.end; i++) {
+      for (const pattern of MEMBER_PATTERNS) {
+        const match = lines[i].match(pattern);
+        if (match && !NOT_MEMBERS.has(match[1])) {
+          let start = i;
+          while (
+            start > unit.start + 1 &&
+            LEADING_LINE.test(lines[start - 1])
+          ) {
+            start--;
+          }
+          starts.push({ name: `${unit.name}.${match[1]}`, start });
+          break;
+        }
+      }
+    }
+    // Methods share the indentation of the first one, nested code is deeper
+    const indent = (line) => line.match(/^\s*/)[0].length;
+    const memberIndent =
+      starts.length > 0 ? indent(lines[starts[0].start]) : 0;
+    const members = starts.filter(
+      (member) => indent(lines[member.start]) === memberIndent
+    );
+
+    const chunks = [];
+    const pieces = [
+      { name: unit.name, kind: "class", start: unit.start },
+      ...members.map((member) => ({ ...member, kind: "method" })),
+    ];
+    pieces.forEach((piece, index) => {
+      const end =
+        index + 1 < pieces.length ? pieces[index + 1].start - 1 : unit.end;
+      if (end < piece.start) return;
+      chunks.push(
+        ...this._splitLines(piece.name, piece.kind, lines, piece.start, end)
+      );
+    });
+    return chunks;
+  }
+
+  /**
+   * Cuts a range of lines into windows that fit the token budget
+   * @returns {Array<Object>}
+   */
+  _splitLines(name, kind, lines, start, end) {
+    const chunks = [];
+    let windowStart = start;
+    let tokens = 0;
+    for (let i = start; i <= end; i++) {
+      const lineTokens = DocChunker.estimateTokens(lines[i] + "\n");
+      if (tokens + lineTokens > this.maxTokens && i > windowStart) {
+        chunks.push(this._chunk(name, kind, lines, windowStart, i - 1));
+        windowStart = i;
+        tokens = 0;
+      }
+      tokens += lineTokens;
+    }
+    chunks.push(this._chunk(name, kind, lines, windowStart, end));
+    return chunks.filter((chunk) => chunk.text.trim());
+  }
+
+  _chunk(name, kind, lines, start, end) {
+    return {
+      name,
+      kind,
+      startLine: start + 1,
+      endLine: end + 1,
+      text: lines.slice(start, end + 1).join("\n"),
+    };
+  }
+}
+
+module.exports = CodeChunker;
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const CodeChunker = require("./code-chunker");
+const WorkspaceWalker = require("./workspace-walker");
+
+/**
+ * Indexes the workspace's own source code into a vector store collection,
+ * one entry per function, class or method. A full pass only re-chunks files
+ * modified since they were indexed; saves, creates and deletes are applied
+ * to the files they touch. Updates run one at a time so they never interleave.
+ */
+class CodeIndexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.collection - LocalVectorStore or ChromaVectorStore
+   * @param {Array<string>} options.workspaceFolders - Folder paths to index
+   * @param {Object} [options.walker] - WorkspaceWalker
+   * @param {Object} [options.chunker] - CodeChunker
+   */
+  constructor(options) {
+    this.collection = options.collection;
+    this.workspaceFolders = options.workspaceFolders || [];
+    this.walker = options.walker || new WorkspaceWalker();
+    this.chunker = options.chunker || new CodeChunker();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Brings the whole index up to date with the workspace
+   * @returns {Promise<Object>} - { files, indexed, removed, chunks, count }
+   */
+  indexWorkspace() {
+    return this._enqueue(async () => {
+      // .gitignore files may have changed since the last pass
+      this.walker.clearCache();
+      const files = await this.walker.walk(this.workspaceFolders);
+      const stored = await this._storedFiles();
+
+      const changed = [];
+      for (const file of files) {
+        if (stored.get(file) !== (await this._modifiedTime(file))) {
+          changed.push(file);
+        }
+      }
+      const listed = new Set(files);
+      const removed = [...stored.keys()].filter((file) => !listed.has(file));
+
+      let chunks = 0;
+      const batchSize = 50;
+      for (let i = 0; i < changed.length; i += batchSize) {
+        chunks += await this._indexFiles(changed.slice(i, i + batchSize));
+      }
+      if (removed.length > 0) {
+        await this.collection.delete({ where: { filePath: { $in: removed } } });
+      }
+
+      return {
+        files: files.length,
+        indexed: changed.length,
+        removed: removed.length,
+        chunks,
+        count: await this.collection.count(),
+      };
+    });
+  }
+
+  /**
+   * Re-indexes saved or created files. Ignored and non-source files are skipped.
+   * @param {Array<string>} filePaths
+   * @returns {Promise<number>} - Number of chunks stored for the files
+   */
+  updateFiles(filePaths) {
+    return this._enqueue(async () => {
+      const files = [];
+      for (const filePath of new Set(filePaths)) {
+        const folder = this._folderOf(filePath);
+        if (!folder || !WorkspaceWalker.isSourceFile(filePath)) continue;
+        if (await this.walker.isIgnored(filePath, folder)) continue;
+        files.push(filePath);
+      }
+
+      let chunks = 0;
+      const batchSize = 50;
+      for (let i = 0; i < files.length; i += batchSize) {
+        chunks += await this._indexFiles(files.slice(i, i + batchSize));
+      }
+      return chunks;
+    });
+  }
+
+  /**
+   * Drops deleted files, and every file below deleted folders
+   * @param {Array<string>} deletedPaths
+   * @returns {Promise<number>} - Number of files removed
+   */
+  removePaths(deletedPaths) {
+    return this._enqueue(async () => {
+      const files = [...(await this._storedFiles()).keys()].filter((file) =>
+        deletedPaths.some(
+          (deleted) => file === deleted || file.startsWith(deleted + path.sep)
+        )
+      );
+      if (files.length > 0) {
+        await this.collection.delete({ where: { filePath: { $in: files } } });
+      }
+      return files.length;
+    });
+  }
+
+  /**
+   * Finds code chunks relevant to a query
+   * @param {string} query - Question or code
+   * @param {number} [maxResults]
+   * @param {Object} [options]
+   * @param {string} [options.excludeFile] - Leave out chunks of this file, e.g. the active one
+   * @returns {Promise<Array<Object>>} - Hits as { id, filePath, relativePath, name, kind,
+   *   startLine, endLine, language, text, score }, best first
+   */
+  async search(query, maxResults = 5, options = {}) {
+    const results = await this.collection.query({
+      queryTexts: [query],
+      nResults: maxResults,
+      ...(options.excludeFile
+        ? { where: { filePath: { $ne: options.excludeFile } } }
+        : {}),
+    });
+
+    const ids = (results.ids && results.ids[0]) || [];
+    const documents = (results.documents && results.documents[0]) || [];
+    const metadatas = (results.metadatas && results.metadatas[0]) || [];
+    const distances = (results.distances && results.distances[0]) || [];
+    return documents.map((document, i) => {
+      const metadata = metadatas[i] || {};
+      return {
+        id: ids[i],
+        filePath: metadata.filePath,
+        relativePath: metadata.relativePath,
+        name: metadata.name,
+        kind: metadata.kind,
+        startLine: metadata.startLine,
+        endLine: metadata.endLine,
+        language: metadata.language,
+        // Drop the "path > name" header used for matching
+        text: document.slice(document.indexOf("\n\n") + 2),
+        score: Math.max(0, Math.min(1, 1 - (distances[i] || 0))),
+      };
+    });
+  }
+
+  /**
+   * Replaces the stored chunks of the files
+   * @param {Array<string>} files
+   * @returns {Promise<number>} - Number of chunks stored
+   */
+  async _indexFiles(files) {
+    const entries = [];
+    for (const file of files) {
+      const content = await this.walker.readFile(file);
+      // Deleted or too big by now, its old chunks are still removed below
+      if (content === null) continue;
+      entries.push(
+        ...this._entries(file, content, await this._modifiedTime(file))
+      );
+    }
+
+    // One call, so the local store writes its file once per batch
+    await this.collection.replace({
+      where: { filePath: { $in: files } },
+      ids: entries.map((entry) => entry.id),
+      documents: entries.map((entry) => entry.document),
+      metadatas: entries.map((entry) => entry.metadata),
+    });
+    return entries.length;
+  }
+
+  /**
+   * Splits a file into vector store entries
+   * @returns {Array<Object>} - Entries as { id, document, metadata }
+   */
+  _entries(file, content, modifiedTime) {
+    const folder = this._folderOf(file);
+    let relativePath = path.relative(folder, file).split(path.sep).join("/");
+    // Tell files apart in multi-root workspaces
+    if (this.workspaceFolders.length > 1) {
+      relativePath = `${path.basename(folder)}/${relativePath}`;
+    }
+
+    return this.chunker.chunk(content, file).map((chunk, index) => ({
+      id: `${file}#${index}`,
+      // Lead with the path and name so keyword search matches them too
+      document: `${relativePath} > ${chunk.name}\n\n${chunk.text}`,
+      metadata: {
+        filePath: file,
+        relativePath,
+        name: chunk.name,
+        kind: chunk.kind,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        language: path.extname(file).slice(1),
+        modifiedTime,
+      },
+    }));
+  }
+
+  /**
+   * Modification time of every indexed file
+   * @returns {Promise<Map<string, number>>}
+   */
+  async _storedFiles() {
+    const { metadatas } = await this.collection.get();
+    const files = new Map();
+    (metadatas || []).forEach((metadata) => {
+      if (metadata && metadata.filePath) {
+        files.set(metadata.filePath, metadata.modifiedTime);
+      }
+    });
+    return files;
+  }
+
+  async _modifiedTime(file) {
+    try {
+      return (await fs.promises.stat(file)).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _folderOf(filePath) {
+    return this.workspaceFolders.find((folder) => {
+      const relative = path.relative(folder, filePath);
+      return (
+        Boolean(relative) &&
+        !relative.startsWith("..") &&
+        !path.isAbsolute(relative)
+      );
+    });
+  }
+
+  _enqueue(task) {
+    const run = this.queue.then(task);
+    // A failed update must not block the ones after it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = CodeIndexer;
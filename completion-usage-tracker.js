@@ -0,0 +1,93 @@
+/**
+ * Records what happens to inline suggestions: shown, accepted or dismissed.
+ * Only accepted suggestions count towards the daily completions quota.
+ *
+ * VS Code has no stable event for a dismissed inline suggestion, so one that
+ * is still pending when a different suggestion is shown, or when flush() is
+ * called, counts as dismissed. Typing along with a suggestion keeps it pending.
+ */
+class CompletionUsageTracker {
+  /**
+   * @param {Object} storageManager - StorageManager with incrementDailyUsage
+   * @param {Object} [telemetryService] - TelemetryService for usage events
+   */
+  constructor(storageManager, telemetryService) {
+    this.storageManager = storageManager;
+    this.telemetryService = telemetryService || null;
+    this.nextId = 1;
+    this.pending = null; // { id, fileName, offset, prefix, text }
+  }
+
+  /**
+   * Records a suggestion that is about to be shown
+   * @param {Object} suggestion - { fileName, offset, prefix, text }: offset
+   *   is the cursor's in the document, prefix the code before the cursor
+   * @returns {Promise<number>} - Id to pass to accepted() from the item's command
+   */
+  async shown(suggestion) {
+    if (this.pending && this._continues(this.pending, suggestion)) {
+      this.pending = { ...suggestion, id: this.pending.id };
+      return this.pending.id;
+    }
+
+    await this.flush();
+    const id = this.nextId++;
+    this.pending = { ...suggestion, id };
+    await this.storageManager.incrementDailyUsage("inlineShown");
+    return id;
+  }
+
+  /**
+   * Records that the suggestion with this id was accepted
+   * @param {number} id - Id returned by shown()
+   * @returns {Promise<boolean>} - Whether the suggestion was counted
+   */
+  async accepted(id) {
+    if (!this.pending || this.pending.id !== id) return false;
+    this.pending = null;
+    await this.storageManager.incrementDailyUsage("inlineAccepted");
+    await this.storageManager.incrementDailyUsage("completions");
+    if (this.telemetryService) {
+      this.telemetryService.logFeatureUsage("inline_completion");
+    }
+    return true;
+  }
+
+  /**
+   * Counts the pending suggestion, if any, as dismissed
+   */
+  async flush() {
+    if (!this.pending) return;
+    this.pending = null;
+    await this.storageManager.incrementDailyUsage("inlineDismissed");
+  }
+
+  /**
+   * Whether the new suggestion is what is left of the pending one after
+   * the user typed its first characters
+   * @param {Object} pending
+   * @param {Object} suggestion
+   * @returns {boolean}
+   */
+  _continues(pending, suggestion) {
+    if (pending.fileName !== suggestion.fileName) return false;
+    // The prefix is a window of lines that moves down as lines are typed,
+    // so the typed text is told by how far the cursor moved
+    const length = suggestion.offset - pending.offset;
+    if (!(length >= 0 && length <= suggestion.prefix.length)) return false;
+    const cut = suggestion.prefix.length - length;
+    const typed = suggestion.prefix.slice(cut);
+    if (pending.text !== typed + suggestion.text) return false;
+
+    // The code before where the pending one was shown is unchanged, as far
+    // as both windows reach
+    const before = suggestion.prefix.slice(0, cut);
+    const overlap = Math.min(before.length, pending.prefix.length);
+    return (
+      before.slice(before.length - overlap) ===
+      pending.prefix.slice(pending.prefix.length - overlap)
+    );
+  }
+}
+
+module.exports = CompletionUsageTracker;
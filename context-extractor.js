@@ -1,12 +1,66 @@
 const vscode = require("vscode");
-const { ChromaClient, EmbeddingFunction } = require("chromadb");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+const LocalVectorStore = require("./local-vector-store");
+const ChromaVectorStore = require("./chroma-vector-store");
+const DocChunker = require("./doc-chunker");
+const ProjectContext = require("./project-context");
+const ImportResolver = require("./import-resolver");
+const CodeIndexer = require("./code-indexer");
+const WorkspaceWalker = require("./workspace-walker");
+const DiagnosticHelper = require("./diagnostic-helper");
+const EditSet = require("./edit-set");
+
+const COLLECTION_NAME = "nextjs_docs";
+const CODE_COLLECTION_NAME = "workspace_code";
+const JS_TS_LANGUAGES = [
+  "javascript",
+  "javascriptreact",
+  "typescript",
+  "typescriptreact",
+];
+
+/**
+ * Renders imported modules' signatures, each under a comment naming the module
+ * @param {Array<Object>} modules - From ImportResolver.collectSignatures, with relativePath
+ * @returns {string}
+ */
+const formatSignatures = (modules) =>
+  modules
+    .map(
+      (imported) =>
+        `// ${imported.relativePath} (imported as "${imported.specifier}")\n` +
+        imported.signatures.join("\n")
+    )
+    .join("\n\n");
 
 class ContextExtractor {
-  constructor() {
-    this.client = new ChromaClient();
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storagePath] - Directory for the local vector store
+   * @param {string} [options.workspaceStoragePath] - Directory for the workspace code index
+   * @param {Object} [options.vectorStore] - See configureVectorStore
+   * @param {Object} [options.projectContext] - See configureProjectContext
+   * @param {Object} [options.codeIndex] - See configureCodeIndex
+   */
+  constructor(options = {}) {
+    this.storagePath = options.storagePath || path.join(__dirname, "data");
+    this.vectorStoreConfig = options.vectorStore || {};
+    this.workspaceStoragePath = options.workspaceStoragePath || null;
+    this.codeIndexConfig = options.codeIndex || {};
+    this.codeIndexer = null;
+    this.chunker = this._createChunker();
+    this.contextDepth = "file";
+    this.importResolver = new ImportResolver();
+    this.projectContext = new ProjectContext({
+      importResolver: this.importResolver,
+    });
+    if (options.projectContext) {
+      this.configureProjectContext(options.projectContext);
+    }
     this.collection = null;
+    this.backend = null;
     this.cache = {
       relevantDocs: new Map(), // Cache for query results
       contextQueries: new Map(), // Cache for context extraction
@@ -15,21 +69,183 @@ class ContextExtractor {
     this.initializeCollection();
   }
 
+  /**
+   * Switches the vector store backend; the collection is reopened on next use
+   * @param {Object} config - { backend: "local" | "chroma", chromaUrl, embeddingFunction,
+   *   chunkTokens, chunkOverlap }
+   */
+  configureVectorStore(config = {}) {
+    this.vectorStoreConfig = config;
+    this.chunker = this._createChunker();
+    this.collection = null;
+    this.backend = null;
+    this.codeIndexer = null;
+    this.cache.relevantDocs.clear();
+  }
+
+  /**
+   * Drops cached tsconfig.json/jsconfig.json path aliases, e.g. after one changed
+   */
+  clearImportCache() {
+    this.importResolver.clearCache();
+    this.cache.contextQueries.clear();
+  }
+
+  /**
+   * Sets how much context beyond the active file goes into prompts
+   * @param {Object} config - { depth: "file" | "project" | "workspace", tokenBudget }
+   */
+  configureProjectContext(config = {}) {
+    this.contextDepth = config.depth || "file";
+    this.projectContext = new ProjectContext({
+      tokenBudget: config.tokenBudget,
+      importResolver: this.importResolver,
+    });
+    if (this.cache) this.cache.contextQueries.clear();
+  }
+
   async initializeCollection() {
-    try {
+    if (this.collection) return;
+    const { store, backend } = await this._openStore(
+      COLLECTION_NAME,
+      COLLECTION_NAME,
+      this.storagePath
+    );
+    this.collection = store;
+    this.backend = backend;
+  }
+
+  /**
+   * Opens a collection on the configured backend
+   * @param {string} name - Chroma collection name
+   * @param {string} fileName - Local store file name, without extension
+   * @param {string} directory - Folder for the local store
+   * @returns {Promise<Object>} - { store, backend }
+   */
+  async _openStore(name, fileName, directory) {
+    const { backend, chromaUrl, embeddingFunction } = this.vectorStoreConfig;
+
+    if (backend === "chroma") {
       try {
-        this.collection = await this.client.getCollection("nextjs_docs");
-      } catch (error) {
-        // If collection doesn't exist, create it
-        this.collection = await this.client.createCollection({
-          name: "nextjs_docs",
-          metadata: {
-            description: "Next.js documentation for RealTime CodeAi",
-          },
+        const store = new ChromaVectorStore({
+          name,
+          url: chromaUrl,
+          embeddingFunction,
         });
+        await store.connect();
+        return { store, backend: "chroma" };
+      } catch (error) {
+        // Retrieval keeps working from the local store instead of going dark
+        console.warn(
+          `ChromaDB not reachable at ${chromaUrl || "the default URL"}, using the local vector store:`,
+          error.message
+        );
       }
+    }
+
+    const store = new LocalVectorStore({
+      filePath: path.join(directory, "vector-store", `${fileName}.json`),
+      embeddingFunction,
+    });
+    return { store, backend: "local" };
+  }
+
+  /**
+   * Sets up indexing of the workspace's own code; the index is opened on next use
+   * @param {Object} config - { enabled, maxFiles, workspaceFolders }
+   */
+  configureCodeIndex(config = {}) {
+    this.codeIndexConfig = config;
+    this.codeIndexer = null;
+  }
+
+  /**
+   * Opens the workspace code collection, kept next to the docs but per workspace
+   * @returns {Promise<Object|null>} - CodeIndexer, or null when disabled or no folder is open
+   */
+  async _getCodeIndexer() {
+    if (this.codeIndexer) return this.codeIndexer;
+    const { enabled, maxFiles, workspaceFolders = [] } = this.codeIndexConfig;
+    if (
+      !enabled ||
+      workspaceFolders.length === 0 ||
+      !this.workspaceStoragePath
+    ) {
+      return null;
+    }
+
+    // Chroma is shared between workspaces, so the collection name includes them
+    const workspaceHash = crypto
+      .createHash("sha1")
+      .update(workspaceFolders.join("|"))
+      .digest("hex")
+      .slice(0, 12);
+    const { store } = await this._openStore(
+      `${CODE_COLLECTION_NAME}_${workspaceHash}`,
+      CODE_COLLECTION_NAME,
+      this.workspaceStoragePath
+    );
+    this.codeIndexer = new CodeIndexer({
+      collection: store,
+      workspaceFolders,
+      walker: new WorkspaceWalker({ maxFiles }),
+    });
+    return this.codeIndexer;
+  }
+
+  /**
+   * Indexes workspace files changed since the last run and drops deleted ones
+   * @returns {Promise<Object|null>} - Counts from CodeIndexer.indexWorkspace, null when disabled
+   */
+  async indexWorkspaceCode() {
+    const indexer = await this._getCodeIndexer();
+    if (!indexer) return null;
+    const result = await indexer.indexWorkspace();
+    this.cache.relevantDocs.clear();
+    return result;
+  }
+
+  /**
+   * Re-indexes saved or created files
+   * @param {Array<string>} filePaths
+   */
+  async updateCodeFiles(filePaths) {
+    const indexer = await this._getCodeIndexer();
+    if (!indexer) return;
+    await indexer.updateFiles(filePaths);
+    this.cache.relevantDocs.clear();
+  }
+
+  /**
+   * Removes deleted files or folders from the code index
+   * @param {Array<string>} deletedPaths
+   */
+  async removeCodeFiles(deletedPaths) {
+    const indexer = await this._getCodeIndexer();
+    if (!indexer) return;
+    await indexer.removePaths(deletedPaths);
+    this.cache.relevantDocs.clear();
+  }
+
+  /**
+   * Finds code from elsewhere in the workspace relevant to a query
+   * @param {string} query - Question or code
+   * @param {number} [maxResults]
+   * @param {Object} [options] - { excludeFile }, see CodeIndexer.search
+   * @returns {Promise<Array<Object>>} - Code hits, empty when indexing is disabled
+   */
+  async findRelevantCode(query, maxResults = 3, options = {}) {
+    try {
+      const indexer = await this._getCodeIndexer();
+      if (!indexer || !query || !query.trim()) return [];
+      return await indexer.search(
+        query.substring(0, 500),
+        maxResults,
+        options
+      );
     } catch (error) {
-      console.error("Failed to initialize collection:", error);
+      console.error("Error querying workspace code index:", error);
+      return [];
     }
   }
 
@@ -42,11 +258,15 @@ class ContextExtractor {
     const selection = editor.selection;
 
     // Create a cache key based on file path, selection, and document version
-    const cacheKey = `${fileName}:${selection.start.line},${selection.start.character}-${selection.end.line},${selection.end.character}:${document.version}`;
+    const cacheKey = `${fileName}:${selection.start.line},${selection.start.character}-${selection.end.line},${selection.end.character}:${document.version}:${this.contextDepth}`;
 
     // Check if we have a cached result
     if (this.cache.contextQueries.has(cacheKey)) {
-      return this.cache.contextQueries.get(cacheKey);
+      return this._withDiagnostics(
+        this.cache.contextQueries.get(cacheKey),
+        document,
+        selection
+      );
     }
 
     // If not in cache, extract the context
@@ -70,8 +290,50 @@ class ContextExtractor {
       surroundingCode,
       fullText: text,
       language: document.languageId,
+      imports: [],
+      projectContext: null,
     };
 
+    // Exported signatures of the local modules a JS/TS file imports, so the
+    // prompt knows the props and types of the components being used
+    if (
+      JS_TS_LANGUAGES.includes(document.languageId) &&
+      document.uri.scheme === "file"
+    ) {
+      try {
+        const modules = await this.importResolver.collectSignatures(
+          fileName,
+          text
+        );
+        result.imports = modules.map((imported) => ({
+          ...imported,
+          relativePath: vscode.workspace.asRelativePath(imported.filePath),
+        }));
+      } catch (error) {
+        console.warn("Error resolving imports:", error);
+      }
+    }
+
+    // Project and workspace depth add related files within the token budget
+    if (this.contextDepth !== "file" && document.uri.scheme === "file") {
+      try {
+        result.projectContext = await this.projectContext.collect({
+          filePath: fileName,
+          text,
+          depth: this.contextDepth,
+          workspaceFolders: (vscode.workspace.workspaceFolders || []).map(
+            (folder) => folder.uri.fsPath
+          ),
+          query: selectedText || surroundingCode,
+          reservedTokens: DocChunker.estimateTokens(
+            surroundingCode + selectedText + formatSignatures(result.imports)
+          ),
+        });
+      } catch (error) {
+        console.warn("Error collecting project context:", error);
+      }
+    }
+
     // Store in cache (limit cache size to prevent memory issues)
     if (this.cache.contextQueries.size > 50) {
       // Remove oldest entry if cache is too large
@@ -80,19 +342,82 @@ class ContextExtractor {
     }
     this.cache.contextQueries.set(cacheKey, result);
 
-    return result;
+    return this._withDiagnostics(result, document, selection);
   }
 
-  async findRelevantDocs(context, maxResults = 5) {
+  /**
+   * Adds the active file's current diagnostics to a context. They are read
+   * on every call because language servers report them after the edit that
+   * bumped the document version.
+   * @param {Object} context - Context from extractActiveEditorContext
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Selection} selection
+   * @returns {Object} - The context with diagnostics, near the selection first
+   */
+  _withDiagnostics(context, document, selection) {
+    const lines = document.getText().split(/\r?\n/);
+    const diagnostics = vscode.languages
+      .getDiagnostics(document.uri)
+      .map((diagnostic) => {
+        const range = {
+          startLine: diagnostic.range.start.line + 1,
+          startCharacter: diagnostic.range.start.character + 1,
+          endLine: diagnostic.range.end.line + 1,
+          endCharacter: diagnostic.range.end.character + 1,
+        };
+        return {
+          message: diagnostic.message,
+          severity: DiagnosticHelper.severityName(diagnostic.severity),
+          source: diagnostic.source || "",
+          code:
+            diagnostic.code && typeof diagnostic.code === "object"
+              ? diagnostic.code.value
+              : diagnostic.code,
+          range,
+          snippet: DiagnosticHelper.snippet(
+            lines,
+            range.startLine,
+            range.endLine
+          ),
+        };
+      });
+
+    return {
+      ...context,
+      diagnostics: DiagnosticHelper.select(diagnostics, {
+        startLine: selection.start.line + 1,
+        endLine: selection.end.line + 1,
+      }),
+    };
+  }
+
+  _createChunker() {
+    return new DocChunker({
+      maxTokens: this.vectorStoreConfig.chunkTokens,
+      overlapTokens: this.vectorStoreConfig.chunkOverlap,
+    });
+  }
+
+  /**
+   * Finds documentation chunks relevant to the editor context
+   * @param {Object} context - Editor context with selectedText and surroundingCode
+   * @param {number} [maxResults] - Maximum number of hits
+   * @param {Object} [options]
+   * @param {Array<string>} [options.types] - Only return docs of these types
+   * @returns {Promise<Array<Object>>} - Hits as { id, title, type, url, score,
+   *   updatedAt, text, sectionPath, docKey }, best match first; score is a 0-1 similarity
+   */
+  async findRelevantDocs(context, maxResults = 5, options = {}) {
     if (!this.collection) await this.initializeCollection();
     if (!this.collection) return [];
 
     // Create a query from the context
     const query =
       context.selectedText || context.surroundingCode.substring(0, 500);
+    const types = options.types || [];
 
     // Create a cache key
-    const cacheKey = `${query.substring(0, 100)}:${maxResults}`;
+    const cacheKey = `${query.substring(0, 100)}:${maxResults}:${types}`;
 
     // Check if we have a cached result that's not too old (5 minutes)
     const now = Date.now();
@@ -109,9 +434,22 @@ class ContextExtractor {
       const results = await this.collection.query({
         queryTexts: [query],
         nResults: maxResults,
+        ...(types.length > 0 ? { where: { type: { $in: types } } } : {}),
       });
 
+      const ids = (results.ids && results.ids[0]) || [];
       const documents = results.documents[0] || [];
+      const metadatas = (results.metadatas && results.metadatas[0]) || [];
+      const distances = (results.distances && results.distances[0]) || [];
+      const hits = documents.map((text, i) =>
+        this.toHit(
+          ids[i],
+          text,
+          metadatas[i] || {},
+          // Both stores report cosine-style distances, 0 being identical
+          Math.max(0, Math.min(1, 1 - (distances[i] || 0)))
+        )
+      );
 
       // Store in cache (limit cache size)
       if (this.cache.relevantDocs.size > 30) {
@@ -119,9 +457,9 @@ class ContextExtractor {
         const oldestKey = this.cache.relevantDocs.keys().next().value;
         this.cache.relevantDocs.delete(oldestKey);
       }
-      this.cache.relevantDocs.set(cacheKey, documents);
+      this.cache.relevantDocs.set(cacheKey, hits);
 
-      return documents;
+      return hits;
     } catch (error) {
       console.error("Error querying vector database:", error);
       // If there's an error, return cached result if available, otherwise empty array
@@ -129,23 +467,189 @@ class ContextExtractor {
     }
   }
 
-  async buildPrompt(userQuery) {
-    const context = await this.extractActiveEditorContext();
-    const relevantDocs = await this.findRelevantDocs(context);
+  /**
+   * Turns a stored chunk into a search hit
+   * @param {string} id - Chunk id
+   * @param {string} text - Stored document text
+   * @param {Object} [metadata] - Stored metadata
+   * @param {number} score - 0-1 relevance
+   * @returns {Object}
+   */
+  toHit(id, text, metadata, score) {
+    return {
+      id: id || "",
+      title: metadata.title || "Untitled document",
+      type: metadata.type || "",
+      url: metadata.url || "",
+      score,
+      updatedAt: metadata.updated_at || null,
+      text,
+      sectionPath: metadata.sectionPath || metadata.title || "",
+      docKey: metadata.docKey || "",
+    };
+  }
+
+  /**
+   * Builds the prompt sent to the AI provider
+   * @param {string} userQuery - The user's question
+   * @param {Object} [context] - Editor context, extracted from the active editor if omitted
+   * @param {Array} [relevantDocs] - Documentation hits from findRelevantDocs, looked up if omitted
+   * @param {Object} [options]
+   * @param {string} [options.mode] - "debug" to answer the file's diagnostics one by one,
+   *   "refactor" to ask for an edit set; picked from the question by default
+   * @returns {Promise<Object>} - Prompt with system prompt, context blocks, validation steps and mode
+   */
+  async buildPrompt(userQuery, context, relevantDocs, options = {}) {
+    if (context === undefined) {
+      context = await this.extractActiveEditorContext();
+    }
+    if (!relevantDocs) {
+      relevantDocs = context ? await this.findRelevantDocs(context) : [];
+    }
+    // Code from elsewhere in the workspace helps with "where do we do X?"
+    const relatedCode =
+      context && context.relatedCode
+        ? context.relatedCode
+        : await this.findRelevantCode(userQuery, 3, {
+            excludeFile: context ? context.fileName : undefined,
+          });
+
+    const language = context ? context.language : "the user's project";
+    const diagnostics = (context && context.diagnostics) || [];
+    let mode = options.mode;
+    if (!mode) {
+      if (diagnostics.length > 0 && DiagnosticHelper.isDebugQuery(userQuery)) {
+        mode = "debug";
+      } else if (context && EditSet.isRefactorQuery(userQuery)) {
+        mode = "refactor";
+      } else {
+        mode = "chat";
+      }
+    }
+    const contextBlocks = [];
+    if (context) {
+      // Edits need the whole file to quote search text from, if it fits
+      const wholeFile =
+        mode === "refactor" &&
+        DocChunker.estimateTokens(context.fullText) <=
+          this.projectContext.tokenBudget;
+      contextBlocks.push({
+        type: "code",
+        content: wholeFile ? context.fullText : context.surroundingCode,
+        language: context.language,
+      });
+      if (context.selectedText) {
+        contextBlocks.push({
+          type: "selection",
+          content: context.selectedText,
+          language: context.language,
+        });
+      }
+      if (mode === "debug" && diagnostics.length > 0) {
+        contextBlocks.push({
+          type: "diagnostics",
+          content: DiagnosticHelper.format(diagnostics, context.language),
+        });
+      }
+      if (context.imports && context.imports.length > 0) {
+        contextBlocks.push({
+          type: "imports",
+          content: formatSignatures(context.imports),
+          language: context.language,
+        });
+      }
+      if (context.projectContext) {
+        contextBlocks.push({
+          type: "dependencies",
+          content: ProjectContext.formatDependencies(
+            context.projectContext.dependencies
+          ),
+        });
+        context.projectContext.files.forEach((file) => {
+          contextBlocks.push({
+            type: "file",
+            path: file.relativePath,
+            reason: file.reason,
+            content: file.content,
+            language: file.language,
+            truncated: file.truncated,
+          });
+        });
+      }
+    }
+    relatedCode.forEach((hit) => {
+      contextBlocks.push({
+        type: "file",
+        path: `${hit.relativePath}:${hit.startLine}-${hit.endLine}`,
+        reason: `related ${hit.kind} ${hit.name}`,
+        content: hit.text,
+        language: hit.language,
+      });
+    });
+    contextBlocks.push({
+      type: "documentation",
+      content: relevantDocs
+        .map((doc) =>
+          doc.url ? `${doc.text}\n(Source: ${doc.url})` : doc.text
+        )
+        .join("\n\n"),
+    });
+
+    if (mode === "debug") {
+      return {
+        systemPrompt:
+          `You are an AI assistant debugging ${language} code. ` +
+          (diagnostics.length > 0
+            ? "Go through the editor diagnostics in the order listed. For each one, " +
+              "name its line, explain the cause in a sentence or two and propose " +
+              "a fix as a code block. Diagnostics often share a cause; say so " +
+              "instead of repeating a fix."
+            : "The editor reports no diagnostics for this file, so look for " +
+              "runtime and logic errors in the code shown."),
+        contextBlocks,
+        userQuery,
+        validationSteps: [
+          "Read each diagnostic with the code at its range",
+          "Find the cause, which may be outside the highlighted range",
+          "Propose the smallest fix for each diagnostic",
+          "Check the fixes against the documentation and each other",
+        ],
+        mode,
+        context,
+        relevantDocs,
+        relatedCode,
+      };
+    }
+
+    if (mode === "refactor") {
+      return {
+        systemPrompt:
+          `You are an AI assistant refactoring ${language} code. ` +
+          "Analyze the following context and documentation before responding. " +
+          EditSet.instructions(
+            context ? vscode.workspace.asRelativePath(context.fileName) : ""
+          ),
+        contextBlocks,
+        userQuery,
+        validationSteps: [
+          "Understand the requested change and the code it touches",
+          "Identify every file that has to change, including callers",
+          "Write hunks whose search text is copied exactly from each file",
+          "Check that the files stay consistent with each other",
+        ],
+        mode,
+        context,
+        relevantDocs,
+        relatedCode,
+      };
+    }
 
     // Trae-style multi-step validation approach
     return {
       systemPrompt:
-        `You are an AI assistant helping with coding in ${context.language}. ` +
+        `You are an AI assistant helping with coding in ${language}. ` +
         `Analyze the following context and documentation before responding.`,
-      contextBlocks: [
-        {
-          type: "code",
-          content: context.surroundingCode,
-          language: context.language,
-        },
-        { type: "documentation", content: relevantDocs.join("\n\n") },
-      ],
+      contextBlocks,
       userQuery,
       validationSteps: [
         "Understand the user query and code context",
@@ -154,77 +658,69 @@ class ContextExtractor {
         "Generate or modify code",
         "Validate the solution",
       ],
+      mode,
+      context,
+      relevantDocs,
+      relatedCode,
     };
   }
 
   /**
-   * Updates the ChromaDB collection with new documentation
-   * @param {Object} docsData - The documentation data to update
-   * @returns {Promise<Object>} - Result of the update operation
+   * Applies DocDiffer differences to the vector store. Docs are split into
+   * chunks stored as `type:title#n`; chunks of updated and removed docs are
+   * found through their `docKey` metadata and replaced or deleted
+   * @param {Object} differences - { newDocs, updatedDocs, removedDocs } from DocDiffer.processDocs
+   * @returns {Promise<Object>} - Result with added, updated and removed doc counts
    */
-  async updateCollection(docsData) {
+  async updateCollection(differences) {
     if (!this.collection) await this.initializeCollection();
     if (!this.collection)
       return { success: false, error: "Collection not initialized" };
 
-    try {
-      // First, clear the existing collection
-      await this.collection.delete();
-
-      // Recreate the collection
-      await this.initializeCollection();
+    const newDocs = Object.entries(differences.newDocs || {});
+    const updatedDocs = Object.entries(differences.updatedDocs || {});
+    const removedKeys = Object.keys(differences.removedDocs || {});
 
-      // Clear all caches when collection is updated
-      this.cache.relevantDocs.clear();
-      this.cache.contextQueries.clear();
-      this.cache.lastUpdated = Date.now();
+    try {
+      // Updated docs may now have fewer chunks, so drop their old ones first
+      const staleKeys = [...updatedDocs.map(([key]) => key), ...removedKeys];
+      if (staleKeys.length > 0) {
+        await this.collection.delete({
+          where: { docKey: { $in: staleKeys } },
+        });
+      }
 
-      // Prepare documents for embedding
-      const documents = [];
-      const metadatas = [];
-      const ids = [];
+      const chunks = [];
+      [...newDocs, ...updatedDocs].forEach(([key, doc]) => {
+        chunks.push(...this.chunkDoc(key, doc));
+      });
 
-      // Process each document in batches to prevent memory issues
+      // Upsert in batches to prevent memory issues
       const batchSize = 100;
-      const entries = Object.entries(docsData);
-
-      for (let i = 0; i < entries.length; i += batchSize) {
-        const batch = entries.slice(i, i + batchSize);
-
-        const batchDocuments = [];
-        const batchMetadatas = [];
-        const batchIds = [];
-
-        batch.forEach(([title, content], batchIndex) => {
-          const index = i + batchIndex;
-          batchDocuments.push(content);
-          batchMetadatas.push({
-            title,
-            source: "nextjs_docs",
-            updated_at: new Date().toISOString(),
-          });
-          batchIds.push(`doc_${index}`);
+      for (let i = 0; i < chunks.length; i += batchSize) {
+        const batch = chunks.slice(i, i + batchSize);
+        await this.collection.upsert({
+          ids: batch.map((chunk) => chunk.id),
+          documents: batch.map((chunk) => chunk.document),
+          metadatas: batch.map((chunk) => chunk.metadata),
         });
+      }
 
-        // Add batch to collection
-        if (batchDocuments.length > 0) {
-          await this.collection.add({
-            ids: batchIds,
-            documents: batchDocuments,
-            metadatas: batchMetadatas,
-          });
-        }
-
-        // Add to total counts
-        documents.push(...batchDocuments);
-        ids.push(...batchIds);
-        metadatas.push(...batchMetadatas);
+      // Cached results may point at changed or removed docs
+      if (chunks.length > 0 || staleKeys.length > 0) {
+        this.cache.relevantDocs.clear();
+        this.cache.lastUpdated = Date.now();
       }
 
+      const count = await this.collection.count();
       return {
         success: true,
-        count: documents.length,
-        message: `Updated collection with ${documents.length} documents`,
+        added: newDocs.length,
+        updated: updatedDocs.length,
+        removed: removedKeys.length,
+        chunks: chunks.length,
+        count,
+        message: `Vector store updated: ${newDocs.length} added, ${updatedDocs.length} updated, ${removedKeys.length} removed (${count} chunks)`,
       };
     } catch (error) {
       console.error("Error updating collection:", error);
@@ -236,7 +732,89 @@ class ContextExtractor {
   }
 
   /**
-   * Gets the current status of the ChromaDB collection
+   * Brings the vector store in line with the saved docs, e.g. on startup or
+   * after switching backends: adds missing docs, re-chunks docs stored with a
+   * different chunk size and drops entries that are no longer in docs.json
+   * or were stored by older versions without chunk metadata
+   * @param {Object} docs - Saved docs keyed by `type:title` (DocDiffer.previousDocs)
+   * @returns {Promise<Object>} - Result of updateCollection
+   */
+  async syncCollection(docs) {
+    if (!this.collection) await this.initializeCollection();
+    if (!this.collection)
+      return { success: false, error: "Collection not initialized" };
+
+    try {
+      const { ids, metadatas } = await this.collection.get();
+      const storedDocs = new Map(); // docKey -> chunk size it was stored with
+      const legacyIds = [];
+      ids.forEach((id, i) => {
+        const metadata = metadatas[i] || {};
+        if (metadata.docKey) {
+          storedDocs.set(metadata.docKey, metadata.chunkTokens);
+        } else {
+          legacyIds.push(id);
+        }
+      });
+      if (legacyIds.length > 0) {
+        await this.collection.delete({ ids: legacyIds });
+      }
+
+      const newDocs = {};
+      const updatedDocs = {};
+      Object.entries(docs).forEach(([key, doc]) => {
+        if (!storedDocs.has(key)) {
+          newDocs[key] = doc;
+        } else if (storedDocs.get(key) !== this.chunker.maxTokens) {
+          updatedDocs[key] = doc;
+        }
+      });
+      const removedDocs = {};
+      storedDocs.forEach((chunkTokens, key) => {
+        if (!docs[key]) removedDocs[key] = null;
+      });
+      return this.updateCollection({ newDocs, updatedDocs, removedDocs });
+    } catch (error) {
+      console.error("Error syncing collection:", error);
+      return {
+        success: false,
+        error: error.message || "Unknown error syncing collection",
+      };
+    }
+  }
+
+  /**
+   * Splits a doc into vector store entries with provenance metadata
+   * @param {string} key - The doc's `type:title` key
+   * @param {Object} doc - Doc from DocDiffer
+   * @returns {Array<Object>} - Entries as { id, document, metadata }
+   */
+  chunkDoc(key, doc) {
+    const chunks = this.chunker.chunk(doc);
+    return chunks.map((chunk, index) => {
+      const sectionPath = chunk.sectionPath.join(" > ");
+      return {
+        id: `${key}#${index}`,
+        // Lead with the section path so keyword search matches headings too
+        document: `${sectionPath}\n\n${chunk.text}`,
+        metadata: {
+          docKey: key,
+          title: doc.title,
+          type: doc.type,
+          source: doc.source,
+          url: doc.url,
+          sectionPath,
+          chunkIndex: index,
+          chunkCount: chunks.length,
+          chunkTokens: this.chunker.maxTokens,
+          updated_at: doc.timestamp || new Date().toISOString(),
+        },
+      };
+    });
+  }
+
+  /**
+   * Gets the current status of the vector store
    * @returns {Promise<Object>} - Collection status
    */
   async getCollectionStatus() {
@@ -247,6 +825,7 @@ class ContextExtractor {
       const count = await this.collection.count();
       return {
         count,
+        backend: this.backend,
         status: count > 0 ? "ready" : "empty",
         cacheStatus: {
           docsCache: this.cache.relevantDocs.size,
@@ -255,18 +834,25 @@ class ContextExtractor {
         },
       };
     } catch (error) {
-      return { count: 0, status: "error", error: error.message };
+      return {
+        count: 0,
+        backend: this.backend,
+        status: "error",
+        error: error.message,
+      };
     }
   }
 
   /**
-   * Optimized method to get context and relevant docs in one call
+   * Optimized method to get context, relevant docs and related workspace
+   * code in one call
    * @param {number} maxResults - Maximum number of relevant docs to return
-   * @returns {Promise<Object>} - Context and relevant docs
+   * @returns {Promise<Object>} - { context, docs, code }, the context also
+   *   carrying the code as relatedCode
    */
   async getContextAndDocs(maxResults = 5) {
     const context = await this.extractActiveEditorContext();
-    if (!context) return { context: null, docs: [] };
+    if (!context) return { context: null, docs: [], code: [] };
 
     // Create a combined cache key
     const query =
@@ -280,14 +866,22 @@ class ContextExtractor {
       this.cache.lastUpdated &&
       now - this.cache.lastUpdated < 5 * 60 * 1000
     ) {
-      return this.cache.relevantDocs.get(cacheKey);
+      const cached = this.cache.relevantDocs.get(cacheKey);
+      // Diagnostics change without the query changing
+      return {
+        ...cached,
+        context: { ...cached.context, diagnostics: context.diagnostics },
+      };
     }
 
-    // Get relevant docs
-    const docs = await this.findRelevantDocs(context, maxResults);
+    // Get relevant docs and code from elsewhere in the workspace
+    const [docs, code] = await Promise.all([
+      this.findRelevantDocs(context, maxResults),
+      this.findRelevantCode(query, 3, { excludeFile: context.fileName }),
+    ]);
 
-    // Create combined result
-    const result = { context, docs };
+    // Create combined result; buildPrompt picks the code up from the context
+    const result = { context: { ...context, relatedCode: code }, docs, code };
 
     // Cache the combined result
     if (this.cache.relevantDocs.size > 30) {
@@ -0,0 +1,190 @@
+// Marks JSON exports so imports can tell them from other JSON files
+const FORMAT = "realtime-ai-conversation";
+const VERSION = 1;
+
+/**
+ * Turns saved conversations into files: Markdown to paste into PR
+ * descriptions and design docs, and JSON that ConversationStore.import reads
+ * back into the history.
+ */
+class ConversationExporter {
+  /**
+   * Renders a conversation with its code blocks, doc sources and the file
+   * context of each answer
+   * @param {Object} conversation - From ConversationStore.get
+   * @returns {string}
+   */
+  static toMarkdown(conversation) {
+    const messages = conversation.messages || [];
+    const lines = [
+      `# ${conversation.title}`,
+      "",
+      `_Exported from RealTime AI Editor on ${ConversationExporter._date(
+        new Date().toISOString()
+      )}. Started ${ConversationExporter._date(conversation.createdAt)}, ${
+        messages.length
+      } ${messages.length === 1 ? "message" : "messages"}._`,
+    ];
+
+    messages.forEach((message) => {
+      const author = message.role === "user" ? "You" : "Assistant";
+      lines.push(
+        "",
+        `## ${author}${
+          message.timestamp
+            ? ` (${ConversationExporter._date(message.timestamp)})`
+            : ""
+        }`,
+        "",
+        String(message.content || "").trim()
+      );
+      if (message.context) {
+        lines.push("", ...ConversationExporter._contextLines(message.context));
+      }
+      if (message.sources && message.sources.length > 0) {
+        lines.push("", ...ConversationExporter._sourceLines(message.sources));
+      }
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Serializes a conversation for ConversationExporter.parseJson
+   * @param {Object} conversation - From ConversationStore.get
+   * @returns {string}
+   */
+  static toJson(conversation) {
+    return `${JSON.stringify(
+      {
+        format: FORMAT,
+        version: VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation: {
+          title: conversation.title,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt,
+          messages: conversation.messages || [],
+        },
+      },
+      null,
+      2
+    )}\n`;
+  }
+
+  /**
+   * Reads a JSON export
+   * @param {string} text - File content
+   * @returns {Object} - { title, createdAt, updatedAt, messages }
+   * @throws {Error} When the text is not a conversation export
+   */
+  static parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON");
+    }
+    if (!data || data.format !== FORMAT || !data.conversation) {
+      throw new Error("The file is not an exported RealTime AI conversation");
+    }
+    if (data.version > VERSION) {
+      throw new Error(
+        "The file was exported by a newer version of RealTime AI Editor"
+      );
+    }
+    if (!Array.isArray(data.conversation.messages)) {
+      throw new Error("The exported conversation has no messages");
+    }
+    return data.conversation;
+  }
+
+  /**
+   * File name for an export, from the conversation's title
+   * @param {Object} conversation
+   * @param {string} extension - "md" or "json"
+   * @returns {string}
+   */
+  static fileName(conversation, extension) {
+    const slug = String(conversation.title || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 50)
+      .replace(/-+$/, "");
+    return `${slug || "conversation"}.${extension}`;
+  }
+
+  // What an answer was based on, from WebviewPanel._contextSnapshot
+  static _contextLines(context) {
+    const details = [];
+    if (context.file) {
+      const language = context.language ? ` (${context.language})` : "";
+      details.push(`\`${context.file}\`${language}`);
+    }
+    if (context.mode && context.mode !== "chat") {
+      details.push(`${context.mode} mode`);
+    }
+    if (context.diagnostics > 0) {
+      details.push(
+        `${context.diagnostics} ${
+          context.diagnostics === 1 ? "diagnostic" : "diagnostics"
+        }`
+      );
+    }
+
+    const lines = [];
+    if (details.length > 0) lines.push(`**Context:** ${details.join(", ")}`);
+    if (context.files && context.files.length > 0) {
+      lines.push(
+        `**Related files:** ${context.files
+          .map((file) => `\`${file}\``)
+          .join(", ")}`
+      );
+    }
+    if (context.selectedText) {
+      if (lines.length > 0) lines.push("");
+      lines.push(
+        "**Selected code:**",
+        "",
+        ConversationExporter._fence(context.selectedText, context.language)
+      );
+    }
+    return lines;
+  }
+
+  // Each doc section once, with a link when it has a URL
+  static _sourceLines(sources) {
+    const seen = new Set();
+    const lines = ["**Sources:**", ""];
+    sources.forEach((source) => {
+      // sectionPath reads "Page title > Heading > Subheading"
+      const label = source.sectionPath || source.title;
+      const key = `${label}|${source.url}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const link = source.url ? `[${label}](${source.url})` : label;
+      lines.push(`- ${link}${source.type ? ` (${source.type})` : ""}`);
+    });
+    return lines;
+  }
+
+  // Code fence longer than any backtick run inside the code
+  static _fence(code, language) {
+    const longest = (String(code).match(/`+/g) || []).reduce(
+      (max, run) => Math.max(max, run.length),
+      0
+    );
+    const fence = "`".repeat(Math.max(3, longest + 1));
+    const body = String(code).replace(/\s+$/, "");
+    return `${fence}${language || ""}\n${body}\n${fence}`;
+  }
+
+  // Readable UTC timestamp, the same wherever the export is opened
+  static _date(iso) {
+    if (!iso) return "unknown";
+    return `${String(iso).slice(0, 16).replace("T", " ")} UTC`;
+  }
+}
+
+module.exports = ConversationExporter;
@@ -0,0 +1,173 @@
+const DocChunker = require("./doc-chunker");
+
+/**
+ * Picks the earlier turns of a conversation that go into the next prompt.
+ * The most recent turns are kept verbatim within a token budget; the turns
+ * before them are folded into a running summary, which is extended rather
+ * than rewritten as the conversation grows.
+ */
+class ConversationMemory {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.tokenBudget] - Tokens for earlier turns and their summary
+   * @param {Function} [options.summarize] - async (previousSummary, messages, maxTokens) => summary;
+   *   defaults to ConversationMemory.extractiveSummary
+   */
+  constructor(options = {}) {
+    this.tokenBudget =
+      options.tokenBudget !== undefined ? options.tokenBudget : 1500;
+    this.summarize = options.summarize || ConversationMemory.extractiveSummary;
+  }
+
+  /**
+   * Selects earlier turns for a prompt
+   * @param {Array<Object>} messages - Earlier messages as { role, content }, oldest first
+   * @param {Object} [cachedSummary] - { upTo, text } from a previous call
+   * @returns {Promise<Object>} - { turns, summary, included, omitted, total, tokens },
+   *   summary being { upTo, text } or null; counts are in turns (question and answer)
+   */
+  async select(messages, cachedSummary = null) {
+    const turns = ConversationMemory.groupTurns(messages);
+    const empty = {
+      turns: [],
+      summary: null,
+      included: 0,
+      omitted: turns.length,
+      total: turns.length,
+      tokens: 0,
+    };
+    if (turns.length === 0 || this.tokenBudget <= 0) return empty;
+
+    // A quarter of the budget stays free for the summary of older turns
+    const recentBudget = Math.floor(this.tokenBudget * 0.75);
+    const messageCap = Math.max(100, Math.floor(recentBudget / 2));
+    const recent = [];
+    let tokens = 0;
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turn = turns[i].map((message) => ({
+        role: message.role,
+        content: ConversationMemory.truncate(message.content, messageCap),
+      }));
+      const turnTokens = turn.reduce(
+        (sum, message) => sum + DocChunker.estimateTokens(message.content),
+        0
+      );
+      if (tokens + turnTokens > recentBudget && recent.length > 0) break;
+      recent.unshift(turn);
+      tokens += turnTokens;
+    }
+
+    const olderTurns = turns.slice(0, turns.length - recent.length);
+    const olderMessages = olderTurns.flat();
+    let summary = null;
+    if (olderMessages.length > 0) {
+      const summaryBudget = Math.max(50, this.tokenBudget - tokens);
+      if (cachedSummary && cachedSummary.upTo === olderMessages.length) {
+        summary = cachedSummary;
+      } else {
+        // Extend the cached summary with the turns that dropped out since
+        const reuse =
+          cachedSummary && cachedSummary.upTo < olderMessages.length
+            ? cachedSummary
+            : null;
+        const text = await this.summarize(
+          reuse ? reuse.text : "",
+          olderMessages.slice(reuse ? reuse.upTo : 0),
+          summaryBudget
+        );
+        summary = { upTo: olderMessages.length, text };
+      }
+      tokens += DocChunker.estimateTokens(summary.text);
+    }
+
+    return {
+      turns: recent.flat(),
+      summary,
+      included: recent.length,
+      omitted: olderTurns.length,
+      total: turns.length,
+      tokens,
+    };
+  }
+
+  /**
+   * Groups messages into turns of a question and the answers after it
+   * @param {Array<Object>} messages
+   * @returns {Array<Array<Object>>}
+   */
+  static groupTurns(messages) {
+    const turns = [];
+    (messages || []).forEach((message) => {
+      if (message.role === "user" || turns.length === 0) {
+        turns.push([message]);
+      } else {
+        turns[turns.length - 1].push(message);
+      }
+    });
+    return turns;
+  }
+
+  /**
+   * Summary without a model: each question with the start of its answer,
+   * dropping the oldest lines when over the budget
+   * @param {string} previousSummary
+   * @param {Array<Object>} messages
+   * @param {number} maxTokens
+   * @returns {Promise<string>}
+   */
+  static async extractiveSummary(previousSummary, messages, maxTokens) {
+    const lines = previousSummary ? previousSummary.split("\n") : [];
+    ConversationMemory.groupTurns(messages).forEach((turn) => {
+      const question = turn.find((message) => message.role === "user");
+      const answer = turn.find((message) => message.role === "assistant");
+      let line = `- Asked: ${ConversationMemory._firstLine(
+        question ? question.content : "",
+        150
+      )}`;
+      if (answer) {
+        line += ` Answer: ${ConversationMemory._firstLine(
+          answer.content,
+          200
+        )}`;
+      }
+      lines.push(line);
+    });
+
+    while (
+      lines.length > 1 &&
+      DocChunker.estimateTokens(lines.join("\n")) > maxTokens
+    ) {
+      lines.shift();
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Cuts text to a token budget
+   * @param {string} text
+   * @param {number} maxTokens
+   * @returns {string}
+   */
+  static truncate(text, maxTokens) {
+    const value = String(text || "");
+    if (DocChunker.estimateTokens(value) <= maxTokens) return value;
+    return `${value.slice(0, maxTokens * 4).trimEnd()}\n[...]`;
+  }
+
+  // First meaningful sentence or line, without markdown headings and fences
+  static _firstLine(text, maxLength) {
+    const line =
+      String(text || "")
+        .replace(/```[\s\S]*?```/g, " ")
+        .split("\n")
+        .map((entry) => entry.replace(/^[#>*\-\s]+/, "").trim())
+        .find(Boolean) || "";
+    const sentence = line.match(/^.*?[.!?](\s|$)/);
+    const result = (sentence ? sentence[0] : line).trim();
+    return result.length > maxLength
+      ? `${result.slice(0, maxLength - 3).trimEnd()}...`
+      : result;
+  }
+}
+
+module.exports = ConversationMemory;
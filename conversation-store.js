@@ -0,0 +1,293 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Oldest conversations are dropped beyond this many per workspace
+const MAX_CONVERSATIONS = 200;
+
+/**
+ * Chat conversations of one workspace, persisted as JSON in the extension's
+ * global storage. Each conversation keeps its messages with timestamps and,
+ * on answers, a snapshot of the context they were given.
+ */
+class ConversationStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.storagePath - Extension global storage folder
+   * @param {Array<string>} [options.workspaceFolders] - Folder paths identifying the workspace
+   */
+  constructor(options) {
+    const folders = [...(options.workspaceFolders || [])].sort();
+    const workspaceId =
+      folders.length > 0
+        ? crypto
+            .createHash("sha1")
+            .update(folders.join("\n"))
+            .digest("hex")
+            .slice(0, 12)
+        : "no-workspace";
+    this.filePath = path.join(
+      options.storagePath,
+      "conversations",
+      `${workspaceId}.json`
+    );
+    this.conversations = null; // id -> conversation
+  }
+
+  /**
+   * Lists conversations, most recently updated first
+   * @param {Object} [options]
+   * @param {string} [options.query] - Only conversations whose title or messages contain every word
+   * @returns {Promise<Array<Object>>} - { id, title, createdAt, updatedAt, messageCount, preview }
+   */
+  async list(options = {}) {
+    this._load();
+    const words = String(options.query || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+
+    return [...this.conversations.values()]
+      .filter((conversation) => {
+        if (words.length === 0) return true;
+        const text = [
+          conversation.title,
+          ...conversation.messages.map((message) => message.content),
+        ]
+          .join("\n")
+          .toLowerCase();
+        return words.every((word) => text.includes(word));
+      })
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map((conversation) => {
+        const lastMessage =
+          conversation.messages[conversation.messages.length - 1];
+        return {
+          id: conversation.id,
+          title: conversation.title,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt,
+          messageCount: conversation.messages.length,
+          preview: lastMessage ? lastMessage.content.slice(0, 120) : "",
+        };
+      });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} - { id, title, createdAt, updatedAt, messages }
+   */
+  async get(id) {
+    this._load();
+    return this.conversations.get(id) || null;
+  }
+
+  /**
+   * Starts an empty conversation
+   * @param {string} [title] - Taken from the first question when omitted
+   * @returns {Promise<Object>}
+   */
+  async create(title) {
+    this._load();
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomBytes(8).toString("hex"),
+      title: title || "New conversation",
+      titleEdited: Boolean(title),
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+    };
+    this.conversations.set(conversation.id, conversation);
+    this._prune();
+    this._save();
+    return conversation;
+  }
+
+  /**
+   * Adds an exported conversation to the history as a new conversation
+   * @param {Object} data - { title, createdAt, messages }, e.g. from
+   *   ConversationExporter.parseJson
+   * @returns {Promise<Object>} - The stored conversation
+   */
+  async import(data) {
+    this._load();
+    const messages = (data.messages || [])
+      .filter(
+        (message) =>
+          message &&
+          (message.role === "user" || message.role === "assistant") &&
+          typeof message.content === "string"
+      )
+      .map((message) => ({ ...message }));
+    if (messages.length === 0) {
+      throw new Error("The conversation has no messages to import");
+    }
+
+    const now = new Date().toISOString();
+    const firstQuestion = messages.find((message) => message.role === "user");
+    const conversation = {
+      id: crypto.randomBytes(8).toString("hex"),
+      title:
+        String(data.title || "").trim() ||
+        ConversationStore.titleFor(firstQuestion ? firstQuestion.content : ""),
+      titleEdited: true,
+      createdAt: data.createdAt || now,
+      // Imported conversations come first in the history
+      updatedAt: now,
+      messages,
+    };
+    this.conversations.set(conversation.id, conversation);
+    this._prune();
+    this._save();
+    return conversation;
+  }
+
+  /**
+   * Appends a message, titling the conversation after its first question
+   * @param {string} id
+   * @param {Object} message - { role, content, context?, sources? }
+   * @param {Object} [options]
+   * @param {Object} [options.after] - Stored question this message answers;
+   *   the answer goes right after it, before questions asked meanwhile
+   * @returns {Promise<Object>} - The stored message with its timestamp
+   */
+  async addMessage(id, message, options = {}) {
+    this._load();
+    const conversation = this.conversations.get(id);
+    if (!conversation) throw new Error(`Unknown conversation: ${id}`);
+
+    const stored = {
+      ...message,
+      timestamp: message.timestamp || new Date().toISOString(),
+    };
+    const index = options.after
+      ? conversation.messages.indexOf(options.after)
+      : -1;
+    if (index === -1) {
+      conversation.messages.push(stored);
+    } else {
+      conversation.messages.splice(index + 1, 0, stored);
+    }
+    conversation.updatedAt = stored.timestamp;
+    if (!conversation.titleEdited && message.role === "user") {
+      const firstQuestion = conversation.messages.find(
+        (entry) => entry.role === "user"
+      );
+      conversation.title = ConversationStore.titleFor(firstQuestion.content);
+    }
+    this._save();
+    return stored;
+  }
+
+  /**
+   * The messages of a conversation before one of its stored messages, e.g.
+   * the turns a question follows up on
+   * @param {string} id
+   * @param {Object} message - Stored message, as addMessage returned it
+   * @returns {Promise<Array<Object>>} - Empty when either is unknown
+   */
+  async messagesBefore(id, message) {
+    this._load();
+    const conversation = this.conversations.get(id);
+    if (!conversation) return [];
+    const index = conversation.messages.indexOf(message);
+    return index === -1 ? [] : conversation.messages.slice(0, index);
+  }
+
+  /**
+   * Saves the summary of the conversation's older turns for reuse
+   * @param {string} id
+   * @param {Object|null} summary - { upTo, text } from ConversationMemory.select
+   */
+  async setSummary(id, summary) {
+    this._load();
+    const conversation = this.conversations.get(id);
+    if (!conversation) return;
+    conversation.summary = summary;
+    this._save();
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} title
+   * @returns {Promise<boolean>} - Whether the conversation exists
+   */
+  async rename(id, title) {
+    this._load();
+    const conversation = this.conversations.get(id);
+    if (!conversation || !String(title || "").trim()) return false;
+    conversation.title = String(title).trim();
+    conversation.titleEdited = true;
+    this._save();
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} - Whether a conversation was deleted
+   */
+  async delete(id) {
+    this._load();
+    const deleted = this.conversations.delete(id);
+    if (deleted) this._save();
+    return deleted;
+  }
+
+  /**
+   * Short title from the first question
+   * @param {string} text
+   * @returns {string}
+   */
+  static titleFor(text) {
+    const line = String(text || "")
+      .trim()
+      .split("\n")[0]
+      .replace(/\s+/g, " ");
+    if (!line) return "New conversation";
+    return line.length > 60 ? `${line.slice(0, 57).trimEnd()}...` : line;
+  }
+
+  _prune() {
+    if (this.conversations.size <= MAX_CONVERSATIONS) return;
+    [...this.conversations.values()]
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+      .slice(0, this.conversations.size - MAX_CONVERSATIONS)
+      .forEach((conversation) => this.conversations.delete(conversation.id));
+  }
+
+  _load() {
+    if (this.conversations) return;
+    this.conversations = new Map();
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        (data.conversations || []).forEach((conversation) => {
+          this.conversations.set(conversation.id, conversation);
+        });
+      }
+    } catch (error) {
+      console.error("Failed to load conversations:", error);
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write then rename, so a crash never leaves half a file behind
+      const temporaryPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(
+        temporaryPath,
+        JSON.stringify({
+          version: 1,
+          conversations: [...this.conversations.values()],
+        })
+      );
+      fs.renameSync(temporaryPath, this.filePath);
+    } catch (error) {
+      console.error("Failed to save conversations:", error);
+    }
+  }
+}
+
+module.exports = ConversationStore;
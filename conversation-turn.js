@@ -0,0 +1,73 @@
+/**
+ * A question and its answer in a stored conversation. The question is saved
+ * as soon as it is asked, the turns it follows up on are read and its answer
+ * is saved next to it only once it gets an AI slot, so a question queued
+ * behind another one sees that one's answer, even when the chat moved on to
+ * another conversation meanwhile.
+ */
+class ConversationTurn {
+  /**
+   * @param {ConversationStore} store
+   * @param {string|null} conversationId - Null for a turn that isn't saved
+   * @param {Object|null} question - The stored question
+   */
+  constructor(store, conversationId, question) {
+    this.store = store;
+    this.conversationId = conversationId;
+    this.question = question;
+  }
+
+  /**
+   * Saves a question, starting a conversation when there is none
+   * @param {ConversationStore} store
+   * @param {string|null} conversationId
+   * @param {Object} message - { role: "user", content }
+   * @returns {Promise<ConversationTurn>}
+   */
+  static async ask(store, conversationId, message) {
+    const id = conversationId || (await store.create()).id;
+    const question = await store.addMessage(id, message);
+    return new ConversationTurn(store, id, question);
+  }
+
+  /**
+   * Answers the question once the scheduler has an AI slot for it
+   * @param {RequestScheduler} scheduler
+   * @param {Object} options - { id, signal } for RequestScheduler.acquire
+   * @param {Function} answer - Called with the messages before the question,
+   *   resolves with the answer message { role: "assistant", content, ... }
+   * @returns {Promise<Object>} - The answer message
+   */
+  async run(scheduler, options, answer) {
+    const release = await scheduler.acquire("ai", options);
+    try {
+      let earlier = [];
+      if (this.question) {
+        try {
+          earlier = await this.store.messagesBefore(
+            this.conversationId,
+            this.question
+          );
+        } catch (error) {
+          console.warn("Error reading conversation messages:", error);
+        }
+      }
+
+      const message = await answer(earlier);
+      if (this.question) {
+        try {
+          await this.store.addMessage(this.conversationId, message, {
+            after: this.question,
+          });
+        } catch (error) {
+          console.error("Failed to save conversation message:", error);
+        }
+      }
+      return message;
+    } finally {
+      release();
+    }
+  }
+}
+
+module.exports = ConversationTurn;
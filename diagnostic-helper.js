@@ -0,0 +1,194 @@
+// Severities in the order of vscode.DiagnosticSeverity
+const SEVERITIES = ["error", "warning", "information", "hint"];
+
+// Offline fix suggestions for common TypeScript, ESLint and syntax messages
+const FIX_HINTS = [
+  {
+    pattern: /Cannot find module '([^']+)'/,
+    fix: (match) =>
+      `Check the import path of \`${match[1]}\`. For a package, install it with \`npm install ${match[1]}\`; for a local file, check the relative path or the tsconfig \`paths\` alias.`,
+  },
+  {
+    pattern: /Cannot find name '([^']+)'|'([^']+)' is not defined/,
+    fix: (match) =>
+      `\`${match[1] || match[2]}\` is not in scope. Import it, declare it, or fix the spelling.`,
+  },
+  {
+    pattern: /Property '([^']+)' does not exist on type '([^']+)'/,
+    fix: (match) =>
+      `\`${match[2]}\` has no \`${match[1]}\`. Check the spelling, narrow the type first, or add \`${match[1]}\` to the type definition.`,
+  },
+  {
+    pattern: /is possibly '(?:undefined|null)'|Object is possibly/,
+    fix: () =>
+      "Guard the value before using it, e.g. with an `if` check, optional chaining (`?.`) or a default (`??`).",
+  },
+  {
+    pattern: /Type '([^']+)' is not assignable to type '([^']+)'/,
+    fix: (match) =>
+      `The value is a \`${match[1]}\` where \`${match[2]}\` is expected. Convert the value or change the declared type.`,
+  },
+  {
+    pattern: /Argument of type '([^']+)' is not assignable to parameter of type '([^']+)'/,
+    fix: (match) =>
+      `Pass a \`${match[2]}\` instead of a \`${match[1]}\`, converting the argument if needed.`,
+  },
+  {
+    pattern: /Expected (\d+) arguments?, but got (\d+)/,
+    fix: (match) =>
+      `The call passes ${match[2]} arguments but the function takes ${match[1]}. Add or remove arguments to match its signature.`,
+  },
+  {
+    pattern: /is declared but (?:its value is )?never (?:read|used)|is assigned a value but never used|is defined but never used/,
+    fix: () => "Remove the unused declaration, or use it where intended.",
+  },
+  {
+    pattern: /'([;,)\]}])' expected|Unexpected token|Missing semicolon|Unterminated/,
+    fix: () =>
+      "This is a syntax error. Look for an unclosed bracket, string or JSX tag on this line or the one before it.",
+  },
+  {
+    pattern: /Each child in a list should have a unique "key" prop|Missing "key" prop/,
+    fix: () =>
+      "Give each element rendered from the array a stable `key`, such as an id from the data.",
+  },
+  {
+    pattern: /React Hook .* is called conditionally|React Hook .* cannot be called/,
+    fix: () =>
+      "Call hooks unconditionally at the top level of the component or custom hook, before any early return.",
+  },
+  {
+    pattern: /React Hook .* has a missing dependency/,
+    fix: () =>
+      "Add the missing value to the dependency array, or move it inside the effect.",
+  },
+];
+
+/**
+ * Helpers for the debug mode: picks the diagnostics worth answering,
+ * renders them for the prompt and suggests offline fixes. Works on plain
+ * objects so it doesn't depend on the VS Code API.
+ */
+class DiagnosticHelper {
+  /**
+   * Severity name for a vscode.DiagnosticSeverity value
+   * @param {number} severity
+   * @returns {string}
+   */
+  static severityName(severity) {
+    return SEVERITIES[severity] || "error";
+  }
+
+  /**
+   * Whether a question asks for help with a problem
+   * @param {string} query
+   * @returns {boolean}
+   */
+  static isDebugQuery(query) {
+    return /\b(debug|fix|error|errors|bug|broken|fails?|failing|crash|exception|squiggl\w*|wrong|doesn't work|not working)\b/i.test(
+      String(query || "")
+    );
+  }
+
+  /**
+   * Source lines around a range, numbered like an editor gutter
+   * @param {Array<string>} lines - Document lines
+   * @param {number} startLine - 1-based
+   * @param {number} endLine - 1-based
+   * @param {number} [padding] - Extra lines above and below
+   * @returns {string}
+   */
+  static snippet(lines, startLine, endLine, padding = 2) {
+    const first = Math.max(1, startLine - padding);
+    const last = Math.min(lines.length, endLine + padding);
+    const width = String(last).length;
+    const numbered = [];
+    for (let line = first; line <= last; line++) {
+      numbered.push(`${String(line).padStart(width)} | ${lines[line - 1]}`);
+    }
+    return numbered.join("\n");
+  }
+
+  /**
+   * Orders diagnostics for answering: near the selection first, then by
+   * severity and line. Hints such as faded unused code are left out.
+   * @param {Array<Object>} diagnostics - { message, severity, range: { startLine, endLine } }
+   * @param {Object} selection - { startLine, endLine }, 1-based
+   * @param {Object} [options]
+   * @param {number} [options.nearLines] - Lines around the selection that count as near
+   * @param {number} [options.max] - Maximum number of diagnostics
+   * @returns {Array<Object>} - The diagnostics with a nearSelection flag
+   */
+  static select(diagnostics, selection, options = {}) {
+    const nearLines = options.nearLines !== undefined ? options.nearLines : 5;
+    const max = options.max || 20;
+    return diagnostics
+      .filter((diagnostic) => diagnostic.severity !== "hint")
+      .map((diagnostic) => ({
+        ...diagnostic,
+        nearSelection:
+          diagnostic.range.endLine >= selection.startLine - nearLines &&
+          diagnostic.range.startLine <= selection.endLine + nearLines,
+      }))
+      .sort(
+        (a, b) =>
+          Number(b.nearSelection) - Number(a.nearSelection) ||
+          SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+          a.range.startLine - b.range.startLine
+      )
+      .slice(0, max);
+  }
+
+  /**
+   * Short location label, e.g. "line 12:5-18"
+   * @param {Object} range - { startLine, startCharacter, endLine, endCharacter }, 1-based
+   * @returns {string}
+   */
+  static location(range) {
+    if (range.startLine === range.endLine) {
+      return `line ${range.startLine}:${range.startCharacter}-${range.endCharacter}`;
+    }
+    return `lines ${range.startLine}:${range.startCharacter}-${range.endLine}:${range.endCharacter}`;
+  }
+
+  /**
+   * Renders diagnostics for the prompt, numbered so the answer can follow them
+   * @param {Array<Object>} diagnostics - From select, with snippet
+   * @param {string} [language] - Fence language for the snippets
+   * @returns {string}
+   */
+  static format(diagnostics, language = "") {
+    return diagnostics
+      .map((diagnostic, index) => {
+        const origin = [diagnostic.source, diagnostic.code]
+          .filter((part) => part !== undefined && part !== "")
+          .join(" ");
+        const notes = [origin, diagnostic.nearSelection && "near selection"]
+          .filter(Boolean)
+          .join(", ");
+        let text = `${index + 1}. ${diagnostic.severity} at ${DiagnosticHelper.location(
+          diagnostic.range
+        )}${notes ? ` (${notes})` : ""}: ${diagnostic.message}`;
+        if (diagnostic.snippet) {
+          text += `\n\`\`\`${language}\n${diagnostic.snippet}\n\`\`\``;
+        }
+        return text;
+      })
+      .join("\n\n");
+  }
+
+  /**
+   * Offline fix suggestion for a diagnostic message
+   * @param {Object} diagnostic
+   * @returns {string}
+   */
+  static suggestFix(diagnostic) {
+    for (const { pattern, fix } of FIX_HINTS) {
+      const match = String(diagnostic.message || "").match(pattern);
+      if (match) return fix(match);
+    }
+    return "Read the message against the highlighted code; the cause is usually on this line or just above it.";
+  }
+}
+
+module.exports = DiagnosticHelper;
@@ -0,0 +1,206 @@
+/**
+ * Splits documentation pages into overlapping, heading-aware chunks that fit
+ * a token budget before they are embedded. Fenced code blocks are never split.
+ */
+class DocChunker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxTokens] - Token budget per chunk
+   * @param {number} [options.overlapTokens] - Tokens repeated from the end of the previous chunk
+   */
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens || 400;
+    this.overlapTokens = Math.min(
+      options.overlapTokens !== undefined ? options.overlapTokens : 60,
+      Math.floor(this.maxTokens / 2)
+    );
+  }
+
+  /**
+   * Rough token count, about four characters per token for English and code
+   * @param {string} text
+   * @returns {number}
+   */
+  static estimateTokens(text) {
+    return Math.ceil(String(text || "").length / 4);
+  }
+
+  /**
+   * Chunks one documentation entry
+   * @param {Object} doc - Doc from DocDiffer, with title and content
+   * @returns {Array<Object>} - Chunks as { text, sectionPath }, sectionPath starting with the title
+   */
+  chunk(doc) {
+    const chunks = [];
+    const headings = []; // open headings as { level, text }
+    let sectionPath = [doc.title];
+    let blocks = [];
+    let tokens = 0;
+
+    const flush = (keepOverlap) => {
+      if (blocks.length > 0) {
+        chunks.push({
+          text: blocks.map((block) => block.text).join("\n\n"),
+          sectionPath,
+        });
+      }
+      blocks = keepOverlap ? this._overlap(blocks) : [];
+      tokens = blocks.reduce((sum, block) => sum + block.tokens, 0);
+    };
+
+    this._blocks(doc.content).forEach((block) => {
+      if (block.heading) {
+        // Start a new chunk at every heading; overlap stays within a section
+        flush(false);
+        while (
+          headings.length > 0 &&
+          headings[headings.length - 1].level >= block.level
+        ) {
+          headings.pop();
+        }
+        headings.push({ level: block.level, text: block.heading });
+        sectionPath = [doc.title, ...headings.map((heading) => heading.text)];
+        return;
+      }
+
+      this._fit(block).forEach((piece) => {
+        if (tokens + piece.tokens > this.maxTokens && blocks.length > 0) {
+          flush(true);
+          // Drop the overlap if the piece still doesn't fit next to it
+          if (tokens + piece.tokens > this.maxTokens) {
+            blocks = [];
+            tokens = 0;
+          }
+        }
+        blocks.push(piece);
+        tokens += piece.tokens;
+      });
+    });
+    flush(false);
+
+    return chunks;
+  }
+
+  /**
+   * Splits markdown-ish content into headings, paragraphs and code blocks
+   * @param {string} content
+   * @returns {Array<Object>} - { heading, level } or { text, tokens, code }
+   */
+  _blocks(content) {
+    const blocks = [];
+    let paragraph = [];
+    let fence = null;
+
+    const endParagraph = () => {
+      const text = paragraph.join("\n").trim();
+      if (text) blocks.push(this._block(text, Boolean(fence)));
+      paragraph = [];
+    };
+
+    String(content || "")
+      .replace(/\r\n/g, "\n")
+      .split("\n")
+      .forEach((line) => {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+          paragraph.push(line);
+          if (fenceMatch && fenceMatch[1] === fence) {
+            endParagraph();
+            fence = null;
+          }
+          return;
+        }
+        if (fenceMatch) {
+          endParagraph();
+          fence = fenceMatch[1];
+          paragraph.push(line);
+          return;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+          endParagraph();
+          blocks.push({ heading: heading[2], level: heading[1].length });
+        } else if (!line.trim()) {
+          endParagraph();
+        } else {
+          paragraph.push(line);
+        }
+      });
+    // An unclosed fence still counts as code
+    endParagraph();
+
+    return blocks;
+  }
+
+  _block(text, code) {
+    return { text, tokens: DocChunker.estimateTokens(text), code };
+  }
+
+  /**
+   * Splits a paragraph that is over budget by sentences; code is kept whole
+   * @param {Object} block
+   * @returns {Array<Object>}
+   */
+  _fit(block) {
+    if (block.code || block.tokens <= this.maxTokens) return [block];
+
+    const pieces = [];
+    let current = "";
+    const sentences = block.text.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [
+      block.text,
+    ];
+    sentences.forEach((sentence) => {
+      if (
+        current &&
+        DocChunker.estimateTokens(current + sentence) > this.maxTokens
+      ) {
+        pieces.push(current.trim());
+        current = "";
+      }
+      // A single overlong sentence is cut at the budget
+      while (DocChunker.estimateTokens(sentence) > this.maxTokens) {
+        pieces.push(sentence.slice(0, this.maxTokens * 4));
+        sentence = sentence.slice(this.maxTokens * 4);
+      }
+      current += sentence;
+    });
+    if (current.trim()) pieces.push(current.trim());
+
+    return pieces.map((text) => this._block(text, false));
+  }
+
+  /**
+   * Trailing text of a chunk to repeat at the start of the next one: whole
+   * paragraphs while they fit the overlap budget, then the last sentences of
+   * the paragraph before them. Code blocks are not repeated.
+   * @param {Array<Object>} blocks
+   * @returns {Array<Object>}
+   */
+  _overlap(blocks) {
+    const overlap = [];
+    let tokens = 0;
+    let wholeBlocks = 0;
+    for (let i = blocks.length - 1; i >= 0 && !blocks[i].code; i--) {
+      if (tokens + blocks[i].tokens <= this.overlapTokens) {
+        overlap.unshift(blocks[i]);
+        tokens += blocks[i].tokens;
+        wholeBlocks++;
+        continue;
+      }
+      const sentences = blocks[i].text.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g);
+      let tail = "";
+      for (let j = (sentences || []).length - 1; j >= 0; j--) {
+        const next = sentences[j] + tail;
+        if (tokens + DocChunker.estimateTokens(next) > this.overlapTokens) break;
+        tail = next;
+      }
+      if (tail.trim()) overlap.unshift(this._block(tail.trim(), false));
+      break;
+    }
+    // Never carry the whole chunk over, or chunking would not progress
+    return wholeBlocks === blocks.length ? [] : overlap;
+  }
+}
+
+module.exports = DocChunker;
@@ -0,0 +1,457 @@
+const axios = require("axios");
+const cheerio = require("cheerio");
+const RobotsTxt = require("./robots-txt");
+const Sitemap = require("./sitemap");
+const { version } = require("./package.json");
+const { isAbortError, abortReason, throwIfAborted } = require("./cancellation");
+
+// Product token matched against robots.txt groups
+const USER_AGENT_TOKEN = "RealTimeAiEditor";
+const USER_AGENT = `${USER_AGENT_TOKEN}/${version} (+https://github.com/atharvapawar/RealTime-CodeAi)`;
+
+// Where documentation sites keep the links to their pages
+const DEFAULT_LINK_SELECTOR =
+  'nav a[href], aside a[href], [role="navigation"] a[href]';
+
+// Links to these are never pages
+const ASSET_EXTENSION =
+  /\.(png|jpe?g|gif|svg|webp|ico|pdf|zip|gz|tar|mp3|mp4|webm|css|js|mjs|json|xml|txt|woff2?|ttf)$/i;
+
+// Upper bound for a robots.txt Crawl-delay, in milliseconds
+const MAX_CRAWL_DELAY = 60 * 1000;
+
+// Sitemaps read per source, counting those a sitemap index points to
+const MAX_SITEMAPS = 20;
+
+/**
+ * Crawls a documentation site from its start page, following the links in
+ * its navigation that stay under the start URL's path. Honors robots.txt,
+ * waits between requests to a host and limits the requests running at once
+ * per host, across all crawls of this crawler. Pages fetched before are
+ * requested conditionally with their ETag and Last-Modified validators.
+ */
+class DocCrawler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth] - Link hops from the start page, 0 for the start page only
+   * @param {number} [options.maxPages] - Pages fetched per crawl
+   * @param {number} [options.delayMs] - Time between requests to one host
+   * @param {number} [options.concurrencyPerHost] - Requests running at once per host
+   * @param {number} [options.timeout] - Timeout in milliseconds per request
+   */
+  constructor(options = {}) {
+    this.hosts = new Map(); // origin -> { active, nextStart, delayMs, queue }
+    this.configure({
+      maxDepth: 2,
+      maxPages: 50,
+      delayMs: 500,
+      concurrencyPerHost: 2,
+      timeout: 15000,
+      ...options,
+    });
+  }
+
+  /**
+   * Changes the crawl limits; options left out keep their value
+   * @param {Object} options - Same as the constructor's
+   */
+  configure(options) {
+    const keys = [
+      "maxDepth",
+      "maxPages",
+      "delayMs",
+      "concurrencyPerHost",
+      "timeout",
+    ];
+    keys.forEach((key) => {
+      if (options[key] !== undefined) this[key] = options[key];
+    });
+  }
+
+  /**
+   * Fetches the pages of a documentation site
+   * @param {string} startUrl
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth] - Overrides the crawler's maxDepth
+   * @param {number} [options.maxPages] - Overrides the crawler's maxPages
+   * @param {string} [options.linkSelector] - CSS selector of the links to follow
+   * @param {Object} [options.validators] - Requested URL -> { etag,
+   *   lastModified, url, links } saved from earlier pages' validator
+   * @param {Function} [options.onPage] - Called with the number of pages
+   *   fetched so far as each one arrives
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} - { pages, blocked, errors: [{ url, message }] },
+   *   pages in breadth-first order as { url, requestUrl, depth, html, links,
+   *   validator } or, when the server answered 304 Not Modified, { url,
+   *   requestUrl, depth, notModified, links } with the saved links; blocked
+   *   counts the URLs robots.txt disallowed
+   */
+  async crawl(startUrl, options = {}) {
+    const { signal } = options;
+    const maxDepth =
+      options.maxDepth !== undefined ? options.maxDepth : this.maxDepth;
+    const maxPages =
+      options.maxPages !== undefined ? options.maxPages : this.maxPages;
+    const start = DocCrawler.normalizeUrl(startUrl);
+    const scope = DocCrawler.scopeOf(start);
+    const run = this._run(options);
+
+    const pages = [];
+    const seen = new Set([start]);
+    let level = [start];
+    for (let depth = 0; depth <= maxDepth && level.length > 0; depth++) {
+      const nextLevel = [];
+      while (level.length > 0 && pages.length < maxPages) {
+        // Pages that fail or are blocked leave room for the rest of the level
+        const batch = level.splice(0, maxPages - pages.length);
+        const results = await Promise.all(
+          batch.map((url) => this._fetchPage(url, run))
+        );
+        throwIfAborted(signal);
+        results.forEach((result) => {
+          // Redirects can lead to a page that was already fetched
+          if (!result || pages.some((page) => page.url === result.url)) return;
+          const links = result.links.filter((link) =>
+            DocCrawler.inScope(link, scope)
+          );
+          pages.push({ ...result, depth, links });
+          links.forEach((link) => {
+            if (seen.has(link)) return;
+            seen.add(link);
+            nextLevel.push(link);
+          });
+        });
+      }
+      level = nextLevel;
+    }
+
+    return { pages, blocked: run.blocked, errors: run.errors };
+  }
+
+  /**
+   * Fetches the given pages without following their links
+   * @param {Array<string>} urls
+   * @param {Object} [options]
+   * @param {Object} [options.validators] - Same as crawl's
+   * @param {Function} [options.onPage] - Same as crawl's
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} - Same as crawl, all pages at depth 0
+   */
+  async fetchPages(urls, options = {}) {
+    const run = this._run(options);
+    const results = await Promise.all(
+      urls.map((url) => this._fetchPage(DocCrawler.normalizeUrl(url), run))
+    );
+    throwIfAborted(options.signal);
+    const pages = results
+      .filter(Boolean)
+      .map((result) => ({ ...result, depth: 0 }));
+    return { pages, blocked: run.blocked, errors: run.errors };
+  }
+
+  /**
+   * Lists the pages of a sitemap, following sitemap indexes
+   * @param {string} sitemapUrl
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array<Object>>} - { url, lastmod } from Sitemap.parse
+   * @throws {Error} When the first sitemap can't be read
+   */
+  async fetchSitemap(sitemapUrl, options = {}) {
+    const { signal } = options;
+    const pages = [];
+    const seen = new Set();
+    const queue = [sitemapUrl];
+    while (queue.length > 0 && seen.size < MAX_SITEMAPS) {
+      const url = queue.shift();
+      if (seen.has(url)) continue;
+      seen.add(url);
+      try {
+        const response = await this._throttle(
+          new URL(url).origin,
+          () =>
+            axios.get(url, {
+              signal,
+              timeout: this.timeout,
+              responseType: "text",
+              headers: { "User-Agent": USER_AGENT },
+            }),
+          signal
+        );
+        const sitemap = Sitemap.parse(response.data);
+        pages.push(...sitemap.pages);
+        queue.push(...sitemap.sitemaps);
+      } catch (error) {
+        if (isAbortError(error, signal)) throw abortReason(signal);
+        // A broken nested sitemap only loses its own pages
+        if (seen.size === 1) throw error;
+        console.warn(`Error reading sitemap ${url}:`, error.message);
+      }
+    }
+    return pages;
+  }
+
+  /**
+   * URL without its fragment, as pages are told apart
+   * @param {string} url
+   * @returns {string}
+   */
+  static normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.href;
+  }
+
+  /**
+   * The part of a site a crawl stays in: the start URL's origin and path
+   * @param {string} startUrl
+   * @returns {Object} - { origin, path }
+   */
+  static scopeOf(startUrl) {
+    const parsed = new URL(startUrl);
+    return {
+      origin: parsed.origin,
+      path: parsed.pathname.replace(/\/+$/, ""),
+    };
+  }
+
+  /**
+   * @param {string} url
+   * @param {Object} scope - From DocCrawler.scopeOf
+   * @returns {boolean}
+   */
+  static inScope(url, scope) {
+    const parsed = new URL(url);
+    if (parsed.origin !== scope.origin) return false;
+    if (ASSET_EXTENSION.test(parsed.pathname)) return false;
+    return (
+      parsed.pathname === scope.path ||
+      parsed.pathname.startsWith(`${scope.path}/`)
+    );
+  }
+
+  // State shared by the page fetches of one crawl
+  _run(options) {
+    return {
+      linkSelector: options.linkSelector || DEFAULT_LINK_SELECTOR,
+      robots: new Map(), // origin -> Promise<RobotsTxt>, read once per crawl
+      validators: options.validators || {},
+      onPage: options.onPage || null,
+      fetched: 0,
+      blocked: 0,
+      errors: [],
+      signal: options.signal,
+    };
+  }
+
+  /**
+   * Fetches one page and the links in its navigation, conditionally if it
+   * has saved validators
+   * @returns {Promise<Object|null>} - A page as crawl returns it, without
+   *   depth; null when the page is disallowed, failed or is not HTML
+   */
+  async _fetchPage(url, run) {
+    const page = await this._requestPage(url, run);
+    if (page && run.onPage) run.onPage(++run.fetched);
+    return page;
+  }
+
+  async _requestPage(url, run) {
+    const { origin, pathname, search } = new URL(url);
+    try {
+      const robots = await this._robots(origin, run);
+      if (!robots.isAllowed(`${pathname}${search}`)) {
+        run.blocked++;
+        return null;
+      }
+
+      const saved = run.validators[url];
+      const headers = { "User-Agent": USER_AGENT, Accept: "text/html" };
+      if (saved && saved.etag) headers["If-None-Match"] = saved.etag;
+      if (saved && saved.lastModified) {
+        headers["If-Modified-Since"] = saved.lastModified;
+      }
+      const response = await this._throttle(
+        origin,
+        () =>
+          axios.get(url, {
+            signal: run.signal,
+            timeout: this.timeout,
+            responseType: "text",
+            headers,
+            validateStatus: (status) =>
+              (status >= 200 && status < 300) ||
+              (status === 304 && Boolean(saved)),
+          }),
+        run.signal
+      );
+      if (response.status === 304) {
+        return {
+          url: saved.url || url,
+          requestUrl: url,
+          notModified: true,
+          links: saved.links || [],
+        };
+      }
+
+      const contentType = String(response.headers["content-type"] || "");
+      if (!/html/i.test(contentType) || typeof response.data !== "string") {
+        return null;
+      }
+
+      // Links resolve against the page the server redirected to, if any
+      const pageUrl =
+        (response.request &&
+          response.request.res &&
+          response.request.res.responseUrl) ||
+        url;
+      return {
+        url: DocCrawler.normalizeUrl(pageUrl),
+        requestUrl: url,
+        html: response.data,
+        links: DocCrawler._links(response.data, pageUrl, run.linkSelector),
+        validator: {
+          etag: response.headers.etag || null,
+          lastModified: response.headers["last-modified"] || null,
+        },
+      };
+    } catch (error) {
+      if (isAbortError(error, run.signal)) throw abortReason(run.signal);
+      run.errors.push({ url, message: error.message });
+      return null;
+    }
+  }
+
+  // Links of the page's navigation, or of the whole page if it has none
+  static _links(html, pageUrl, linkSelector) {
+    const $ = cheerio.load(html);
+    let anchors = $(linkSelector);
+    if (anchors.length === 0) anchors = $("a[href]");
+
+    const links = [];
+    anchors.each((i, el) => {
+      const href = $(el).attr("href");
+      if (!href || /^(mailto|javascript|tel):/i.test(href)) return;
+      try {
+        links.push(DocCrawler.normalizeUrl(new URL(href, pageUrl).href));
+      } catch (error) {
+        // Ignore malformed links
+      }
+    });
+    return links;
+  }
+
+  /**
+   * The site's robots.txt rules for this crawler. A missing file allows
+   * everything; an unreachable one allows nothing.
+   */
+  _robots(origin, run) {
+    if (!run.robots.has(origin)) {
+      run.robots.set(
+        origin,
+        this._throttle(
+          origin,
+          () =>
+            axios.get(`${origin}/robots.txt`, {
+              signal: run.signal,
+              timeout: this.timeout,
+              responseType: "text",
+              headers: { "User-Agent": USER_AGENT },
+              validateStatus: () => true,
+            }),
+          run.signal
+        )
+          .then((response) => {
+            if (response.status >= 500) return RobotsTxt.all(false);
+            if (response.status >= 400) return RobotsTxt.all(true);
+            const robots = RobotsTxt.parse(response.data, USER_AGENT_TOKEN);
+            if (robots.crawlDelay !== null) {
+              const host = this._host(origin);
+              host.delayMs = Math.min(
+                MAX_CRAWL_DELAY,
+                Math.max(this.delayMs, robots.crawlDelay * 1000)
+              );
+            }
+            return robots;
+          })
+          .catch((error) => {
+            if (isAbortError(error, run.signal)) throw abortReason(run.signal);
+            return RobotsTxt.all(false);
+          })
+      );
+    }
+    return run.robots.get(origin);
+  }
+
+  /**
+   * Runs a request once the host has a free slot and the delay since the
+   * previous request to it has passed
+   * @param {string} origin
+   * @param {Function} request - Starts the request, returning a promise
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<*>} - The request's result
+   */
+  async _throttle(origin, request, signal) {
+    const host = this._host(origin);
+    await new Promise((resolve, reject) => {
+      const entry = {
+        resolve: () => {
+          if (signal) signal.removeEventListener("abort", entry.onAbort);
+          resolve();
+        },
+      };
+      host.queue.push(entry);
+      if (signal) {
+        entry.onAbort = () => {
+          const index = host.queue.indexOf(entry);
+          if (index !== -1) host.queue.splice(index, 1);
+          reject(abortReason(signal));
+        };
+        if (signal.aborted) return entry.onAbort();
+        signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+      this._drain(host);
+    });
+
+    try {
+      return await request();
+    } finally {
+      host.active--;
+      this._drain(host);
+    }
+  }
+
+  _host(origin) {
+    if (!this.hosts.has(origin)) {
+      this.hosts.set(origin, {
+        active: 0,
+        nextStart: 0,
+        delayMs: null, // Crawl-delay from robots.txt, if longer
+        queue: [],
+        timer: null,
+      });
+    }
+    return this.hosts.get(origin);
+  }
+
+  // Starts waiting requests as slots and the politeness delay allow
+  _drain(host) {
+    if (host.timer) return;
+    while (host.queue.length > 0 && host.active < this.concurrencyPerHost) {
+      const wait = host.nextStart - Date.now();
+      if (wait > 0) {
+        host.timer = setTimeout(() => {
+          host.timer = null;
+          this._drain(host);
+        }, wait);
+        return;
+      }
+      const entry = host.queue.shift();
+      host.active++;
+      host.nextStart = Date.now() + Math.max(this.delayMs, host.delayMs || 0);
+      entry.resolve();
+    }
+  }
+}
+
+module.exports = DocCrawler;
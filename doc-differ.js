@@ -4,12 +4,21 @@ const cheerio = require("cheerio"); // Already in your dependencies
 // DocDiffer class implementation
 const fs = require("fs");
 const path = require("path");
-const vscode = require("vscode");
+const DocSourceConfig = require("./doc-source-config");
+const DocCrawler = require("./doc-crawler");
+const Sitemap = require("./sitemap");
+const {
+  isAbortError,
+  abortReason,
+  throwIfAborted,
+  linkSignal,
+  linkCancellationToken,
+} = require("./cancellation");
 
 class DocDiffer {
   constructor(docsPath) {
     this.docsPath = docsPath || path.join(__dirname, "data", "docs.json");
-    this.docSources = [
+    this.builtInSources = [
       {
         name: "Next.js Documentation",
         url: "https://nextjs.org/docs",
@@ -25,8 +34,67 @@ class DocDiffer {
         type: "tailwind",
       },
     ];
+    this.docSources = this.builtInSources;
+    this.crawler = new DocCrawler();
+    // When each source was last refreshed, kept next to the docs
+    this.refreshStatePath = path.join(
+      path.dirname(this.docsPath),
+      "doc-refresh-state.json"
+    );
+    // ETag and Last-Modified of each fetched page, for conditional requests
+    this.validatorsPath = path.join(
+      path.dirname(this.docsPath),
+      "doc-validators.json"
+    );
+    // Sections each source changed in its last refresh that found changes
+    this.changesPath = path.join(
+      path.dirname(this.docsPath),
+      "doc-changes.json"
+    );
     this.ensureDirectoryExists();
     this.previousDocs = this.loadPreviousDocs();
+    this.refreshState = this.loadRefreshState();
+    this.validators = this.loadValidators();
+    this.changes = this.loadChanges();
+  }
+
+  /**
+   * Replaces the configured sources, keeping the built-in ones unless a
+   * declaration turns them off
+   * @param {Array<Object>} declarations - { origin, entries } from settings
+   *   and sources files, see DocSourceConfig.merge
+   * @returns {Array<string>} - Problems with the declarations
+   */
+  configureSources(declarations) {
+    const { sources, errors } = DocSourceConfig.merge(
+      this.builtInSources,
+      declarations
+    );
+    this.docSources = sources;
+    return errors;
+  }
+
+  /**
+   * Changes the crawl limits and politeness settings
+   * @param {Object} options - See DocCrawler.configure
+   */
+  configureCrawler(options) {
+    this.crawler.configure(options);
+  }
+
+  /**
+   * Sources whose refresh cadence says they should be refreshed again
+   * @param {number} [now] - Epoch milliseconds
+   * @returns {Array<Object>}
+   */
+  getDueSources(now = Date.now()) {
+    return this.docSources.filter((source) =>
+      DocSourceConfig.isDue(
+        source,
+        (this.refreshState.sources[source.type] || {}).refreshedAt,
+        now
+      )
+    );
   }
   ensureDirectoryExists() {
     const directory = path.dirname(this.docsPath);
@@ -43,51 +111,333 @@ class DocDiffer {
     }
   }
 
-  async fetchLatestDocs(source) {
+  loadRefreshState() {
     try {
-      const { data } = await axios.get(source.url);
-      const $ = cheerio.load(data);
-
-      const latestDocs = {};
-      $(source.selector).each((i, el) => {
-        const title = $(el).text().trim();
-        let content;
-
-        if (source.contentSelector === "p") {
-          // Get all paragraphs following the heading until the next heading
-          content = [];
-          let nextEl = $(el).next();
-          while (nextEl.length && !nextEl.is(source.selector)) {
-            if (nextEl.is("p")) {
-              content.push(nextEl.text().trim());
-            }
-            nextEl = nextEl.next();
-          }
-          content = content.join("\n\n");
-        } else {
-          content = $(el).next(source.contentSelector).text().trim();
-        }
+      const state = JSON.parse(fs.readFileSync(this.refreshStatePath, "utf8"));
+      return { sources: state.sources || {} };
+    } catch (error) {
+      return { sources: {} };
+    }
+  }
+
+  loadValidators() {
+    try {
+      const validators = JSON.parse(
+        fs.readFileSync(this.validatorsPath, "utf8")
+      );
+      return validators && typeof validators === "object" ? validators : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  loadChanges() {
+    try {
+      const changes = JSON.parse(fs.readFileSync(this.changesPath, "utf8"));
+      return changes && typeof changes === "object" ? changes : {};
+    } catch (error) {
+      return {};
+    }
+  }
 
-        if (title && content) {
-          latestDocs[`${source.type}:${title}`] = {
-            title,
-            content,
-            source: source.name,
-            type: source.type,
-            url: source.url,
-            timestamp: new Date().toISOString(),
-          };
+  /**
+   * What changed in the docs: for each source, the sections its last refresh
+   * with changes added, updated or removed
+   * @returns {Array<Object>} - { type, source, refreshedAt, newDocs,
+   *   updatedDocs, removedDocs }, most recent first; updated docs carry their
+   *   previousContent
+   */
+  getChanges() {
+    return Object.values(this.changes).sort((a, b) =>
+      b.refreshedAt.localeCompare(a.refreshedAt)
+    );
+  }
+
+  /**
+   * Saved validators of a source's pages, keyed by requested URL. They only
+   * apply while the source is extracted the same way and its pages' sections
+   * are still saved, since a 304 response keeps the saved sections.
+   * @param {Object} source - Entry of docSources
+   * @returns {Object} - Requested URL -> { etag, lastModified, url, links }
+   */
+  _validatorsFor(source) {
+    const saved = this.validators[source.type];
+    if (!saved || saved.signature !== DocDiffer._signature(source)) return {};
+    const savedUrls = new Set(
+      Object.values(this.previousDocs)
+        .filter((doc) => doc.type === source.type)
+        .map((doc) => doc.url)
+    );
+    const validators = {};
+    Object.entries(saved.pages || {}).forEach(([requestUrl, entry]) => {
+      if (savedUrls.has(entry.url)) validators[requestUrl] = entry;
+    });
+    return validators;
+  }
+
+  // What decides which sections a page yields
+  static _signature(source) {
+    return JSON.stringify([
+      source.url,
+      source.selector,
+      source.contentSelector,
+      source.linkSelector || "",
+    ]);
+  }
+
+  /**
+   * Describes the pages of a refresh for status messages
+   * @param {Object} [pages] - { fetched, notModified, unchanged } from
+   *   processDocs
+   * @returns {string} - e.g. "Pages: 3 re-parsed, 12 not modified", empty
+   *   when no pages were counted
+   */
+  static describePages(pages) {
+    if (!pages) return "";
+    const parts = [`${pages.fetched} re-parsed`];
+    if (pages.notModified) parts.push(`${pages.notModified} not modified`);
+    if (pages.unchanged) {
+      parts.push(`${pages.unchanged} unchanged in the sitemap`);
+    }
+    return `Pages: ${parts.join(", ")}`;
+  }
+
+  /**
+   * Fetches a source's pages and collects their sections. A source with a
+   * sitemap fetches only the listed pages that changed since they were last
+   * fetched and keeps the saved sections of the others; other sources are
+   * crawled from their start page.
+   * @param {Object} source - Entry of docSources
+   * @param {AbortSignal} [signal]
+   * @param {Function} [onPage] - Called with the number of pages fetched so
+   *   far, see DocCrawler.crawl
+   * @returns {Promise<Object>} - { docs, fetchedPages, validators, stats,
+   *   failed }: docs keyed by `type:title`, `type:path#title` for pages other
+   *   than the start page; fetchedPages mapping page URLs to when they were
+   *   fetched; validators of the fetched pages keyed by requested URL; stats
+   *   counting pages { fetched, notModified, unchanged }, fetched ones being
+   *   re-parsed and notModified ones answered 304 Not Modified
+   */
+  async fetchLatestDocs(source, signal, onPage) {
+    try {
+      if (source.sitemap) {
+        try {
+          return await this._fetchFromSitemap(source, signal, onPage);
+        } catch (error) {
+          if (isAbortError(error, signal)) throw error;
+          console.warn(
+            `Error reading the sitemap of ${source.name}, crawling instead:`,
+            error.message
+          );
         }
-      });
+      }
 
-      return latestDocs;
+      const crawl = await this.crawler.crawl(source.url, {
+        maxDepth: source.maxDepth,
+        maxPages: source.maxPages,
+        linkSelector: source.linkSelector,
+        validators: this._validatorsFor(source),
+        onPage,
+        signal,
+      });
+      if (crawl.pages.length === 0) {
+        throw new Error(
+          crawl.errors.length > 0
+            ? crawl.errors[0].message
+            : `No pages could be fetched (${crawl.blocked} disallowed by robots.txt)`
+        );
+      }
+      return this._collectDocs(source, crawl.pages);
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error(`Error fetching docs from ${source.name}:`, error);
-      return {};
+      return {
+        docs: {},
+        fetchedPages: {},
+        validators: {},
+        stats: { fetched: 0, notModified: 0, unchanged: 0 },
+        failed: true,
+      };
     }
   }
 
-  findDifferences(latestDocs) {
+  /**
+   * Fetches the pages a source's sitemap lists under its path prefix that
+   * are new or changed, at most maxPages of them
+   */
+  async _fetchFromSitemap(source, signal, onPage) {
+    const startUrl = DocCrawler.normalizeUrl(source.url);
+    const sitemapUrl =
+      source.sitemap === true
+        ? new URL("/sitemap.xml", startUrl).href
+        : source.sitemap;
+    const scope = DocCrawler.scopeOf(
+      new URL(source.sitemapPrefix || new URL(startUrl).pathname, startUrl)
+        .href
+    );
+
+    const listed = new Map();
+    (await this.crawler.fetchSitemap(sitemapUrl, { signal })).forEach(
+      (page) => {
+        const url = DocCrawler.normalizeUrl(page.url);
+        if (DocCrawler.inScope(url, scope)) listed.set(url, { ...page, url });
+      }
+    );
+    if (listed.size === 0) {
+      throw new Error(`The sitemap lists no pages under ${scope.path || "/"}`);
+    }
+
+    const fetchedAt = this._pageFetchTimes(source.type);
+    const changed = [...listed.values()].filter((page) =>
+      Sitemap.isChanged(page, fetchedAt[page.url])
+    );
+    // Keep known pages current first; pages never fetched are caught up
+    // over the following refreshes when there are more than maxPages
+    changed.sort(
+      (a, b) => (fetchedAt[a.url] ? 0 : 1) - (fetchedAt[b.url] ? 0 : 1)
+    );
+    const maxPages =
+      source.maxPages !== undefined ? source.maxPages : this.crawler.maxPages;
+    const { pages } = await this.crawler.fetchPages(
+      changed.slice(0, maxPages).map((page) => page.url),
+      { signal, validators: this._validatorsFor(source), onPage }
+    );
+
+    const result = this._collectDocs(source, pages);
+    result.stats.unchanged = listed.size - changed.length;
+    // Sections of listed pages that weren't fetched this time stay as saved
+    const fetched = new Set(pages.map((page) => page.url));
+    Object.entries(this.previousDocs).forEach(([key, doc]) => {
+      if (
+        doc.type === source.type &&
+        listed.has(doc.url) &&
+        !fetched.has(doc.url)
+      ) {
+        result.docs[key] = doc;
+      }
+    });
+    return result;
+  }
+
+  // Sections of fetched pages, with when each page was fetched and its
+  // validators; pages that weren't modified keep their saved sections
+  _collectDocs(source, pages) {
+    const startUrl = DocCrawler.normalizeUrl(source.url);
+    const fetchedAt = new Date().toISOString();
+    const docs = {};
+    const fetchedPages = {};
+    const validators = {};
+    const stats = { fetched: 0, notModified: 0, unchanged: 0 };
+    pages.forEach((page) => {
+      fetchedPages[page.url] = fetchedAt;
+      if (page.notModified) {
+        Object.entries(this.previousDocs).forEach(([key, doc]) => {
+          if (doc.type === source.type && doc.url === page.url) {
+            docs[key] = doc;
+          }
+        });
+        validators[page.requestUrl] = this.validators[source.type].pages[
+          page.requestUrl
+        ];
+        stats.notModified++;
+        return;
+      }
+
+      Object.assign(
+        docs,
+        this.extractDocs(source, page.html, page.url, page.url === startUrl)
+      );
+      stats.fetched++;
+      if (page.validator.etag || page.validator.lastModified) {
+        validators[page.requestUrl] = {
+          ...page.validator,
+          url: page.url,
+          links: page.links,
+        };
+      }
+    });
+    return { docs, fetchedPages, validators, stats, failed: false };
+  }
+
+  /**
+   * When each page of a source was last fetched, falling back to the
+   * timestamps of its saved sections
+   * @param {string} type
+   * @returns {Object} - Page URL -> ISO time
+   */
+  _pageFetchTimes(type) {
+    const times = {};
+    Object.values(this.previousDocs).forEach((doc) => {
+      if (doc.type !== type || !doc.url || !doc.timestamp) return;
+      if (!times[doc.url] || doc.timestamp > times[doc.url]) {
+        times[doc.url] = doc.timestamp;
+      }
+    });
+    return {
+      ...times,
+      ...((this.refreshState.sources[type] || {}).pages || {}),
+    };
+  }
+
+  /**
+   * Collects the sections of one page
+   * @param {Object} source - Entry of docSources
+   * @param {string} html
+   * @param {string} pageUrl
+   * @param {boolean} isStartPage - Start page sections keep their short keys
+   * @returns {Object} - Docs keyed like fetchLatestDocs
+   */
+  extractDocs(source, html, pageUrl, isStartPage) {
+    const $ = cheerio.load(html);
+    const { pathname, search } = new URL(pageUrl);
+
+    const latestDocs = {};
+    $(source.selector).each((i, el) => {
+      const title = $(el).text().trim();
+      let content;
+
+      if (source.contentSelector === "p") {
+        // Get all paragraphs following the heading until the next heading
+        content = [];
+        let nextEl = $(el).next();
+        while (nextEl.length && !nextEl.is(source.selector)) {
+          if (nextEl.is("p")) {
+            content.push(nextEl.text().trim());
+          }
+          nextEl = nextEl.next();
+        }
+        content = content.join("\n\n");
+      } else {
+        content = $(el).next(source.contentSelector).text().trim();
+      }
+
+      if (title && content) {
+        // Headings such as "Examples" repeat across pages
+        const key = isStartPage
+          ? `${source.type}:${title}`
+          : `${source.type}:${pathname}${search}#${title}`;
+        latestDocs[key] = {
+          title,
+          content,
+          source: source.name,
+          type: source.type,
+          url: pageUrl,
+          timestamp: new Date().toISOString(),
+        };
+      }
+    });
+
+    return latestDocs;
+  }
+
+  /**
+   * Compares freshly fetched docs with the saved ones
+   * @param {Object} latestDocs - Fetched docs keyed by `type:title`
+   * @param {Array<string>} [sourceTypes] - Types that were fetched; saved docs of
+   *   other types are kept rather than reported as removed
+   * @returns {Object} - newDocs, updatedDocs, removedDocs and their counts
+   */
+  findDifferences(latestDocs, sourceTypes) {
     const newDocs = {};
     const updatedDocs = {};
     const removedDocs = {};
@@ -108,6 +458,7 @@ class DocDiffer {
 
     // Find removed docs
     Object.entries(this.previousDocs).forEach(([key, prevDoc]) => {
+      if (sourceTypes && !sourceTypes.includes(prevDoc.type)) return;
       if (!latestDocs[key]) {
         removedDocs[key] = prevDoc;
       }
@@ -123,7 +474,25 @@ class DocDiffer {
     };
   }
 
-  async processDocs(sourceTypes = []) {
+  /**
+   * Fetches the latest docs, diffs them against the stored copy and saves them
+   * @param {Array<string>} [sourceTypes] - Source types to refresh, all when empty
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the refresh before anything is saved
+   * @param {boolean} [options.showProgress] - Show a progress notification, default true
+   * @param {Object} [options.progress] - Progress of the caller's own
+   *   notification to report the fetched pages to; no notification is opened
+   * @returns {Promise<Object>} - Merged docs, differences, processed sources
+   *   and the pages { fetched, notModified, unchanged }: re-parsed, answered
+   *   304 Not Modified and skipped by sitemap lastmod
+   */
+  async processDocs(sourceTypes = [], options = {}) {
+    // Cancelled by the caller's signal or the progress notification
+    const controller = new AbortController();
+    linkSignal(options.signal, controller);
+    const signal = controller.signal;
+    let finishProgress = () => {};
+
     try {
       // If no specific source types are provided, process all sources
       const sourcesToProcess =
@@ -140,41 +509,41 @@ class DocDiffer {
         };
       }
 
-      // Show progress notification
-      vscode.window.withProgress(
-        {
-          location: vscode.ProgressLocation.Notification,
-          title: "Refreshing documentation...",
-          cancellable: false,
-        },
-        async (progress) => {
-          const step = 100 / sourcesToProcess.length;
-
-          for (let i = 0; i < sourcesToProcess.length; i++) {
-            progress.report({
-              message: `Fetching ${sourcesToProcess[i].name} (${i + 1}/${
-                sourcesToProcess.length
-              })`,
-              increment: step,
-            });
-            await new Promise((resolve) => setTimeout(resolve, 500)); // Small delay for UI feedback
-          }
-        }
-      );
+      // Show progress notification, unless refreshing in the background.
+      // It stays open, with its Cancel button, until the refresh is done.
+      let onPage = () => () => {};
+      if (options.progress) {
+        // The caller's notification shows the pages without moving its bar
+        onPage = this._pageReporter(sourcesToProcess, (message) =>
+          options.progress.report({ message })
+        );
+      } else if (options.showProgress !== false) {
+        const done = new Promise((resolve) => {
+          finishProgress = resolve;
+        });
+        onPage = this._showProgress(sourcesToProcess, controller, done);
+      }
 
       // Fetch all docs in parallel
       const fetchPromises = sourcesToProcess.map((source) =>
-        this.fetchLatestDocs(source)
+        this.fetchLatestDocs(source, signal, onPage(source))
       );
       const docResults = await Promise.all(fetchPromises);
+      throwIfAborted(signal);
 
       // Merge all results
       let latestDocs = {};
       docResults.forEach((result) => {
-        latestDocs = { ...latestDocs, ...result };
+        latestDocs = { ...latestDocs, ...result.docs };
       });
 
-      const differences = this.findDifferences(latestDocs);
+      // Saved docs of a source that could not be fetched are kept
+      const differences = this.findDifferences(
+        latestDocs,
+        sourcesToProcess
+          .filter((source, i) => !docResults[i].failed)
+          .map((source) => source.type)
+      );
 
       // Merge with existing docs that weren't updated
       const mergedDocs = { ...this.previousDocs };
@@ -195,21 +564,158 @@ class DocDiffer {
       // Update in-memory previous docs so subsequent calls use the latest
       this.previousDocs = mergedDocs;
 
+      // Remember the refresh for each source's cadence
+      // and when each page was fetched, for sitemap sources.
+      // A source that failed stays due, so it is tried again soon.
+      const refreshedAt = new Date().toISOString();
+      sourcesToProcess.forEach((source, i) => {
+        if (docResults[i].failed) return;
+        const previous = this.refreshState.sources[source.type] || {};
+        this.refreshState.sources[source.type] = {
+          refreshedAt,
+          pages: { ...(previous.pages || {}), ...docResults[i].fetchedPages },
+        };
+      });
+      fs.writeFileSync(
+        this.refreshStatePath,
+        JSON.stringify(this.refreshState, null, 2)
+      );
+
+      // Keep the validators of pages whose sections are still saved
+      const savedUrls = new Set(Object.values(mergedDocs).map((d) => d.url));
+      sourcesToProcess.forEach((source, i) => {
+        if (docResults[i].failed) return;
+        const signature = DocDiffer._signature(source);
+        const previous = this.validators[source.type] || {};
+        const pages = {
+          ...(previous.signature === signature ? previous.pages : {}),
+          ...docResults[i].validators,
+        };
+        Object.keys(pages).forEach((requestUrl) => {
+          if (!savedUrls.has(pages[requestUrl].url)) delete pages[requestUrl];
+        });
+        this.validators[source.type] = { signature, pages };
+      });
+      fs.writeFileSync(
+        this.validatorsPath,
+        JSON.stringify(this.validators, null, 2)
+      );
+
+      // Sources without changes keep showing their previous ones
+      sourcesToProcess.forEach((source, i) => {
+        if (docResults[i].failed) return;
+        const ofSource = (docs) =>
+          Object.values(docs).filter((doc) => doc.type === source.type);
+        const record = {
+          type: source.type,
+          source: source.name,
+          refreshedAt,
+          newDocs: ofSource(differences.newDocs),
+          updatedDocs: ofSource(differences.updatedDocs),
+          removedDocs: ofSource(differences.removedDocs),
+        };
+        if (
+          record.newDocs.length ||
+          record.updatedDocs.length ||
+          record.removedDocs.length
+        ) {
+          this.changes[source.type] = record;
+        }
+      });
+      fs.writeFileSync(
+        this.changesPath,
+        JSON.stringify(this.changes, null, 2)
+      );
+
       return {
         success: true,
         latestDocs: mergedDocs,
         differences,
         processedSources: sourcesToProcess.map((s) => s.name),
+        pages: {
+          fetched: docResults.reduce((sum, r) => sum + r.stats.fetched, 0),
+          notModified: docResults.reduce(
+            (sum, r) => sum + r.stats.notModified,
+            0
+          ),
+          unchanged: docResults.reduce((sum, r) => sum + r.stats.unchanged, 0),
+        },
       };
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error("Error processing docs:", error);
       return {
         success: false,
         error: error.message || "Unknown error processing documentation",
       };
+    } finally {
+      finishProgress();
     }
   }
 
+  /**
+   * Shows a cancellable notification with the pages fetched out of each
+   * source's maxPages
+   * @param {Array<Object>} sources - Sources being refreshed
+   * @param {AbortController} controller - Aborted by the Cancel button
+   * @param {Promise} done - Closes the notification once settled
+   * @returns {Function} - Takes a source and returns its onPage callback
+   */
+  _showProgress(sources, controller, done) {
+    // Required here so the rest also runs outside VS Code, e.g. in tests
+    const vscode = require("vscode");
+    let report = null;
+
+    vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Refreshing documentation...",
+        cancellable: true,
+      },
+      (progress, token) => {
+        const cancellation = linkCancellationToken(token, controller);
+        report = (message, increment) =>
+          progress.report({ message, increment });
+        report(`Fetching ${sources.map((source) => source.name).join(", ")}`);
+        return done.finally(() => cancellation.dispose());
+      }
+    );
+
+    return this._pageReporter(sources, (message, increment) => {
+      if (report) report(message, increment);
+    });
+  }
+
+  /**
+   * Turns fetched page counts into progress messages
+   * @param {Array<Object>} sources - Sources being refreshed
+   * @param {Function} report - Called with the message and the percentage
+   *   the page adds to the whole refresh
+   * @returns {Function} - Takes a source and returns its onPage callback
+   */
+  _pageReporter(sources, report) {
+    const limits = sources.map((source) =>
+      source.maxPages !== undefined ? source.maxPages : this.crawler.maxPages
+    );
+    const total = limits.reduce((sum, limit) => sum + limit, 0);
+    const fetched = sources.map(() => 0);
+
+    return (source) => {
+      const index = sources.indexOf(source);
+      return (count) => {
+        // Redirects to a page fetched already count too; stay within limits
+        if (count > limits[index]) return;
+        fetched[index] = count;
+        const pages = fetched.reduce((sum, value) => sum + value, 0);
+        report(
+          `${source.name}: ${count}/${limits[index]} pages ` +
+            `(${pages}/${total} in all)`,
+          total > 0 ? 100 / total : 0
+        );
+      };
+    };
+  }
+
   /**
    * Gets the documentation in a format suitable for ChromaDB
    * @returns {Object} - Documentation formatted for ChromaDB
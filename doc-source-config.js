@@ -0,0 +1,186 @@
+const fs = require("fs");
+const path = require("path");
+
+// Workspace file declaring extra documentation sources
+const SOURCES_FILE = ".realtime-ai/sources.json";
+
+// How often a source is refreshed in the background, "manual" meaning never
+const REFRESH_INTERVALS = {
+  manual: null,
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Documentation sources declared in settings and in a workspace's
+ * .realtime-ai/sources.json. A source is { name, url, selector,
+ * contentSelector, type, refresh } plus optional crawl limits { maxDepth,
+ * maxPages, linkSelector } and a sitemap to read pages from { sitemap,
+ * sitemapPrefix }; declaring a source with the type of an
+ * existing one changes only the fields it sets, and "enabled": false
+ * turns it off.
+ */
+class DocSourceConfig {
+  /**
+   * Layers source declarations onto the built-in sources
+   * @param {Array<Object>} builtIn - Sources that are always known
+   * @param {Array<Object>} declarations - { origin, entries } in increasing
+   *   precedence, origin naming the setting or file in errors
+   * @returns {Object} - { sources, errors }, errors as readable strings
+   */
+  static merge(builtIn, declarations) {
+    const byType = new Map();
+    builtIn.forEach((source) => {
+      byType.set(source.type, { source: { ...source }, origin: "built-in" });
+    });
+
+    const errors = [];
+    declarations.forEach(({ origin, entries }) => {
+      if (!Array.isArray(entries)) {
+        errors.push(`${origin}: expected a list of sources`);
+        return;
+      }
+      entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== "object" || !entry.type) {
+          errors.push(`${origin}: source ${index + 1} has no type`);
+          return;
+        }
+        const existing = byType.get(entry.type);
+        byType.set(entry.type, {
+          source: { ...(existing ? existing.source : {}), ...entry },
+          origin,
+        });
+      });
+    });
+
+    const sources = [];
+    byType.forEach(({ source, origin }) => {
+      if (source.enabled === false) return;
+      const error = DocSourceConfig.validate(source);
+      if (error) {
+        errors.push(`${origin}: source "${source.type}" ${error}`);
+        return;
+      }
+      sources.push(DocSourceConfig._withDefaults(source));
+    });
+    return { sources, errors };
+  }
+
+  /**
+   * @param {Object} source
+   * @returns {string|null} - What is wrong with the source, null if it is usable
+   */
+  static validate(source) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(String(source.type))) {
+      return "needs a type of lowercase letters, digits, - and _";
+    }
+    if (!/^https?:\/\/[^\s]+$/i.test(String(source.url || ""))) {
+      return "needs an http(s) url";
+    }
+    if (source.selector !== undefined && typeof source.selector !== "string") {
+      return "has a selector that is not a string";
+    }
+    if (
+      source.contentSelector !== undefined &&
+      typeof source.contentSelector !== "string"
+    ) {
+      return "has a contentSelector that is not a string";
+    }
+    if (
+      source.linkSelector !== undefined &&
+      typeof source.linkSelector !== "string"
+    ) {
+      return "has a linkSelector that is not a string";
+    }
+    if (
+      source.sitemap !== undefined &&
+      source.sitemap !== true &&
+      source.sitemap !== false &&
+      !/^https?:\/\/[^\s]+$/i.test(String(source.sitemap))
+    ) {
+      return "needs a sitemap that is true or an http(s) url";
+    }
+    if (
+      source.sitemapPrefix !== undefined &&
+      !String(source.sitemapPrefix).startsWith("/")
+    ) {
+      return "needs a sitemapPrefix starting with /";
+    }
+    if (
+      source.maxDepth !== undefined &&
+      !(Number.isInteger(source.maxDepth) && source.maxDepth >= 0)
+    ) {
+      return "needs a maxDepth of 0 or more";
+    }
+    if (
+      source.maxPages !== undefined &&
+      !(Number.isInteger(source.maxPages) && source.maxPages >= 1)
+    ) {
+      return "needs a maxPages of 1 or more";
+    }
+    if (
+      source.refresh !== undefined &&
+      !Object.prototype.hasOwnProperty.call(REFRESH_INTERVALS, source.refresh)
+    ) {
+      return `has an unknown refresh "${source.refresh}"; use ${Object.keys(
+        REFRESH_INTERVALS
+      ).join(", ")}`;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} folder - Workspace folder path
+   * @returns {string} - Path of the folder's sources file
+   */
+  static filePath(folder) {
+    return path.join(folder, SOURCES_FILE);
+  }
+
+  /**
+   * Reads a sources file, either a list of sources or { sources: [...] }
+   * @param {string} filePath
+   * @returns {Object} - { entries, error }, entries null when the file is
+   *   missing or unreadable
+   */
+  static readFile(filePath) {
+    if (!fs.existsSync(filePath)) return { entries: null, error: null };
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const entries = Array.isArray(data) ? data : data && data.sources;
+      if (!Array.isArray(entries)) {
+        return { entries: null, error: "expected a list of sources" };
+      }
+      return { entries, error: null };
+    } catch (error) {
+      return { entries: null, error: error.message };
+    }
+  }
+
+  /**
+   * Whether a source's background refresh is due
+   * @param {Object} source
+   * @param {string|null} refreshedAt - ISO time of its last refresh
+   * @param {number} [now] - Epoch milliseconds
+   * @returns {boolean}
+   */
+  static isDue(source, refreshedAt, now = Date.now()) {
+    const interval = REFRESH_INTERVALS[source.refresh || "manual"];
+    if (!interval) return false;
+    if (!refreshedAt) return true;
+    return now - new Date(refreshedAt).getTime() >= interval;
+  }
+
+  static _withDefaults(source) {
+    return {
+      ...source,
+      name: source.name || source.type,
+      selector: source.selector || "h2",
+      contentSelector: source.contentSelector || "p",
+      refresh: source.refresh || "manual",
+    };
+  }
+}
+
+module.exports = DocSourceConfig;
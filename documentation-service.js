@@ -1,5 +1,6 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { isAbortError, abortReason, throwIfAborted } = require('./cancellation');
 
 class DocumentationService {
   constructor() {
@@ -8,10 +9,20 @@ class DocumentationService {
     this.pendingRequests = {}; // Track in-flight requests to prevent duplicates
   }
 
-  async getDocumentation(query, type) {
+  /**
+   * Looks up documentation for a query
+   * @param {string} query - The search query
+   * @param {string} [type] - Source type, or auto-detect when omitted
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the underlying HTTP requests
+   * @returns {Promise<Object>} - Documentation result or an object with an error
+   */
+  async getDocumentation(query, type, options = {}) {
+    const { signal } = options;
     if (!query || query.trim() === '') {
       return { error: 'Query cannot be empty' };
     }
+    throwIfAborted(signal);
     
     // Normalize query to prevent duplicate cache entries
     query = query.trim();
@@ -34,26 +45,26 @@ class DocumentationService {
         let result;
         switch(type) {
           case 'github':
-            result = await this.fetchFromGitHub(query);
+            result = await this.fetchFromGitHub(query, signal);
             break;
           case 'mdn':
-            result = await this.fetchFromMDN(query);
+            result = await this.fetchFromMDN(query, signal);
             break;
           case 'npm':
-            result = await this.fetchFromNpm(query);
+            result = await this.fetchFromNpm(query, signal);
             break;
           case 'pypi':
-            result = await this.fetchFromPyPI(query);
+            result = await this.fetchFromPyPI(query, signal);
             break;
           case 'stackoverflow':
-            result = await this.fetchFromStackOverflow(query);
+            result = await this.fetchFromStackOverflow(query, signal);
             break;
           case 'readthedocs':
-            result = await this.fetchFromReadTheDocs(query);
+            result = await this.fetchFromReadTheDocs(query, signal);
             break;
           default:
             // Try to determine the best source based on query
-            result = await this.smartFetch(query);
+            result = await this.smartFetch(query, signal);
         }
 
         // Cache the result
@@ -72,7 +83,7 @@ class DocumentationService {
     return this.pendingRequests[cacheKey];
   }
 
-  async fetchFromGitHub(query) {
+  async fetchFromGitHub(query, signal) {
     try {
       // Parse query to extract repo owner and name
       const parts = query.split('/');
@@ -93,7 +104,8 @@ class DocumentationService {
         headers: {
           'Accept': 'application/vnd.github.v3+json'
         },
-        timeout: 5000 // 5 second timeout
+        timeout: 5000, // 5 second timeout
+        signal
       });
       
       // Process and return the content
@@ -105,6 +117,7 @@ class DocumentationService {
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error('Error fetching from GitHub:', error.message);
       return {
         source: 'GitHub',
@@ -115,11 +128,11 @@ class DocumentationService {
     }
   }
 
-  async fetchFromMDN(query) {
+  async fetchFromMDN(query, signal) {
     try {
       // Use MDN API to search for documentation
       const url = `https://developer.mozilla.org/api/v1/search?q=${encodeURIComponent(query)}&locale=en-US`;
-      const response = await axios.get(url, { timeout: 5000 });
+      const response = await axios.get(url, { timeout: 5000, signal });
       
       if (!response.data || !response.data.documents || response.data.documents.length === 0) {
         return {
@@ -132,7 +145,7 @@ class DocumentationService {
       const contentUrl = `https://developer.mozilla.org${topResult.mdn_url}`;
       
       // Fetch the actual content
-      const contentResponse = await axios.get(contentUrl, { timeout: 5000 });
+      const contentResponse = await axios.get(contentUrl, { timeout: 5000, signal });
       const $ = cheerio.load(contentResponse.data);
       
       // Extract the main content more effectively
@@ -166,6 +179,7 @@ class DocumentationService {
         error: 'No documentation found'
       };
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error('Error fetching from MDN:', error);
       return {
         source: 'MDN Web Docs',
@@ -174,7 +188,7 @@ class DocumentationService {
     }
   }
 
-  async fetchFromNpm(query) {
+  async fetchFromNpm(query, signal) {
     try {
       // Clean up the query
       const packageName = query.replace(/npm/gi, '').trim();
@@ -188,7 +202,7 @@ class DocumentationService {
       
       // Fetch package data from npm registry
       const url = `https://registry.npmjs.org/${packageName}`;
-      const response = await axios.get(url, { timeout: 5000 });
+      const response = await axios.get(url, { timeout: 5000, signal });
       
       if (!response.data) {
         return {
@@ -223,6 +237,7 @@ class DocumentationService {
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error('Error fetching from npm:', error.message);
       return {
         source: 'npm',
@@ -233,7 +248,7 @@ class DocumentationService {
     }
   }
 
-  async fetchFromPyPI(query) {
+  async fetchFromPyPI(query, signal) {
     try {
       // Clean up the query
       const packageName = query.replace(/python|pip/gi, '').trim();
@@ -247,7 +262,7 @@ class DocumentationService {
       
       // Fetch package data from PyPI
       const url = `https://pypi.org/pypi/${packageName}/json`;
-      const response = await axios.get(url, { timeout: 5000 });
+      const response = await axios.get(url, { timeout: 5000, signal });
       
       if (!response.data || !response.data.info) {
         return {
@@ -296,6 +311,7 @@ class DocumentationService {
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error('Error fetching from PyPI:', error.message);
       return {
         source: 'PyPI',
@@ -306,7 +322,7 @@ class DocumentationService {
     }
   }
 
-  async fetchFromStackOverflow(query) {
+  async fetchFromStackOverflow(query, signal) {
     try {
       if (!query || query.trim() === '') {
         return {
@@ -317,7 +333,7 @@ class DocumentationService {
       
       // Use Stack Exchange API to search for questions
       const url = `https://api.stackexchange.com/2.3/search?order=desc&sort=relevance&intitle=${encodeURIComponent(query)}&site=stackoverflow&filter=withbody`;
-      const response = await axios.get(url, { timeout: 5000 });
+      const response = await axios.get(url, { timeout: 5000, signal });
       
       if (!response.data || !response.data.items || response.data.items.length === 0) {
         return {
@@ -333,7 +349,7 @@ class DocumentationService {
       const questionsWithAnswers = await Promise.allSettled(topQuestions.map(async (question) => {
         try {
           const answersUrl = `https://api.stackexchange.com/2.3/questions/${question.question_id}/answers?order=desc&sort=votes&site=stackoverflow&filter=withbody`;
-          const answersResponse = await axios.get(answersUrl, { timeout: 5000 });
+          const answersResponse = await axios.get(answersUrl, { timeout: 5000, signal });
           
           if (answersResponse.data && answersResponse.data.items && answersResponse.data.items.length > 0) {
             // Get top voted answers
@@ -349,10 +365,12 @@ class DocumentationService {
           
           return question;
         } catch (error) {
+          if (isAbortError(error, signal)) throw abortReason(signal);
           console.error(`Error fetching answers for question ${question.question_id}:`, error.message);
           return question;
         }
       }));
+      throwIfAborted(signal);
       
       // Extract results from fulfilled promises
       const validQuestions = questionsWithAnswers
@@ -432,6 +450,7 @@ class DocumentationService {
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error('Error fetching from Stack Overflow:', error.message);
       return {
         source: 'Stack Overflow',
@@ -440,7 +459,7 @@ class DocumentationService {
     }
   }
 
-  async fetchFromReadTheDocs(query) {
+  async fetchFromReadTheDocs(query, signal) {
     try {
       if (!query || query.trim() === '') {
         return {
@@ -451,7 +470,7 @@ class DocumentationService {
       
       // Search for projects on Read the Docs
       const searchUrl = `https://readthedocs.org/api/v3/search/?q=${encodeURIComponent(query)}`;
-      const searchResponse = await axios.get(searchUrl, { timeout: 5000 });
+      const searchResponse = await axios.get(searchUrl, { timeout: 5000, signal });
       
       if (!searchResponse.data || !searchResponse.data.results || searchResponse.data.results.length === 0) {
         return {
@@ -464,7 +483,7 @@ class DocumentationService {
       
       // Get project details
       const projectUrl = `https://readthedocs.org/api/v3/projects/${topProject.project.slug}/`;
-      const projectResponse = await axios.get(projectUrl, { timeout: 5000 });
+      const projectResponse = await axios.get(projectUrl, { timeout: 5000, signal });
       
       if (!projectResponse.data) {
         return {
@@ -479,7 +498,7 @@ class DocumentationService {
       const docsUrl = projectData.urls.documentation;
       
       // Fetch documentation content
-      const docsResponse = await axios.get(docsUrl, { timeout: 8000 });
+      const docsResponse = await axios.get(docsUrl, { timeout: 8000, signal });
       const $ = cheerio.load(docsResponse.data);
       
       // Extract main content more effectively
@@ -506,6 +525,7 @@ class DocumentationService {
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error('Error fetching from Read the Docs:', error.message);
       return {
         source: 'Read the Docs',
@@ -528,36 +548,36 @@ class DocumentationService {
     return $content.html();
   }
 
-  async smartFetch(query) {
+  async smartFetch(query, signal) {
     // Try to determine the best source based on query content
     if (query.includes('github.com')) {
       const githubPath = query.split('github.com/')[1];
-      return this.fetchFromGitHub(githubPath);
+      return this.fetchFromGitHub(githubPath, signal);
     } else if (query.match(/^(https?:\/\/)?([\w.-]+)\.([a-z]{2,})(\/.*)?$/i)) {
       // It's a URL, try to fetch directly
-      return this.fetchFromUrl(query);
+      return this.fetchFromUrl(query, signal);
     } else if (query.includes('mdn') || /html|css|javascript|js|dom|web api/i.test(query)) {
-      return this.fetchFromMDN(query);
+      return this.fetchFromMDN(query, signal);
     } else if (query.includes('npm') || query.startsWith('@') || /^[a-zA-Z0-9-_]+$/.test(query)) {
       // Try npm first for simple package names
-      const npmResult = await this.fetchFromNpm(query.replace(/npm/gi, '').trim());
+      const npmResult = await this.fetchFromNpm(query.replace(/npm/gi, '').trim(), signal);
       if (!npmResult.error) return npmResult;
     } else if (/python|pip|django|flask/i.test(query)) {
-      return this.fetchFromPyPI(query.replace(/python|pip/gi, '').trim());
+      return this.fetchFromPyPI(query.replace(/python|pip/gi, '').trim(), signal);
     }
     
     // If we couldn't determine a specific source, try a combined approach
-    return this.combinedSearch(query);
+    return this.combinedSearch(query, signal);
   }
 
-  async fetchFromUrl(url) {
+  async fetchFromUrl(url, signal) {
     try {
       // Ensure URL has protocol
       if (!url.startsWith('http')) {
         url = 'https://' + url;
       }
       
-      const response = await axios.get(url, { timeout: 5000 });
+      const response = await axios.get(url, { timeout: 5000, signal });
       const $ = cheerio.load(response.data);
       
       // Extract title
@@ -575,6 +595,7 @@ class DocumentationService {
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
       console.error('Error fetching from URL:', error.message);
       return {
         source: 'Web',
@@ -583,16 +604,17 @@ class DocumentationService {
     }
   }
 
-  async combinedSearch(query) {
+  async combinedSearch(query, signal) {
     // Try multiple sources in parallel and return the best result
     const sources = [
-      this.fetchFromMDN(query),
-      this.fetchFromNpm(query),
-      this.fetchFromPyPI(query),
-      this.fetchFromStackOverflow(query)
+      this.fetchFromMDN(query, signal),
+      this.fetchFromNpm(query, signal),
+      this.fetchFromPyPI(query, signal),
+      this.fetchFromStackOverflow(query, signal)
     ];
     
     const results = await Promise.allSettled(sources);
+    throwIfAborted(signal);
     
     // Filter out rejected promises and extract values from fulfilled ones
     const validResults = results
@@ -0,0 +1,218 @@
+const CodeChunker = require("./code-chunker");
+
+// Comment and decorator lines above a declaration
+const LEADING_LINE = /^\s*(\/\/|\/?\*|@|#)/;
+
+/**
+ * Works out which parts of a file a code block from an AI answer replaces,
+ * by matching the functions, classes and types it declares against the
+ * file's own declarations.
+ */
+class EditLocator {
+  /**
+   * Maps a code block onto the file. Each declaration the file already has
+   * replaces the file's version and new declarations go along with the one
+   * before them. Imports and other module-level statements are added to the
+   * file's own, leading ones after its imports and trailing ones at its end,
+   * leaving out those the file already has.
+   * @param {string} documentText - Current file content
+   * @param {string} code - Code block from the answer
+   * @returns {Array<Object>|null} - Replacements as { startLine, endLine, text },
+   *   lines 0-based and inclusive, endLine below startLine for an insertion;
+   *   null when the block declares nothing the file has
+   */
+  static locate(documentText, code) {
+    // No token limit, so classes stay whole instead of split into methods
+    const chunker = new CodeChunker({ maxTokens: Infinity });
+    const lines = String(documentText || "")
+      .replace(/\r\n/g, "\n")
+      .split("\n");
+    const split = (chunks) => chunks.flatMap(EditLocator._split);
+    const documentChunks = split(chunker.chunk(documentText, ""));
+    const blockChunks = split(chunker.chunk(code, ""));
+
+    const declarations = new Map();
+    const statements = new Set();
+    documentChunks.forEach((chunk) => {
+      const key = `${chunk.kind}:${chunk.name}`;
+      if (chunk.kind === "module") {
+        EditLocator._statements(chunk.text).forEach((statement) =>
+          statements.add(EditLocator._statementKey(statement))
+        );
+      } else if (!declarations.has(key)) {
+        declarations.set(key, chunk);
+      }
+    });
+
+    // Group the block's declarations under the one they replace
+    const groups = [];
+    const imports = [];
+    const trailing = [];
+    let pending = [];
+    blockChunks.forEach((chunk, index) => {
+      if (chunk.kind === "module") {
+        (index === 0 ? imports : trailing).push(chunk);
+        return;
+      }
+      const target = declarations.get(`${chunk.kind}:${chunk.name}`);
+      if (target) {
+        groups.push({ target, chunks: [...pending, chunk] });
+        pending = [];
+      } else if (groups.length > 0) {
+        groups[groups.length - 1].chunks.push(chunk);
+      } else {
+        pending.push(chunk);
+      }
+    });
+    if (groups.length === 0) return null;
+    if (pending.length > 0) groups[groups.length - 1].chunks.push(...pending);
+
+    const replacements = groups.map(({ target, chunks }) => {
+      const text = chunks
+        .map((chunk) => chunk.text)
+        .join("\n")
+        .replace(/\s+$/, "");
+      let startLine = target.startLine - 1;
+      // Keep the file's doc comment when the block comes without one
+      if (!LEADING_LINE.test(text.split("\n")[0])) {
+        while (
+          startLine < target.endLine - 1 &&
+          LEADING_LINE.test(lines[startLine])
+        ) {
+          startLine++;
+        }
+      }
+      return EditLocator._trim(lines, startLine, target.endLine - 1, text);
+    });
+
+    // Statements the file lacks, e.g. an import the new code needs
+    const missing = (chunks) =>
+      chunks
+        .flatMap((chunk) => EditLocator._statements(chunk.text))
+        .filter(
+          (statement) => !statements.has(EditLocator._statementKey(statement))
+        )
+        .join("\n");
+
+    const added = missing(imports);
+    if (added) {
+      const preamble = documentChunks[0];
+      if (!preamble || preamble.kind !== "module") {
+        replacements.unshift({ startLine: 0, endLine: -1, text: added });
+      } else {
+        const { endLine } = EditLocator._trim(lines, 0, preamble.endLine - 1);
+        replacements.unshift({
+          startLine: endLine,
+          endLine,
+          text: `${lines[endLine]}\n${added}`,
+        });
+      }
+    }
+
+    const appended = missing(trailing);
+    if (appended) {
+      const { endLine } = EditLocator._trim(lines, 0, lines.length - 1);
+      // The file may end with a declaration the block replaces
+      const last = replacements.find(
+        (replacement) =>
+          replacement.startLine <= endLine && replacement.endLine >= endLine
+      );
+      if (last) {
+        last.text += `\n\n${appended}`;
+      } else {
+        replacements.push({
+          startLine: endLine,
+          endLine,
+          text: `${lines[endLine]}\n\n${appended}`,
+        });
+      }
+    }
+    return replacements;
+  }
+
+  // Blank lines before the next declaration are not part of this one
+  static _trim(lines, startLine, endLine, text) {
+    while (endLine >= startLine && !lines[endLine].trim()) endLine--;
+    return { startLine, endLine, text };
+  }
+
+  // The chunker keeps top-level code after a declaration with it, e.g. the
+  // exports at the end of a file; that code becomes a module chunk of its own
+  static _split(chunk) {
+    if (chunk.kind === "module") return [chunk];
+    const chunkLines = chunk.text.split("\n");
+    // The declaration's own line, below its comments and decorators
+    const head = chunkLines.findIndex((line) => !LEADING_LINE.test(line));
+    let depth = 0;
+    let end = chunkLines.length;
+    for (let i = head; i < chunkLines.length; i++) {
+      // Code back at the first column once the brackets are closed
+      if (i > head && depth <= 0 && /^[^\s})\]]/.test(chunkLines[i])) {
+        end = i;
+        break;
+      }
+      depth += EditLocator._depth(chunkLines[i]);
+    }
+    if (end === chunkLines.length) return [chunk];
+    while (end > head + 1 && LEADING_LINE.test(chunkLines[end - 1])) end--;
+
+    return [
+      {
+        ...chunk,
+        endLine: chunk.startLine + end - 1,
+        text: chunkLines.slice(0, end).join("\n"),
+      },
+      {
+        name: chunk.name,
+        kind: "module",
+        startLine: chunk.startLine + end,
+        endLine: chunk.endLine,
+        text: chunkLines.slice(end).join("\n"),
+      },
+    ];
+  }
+
+  // Brackets a line opens minus those it closes, outside strings and comments
+  static _depth(line) {
+    const code = line
+      .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, "")
+      .replace(/\/\/.*$/, "");
+    const count = (pattern) => (code.match(pattern) || []).length;
+    return count(/[{([]/g) - count(/[})\]]/g);
+  }
+
+  // Module-level code as statements, each starting at the first column and
+  // taking the comments above it along
+  static _statements(text) {
+    const statements = [];
+    text.split("\n").forEach((line) => {
+      const last = statements[statements.length - 1];
+      const comment =
+        last && last.every((seen) => !seen.trim() || LEADING_LINE.test(seen));
+      if (!last || (/^[^\s})\]]/.test(line) && !comment)) {
+        statements.push([line]);
+      } else {
+        last.push(line);
+      }
+    });
+    return statements
+      .map((statement) => statement.join("\n").replace(/\s+$/, ""))
+      .filter((statement) => statement.trim());
+  }
+
+  // What a statement defines, so the file's version wins over the block's:
+  // the name it assigns, a default export or else its whole text
+  static _statementKey(statement) {
+    const code = statement
+      .split("\n")
+      .filter((line) => !LEADING_LINE.test(line))
+      .join("\n");
+    const match = code.match(
+      /^(?:(export\s+default)\b|(?:(?:const|let|var)\s+)?([\w$.]+)\s*=(?![=>]))/
+    );
+    if (!match) return code.replace(/\s+/g, " ").trim();
+    return match[1] ? "export default" : match[2];
+  }
+}
+
+module.exports = EditLocator;
@@ -0,0 +1,192 @@
+// Fence language of the edit set block in an answer
+const FENCE = "edit-set";
+
+/**
+ * Structured multi-file edit proposals. An answer carries them as JSON in a
+ * fenced ```edit-set block: { summary, files: [{ path, hunks: [{ search,
+ * replace }] }] }, where search is text copied from the current file and
+ * an empty search on a missing file creates it.
+ */
+class EditSet {
+  /**
+   * Whether a question asks for changes to the code
+   * @param {string} query
+   * @returns {boolean}
+   */
+  static isRefactorQuery(query) {
+    return /\b(refactor\w*|improve|optimi[sz]e|better|rename|extract|clean\s?up|restructure|split|convert|migrate)\b/i.test(
+      String(query || "")
+    );
+  }
+
+  /**
+   * Instructions for the model on how to reply with an edit set
+   * @param {string} [activeFile] - Workspace relative path of the active file
+   * @returns {string}
+   */
+  static instructions(activeFile) {
+    return (
+      (activeFile ? `The active file is \`${activeFile}\`. ` : "") +
+      "When the answer changes code, explain the change briefly and then " +
+      `reply with one \`\`\`${FENCE} block holding JSON: ` +
+      '{"summary": "<one line>", "files": [{"path": "<workspace relative path>", ' +
+      '"hunks": [{"search": "<exact current text>", "replace": "<new text>"}]}]}. ' +
+      "Copy each search exactly from the file, long enough to be unique in it, " +
+      "and keep hunks of a file in file order. Use an empty search to create a new file."
+    );
+  }
+
+  /**
+   * Reads the edit set from an answer
+   * @param {string} text - Answer markdown
+   * @returns {Object|null} - { summary, files: [{ path, hunks }] }, or null if
+   *   the answer has no valid edit set
+   */
+  static parse(text) {
+    const match = String(text || "").match(
+      new RegExp("```" + FENCE + "[^\\n]*\\n([\\s\\S]*?)\\n```")
+    );
+    if (!match) return null;
+
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch (error) {
+      return null;
+    }
+    if (!data || !Array.isArray(data.files)) return null;
+
+    const files = data.files
+      .filter(
+        (file) =>
+          file &&
+          typeof file.path === "string" &&
+          file.path.trim() &&
+          Array.isArray(file.hunks)
+      )
+      .map((file) => ({
+        path: file.path.trim().replace(/\\/g, "/").replace(/^\.\//, ""),
+        hunks: file.hunks
+          .filter(
+            (hunk) =>
+              hunk &&
+              typeof hunk.search === "string" &&
+              typeof hunk.replace === "string"
+          )
+          .map((hunk) => ({ search: hunk.search, replace: hunk.replace })),
+      }))
+      .filter((file) => file.hunks.length > 0);
+    if (files.length === 0) return null;
+
+    return {
+      summary: typeof data.summary === "string" ? data.summary : "",
+      files,
+    };
+  }
+
+  /**
+   * Renders an edit set as the fenced block parse reads
+   * @param {Object} editSet - { summary, files }
+   * @returns {string}
+   */
+  static format(editSet) {
+    return `\`\`\`${FENCE}\n${JSON.stringify(editSet, null, 2)}\n\`\`\``;
+  }
+
+  /**
+   * Applies a file's hunks to its content. A search must match exactly one
+   * place, ignoring indentation and trailing whitespace if there is no
+   * exact match; hunks that don't match are skipped and reported.
+   * @param {string|null} content - Current content, null if the file doesn't exist
+   * @param {Array<Object>} hunks - { search, replace }
+   * @returns {Object} - { content, applied, failed: [{ index, reason }] }
+   */
+  static applyHunks(content, hunks) {
+    const failed = [];
+    let applied = 0;
+
+    if (content === null) {
+      // Only a single hunk with an empty search can create a file
+      if (hunks.length === 1 && !hunks[0].search) {
+        return { content: hunks[0].replace, applied: 1, failed };
+      }
+      return {
+        content: null,
+        applied,
+        failed: hunks.map((hunk, index) => ({
+          index,
+          reason: "File does not exist",
+        })),
+      };
+    }
+
+    const eol = content.includes("\r\n") ? "\r\n" : "\n";
+    let result = content.replace(/\r\n/g, "\n");
+    hunks.forEach((hunk, index) => {
+      const search = hunk.search.replace(/\r\n/g, "\n");
+      if (!search.trim()) {
+        failed.push({ index, reason: "Empty search in an existing file" });
+        return;
+      }
+      const range = EditSet._find(result, search);
+      if (range.error) {
+        failed.push({ index, reason: range.error });
+        return;
+      }
+      result =
+        result.slice(0, range.start) +
+        hunk.replace.replace(/\r\n/g, "\n") +
+        result.slice(range.end);
+      applied++;
+    });
+
+    return { content: result.replace(/\n/g, eol), applied, failed };
+  }
+
+  /**
+   * Locates the one place a search matches
+   * @returns {Object} - { start, end } offsets or { error }
+   */
+  static _find(text, search) {
+    const first = text.indexOf(search);
+    if (first !== -1) {
+      if (text.indexOf(search, first + 1) !== -1) {
+        return { error: "Search text matches more than one place" };
+      }
+      return { start: first, end: first + search.length };
+    }
+
+    // Models often get indentation or trailing spaces wrong
+    const lines = text.split("\n");
+    const searchLines = search.replace(/^\n+|\n+$/g, "").split("\n");
+    const normalize = (line) => line.trim();
+    const matches = [];
+    for (let i = 0; i + searchLines.length <= lines.length; i++) {
+      if (
+        searchLines.every(
+          (line, j) => normalize(line) === normalize(lines[i + j])
+        )
+      ) {
+        matches.push(i);
+      }
+    }
+    if (matches.length === 0) {
+      return { error: "Search text not found" };
+    }
+    if (matches.length > 1) {
+      return { error: "Search text matches more than one place" };
+    }
+
+    const start = lines
+      .slice(0, matches[0])
+      .reduce((offset, line) => offset + line.length + 1, 0);
+    const end =
+      start +
+      lines
+        .slice(matches[0], matches[0] + searchLines.length)
+        .join("\n").length;
+    return { start, end };
+  }
+}
+
+module.exports = EditSet;
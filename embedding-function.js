@@ -0,0 +1,65 @@
+const axios = require("axios");
+const LlmProvider = require("./llm-provider");
+
+/**
+ * Generates embeddings with the configured AI provider. Matches ChromaDB's
+ * embedding function interface (generate(texts) -> vectors) so it can be
+ * used by either vector store backend.
+ */
+class EmbeddingFunction {
+  /**
+   * @param {Object} config - { provider, apiBase, model, apiKey, timeout }
+   */
+  constructor(config) {
+    this.config = {
+      provider: config.provider,
+      apiBase: (
+        config.apiBase || LlmProvider.defaultApiBase(config.provider)
+      ).replace(/\/+$/, ""),
+      model: config.model,
+      apiKey: config.apiKey || "",
+      timeout: config.timeout || 60000,
+    };
+  }
+
+  /**
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async generate(texts) {
+    if (this.config.provider === "ollama") {
+      // /api/embeddings takes one prompt per request
+      const vectors = [];
+      for (const text of texts) {
+        const { data } = await axios.post(
+          `${this.config.apiBase}/api/embeddings`,
+          { model: this.config.model, prompt: text },
+          { timeout: this.config.timeout }
+        );
+        if (!data || !Array.isArray(data.embedding)) {
+          throw new Error("Unexpected response from Ollama embeddings endpoint");
+        }
+        vectors.push(data.embedding);
+      }
+      return vectors;
+    }
+
+    const headers = { "Content-Type": "application/json" };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    const { data } = await axios.post(
+      `${this.config.apiBase}/embeddings`,
+      { model: this.config.model, input: texts },
+      { headers, timeout: this.config.timeout }
+    );
+    if (!data || !Array.isArray(data.data)) {
+      throw new Error("Unexpected response from embeddings endpoint");
+    }
+    return data.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+}
+
+module.exports = EmbeddingFunction;
@@ -36,6 +36,11 @@ class ErrorHandler {
       try {
         return await fn(...args);
       } catch (error) {
+        // The user stopped the request, nothing to report
+        if (error && error.code === 'CANCELLED') {
+          return null;
+        }
+
         const { userMessage, shouldRetry, isFatal } = await this.handleError(error, context);
         
         if (isFatal) {
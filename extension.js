@@ -8,6 +8,20 @@ const StorageManager = require("./storage-manager");
 const PaywallManager = require("./paywall-manager");
 const ErrorHandler = require("./error-handler");
 const TelemetryService = require("./telemetry-service");
+const LlmProvider = require("./llm-provider");
+const InlineCompletionService = require("./inline-completion-service");
+const CompletionUsageTracker = require("./completion-usage-tracker");
+const EmbeddingFunction = require("./embedding-function");
+const HybridSearch = require("./hybrid-search");
+const DiagnosticHelper = require("./diagnostic-helper");
+const CodeApplier = require("./code-applier");
+const DocSourceConfig = require("./doc-source-config");
+const {
+  isCancellation,
+  linkCancellationToken,
+  raceWithSignal,
+  throwIfAborted,
+} = require("./cancellation");
 
 // Create data directory if it doesn't exist
 const ensureDataDirectory = () => {
@@ -18,6 +32,109 @@ const ensureDataDirectory = () => {
   return dataDir;
 };
 
+/**
+ * Reads the vector store settings. Embeddings come from the AI provider when
+ * an embedding model is set; otherwise the local store ranks with BM25.
+ * @returns {Object} - Options for ContextExtractor.configureVectorStore
+ */
+const getVectorStoreConfig = () => {
+  const config = vscode.workspace.getConfiguration("realtimeAiEditor");
+  const provider = config.get("ai.provider", "offline");
+  const embeddingModel = config.get("vectorStore.embeddingModel", "");
+  const embeddingFunction =
+    embeddingModel && (provider === "ollama" || provider === "openai")
+      ? new EmbeddingFunction({
+          provider,
+          apiBase: config.get("ai.apiBase", ""),
+          model: embeddingModel,
+          apiKey: config.get("ai.apiKey", ""),
+          timeout: config.get("ai.requestTimeout", 60000),
+        })
+      : null;
+
+  return {
+    backend: config.get("vectorStore.backend", "local"),
+    chromaUrl: config.get("vectorStore.chromaUrl", "http://localhost:8000"),
+    embeddingFunction,
+    chunkTokens: config.get("vectorStore.chunkTokens", 400),
+    chunkOverlap: config.get("vectorStore.chunkOverlap", 60),
+  };
+};
+
+/**
+ * Reads the workspace code index settings
+ * @returns {Object} - Options for ContextExtractor.configureCodeIndex
+ */
+const getCodeIndexConfig = () => {
+  const config = vscode.workspace.getConfiguration("realtimeAiEditor");
+  return {
+    enabled: config.get("codeIndex.enabled", true),
+    maxFiles: config.get("codeIndex.maxFiles", 2000),
+    workspaceFolders: (vscode.workspace.workspaceFolders || []).map(
+      (folder) => folder.uri.fsPath
+    ),
+  };
+};
+
+/**
+ * Reads the context depth settings
+ * @returns {Object} - Requested depth and token budget
+ */
+const getProjectContextConfig = () => {
+  const config = vscode.workspace.getConfiguration("realtimeAiEditor");
+  return {
+    depth: config.get("contextDepth", "file"),
+    tokenBudget: config.get("contextTokenBudget", 4000),
+  };
+};
+
+/**
+ * Reads the documentation crawler settings
+ * @returns {Object} - Options for DocDiffer.configureCrawler
+ */
+const getCrawlerConfig = () => {
+  const config = vscode.workspace.getConfiguration("realtimeAiEditor");
+  return {
+    maxDepth: config.get("crawler.maxDepth", 2),
+    maxPages: config.get("crawler.maxPages", 50),
+    delayMs: config.get("crawler.delayMs", 500),
+    concurrencyPerHost: config.get("crawler.concurrencyPerHost", 2),
+  };
+};
+
+/**
+ * Reads the documentation sources declared in settings and in each workspace
+ * folder's .realtime-ai/sources.json, the files taking precedence. The files
+ * are only read in trusted workspaces: a cloned repository must not be able
+ * to make the extension crawl hosts of its choosing.
+ * @returns {Object} - { declarations, errors, skippedFiles }, declarations
+ *   for DocDiffer.configureSources, errors for unreadable files and the
+ *   sources files ignored because the workspace isn't trusted
+ */
+const getDocSourceDeclarations = () => {
+  const config = vscode.workspace.getConfiguration("realtimeAiEditor");
+  const declarations = [
+    {
+      origin: "realtimeAiEditor.docSources",
+      entries: config.get("docSources", []),
+    },
+  ];
+  const errors = [];
+  const skippedFiles = [];
+  (vscode.workspace.workspaceFolders || []).forEach((folder) => {
+    const filePath = DocSourceConfig.filePath(folder.uri.fsPath);
+    const origin = vscode.workspace.asRelativePath(filePath);
+    if (!vscode.workspace.isTrusted) {
+      if (fs.existsSync(filePath)) skippedFiles.push(origin);
+      return;
+    }
+    const { entries, error } = DocSourceConfig.readFile(filePath);
+    if (error) errors.push(`${origin}: ${error}`);
+    if (entries) declarations.push({ origin, entries });
+  });
+  return { declarations, errors, skippedFiles };
+};
+
 /**
  * @param {vscode.ExtensionContext} context
  */
@@ -33,7 +150,39 @@ async function activate(context) {
   const paywallManager = new PaywallManager(storageManager, telemetryService);
   const errorHandler = new ErrorHandler(telemetryService);
   const docDiffer = new DocDiffer(path.join(dataDir, "docs.json"));
-  const contextExtractor = new ContextExtractor();
+  const contextExtractor = new ContextExtractor({
+    storagePath: context.globalStorageUri.fsPath,
+    workspaceStoragePath: context.storageUri ? context.storageUri.fsPath : null,
+    vectorStore: getVectorStoreConfig(),
+    codeIndex: getCodeIndexConfig(),
+  });
+
+  // Use the configured context depth as far as the plan allows
+  const configureProjectContext = async (promptUpgrade) => {
+    const config = getProjectContextConfig();
+    const checkResult = await paywallManager.checkUsage(
+      "contextDepth",
+      config.depth
+    );
+    contextExtractor.configureProjectContext({
+      ...config,
+      depth: checkResult.allowed ? config.depth : checkResult.allowedDepth,
+    });
+    await storageManager.setContextDepth(config.depth);
+    if (!checkResult.allowed && promptUpgrade) {
+      paywallManager.showUpgradePrompt(
+        config.depth === "workspace" ? "workspaceContext" : "projectContext"
+      );
+    }
+  };
+  configureProjectContext(false).catch((error) =>
+    console.error("Failed to configure context depth:", error)
+  );
+
+  const hybridSearch = new HybridSearch({
+    contextExtractor,
+    getDocs: () => docDiffer.previousDocs,
+  });
   // Create a status bar item
   const statusBarItem = vscode.window.createStatusBarItem(
     vscode.StatusBarAlignment.Right,
@@ -63,33 +212,203 @@ async function activate(context) {
     }
   };
 
+  // Created here so it outlives the webview, which is disposed on close
+  const codeApplier = new CodeApplier();
   const webviewPanel = new WebviewPanel(
     context,
     contextExtractor,
     docDiffer,
-    updateStatusBar
+    updateStatusBar,
+    codeApplier
   );
 
-  // Initialize collection status
-  contextExtractor.getCollectionStatus().then((status) => {
-    console.log(
-      `ChromaDB collection status: ${status.status}, documents: ${status.count}`
+  // Add saved docs missing from the vector store and drop stale entries
+  const syncVectorStore = () =>
+    contextExtractor
+      .syncCollection(docDiffer.previousDocs)
+      .then((result) => {
+        console.log("Synced vector store:", result.message || result.error);
+        return contextExtractor.getCollectionStatus();
+      })
+      .then((status) =>
+        console.log(
+          `Vector store (${status.backend}) status: ${status.status}, documents: ${status.count}`
+        )
+      )
+      .catch((err) => console.error("Failed to sync vector store:", err));
+  syncVectorStore();
+
+  // Index the workspace's own code next to the docs
+  const indexWorkspaceCode = () =>
+    contextExtractor
+      .indexWorkspaceCode()
+      .then((result) => {
+        if (!result) return;
+        console.log(
+          `Indexed workspace code: ${result.indexed} of ${result.files} files updated, ${result.removed} removed, ${result.count} chunks`
+        );
+      })
+      .catch((err) => console.error("Failed to index workspace code:", err));
+  indexWorkspaceCode();
+
+  // Keep the code index and path aliases current as files change
+  const codeWatcher = vscode.workspace.createFileSystemWatcher("**/*");
+  const isImportConfig = (uri) =>
+    ["tsconfig.json", "jsconfig.json"].includes(path.basename(uri.fsPath));
+  const onCodeFileChange = (uri) => {
+    if (isImportConfig(uri)) {
+      // Path aliases may have changed
+      contextExtractor.clearImportCache();
+      return;
+    }
+    if (path.basename(uri.fsPath) === ".gitignore") {
+      indexWorkspaceCode();
+      return;
+    }
+    queueCodeChange(uri.fsPath, "change");
+  };
+  // Changes come in bursts, e.g. on a branch switch or format-on-save of
+  // many files; they are indexed together once the burst is over
+  const pendingCodeChanges = new Map(); // path -> "change" or "delete"
+  let codeChangeTimer = null;
+  const flushCodeChanges = () => {
+    codeChangeTimer = null;
+    const changed = [];
+    const deleted = [];
+    pendingCodeChanges.forEach((kind, filePath) =>
+      (kind === "delete" ? deleted : changed).push(filePath)
     );
-    if (status.count === 0) {
-      // If collection is empty, initialize it with existing docs
-      const docsForChroma = docDiffer.getDocsForChroma();
-      if (Object.keys(docsForChroma).length > 0) {
-        contextExtractor
-          .updateCollection(docsForChroma)
-          .then((result) =>
-            console.log("Initialized ChromaDB collection:", result)
-          )
-          .catch((err) =>
-            console.error("Failed to initialize ChromaDB collection:", err)
-          );
-      }
+    pendingCodeChanges.clear();
+    if (deleted.length > 0) {
+      contextExtractor
+        .removeCodeFiles(deleted)
+        .catch((err) =>
+          console.error("Failed to remove files from index:", err)
+        );
     }
+    if (changed.length > 0) {
+      contextExtractor
+        .updateCodeFiles(changed)
+        .catch((err) => console.error("Failed to index files:", err));
+    }
+  };
+  const queueCodeChange = (filePath, kind) => {
+    pendingCodeChanges.set(filePath, kind);
+    clearTimeout(codeChangeTimer);
+    codeChangeTimer = setTimeout(flushCodeChanges, 500);
+  };
+  codeWatcher.onDidChange(onCodeFileChange);
+  codeWatcher.onDidCreate(onCodeFileChange);
+  codeWatcher.onDidDelete((uri) => {
+    if (isImportConfig(uri)) contextExtractor.clearImportCache();
+    queueCodeChange(uri.fsPath, "delete");
   });
+  const codeChangeQueue = {
+    dispose: () => clearTimeout(codeChangeTimer),
+  };
+
+  const codeIndexConfigChange = vscode.workspace.onDidChangeConfiguration(
+    (event) => {
+      if (event.affectsConfiguration("realtimeAiEditor.codeIndex")) {
+        contextExtractor.configureCodeIndex(getCodeIndexConfig());
+        indexWorkspaceCode();
+      }
+    }
+  );
+  // Documentation sources beyond Next.js and Tailwind
+  let notifiedUntrusted = false;
+  const configureDocSources = () => {
+    const { declarations, errors, skippedFiles } = getDocSourceDeclarations();
+    const problems = [...errors, ...docDiffer.configureSources(declarations)];
+    if (problems.length > 0) {
+      vscode.window.showWarningMessage(
+        `Some documentation sources were skipped. ${problems.join("; ")}`
+      );
+    }
+    // Said once per session; trusting the workspace reads the files
+    if (skippedFiles.length > 0 && !notifiedUntrusted) {
+      notifiedUntrusted = true;
+      vscode.window.showInformationMessage(
+        `Documentation sources in ${skippedFiles.join(
+          ", "
+        )} are ignored until you trust this workspace.`
+      );
+    }
+  };
+  configureDocSources();
+  docDiffer.configureCrawler(getCrawlerConfig());
+  const docSourcesConfigChange = vscode.workspace.onDidChangeConfiguration(
+    (event) => {
+      if (event.affectsConfiguration("realtimeAiEditor.docSources")) {
+        configureDocSources();
+      }
+      if (event.affectsConfiguration("realtimeAiEditor.crawler")) {
+        docDiffer.configureCrawler(getCrawlerConfig());
+      }
+    }
+  );
+  const docSourcesWatcher = vscode.workspace.createFileSystemWatcher(
+    "**/.realtime-ai/sources.json"
+  );
+  docSourcesWatcher.onDidCreate(configureDocSources);
+  docSourcesWatcher.onDidChange(configureDocSources);
+  docSourcesWatcher.onDidDelete(configureDocSources);
+  const workspaceTrustGrant =
+    vscode.workspace.onDidGrantWorkspaceTrust(configureDocSources);
+
+  const workspaceFoldersChange = vscode.workspace.onDidChangeWorkspaceFolders(
+    () => {
+      contextExtractor.configureCodeIndex(getCodeIndexConfig());
+      indexWorkspaceCode();
+      configureDocSources();
+    }
+  );
+
+  // Refresh the sources whose refresh cadence is due, in the background.
+  // It waits for any other refresh in the panel's refresh lane, and never
+  // takes the last of the plan's daily refreshes, which stays the user's.
+  const refreshDueDocSources = () =>
+    webviewPanel.scheduler.schedule("refresh", async () => {
+      // A manual refresh may have covered them while this one waited
+      const dueSources = docDiffer.getDueSources();
+      if (dueSources.length === 0) return;
+      if ((await paywallManager.remainingUsage("docRefresh")) <= 1) {
+        console.log(
+          "Scheduled documentation refresh skipped: the plan's last refresh " +
+            "of the day is left for the user"
+        );
+        return;
+      }
+      const checkResult = await paywallManager.checkAndIncrementUsage(
+        "docRefresh"
+      );
+      if (!checkResult.allowed) return;
+
+      const processResult = await docDiffer.processDocs(
+        dueSources.map((source) => source.type),
+        { showProgress: false }
+      );
+      if (!processResult.success) {
+        throw new Error(
+          processResult.error || "Failed to process documentation"
+        );
+      }
+      await contextExtractor.updateCollection(processResult.differences);
+      webviewPanel.sendRefreshResult(processResult);
+    });
+  const runScheduledDocRefresh = () =>
+    refreshDueDocSources().catch((error) =>
+      console.error("Scheduled documentation refresh failed:", error)
+    );
+  // First check once startup work such as the vector store sync is done
+  const firstDocRefresh = setTimeout(runScheduledDocRefresh, 60 * 1000);
+  const docRefreshTimer = setInterval(runScheduledDocRefresh, 60 * 60 * 1000);
+  const docRefreshSchedule = {
+    dispose: () => {
+      clearTimeout(firstDocRefresh);
+      clearInterval(docRefreshTimer);
+    },
+  };
 
   // Register commands
   let openAiAssistant = vscode.commands.registerCommand(
@@ -137,18 +456,35 @@ async function activate(context) {
         {
           location: vscode.ProgressLocation.Notification,
           title: "Refreshing documentation...",
-          cancellable: false,
+          cancellable: true,
         },
-        async (progress) => {
+        async (progress, token) => {
+          const controller = new AbortController();
+          const cancellation = linkCancellationToken(token, controller);
+          let release = null;
+
           try {
+            // One refresh at a time, shared with the panel and the schedule
+            progress.report({
+              increment: 0,
+              message: "Waiting for other documentation refreshes...",
+            });
+            release = await webviewPanel.scheduler.acquire("refresh", {
+              signal: controller.signal,
+            });
+
             // Process the documentation
             progress.report({
               increment: 0,
               message: "Starting documentation refresh...",
             });
 
-            // Fetch and process the latest docs
-            const processResult = await docDiffer.processDocs();
+            // Fetch and process the latest docs, reporting the pages in
+            // this notification rather than opening a second one
+            const processResult = await docDiffer.processDocs([], {
+              signal: controller.signal,
+              progress,
+            });
 
             if (!processResult.success) {
               throw new Error(
@@ -156,15 +492,15 @@ async function activate(context) {
               );
             }
 
+            throwIfAborted(controller.signal);
             progress.report({
               increment: 70,
               message: "Updating vector database...",
             });
 
-            // Update the ChromaDB collection with the latest docs
-            const docsForChroma = docDiffer.getDocsForChroma();
+            // Apply only what changed to the vector store
             const updateResult = await contextExtractor.updateCollection(
-              docsForChroma
+              processResult.differences
             );
 
             if (!updateResult.success) {
@@ -172,6 +508,7 @@ async function activate(context) {
                 updateResult.error || "Failed to update vector database"
               );
             }
+            console.log(updateResult.message);
 
             progress.report({ increment: 30, message: "Finalizing..." });
 
@@ -179,18 +516,32 @@ async function activate(context) {
             webviewPanel.sendRefreshResult(processResult);
 
             const { differences } = processResult;
+            const pages = DocDiffer.describePages(processResult.pages);
             vscode.window.showInformationMessage(
-              `Documentation refreshed! New: ${differences.newCount}, Updated: ${differences.updatedCount}, Removed: ${differences.removedCount}`
+              `Documentation refreshed! New: ${differences.newCount}, Updated: ${differences.updatedCount}, Removed: ${differences.removedCount}${
+                pages ? `. ${pages}` : ""
+              }`
             );
 
             return processResult;
           } catch (error) {
+            if (isCancellation(error)) {
+              vscode.window.showInformationMessage(
+                "Documentation refresh cancelled."
+              );
+              webviewPanel.sendRefreshCancelled();
+              throw error;
+            }
+
             vscode.window.showErrorMessage(
               `Failed to refresh docs: ${error.message}`
             );
             // If webview is open, send the error
             webviewPanel.sendRefreshError(error.message);
             throw error;
+          } finally {
+            if (release) release();
+            cancellation.dispose();
           }
         }
       );
@@ -227,27 +578,42 @@ async function activate(context) {
       telemetryService.logFeatureUsage("contextual_help");
 
       // Use optimized method to get context and docs in one call
-      vscode.window.withProgress(
+      await vscode.window.withProgress(
         {
-          location: vscode.ProgressLocation.Window,
+          location: vscode.ProgressLocation.Notification,
           title: "Processing your query...",
-          cancellable: false,
+          cancellable: true,
         },
-        async (progress) => {
-          progress.report({
-            increment: 0,
-            message: "Analyzing code context...",
-          });
+        async (progress, token) => {
+          const controller = new AbortController();
+          const cancellation = linkCancellationToken(token, controller);
+
+          try {
+            progress.report({
+              increment: 0,
+              message: "Analyzing code context...",
+            });
 
-          // Get context and relevant docs in one optimized call
-          const { context, docs } = await contextExtractor.getContextAndDocs(5);
+            // Get context and relevant docs in one optimized call
+            const { context, docs } = await raceWithSignal(
+              contextExtractor.getContextAndDocs(5),
+              controller.signal
+            );
 
-          progress.report({ increment: 50, message: "Generating response..." });
+            progress.report({
+              increment: 50,
+              message: "Generating response...",
+            });
 
-          // Send the query to the webview panel with context and docs
-          webviewPanel.handleAiQuery(query, context, docs);
+            // Send the query to the webview panel; cancelling the notification stops it
+            await webviewPanel.handleAiQuery(query, context, docs, {
+              signal: controller.signal,
+            });
 
-          progress.report({ increment: 50, message: "Done!" });
+            progress.report({ increment: 50, message: "Done!" });
+          } finally {
+            cancellation.dispose();
+          }
         }
       );
     }, "getContextualHelp")
@@ -274,6 +640,36 @@ async function activate(context) {
     }, "getCurrentContext")
   );
 
+  // Inline completions use their own provider instance so they never
+  // fall back to the offline chat templates
+  const completionProvider = new LlmProvider();
+  const inlineCompletionService = new InlineCompletionService({
+    llmProvider: completionProvider,
+    contextExtractor,
+  });
+  const completionUsageTracker = new CompletionUsageTracker(
+    storageManager,
+    telemetryService
+  );
+
+  // Read the AI and completion settings on each request so changes apply immediately
+  const configureInlineCompletions = () => {
+    const config = vscode.workspace.getConfiguration("realtimeAiEditor");
+    completionProvider.configure({
+      provider: config.get("ai.provider", "offline"),
+      apiBase: config.get("ai.apiBase", ""),
+      model: config.get("ai.model", ""),
+      apiKey: config.get("ai.apiKey", ""),
+      timeout: config.get("ai.requestTimeout", 60000),
+    });
+    inlineCompletionService.configure({
+      model: config.get("completion.model", ""),
+      debounceMs: config.get("completion.debounceMs", 300),
+      maxLines: config.get("completion.maxLines", 10),
+    });
+    return config.get("completion.enabled", true);
+  };
+
   // Register inline code suggestion provider
   const inlineProvider = vscode.languages.registerInlineCompletionItemProvider(
     { pattern: "**" },
@@ -284,122 +680,119 @@ async function activate(context) {
         context,
         token
       ) => {
+        const controller = new AbortController();
+        const cancellation = linkCancellationToken(token, controller);
+
         try {
-          // Check if user has permission to use completions
-          const checkResult = await paywallManager.checkAndIncrementUsage(
-            "completion"
-          );
+          if (!configureInlineCompletions() || !completionProvider.isRemote()) {
+            return { items: [] };
+          }
+
+          // Only accepted suggestions use up the quota, see acceptInlineCompletion
+          const checkResult = await paywallManager.checkUsage("completion");
           if (!checkResult.allowed) {
             // Don't show warning here to avoid disrupting the user
             return { items: [] };
           }
 
-          // Log feature usage
-          telemetryService.logFeatureUsage("inline_completion");
-
-          // Get the current line text up to the cursor position
-          const linePrefix = document
-            .lineAt(position.line)
-            .text.substring(0, position.character);
+          // Split the surrounding code at the cursor (up to 100 lines before, 30 after)
+          const startLine = Math.max(0, position.line - 100);
+          const endLine = Math.min(document.lineCount - 1, position.line + 30);
+          const prefix = document.getText(
+            new vscode.Range(new vscode.Position(startLine, 0), position)
+          );
+          const suffix = document.getText(
+            new vscode.Range(
+              position,
+              new vscode.Position(endLine, document.lineAt(endLine).text.length)
+            )
+          );
 
-          // Skip if line is empty or just whitespace
-          if (!linePrefix.trim()) {
+          const completion = await inlineCompletionService.provide(
+            {
+              prefix,
+              suffix,
+              language: document.languageId,
+              fileName: path.basename(document.fileName),
+            },
+            { signal: controller.signal }
+          );
+          if (!completion || token.isCancellationRequested) {
             return { items: [] };
           }
 
-          // Get file context
-          const fileContext = {
+          const usageId = await completionUsageTracker.shown({
             fileName: document.fileName,
-            fileExtension: document.fileName.split(".").pop(),
-            language: document.languageId,
-            linePrefix,
-          };
-
-          // Get surrounding code (10 lines before and after)
-          const startLine = Math.max(0, position.line - 10);
-          const endLine = Math.min(document.lineCount - 1, position.line + 10);
-          const contextRange = new vscode.Range(
-            new vscode.Position(startLine, 0),
-            new vscode.Position(endLine, document.lineAt(endLine).text.length)
+            offset: document.offsetAt(position),
+            prefix,
+            text: completion,
+          });
+          const item = new vscode.InlineCompletionItem(
+            completion,
+            new vscode.Range(position, position)
           );
-          const surroundingCode = document.getText(contextRange);
-
-          // In a real implementation, this would call an AI service
-          // For now, we'll generate some contextual suggestions based on the language
-
-          let suggestions = [];
-
-          // Generate language-specific suggestions
-          switch (document.languageId) {
-            case "javascript":
-            case "typescript":
-              if (
-                linePrefix.includes("function") ||
-                linePrefix.includes("=>")
-              ) {
-                suggestions.push("(params) => { /* implementation */ }");
-              } else if (linePrefix.includes("if")) {
-                suggestions.push("(condition) { /* implementation */ }");
-              } else if (
-                linePrefix.includes("const") ||
-                linePrefix.includes("let")
-              ) {
-                suggestions.push(" = /* value */;");
-              } else if (linePrefix.includes("import")) {
-                suggestions.push(' { Component } from "react";');
-              } else if (linePrefix.includes("console.")) {
-                suggestions.push('log("Debug information");');
-              } else {
-                suggestions.push("// Add your code here");
-              }
-              break;
-
-            case "html":
-            case "jsx":
-            case "tsx":
-              if (linePrefix.includes("<div")) {
-                suggestions.push(' className="container">Content</div>');
-              } else if (linePrefix.includes("<")) {
-                suggestions.push('div className="wrapper">Content</div>');
-              } else {
-                suggestions.push('<div className="container">Content</div>');
-              }
-              break;
-
-            case "css":
-            case "scss":
-              if (linePrefix.includes("margin")) {
-                suggestions.push(": 10px;");
-              } else if (linePrefix.includes("padding")) {
-                suggestions.push(": 15px;");
-              } else if (linePrefix.includes("color")) {
-                suggestions.push(": #3366ff;");
-              } else if (linePrefix.includes(".")) {
-                suggestions.push(" { /* styles */ }");
-              } else {
-                suggestions.push("property: value;");
-              }
-              break;
-
-            default:
-              suggestions.push("// Smart suggestion based on context");
-          }
-
-          // Create completion items
-          return {
-            items: suggestions.map((text) => ({
-              insertText: text,
-              range: new vscode.Range(position, position),
-            })),
+          // Runs after the suggestion is inserted
+          item.command = {
+            command: "realtime-ai-editor.acceptInlineCompletion",
+            title: "Accept Inline Completion",
+            arguments: [usageId],
           };
+          return { items: [item] };
         } catch (error) {
-          errorHandler.handleError(error, "inlineCompletion");
+          if (!isCancellation(error)) {
+            errorHandler.handleError(error, "inlineCompletion");
+          }
           return { items: [] };
+        } finally {
+          cancellation.dispose();
         }
       },
     }
   );
 
+  // Count accepted inline suggestions towards the completions quota
+  const acceptInlineCompletion = vscode.commands.registerCommand(
+    "realtime-ai-editor.acceptInlineCompletion",
+    (usageId) =>
+      completionUsageTracker.accepted(usageId).catch((error) => {
+        console.error("Failed to record accepted completion:", error);
+      })
+  );
+
+  // Reopen the vector store when its backend or embedding settings change
+  const vectorStoreConfigChange = vscode.workspace.onDidChangeConfiguration(
+    (event) => {
+      if (
+        event.affectsConfiguration("realtimeAiEditor.vectorStore") ||
+        event.affectsConfiguration("realtimeAiEditor.ai")
+      ) {
+        contextExtractor.configureVectorStore(getVectorStoreConfig());
+        syncVectorStore();
+        indexWorkspaceCode();
+      }
+    }
+  );
+
+  const contextDepthConfigChange = vscode.workspace.onDidChangeConfiguration(
+    (event) => {
+      if (
+        event.affectsConfiguration("realtimeAiEditor.contextDepth") ||
+        event.affectsConfiguration("realtimeAiEditor.contextTokenBudget")
+      ) {
+        configureProjectContext(true).catch((error) =>
+          console.error("Failed to configure context depth:", error)
+        );
+      }
+    }
+  );
+
+  // A suggestion left behind in another editor was not accepted
+  const inlineEditorChange = vscode.window.onDidChangeActiveTextEditor(() => {
+    completionUsageTracker.flush().catch((error) => {
+      console.error("Failed to record dismissed completion:", error);
+    });
+  });
+
   // Register code suggestions command
   let getCodeSuggestions = vscode.commands.registerCommand(
     "realtime-ai-editor.getCodeSuggestions",
@@ -415,13 +808,13 @@ async function activate(context) {
       }
 
       // Show progress indicator
-      vscode.window.withProgress(
+      const completed = await vscode.window.withProgress(
         {
-          location: vscode.ProgressLocation.Window,
+          location: vscode.ProgressLocation.Notification,
           title: "Generating code suggestions...",
-          cancellable: false,
+          cancellable: true,
         },
-        async (progress) => {
+        async (progress, token) => {
           progress.report({
             increment: 0,
             message: "Analyzing code context...",
@@ -429,6 +822,7 @@ async function activate(context) {
 
           // Use optimized method to get context and docs in one call
           const { context, docs } = await contextExtractor.getContextAndDocs(3);
+          if (token.isCancellationRequested) return false;
 
           progress.report({
             increment: 70,
@@ -442,8 +836,10 @@ async function activate(context) {
           webviewPanel.sendCodeSuggestions(context, docs);
 
           progress.report({ increment: 30, message: "Done!" });
+          return true;
         }
       );
+      if (!completed) return;
 
       const editor = vscode.window.activeTextEditor;
       if (!editor) {
@@ -471,9 +867,9 @@ async function activate(context) {
     errorHandler.createErrorBoundary(async () => {
       // Get user query
       const query = await vscode.window.showInputBox({
-        placeHolder: "Search documentation",
+        placeHolder: "Search documentation, e.g. generateStaticParams type:nextjs",
         prompt:
-          "Enter keywords to search in Next.js and Tailwind documentation",
+          "Enter keywords or API names to search in Next.js and Tailwind documentation",
       });
 
       if (!query) return;
@@ -481,11 +877,8 @@ async function activate(context) {
       // Open the webview panel if not already open
       webviewPanel.createOrShow();
 
-      // Find relevant docs
-      const relevantDocs = await contextExtractor.findRelevantDocs(
-        { surroundingCode: query },
-        5
-      );
+      // Find relevant docs with keyword and vector search combined
+      const relevantDocs = await hybridSearch.search(query, 5);
 
       // Send the search results to the webview
       webviewPanel.sendDocsSearchResults(query, relevantDocs);
@@ -510,6 +903,64 @@ async function activate(context) {
     }, "openSettings")
   );
 
+  let exportConversation = vscode.commands.registerCommand(
+    "realtime-ai-editor.exportConversation",
+    errorHandler.createErrorBoundary(async () => {
+      // The chat open in the assistant, or a saved one picked from the history
+      await webviewPanel.exportConversation(webviewPanel.conversationId);
+    }, "exportConversation")
+  );
+
+  let importConversation = vscode.commands.registerCommand(
+    "realtime-ai-editor.importConversation",
+    errorHandler.createErrorBoundary(async () => {
+      await webviewPanel.importConversation();
+    }, "importConversation")
+  );
+
+  // Open the assistant with a debug question about a diagnostic
+  const fixWithAi = vscode.commands.registerCommand(
+    "realtime-ai-editor.fixWithAi",
+    errorHandler.createErrorBoundary(async (uri, diagnostic) => {
+      // Select the diagnostic so its code is what the context is built around
+      await vscode.window.showTextDocument(uri, {
+        selection: diagnostic.range,
+      });
+      webviewPanel.createOrShow();
+
+      const origin = diagnostic.source ? `${diagnostic.source} ` : "";
+      webviewPanel.prefillQuery(
+        `Fix the ${origin}${DiagnosticHelper.severityName(
+          diagnostic.severity
+        )} on line ${diagnostic.range.start.line + 1}: ${diagnostic.message}`,
+        { mode: "debug" }
+      );
+      telemetryService.logFeatureUsage("fix_with_ai");
+    }, "fixWithAi")
+  );
+
+  // Offer "Fix with RealTime AI" on every diagnostic in the lightbulb menu
+  const fixCodeActions = vscode.languages.registerCodeActionsProvider(
+    { scheme: "file" },
+    {
+      provideCodeActions: (document, range, codeActionContext) =>
+        codeActionContext.diagnostics.map((diagnostic) => {
+          const action = new vscode.CodeAction(
+            "Fix with RealTime AI",
+            vscode.CodeActionKind.QuickFix
+          );
+          action.diagnostics = [diagnostic];
+          action.command = {
+            command: "realtime-ai-editor.fixWithAi",
+            title: "Fix with RealTime AI",
+            arguments: [document.uri, diagnostic],
+          };
+          return action;
+        }),
+    },
+    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+  );
+
   // First-run telemetry opt-in prompt
   const telemetryKey = "realtimeAiEditor.telemetryOptInShown";
   const alreadyShown = context.globalState.get(telemetryKey, false);
@@ -547,7 +998,24 @@ async function activate(context) {
     getCodeSuggestions,
     searchDocs,
     openSettings,
+    exportConversation,
+    importConversation,
+    fixWithAi,
+    fixCodeActions,
     inlineProvider,
+    acceptInlineCompletion,
+    inlineEditorChange,
+    vectorStoreConfigChange,
+    contextDepthConfigChange,
+    codeWatcher,
+    codeChangeQueue,
+    codeIndexConfigChange,
+    workspaceFoldersChange,
+    docSourcesConfigChange,
+    docSourcesWatcher,
+    workspaceTrustGrant,
+    docRefreshSchedule,
+    codeApplier,
     webviewPanel
   );
 }
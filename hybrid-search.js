@@ -0,0 +1,179 @@
+const Bm25Index = require("./bm25-index");
+
+// Rank constant from the reciprocal rank fusion paper, damps the top ranks
+const RRF_K = 60;
+
+/**
+ * Documentation search for the searchDocs command. Combines a BM25 keyword
+ * index over the docs in data/docs.json with vector similarity using
+ * reciprocal rank fusion, so exact API names like generateStaticParams or
+ * space-x-4 rank first while natural language queries still work.
+ */
+class HybridSearch {
+  /**
+   * @param {Object} options
+   * @param {Object} options.contextExtractor - Provides chunkDoc, toHit and findRelevantDocs
+   * @param {Function} options.getDocs - Returns the saved docs keyed by `type:title`
+   */
+  constructor(options) {
+    this.contextExtractor = options.contextExtractor;
+    this.getDocs = options.getDocs;
+    this.index = null;
+    this.chunks = new Map(); // chunk id -> { document, metadata }
+    this.indexedDocs = null;
+    this.indexedChunker = null;
+  }
+
+  /**
+   * Splits `type:` filters off the query, e.g. "space-x-4 type:tailwind".
+   * Several types can be given comma separated or as repeated filters.
+   * @param {string} query
+   * @returns {Object} - { text, types }
+   */
+  static parseQuery(query) {
+    const types = [];
+    const text = String(query || "")
+      .replace(/(^|\s)type:(\S*)/gi, (match, space, value) => {
+        value
+          .split(",")
+          .filter(Boolean)
+          .forEach((type) => types.push(type.toLowerCase()));
+        return " ";
+      })
+      .replace(/\s+/g, " ")
+      .trim();
+    return { text, types: [...new Set(types)] };
+  }
+
+  /**
+   * Like Bm25Index.tokenize, but also keeps compound identifiers such as
+   * generateStaticParams or space-x-4 as a single term, so an exact match
+   * outranks pages that only mention the parts
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  static tokenize(text) {
+    const terms = [];
+    String(text || "")
+      .split(/[^A-Za-z0-9_.$-]+/)
+      .forEach((word) => {
+        const identifier = word.replace(/^[-_.$]+|[-_.$]+$/g, "");
+        const parts = Bm25Index.tokenize(identifier);
+        if (/[a-z0-9][A-Z]|[a-zA-Z0-9][-_.$][a-zA-Z0-9]/.test(identifier)) {
+          terms.push(identifier.toLowerCase());
+        }
+        terms.push(...parts);
+      });
+    return terms;
+  }
+
+  /**
+   * Merges ranked hit lists with reciprocal rank fusion. The fused score is
+   * scaled so a hit ranked first by every non-empty list scores 1.
+   * @param {Array<Array<Object>>} rankings - Hit lists with an id, best first
+   * @param {number} limit - Maximum number of hits
+   * @returns {Array<Object>} - Fused hits, best first
+   */
+  static fuse(rankings, limit) {
+    const fused = new Map();
+    rankings.forEach((hits) => {
+      hits.forEach((hit, rank) => {
+        const entry = fused.get(hit.id) || { hit, rrf: 0 };
+        entry.rrf += 1 / (RRF_K + rank + 1);
+        fused.set(hit.id, entry);
+      });
+    });
+
+    const lists = rankings.filter((hits) => hits.length > 0).length;
+    return [...fused.values()]
+      .sort((a, b) => b.rrf - a.rrf)
+      .slice(0, limit)
+      .map(({ hit, rrf }) => ({
+        ...hit,
+        score: Math.min(1, (rrf * (RRF_K + 1)) / lists),
+      }));
+  }
+
+  /**
+   * Searches the documentation
+   * @param {string} query - User query, may contain `type:` filters
+   * @param {number} [maxResults] - Maximum number of hits
+   * @returns {Promise<Array<Object>>} - Hits shaped like ContextExtractor.findRelevantDocs
+   */
+  async search(query, maxResults = 5) {
+    const { text, types } = HybridSearch.parseQuery(query);
+    if (!text) return [];
+
+    // Fetch extra candidates from each ranker so fusion can reorder them
+    const candidates = maxResults * 4;
+    const [keywordHits, vectorHits] = await Promise.all([
+      this._keywordSearch(text, types, candidates),
+      this.contextExtractor
+        .findRelevantDocs({ surroundingCode: text }, candidates, { types })
+        .catch((error) => {
+          console.error("Vector search failed, using keywords only:", error);
+          return [];
+        }),
+    ]);
+
+    return HybridSearch.fuse([keywordHits, vectorHits], maxResults);
+  }
+
+  /**
+   * Ranks doc chunks with BM25
+   * @param {string} text
+   * @param {Array<string>} types - Allowed doc types, all when empty
+   * @param {number} limit
+   * @returns {Array<Object>}
+   */
+  _keywordSearch(text, types, limit) {
+    this._ensureIndex();
+    const hits = this.index.search(text, {
+      limit,
+      filter:
+        types.length > 0
+          ? (id) => types.includes(this.chunks.get(id).metadata.type)
+          : undefined,
+    });
+
+    const topScore = hits.length > 0 ? hits[0].score : 1;
+    return hits.map(({ id, score }) => {
+      const chunk = this.chunks.get(id);
+      return this.contextExtractor.toHit(
+        id,
+        chunk.document,
+        chunk.metadata,
+        score / topScore
+      );
+    });
+  }
+
+  /**
+   * (Re)builds the keyword index when the docs were refreshed or the chunk
+   * settings changed, using the same chunks as the vector store
+   */
+  _ensureIndex() {
+    const docs = this.getDocs() || {};
+    const chunker = this.contextExtractor.chunker;
+    if (
+      this.index &&
+      this.indexedDocs === docs &&
+      this.indexedChunker === chunker
+    ) {
+      return;
+    }
+
+    this.index = new Bm25Index({ tokenize: HybridSearch.tokenize });
+    this.chunks = new Map();
+    Object.entries(docs).forEach(([key, doc]) => {
+      this.contextExtractor.chunkDoc(key, doc).forEach((chunk) => {
+        this.chunks.set(chunk.id, chunk);
+        this.index.add(chunk.id, chunk.document);
+      });
+    });
+    this.indexedDocs = docs;
+    this.indexedChunker = chunker;
+  }
+}
+
+module.exports = HybridSearch;
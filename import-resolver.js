@@ -0,0 +1,453 @@
+const fs = require("fs");
+const path = require("path");
+
+// Tried in order when an import leaves out the extension
+const RESOLVE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+const SCRIPT_FILE = /\.(?:[mc]?[jt]s|[jt]sx)$/;
+// Modules bigger than this are usually generated
+const MAX_MODULE_BYTES = 200 * 1024;
+
+const TYPE_DECLARATION =
+  /^(export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+([A-Za-z_$][\w$]*)/;
+const DEFAULT_EXPORT = /^export\s+default\s+([A-Za-z_$][\w$]*)\s*;?\s*$/;
+const MODULE_EXPORT = /^module\.exports\s*=\s*([A-Za-z_$][\w$]*)\s*;?\s*$/;
+const VALUE_DECLARATIONS = [
+  /^(export\s+(?:default\s+)?)?(?:declare\s+)?(?:async\s+)?function\*?\s*([A-Za-z_$][\w$]*)?/,
+  /^(export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)?/,
+  /^(export\s+)?(?:declare\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)/,
+];
+
+/**
+ * Resolves the imports of JS/TS files, including tsconfig.json and
+ * jsconfig.json `paths` aliases like `@/components/*` and `baseUrl`
+ * imports, and extracts the exported signatures of the resolved modules.
+ */
+class ImportResolver {
+  constructor() {
+    this.configs = new Map(); // directory -> compiler options or null
+  }
+
+  /**
+   * Finds the module specifiers imported or required by the source
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  static findImports(text) {
+    const source = String(text || "");
+    const specifiers = new Set();
+    const patterns = [
+      /\b(?:import|export)\s[^'"`;]*?\bfrom\s*["']([^"']+)["']/g,
+      /\bimport\s*["']([^"']+)["']/g,
+      /\b(?:require|import)\s*\(\s*["']([^"']+)["']\s*\)/g,
+    ];
+    patterns.forEach((pattern) => {
+      let match;
+      while ((match = pattern.exec(source)) !== null) {
+        specifiers.add(match[1]);
+      }
+    });
+    return [...specifiers];
+  }
+
+  /**
+   * Package name of a bare import, e.g. "@next/font/google" -> "@next/font"
+   * @param {string} specifier
+   * @returns {string|null} - null for relative, absolute and node: imports
+   */
+  static packageName(specifier) {
+    if (/^(\.|\/|node:)/.test(specifier)) return null;
+    const parts = specifier.split("/");
+    return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+  }
+
+  /**
+   * Parses JSON with comments and trailing commas, as tsconfig.json allows
+   * @param {string} text
+   * @returns {Object}
+   */
+  static parseJsonc(text) {
+    let json = "";
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        json += char;
+        if (char === "\\") {
+          json += text[++i] || "";
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+        json += char;
+      } else if (char === "/" && text[i + 1] === "/") {
+        while (i < text.length && text[i] !== "\n") i++;
+        json += "\n";
+      } else if (char === "/" && text[i + 1] === "*") {
+        const end = text.indexOf("*/", i + 2);
+        i = end === -1 ? text.length : end + 1;
+      } else {
+        json += char;
+      }
+    }
+    return JSON.parse(json.replace(/,(\s*[}\]])/g, "$1"));
+  }
+
+  /**
+   * Resolves an import to a local file
+   * @param {string} specifier - e.g. "./button", "@/components/button" or "lib/utils"
+   * @param {string} fromFile - The importing file
+   * @returns {Promise<string|null>} - Absolute path, null for packages and unresolved imports
+   */
+  async resolve(specifier, fromFile) {
+    const directory = path.dirname(fromFile);
+    if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+      return this._resolveFile(path.resolve(directory, specifier));
+    }
+
+    const config = await this._findConfig(directory);
+    if (!config) return null;
+    for (const target of this._aliasTargets(specifier, config)) {
+      const file = await this._resolveFile(target);
+      if (file) return file;
+    }
+    return null;
+  }
+
+  /**
+   * Resolves the file's local imports and extracts what they export
+   * @param {string} filePath - Active file
+   * @param {string} text - Its content
+   * @param {Object} [options]
+   * @param {number} [options.maxModules] - Stop after this many modules
+   * @returns {Promise<Array<Object>>} - { specifier, filePath, signatures }
+   */
+  async collectSignatures(filePath, text, options = {}) {
+    const maxModules = options.maxModules || 10;
+    const modules = [];
+    for (const specifier of ImportResolver.findImports(text)) {
+      if (modules.length >= maxModules) break;
+      const resolved = await this.resolve(specifier, filePath);
+      if (
+        !resolved ||
+        !SCRIPT_FILE.test(resolved) ||
+        resolved.split(path.sep).includes("node_modules")
+      ) {
+        continue;
+      }
+
+      let content;
+      try {
+        const stats = await fs.promises.stat(resolved);
+        if (stats.size > MAX_MODULE_BYTES) continue;
+        content = await fs.promises.readFile(resolved, "utf8");
+      } catch (error) {
+        continue;
+      }
+      const signatures = ImportResolver.extractSignatures(content);
+      if (signatures.length > 0) {
+        modules.push({ specifier, filePath: resolved, signatures });
+      }
+    }
+    return modules;
+  }
+
+  /**
+   * Extracts the exported API of a module without the implementation:
+   * function and component heads, class heads, and full interface, type and
+   * enum declarations, including local types the exports refer to (props)
+   * @param {string} text - Module source
+   * @returns {Array<string>}
+   */
+  static extractSignatures(text) {
+    const lines = String(text || "")
+      .replace(/\r\n/g, "\n")
+      .split("\n");
+    const signatures = [];
+    const localTypes = new Map(); // name -> declaration
+    const localValues = new Map(); // name -> signature
+    const exportedNames = new Set();
+    const addNames = (list) =>
+      list
+        .split(",")
+        .map((name) => name.trim().split(/\s+as\s+|\s*:\s*/).pop())
+        .filter((name) => /^[A-Za-z_$][\w$]*$/.test(name || ""))
+        .forEach((name) => exportedNames.add(name));
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let match = line.match(TYPE_DECLARATION);
+      if (match) {
+        const block = ImportResolver._block(lines, i);
+        if (match[1]) {
+          signatures.push(block.text);
+        } else {
+          localTypes.set(match[2], block.text);
+        }
+        i = block.end;
+        continue;
+      }
+
+      const declaration = VALUE_DECLARATIONS.map((pattern) =>
+        line.match(pattern)
+      ).find(Boolean);
+      if (declaration) {
+        const head = ImportResolver._head(lines, i);
+        if (declaration[1]) {
+          signatures.push(head);
+        } else if (declaration[2]) {
+          localValues.set(declaration[2], head);
+        }
+        continue;
+      }
+
+      // Exports listed separately from the declarations
+      if ((match = line.match(/^export\s*\{([^}]*)\}/))) {
+        addNames(match[1]);
+      } else if ((match = line.match(DEFAULT_EXPORT))) {
+        exportedNames.add(match[1]);
+      } else if ((match = line.match(/^module\.exports\s*=\s*\{([^}]*)\}/))) {
+        addNames(match[1]);
+      } else if ((match = line.match(MODULE_EXPORT))) {
+        exportedNames.add(match[1]);
+      } else if (/^(?:module\.)?exports\.[A-Za-z_$][\w$]*\s*=/.test(line)) {
+        signatures.push(ImportResolver._head(lines, i));
+      }
+    }
+
+    exportedNames.forEach((name) => {
+      if (localValues.has(name)) signatures.push(localValues.get(name));
+      if (localTypes.has(name)) {
+        signatures.push(localTypes.get(name));
+        localTypes.delete(name);
+      }
+    });
+    // Local types the exports use, e.g. a component's Props
+    const exported = signatures.join("\n");
+    localTypes.forEach((declaration, name) => {
+      if (new RegExp(`\\b${name.replace(/\$/g, "\\$")}\\b`).test(exported)) {
+        signatures.push(declaration);
+      }
+    });
+    return signatures;
+  }
+
+  /**
+   * Forgets the tsconfig.json and jsconfig.json files read so far
+   */
+  clearCache() {
+    this.configs.clear();
+  }
+
+  /**
+   * A declaration up to where its body starts, e.g. a function's parameter
+   * list and return type
+   * @returns {string}
+   */
+  static _head(lines, start) {
+    let head = "";
+    let depth = 0; // parentheses, brackets and type literal braces
+    for (let i = start; i < lines.length && i < start + 15; i++) {
+      const line = lines[i];
+      for (let j = 0; j < line.length; j++) {
+        const char = line[j];
+        const before = head.trimEnd().slice(-1);
+        if (char === "(" || char === "[") {
+          depth++;
+        } else if (char === ")" || char === "]") {
+          depth--;
+        } else if (char === "{") {
+          // Braces after ":" and friends are object types, not the body
+          if (depth > 0 || /[:<|&,]/.test(before)) {
+            depth++;
+          } else {
+            return ImportResolver._cleanHead(head, lines[start]);
+          }
+        } else if (char === "}" && depth > 0) {
+          depth--;
+        } else if (depth === 0 && char === ";") {
+          return ImportResolver._cleanHead(head, lines[start]);
+        } else if (depth === 0 && line.startsWith("=>", j)) {
+          return ImportResolver._cleanHead(`${head}=>`, lines[start]);
+        }
+        head += char;
+      }
+      // A line that doesn't continue the declaration ends it
+      if (depth <= 0 && !/[=(,:|&<]\s*$/.test(line)) break;
+      head += "\n";
+    }
+    return ImportResolver._cleanHead(head, lines[start]);
+  }
+
+  static _cleanHead(head, firstLine) {
+    const cleaned = head.replace(/\s+$/, "");
+    // A plain value such as `export const config = {` says more on one line
+    return /=$/.test(cleaned) ? firstLine.trim() : cleaned;
+  }
+
+  /**
+   * A whole type declaration, at most 40 lines
+   * @returns {Object} - { text, end } with end the last line index
+   */
+  static _block(lines, start) {
+    let depth = 0;
+    let end = start;
+    for (; end < lines.length; end++) {
+      for (const char of lines[end]) {
+        if (char === "{" || char === "(") depth++;
+        if (char === "}" || char === ")") depth--;
+      }
+      const next = lines[end + 1];
+      if (
+        depth <= 0 &&
+        (/[;}]\s*$/.test(lines[end]) ||
+          next === undefined ||
+          !/^\s+|^[|&]/.test(next))
+      ) {
+        break;
+      }
+    }
+    let text = lines.slice(start, end + 1).join("\n");
+    if (end - start >= 40) {
+      text = `${lines.slice(start, start + 40).join("\n")}\n  // ...`;
+    }
+    return { text, end };
+  }
+
+  /**
+   * Candidate paths for a non-relative import from `paths`, then `baseUrl`
+   * @param {string} specifier
+   * @param {Object} config - { baseUrl, paths, pathsBase }
+   * @returns {Array<string>}
+   */
+  _aliasTargets(specifier, config) {
+    const targets = [];
+    // The most specific pattern wins, as in TypeScript
+    const patterns = Object.keys(config.paths || {}).sort(
+      (a, b) => b.indexOf("*") - a.indexOf("*") || b.length - a.length
+    );
+    for (const pattern of patterns) {
+      const star = pattern.indexOf("*");
+      let wildcard = null;
+      if (star === -1) {
+        if (pattern === specifier) wildcard = "";
+      } else {
+        const prefix = pattern.slice(0, star);
+        const suffix = pattern.slice(star + 1);
+        if (
+          specifier.startsWith(prefix) &&
+          specifier.endsWith(suffix) &&
+          specifier.length >= prefix.length + suffix.length
+        ) {
+          wildcard = specifier.slice(
+            prefix.length,
+            specifier.length - suffix.length
+          );
+        }
+      }
+      if (wildcard === null) continue;
+      (config.paths[pattern] || []).forEach((mapping) =>
+        targets.push(
+          path.resolve(config.pathsBase, mapping.replace("*", wildcard))
+        )
+      );
+      break;
+    }
+    if (config.baseUrl) targets.push(path.resolve(config.baseUrl, specifier));
+    return targets;
+  }
+
+  /**
+   * Tries the path as is, with script extensions and as a folder index.
+   * TypeScript sources imported with a .js extension are found too.
+   * @param {string} base
+   * @returns {Promise<string|null>}
+   */
+  async _resolveFile(base) {
+    const attempts = [
+      base,
+      ...RESOLVE_EXTENSIONS.map((extension) => base + extension),
+      ...RESOLVE_EXTENSIONS.map((extension) =>
+        path.join(base, `index${extension}`)
+      ),
+    ];
+    if (/\.[mc]?jsx?$/.test(base)) {
+      const stem = base.replace(/\.[mc]?jsx?$/, "");
+      attempts.push(`${stem}.ts`, `${stem}.tsx`);
+    }
+    for (const attempt of attempts) {
+      try {
+        if ((await fs.promises.stat(attempt)).isFile()) return attempt;
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compiler options from the nearest tsconfig.json or jsconfig.json
+   * @param {string} directory
+   * @returns {Promise<Object|null>}
+   */
+  async _findConfig(directory) {
+    if (this.configs.has(directory)) return this.configs.get(directory);
+
+    let config = null;
+    for (const name of ["tsconfig.json", "jsconfig.json"]) {
+      config = await this._loadConfig(path.join(directory, name), 0);
+      if (config) break;
+    }
+    const parent = path.dirname(directory);
+    if (!config && parent !== directory) {
+      config = await this._findConfig(parent);
+    }
+    this.configs.set(directory, config);
+    return config;
+  }
+
+  /**
+   * Reads a config file, following relative `extends`
+   * @param {string} configPath
+   * @param {number} depth - Guards against extends cycles
+   * @returns {Promise<Object|null>} - { baseUrl, paths, pathsBase }
+   */
+  async _loadConfig(configPath, depth) {
+    let raw;
+    try {
+      raw = ImportResolver.parseJsonc(
+        await fs.promises.readFile(configPath, "utf8")
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Could not read ${configPath}:`, error.message);
+      }
+      return null;
+    }
+
+    const directory = path.dirname(configPath);
+    let config = { baseUrl: null, paths: null, pathsBase: directory };
+    if (
+      typeof raw.extends === "string" &&
+      raw.extends.startsWith(".") &&
+      depth < 5
+    ) {
+      let parentPath = path.resolve(directory, raw.extends);
+      if (!parentPath.endsWith(".json")) parentPath += ".json";
+      config = (await this._loadConfig(parentPath, depth + 1)) || config;
+    }
+
+    const options = raw.compilerOptions || {};
+    if (options.baseUrl) {
+      config.baseUrl = path.resolve(directory, options.baseUrl);
+    }
+    if (options.paths) {
+      config.paths = options.paths;
+      // Paths are relative to baseUrl, or to the config file without one
+      config.pathsBase = config.baseUrl || directory;
+    }
+    return config;
+  }
+}
+
+module.exports = ImportResolver;
@@ -0,0 +1,200 @@
+const { abortReason, raceWithSignal, throwIfAborted } = require("./cancellation");
+
+/**
+ * Produces inline code completions from a fill-in-the-middle prompt built
+ * from the code around the cursor plus relevant documentation snippets.
+ * Kept free of the vscode API; extension.js adapts it to an
+ * InlineCompletionItemProvider.
+ */
+class InlineCompletionService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.llmProvider - LlmProvider used for fillInMiddle
+   * @param {Object} [options.contextExtractor] - Source of findRelevantDocs
+   * @param {Object} [options.config] - See configure
+   */
+  constructor(options = {}) {
+    this.llmProvider = options.llmProvider;
+    this.contextExtractor = options.contextExtractor || null;
+    this.cache = new Map(); // cache key -> completion text
+    this.maxCacheEntries = 50;
+    this.configure(options.config);
+  }
+
+  /**
+   * Updates the completion settings
+   * @param {Object} config - { model, debounceMs, maxLines, maxDocs }
+   */
+  configure(config = {}) {
+    this.config = {
+      model: config.model || "",
+      debounceMs: config.debounceMs !== undefined ? config.debounceMs : 300,
+      maxLines: config.maxLines || 10,
+      maxDocs: config.maxDocs !== undefined ? config.maxDocs : 2,
+    };
+  }
+
+  /**
+   * Returns the completion to insert at the cursor
+   * @param {Object} request - { prefix, suffix, language, fileName }
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborted when the editor cancels the request
+   * @returns {Promise<string>} - Completion text, "" when there is nothing to suggest
+   */
+  async provide(request, options = {}) {
+    const { signal } = options;
+    const prefix = request.prefix || "";
+    const suffix = request.suffix || "";
+    if (!prefix.trim()) return "";
+
+    const cached = this._fromCache(request);
+    if (cached !== null) return cached;
+
+    // Wait until typing pauses; the editor cancels superseded requests
+    await this._delay(this.config.debounceMs, signal);
+
+    const docs = await this._findDocs(prefix, signal);
+    throwIfAborted(signal);
+
+    const raw = await this.llmProvider.fillInMiddle(
+      {
+        prefix,
+        suffix,
+        language: request.language,
+        fileName: request.fileName,
+        docs,
+        model: this.config.model,
+      },
+      { signal }
+    );
+    const completion = this.clean(raw, prefix, suffix);
+    this._remember(request, completion);
+    return completion;
+  }
+
+  /**
+   * Tidies a raw model answer: strips markdown fences, text repeated from
+   * the suffix and lines beyond the configured limit
+   * @param {string} text - Raw completion
+   * @param {string} prefix - Code before the cursor
+   * @param {string} suffix - Code after the cursor
+   * @returns {string}
+   */
+  clean(text, prefix, suffix) {
+    if (!text) return "";
+    let completion = text.replace(/\r\n/g, "\n");
+
+    const fenced = completion.match(/^\s*```[\w+-]*\n([\s\S]*?)\n?```\s*$/);
+    if (fenced) completion = fenced[1];
+
+    // Models sometimes repeat the current line before continuing it
+    const currentLine = prefix.slice(prefix.lastIndexOf("\n") + 1).trimStart();
+    if (currentLine && completion.startsWith(currentLine)) {
+      completion = completion.slice(currentLine.length);
+    }
+
+    // Drop the part that is already after the cursor
+    const nextText = suffix.trimStart();
+    if (nextText) {
+      const firstSuffixLine = nextText.split("\n")[0].trim();
+      const lines = completion.split("\n");
+      const overlap = lines.findIndex(
+        (line, index) =>
+          index > 0 && firstSuffixLine && line.trim() === firstSuffixLine
+      );
+      if (overlap !== -1) completion = lines.slice(0, overlap).join("\n");
+    }
+
+    const lines = completion.split("\n");
+    if (lines.length > this.config.maxLines) {
+      completion = lines.slice(0, this.config.maxLines).join("\n");
+    }
+    return completion.trimEnd();
+  }
+
+  async _findDocs(prefix, signal) {
+    if (!this.contextExtractor || this.config.maxDocs <= 0) return [];
+    try {
+      // Search with the last few lines before the cursor
+      const query = prefix.split("\n").slice(-15).join("\n");
+      const docs = await raceWithSignal(
+        this.contextExtractor.findRelevantDocs(
+          { selectedText: "", surroundingCode: query },
+          this.config.maxDocs
+        ),
+        signal
+      );
+      return (docs || []).map((doc) => doc.text.substring(0, 1000));
+    } catch (error) {
+      throwIfAborted(signal);
+      console.warn("Inline completion docs lookup failed:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Looks up a cached completion for the same prefix, or for a shorter prefix
+   * whose completion the user has been typing out
+   * @param {Object} request
+   * @returns {string|null}
+   */
+  _fromCache(request) {
+    const exact = this.cache.get(this._cacheKey(request, request.prefix));
+    if (exact !== undefined) return exact;
+
+    for (const [key, completion] of this.cache) {
+      const entry = JSON.parse(key);
+      if (
+        entry.fileName !== (request.fileName || "") ||
+        entry.suffix !== (request.suffix || "") ||
+        !request.prefix.startsWith(entry.prefix)
+      ) {
+        continue;
+      }
+      const typed = request.prefix.slice(entry.prefix.length);
+      if (
+        typed &&
+        completion.startsWith(typed) &&
+        completion.length > typed.length
+      ) {
+        return completion.slice(typed.length);
+      }
+    }
+    return null;
+  }
+
+  _remember(request, completion) {
+    const key = this._cacheKey(request, request.prefix);
+    this.cache.delete(key);
+    this.cache.set(key, completion);
+    if (this.cache.size > this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  _cacheKey(request, prefix) {
+    return JSON.stringify({
+      fileName: request.fileName || "",
+      prefix,
+      suffix: request.suffix || "",
+    });
+  }
+
+  _delay(ms, signal) {
+    throwIfAborted(signal);
+    if (!ms) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortReason(signal));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = InlineCompletionService;
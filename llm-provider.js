@@ -0,0 +1,462 @@
+const axios = require("axios");
+const { isAbortError, abortReason, throwIfAborted } = require("./cancellation");
+
+const DEFAULT_MODELS = {
+  ollama: "mistral",
+  openai: "gpt-4o-mini",
+};
+
+const DEFAULT_API_BASES = {
+  ollama: "http://localhost:11434",
+  openai: "https://api.openai.com/v1",
+};
+
+// Section headings for context blocks in the user message; code blocks are fenced
+const CODE_BLOCK_HEADINGS = {
+  code: "Code context",
+  selection: "Selected code",
+  imports: "Imported modules (exported signatures)",
+};
+const BLOCK_HEADINGS = {
+  documentation: "Relevant documentation",
+  dependencies: "Project dependencies",
+  diagnostics: "Editor diagnostics",
+  summary: "Earlier summary",
+  conversation: "Conversation",
+};
+
+/**
+ * Sends prompts built by ContextExtractor.buildPrompt to a chat backend.
+ *
+ * Supported providers:
+ * - "ollama": an Ollama-compatible HTTP endpoint (/api/chat)
+ * - "openai": any OpenAI-compatible endpoint (/chat/completions)
+ * - "offline": the built-in template answers, supplied as `fallback`
+ */
+class LlmProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.config] - Provider settings (see configure)
+   * @param {Function} [options.fallback] - Offline generator, called with the prompt
+   */
+  constructor(options = {}) {
+    this.fallback =
+      typeof options.fallback === "function" ? options.fallback : null;
+    this.configure(options.config);
+  }
+
+  /**
+   * Default endpoint for a provider
+   * @param {string} provider - "ollama" or "openai"
+   * @returns {string}
+   */
+  static defaultApiBase(provider) {
+    return DEFAULT_API_BASES[provider] || "";
+  }
+
+  /**
+   * Updates the provider settings
+   * @param {Object} config - { provider, apiBase, model, apiKey, timeout }
+   */
+  configure(config = {}) {
+    const provider = config.provider || "offline";
+    this.config = {
+      provider,
+      apiBase: (
+        config.apiBase || LlmProvider.defaultApiBase(provider)
+      ).replace(/\/+$/, ""),
+      model: config.model || DEFAULT_MODELS[provider] || "",
+      apiKey: config.apiKey || "",
+      timeout: config.timeout || 60000,
+    };
+  }
+
+  /**
+   * Whether answers come from a real model rather than the offline templates
+   * @returns {boolean}
+   */
+  isRemote() {
+    return this.config.provider === "ollama" || this.config.provider === "openai";
+  }
+
+  /**
+   * Converts a buildPrompt() result into chat messages
+   * @param {Object} prompt - The prompt from ContextExtractor.buildPrompt
+   * @returns {Array<Object>} - Chat messages with role and content
+   */
+  toMessages(prompt) {
+    let system = prompt.systemPrompt || "";
+    if (prompt.validationSteps && prompt.validationSteps.length > 0) {
+      system += `\n\nBefore answering, work through these steps:\n${prompt.validationSteps
+        .map((step, index) => `${index + 1}. ${step}`)
+        .join("\n")}`;
+    }
+    // Earlier turns from ConversationMemory, so follow-ups keep the thread
+    const history = prompt.history || { turns: [], summary: null };
+    if (history.summary && history.summary.text) {
+      system += `\n\nSummary of the earlier conversation:\n${history.summary.text}`;
+    }
+
+    const sections = (prompt.contextBlocks || [])
+      .filter((block) => block.content && block.content.trim())
+      .map((block) => {
+        if (block.type === "file") {
+          const notes = [block.reason, block.truncated && "truncated"]
+            .filter(Boolean)
+            .join(", ");
+          return `### File: ${block.path}${notes ? ` (${notes})` : ""}\n\`\`\`${
+            block.language || ""
+          }\n${block.content}\n\`\`\``;
+        }
+        if (CODE_BLOCK_HEADINGS[block.type]) {
+          return `### ${CODE_BLOCK_HEADINGS[block.type]}\n\`\`\`${
+            block.language || ""
+          }\n${block.content}\n\`\`\``;
+        }
+        return `### ${
+          BLOCK_HEADINGS[block.type] || block.type
+        }\n${block.content}`;
+      });
+    sections.push(`### Question\n${prompt.userQuery}`);
+
+    return [
+      { role: "system", content: system },
+      ...history.turns.map(({ role, content }) => ({ role, content })),
+      { role: "user", content: sections.join("\n\n") },
+    ];
+  }
+
+  /**
+   * Generates an answer for the prompt with the configured provider
+   * @param {Object} prompt - The prompt from ContextExtractor.buildPrompt
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the provider request
+   * @returns {Promise<Object>} - { text, provider, model, fallbackReason }
+   */
+  async complete(prompt, options = {}) {
+    const { signal } = options;
+    throwIfAborted(signal);
+    if (!this.isRemote()) {
+      return { text: await this._runFallback(prompt), provider: "offline" };
+    }
+
+    try {
+      const messages = this.toMessages(prompt);
+      const text =
+        this.config.provider === "ollama"
+          ? await this._completeOllama(messages, signal)
+          : await this._completeOpenAi(messages, signal);
+      return {
+        text,
+        provider: this.config.provider,
+        model: this.config.model,
+      };
+    } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
+      if (!this.fallback) throw this._wrapError(error);
+      // The message only: axios errors carry the request headers and API key
+      const fallbackReason = this._wrapError(error).message;
+      console.warn(
+        "AI provider request failed, using offline answer:",
+        fallbackReason
+      );
+      return {
+        text: await this._runFallback(prompt),
+        provider: "offline",
+        fallbackReason,
+      };
+    }
+  }
+
+  /**
+   * Streams an answer for the prompt, calling onToken with each text chunk
+   * @param {Object} prompt - The prompt from ContextExtractor.buildPrompt
+   * @param {Function} onToken - Called with each chunk of text as it arrives
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the provider request
+   * @returns {Promise<Object>} - { text, provider, model, fallbackReason }
+   */
+  async stream(prompt, onToken, options = {}) {
+    const { signal } = options;
+    throwIfAborted(signal);
+    if (!this.isRemote()) {
+      const text = await this._runFallback(prompt);
+      throwIfAborted(signal);
+      this._emitInChunks(text, onToken);
+      return { text, provider: "offline" };
+    }
+
+    let text = "";
+    const emit = (token) => {
+      if (!token) return;
+      text += token;
+      onToken(token);
+    };
+
+    try {
+      const messages = this.toMessages(prompt);
+      if (this.config.provider === "ollama") {
+        await this._streamOllama(messages, emit, signal);
+      } else {
+        await this._streamOpenAi(messages, emit, signal);
+      }
+      return { text, provider: this.config.provider, model: this.config.model };
+    } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
+      // Only fall back if nothing was shown yet, otherwise the answer would be mixed
+      if (!this.fallback || text) throw this._wrapError(error);
+      const fallbackReason = this._wrapError(error).message;
+      console.warn(
+        "AI provider request failed, using offline answer:",
+        fallbackReason
+      );
+      const fallbackText = await this._runFallback(prompt);
+      this._emitInChunks(fallbackText, onToken);
+      return { text: fallbackText, provider: "offline", fallbackReason };
+    }
+  }
+
+  /**
+   * Fills in the code between prefix and suffix for inline completions.
+   * Unlike complete(), this never falls back to the offline templates.
+   * @param {Object} request - { prefix, suffix, language, fileName, docs, model, maxTokens }
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the provider request
+   * @returns {Promise<string>} - The code to insert at the cursor, or "" when offline
+   */
+  async fillInMiddle(request, options = {}) {
+    const { signal } = options;
+    throwIfAborted(signal);
+    if (!this.isRemote()) return "";
+
+    const model = request.model || this.config.model;
+    const maxTokens = request.maxTokens || 256;
+    try {
+      if (this.config.provider === "ollama") {
+        return await this._fillInMiddleOllama(request, model, maxTokens, signal);
+      }
+      return await this._fillInMiddleOpenAi(request, model, maxTokens, signal);
+    } catch (error) {
+      if (isAbortError(error, signal)) throw abortReason(signal);
+      throw this._wrapError(error);
+    }
+  }
+
+  async _fillInMiddleOllama(request, model, maxTokens, signal) {
+    // /api/generate takes a suffix for models with a fill-in-the-middle template
+    const docs = (request.docs || []).join("\n\n");
+    const { data } = await axios.post(
+      `${this.config.apiBase}/api/generate`,
+      {
+        model,
+        prompt: docs
+          ? `${this._commentBlock(docs, request.language)}\n${request.prefix}`
+          : request.prefix,
+        suffix: request.suffix || "",
+        stream: false,
+        options: { temperature: 0.2, num_predict: maxTokens },
+      },
+      { timeout: this.config.timeout, signal }
+    );
+    if (!data || typeof data.response !== "string") {
+      throw new Error("Unexpected response from Ollama endpoint");
+    }
+    return data.response;
+  }
+
+  async _fillInMiddleOpenAi(request, model, maxTokens, signal) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    const sections = [];
+    if (request.docs && request.docs.length > 0) {
+      sections.push(`### Relevant documentation\n${request.docs.join("\n\n")}`);
+    }
+    sections.push(
+      `### ${request.fileName || "Current file"} (${
+        request.language || "plain text"
+      })\n${request.prefix}<CURSOR>${request.suffix || ""}`
+    );
+    const messages = [
+      {
+        role: "system",
+        content:
+          "You are a code completion engine. Reply with only the code that belongs at <CURSOR>, without explanations, markdown fences or code that is already before or after the cursor.",
+      },
+      { role: "user", content: sections.join("\n\n") },
+    ];
+    const { data } = await axios.post(
+      `${this.config.apiBase}/chat/completions`,
+      { model, messages, max_tokens: maxTokens, temperature: 0.2 },
+      { headers, timeout: this.config.timeout, signal }
+    );
+    const choice = data && data.choices && data.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== "string") {
+      throw new Error("Unexpected response from chat completions endpoint");
+    }
+    return choice.message.content;
+  }
+
+  /**
+   * Wraps text in a comment so it can precede code in a raw prompt
+   * @param {string} text
+   * @param {string} [language]
+   * @returns {string}
+   */
+  _commentBlock(text, language) {
+    const hashComments = ["python", "ruby", "shellscript", "yaml", "r", "perl"];
+    const marker = hashComments.includes(language) ? "#" : "//";
+    return text
+      .split("\n")
+      .map((line) => `${marker} ${line}`.trimEnd())
+      .join("\n");
+  }
+
+  async _completeOllama(messages, signal) {
+    const { data } = await axios.post(
+      `${this.config.apiBase}/api/chat`,
+      { model: this.config.model, messages, stream: false },
+      { timeout: this.config.timeout, signal }
+    );
+    if (!data || !data.message || typeof data.message.content !== "string") {
+      throw new Error("Unexpected response from Ollama endpoint");
+    }
+    return data.message.content;
+  }
+
+  async _completeOpenAi(messages, signal) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    const { data } = await axios.post(
+      `${this.config.apiBase}/chat/completions`,
+      { model: this.config.model, messages },
+      { headers, timeout: this.config.timeout, signal }
+    );
+    const choice = data && data.choices && data.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== "string") {
+      throw new Error("Unexpected response from chat completions endpoint");
+    }
+    return choice.message.content;
+  }
+
+  async _streamOllama(messages, emit, signal) {
+    const response = await axios.post(
+      `${this.config.apiBase}/api/chat`,
+      { model: this.config.model, messages, stream: true },
+      { timeout: this.config.timeout, responseType: "stream", signal }
+    );
+    // Ollama streams newline-delimited JSON objects
+    await this._readLines(response.data, (line) => {
+      const data = JSON.parse(line);
+      if (data.error) throw new Error(data.error);
+      if (data.message) emit(data.message.content);
+      return Boolean(data.done);
+    });
+  }
+
+  async _streamOpenAi(messages, emit, signal) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    const response = await axios.post(
+      `${this.config.apiBase}/chat/completions`,
+      { model: this.config.model, messages, stream: true },
+      { headers, timeout: this.config.timeout, responseType: "stream", signal }
+    );
+    // OpenAI-compatible endpoints stream server-sent events
+    await this._readLines(response.data, (line) => {
+      if (!line.startsWith("data:")) return false;
+      const payload = line.slice(5).trim();
+      if (payload === "[DONE]") return true;
+      const data = JSON.parse(payload);
+      const choice = data.choices && data.choices[0];
+      if (choice && choice.delta) emit(choice.delta.content);
+      return false;
+    });
+  }
+
+  /**
+   * Reads a response stream line by line until onLine returns true
+   * @param {Readable} stream - The response body stream
+   * @param {Function} onLine - Called with each non-empty line
+   */
+  async _readLines(stream, onLine) {
+    let buffer = "";
+    for await (const chunk of stream) {
+      buffer += chunk.toString("utf8");
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line && onLine(line)) {
+          stream.destroy();
+          return;
+        }
+      }
+    }
+    if (buffer.trim()) onLine(buffer.trim());
+  }
+
+  /**
+   * Emits pre-generated text a few words at a time so it renders like a stream
+   * @param {string} text
+   * @param {Function} onToken
+   */
+  _emitInChunks(text, onToken) {
+    const parts = text.match(/\S+\s*|\s+/g) || [];
+    for (let i = 0; i < parts.length; i += 8) {
+      onToken(parts.slice(i, i + 8).join(""));
+    }
+  }
+
+  async _runFallback(prompt) {
+    if (!this.fallback) {
+      throw new Error("No offline answer generator configured");
+    }
+    return this.fallback(prompt);
+  }
+
+  /**
+   * Normalizes axios errors into user-facing errors with an ErrorHandler code,
+   * leaving out the request config so the API key is never logged
+   * @param {Error} error
+   * @returns {Error}
+   */
+  _wrapError(error) {
+    if (error.response) {
+      const wrapped = new Error(
+        `AI provider returned ${error.response.status} ${
+          error.response.statusText || ""
+        }`.trim()
+      );
+      wrapped.code =
+        error.response.status === 429 ? "API_LIMIT_EXCEEDED" : "PROVIDER_ERROR";
+      return wrapped;
+    }
+    if (error.code === "ECONNREFUSED" || error.code === "ENOTFOUND") {
+      const wrapped = new Error(
+        `Could not connect to the AI provider at ${this.config.apiBase}`
+      );
+      wrapped.code = "NETWORK_ERROR";
+      return wrapped;
+    }
+    if (error.code === "ECONNABORTED") {
+      const wrapped = new Error("AI provider request timed out");
+      wrapped.code = "TEMPORARY_FAILURE";
+      return wrapped;
+    }
+    if (error.isAxiosError) {
+      // Not the axios error itself, which carries the Authorization header
+      const wrapped = new Error(`AI provider request failed: ${error.message}`);
+      wrapped.code = "PROVIDER_ERROR";
+      return wrapped;
+    }
+    return error;
+  }
+}
+
+module.exports = LlmProvider;
@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const Bm25Index = require("./bm25-index");
+
+/**
+ * In-process document store persisted as JSON, with the same collection
+ * methods ContextExtractor uses on a ChromaDB collection (add, upsert, get,
+ * delete, query, count), plus replace.
+ *
+ * Queries use embeddings when an embedding function is configured and every
+ * stored document has one; otherwise they fall back to BM25 keyword ranking.
+ */
+class LocalVectorStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file the collection is saved to
+   * @param {Object} [options.embeddingFunction] - Object with generate(texts) returning vectors
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.embeddingFunction = options.embeddingFunction || null;
+    this.records = null; // id -> { id, document, metadata, embedding }
+    this.index = null;
+  }
+
+  /**
+   * Adds documents, replacing any with the same id
+   * @param {Object} params - { ids, documents, metadatas }
+   */
+  async add(params) {
+    return this.upsert(params);
+  }
+
+  /**
+   * Inserts or updates documents by id
+   * @param {Object} params - { ids, documents, metadatas }
+   */
+  async upsert({ ids, documents, metadatas }) {
+    this._load();
+    const embeddings = await this._embed(documents);
+    this._put(ids, documents, metadatas, embeddings);
+    this._save();
+  }
+
+  /**
+   * Deletes the documents matching a where filter and upserts new ones,
+   * saving the file once, e.g. to re-index a batch of source files
+   * @param {Object} params - { where, ids, documents, metadatas }
+   * @returns {Promise<Array<string>>} - Ids of the deleted documents
+   */
+  async replace({ where, ids, documents, metadatas }) {
+    this._load();
+    // Embedded in parts, like separate upserts would be
+    const batchSize = 100;
+    const embeddings = [];
+    for (let i = 0; i < documents.length; i += batchSize) {
+      const batch = await this._embed(documents.slice(i, i + batchSize));
+      if (!batch) break;
+      embeddings.push(...batch);
+    }
+
+    const kept = new Set(ids);
+    const removed = this._select({ where }).filter(
+      (record) => !kept.has(record.id)
+    );
+    removed.forEach((record) => {
+      this.records.delete(record.id);
+      this.index.remove(record.id);
+    });
+    this._put(
+      ids,
+      documents,
+      metadatas,
+      embeddings.length === documents.length ? embeddings : null
+    );
+    this._save();
+    return removed.map((record) => record.id);
+  }
+
+  /**
+   * Returns stored documents matching the ids and/or where filter
+   * @param {Object} [params] - { ids, where }
+   * @returns {Promise<Object>} - { ids, documents, metadatas }
+   */
+  async get(params = {}) {
+    const records = this._select(params);
+    return {
+      ids: records.map((record) => record.id),
+      documents: records.map((record) => record.document),
+      metadatas: records.map((record) => record.metadata),
+    };
+  }
+
+  /**
+   * Deletes documents matching the ids and/or where filter
+   * @param {Object} params - { ids, where }; at least one is required
+   * @returns {Promise<Array<string>>} - Ids of the deleted documents
+   */
+  async delete(params = {}) {
+    if (!params.ids && !params.where) {
+      throw new Error(
+        "delete() needs ids or a where filter, use clear() to empty the store"
+      );
+    }
+    const records = this._select(params);
+    records.forEach((record) => {
+      this.records.delete(record.id);
+      this.index.remove(record.id);
+    });
+    if (records.length > 0) this._save();
+    return records.map((record) => record.id);
+  }
+
+  /**
+   * Removes every document
+   */
+  async clear() {
+    this.records = new Map();
+    this.index = new Bm25Index();
+    this._save();
+  }
+
+  /**
+   * Ranks stored documents against the query texts
+   * @param {Object} params - { queryTexts, nResults, where }
+   * @returns {Promise<Object>} - Chroma-style nested arrays: { ids, documents, metadatas, distances }
+   */
+  async query({ queryTexts, nResults = 5, where }) {
+    this._load();
+    const candidates = where
+      ? new Set(this._select({ where }).map((record) => record.id))
+      : null;
+    const result = { ids: [], documents: [], metadatas: [], distances: [] };
+
+    for (const queryText of queryTexts) {
+      const hits =
+        (await this._semanticSearch(queryText, nResults, candidates)) ||
+        this.index
+          .search(queryText, {
+            limit: nResults,
+            filter: candidates ? (id) => candidates.has(id) : undefined,
+          })
+          .map((hit) => ({ id: hit.id, distance: 1 / (1 + hit.score) }));
+
+      const records = hits.map((hit) => this.records.get(hit.id));
+      result.ids.push(records.map((record) => record.id));
+      result.documents.push(records.map((record) => record.document));
+      result.metadatas.push(records.map((record) => record.metadata));
+      result.distances.push(hits.map((hit) => hit.distance));
+    }
+    return result;
+  }
+
+  /**
+   * Number of stored documents
+   * @returns {Promise<number>}
+   */
+  async count() {
+    this._load();
+    return this.records.size;
+  }
+
+  /**
+   * Ranks by cosine distance, or returns null when embeddings can't be used
+   * @returns {Promise<Array<Object>|null>} - Hits as { id, distance }
+   */
+  async _semanticSearch(queryText, nResults, candidates) {
+    if (!this.embeddingFunction || this.records.size === 0) return null;
+    const records = [...this.records.values()].filter(
+      (record) => !candidates || candidates.has(record.id)
+    );
+    if (records.some((record) => !record.embedding)) return null;
+
+    const [queryEmbedding] = (await this._embed([queryText])) || [];
+    // Vectors from a different embedding model can't be compared
+    if (
+      !queryEmbedding ||
+      records.some(
+        (record) => record.embedding.length !== queryEmbedding.length
+      )
+    ) {
+      return null;
+    }
+
+    return records
+      .map((record) => ({
+        id: record.id,
+        distance: 1 - cosineSimilarity(queryEmbedding, record.embedding),
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, nResults);
+  }
+
+  async _embed(texts) {
+    if (!this.embeddingFunction || texts.length === 0) return null;
+    try {
+      return await this.embeddingFunction.generate(texts);
+    } catch (error) {
+      // Keyword search still works without embeddings
+      console.warn("Embedding failed, using keyword search:", error.message);
+      return null;
+    }
+  }
+
+  _put(ids, documents, metadatas, embeddings) {
+    ids.forEach((id, i) => {
+      const record = {
+        id,
+        document: documents[i],
+        metadata: (metadatas && metadatas[i]) || {},
+        embedding: embeddings ? embeddings[i] : null,
+      };
+      this.records.set(id, record);
+      this.index.add(id, record.document);
+    });
+  }
+
+  _select({ ids, where }) {
+    this._load();
+    const records = ids
+      ? ids.map((id) => this.records.get(id)).filter(Boolean)
+      : [...this.records.values()];
+    return where
+      ? records.filter((record) => matchesWhere(record.metadata, where))
+      : records;
+  }
+
+  _load() {
+    if (this.records) return;
+    this.records = new Map();
+    this.index = new Bm25Index();
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        (data.records || []).forEach((record) => {
+          this.records.set(record.id, record);
+          this.index.add(record.id, record.document);
+        });
+      }
+    } catch (error) {
+      console.error("Failed to load local vector store:", error);
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(
+        this.filePath,
+        JSON.stringify({ version: 1, records: [...this.records.values()] })
+      );
+    } catch (error) {
+      console.error("Failed to save local vector store:", error);
+    }
+  }
+}
+
+/**
+ * Whether metadata matches a Chroma-style where filter. Supports plain
+ * equality, $eq, $ne, $in, $nin, $and and $or.
+ * @param {Object} metadata
+ * @param {Object} where
+ * @returns {boolean}
+ */
+function matchesWhere(metadata, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === "$and") {
+      return condition.every((part) => matchesWhere(metadata, part));
+    }
+    if (key === "$or") {
+      return condition.some((part) => matchesWhere(metadata, part));
+    }
+
+    const value = metadata ? metadata[key] : undefined;
+    if (condition === null || typeof condition !== "object") {
+      return value === condition;
+    }
+    return Object.entries(condition).every(([operator, expected]) => {
+      switch (operator) {
+        case "$eq":
+          return value === expected;
+        case "$ne":
+          return value !== expected;
+        case "$in":
+          return expected.includes(value);
+        case "$nin":
+          return !expected.includes(value);
+        default:
+          throw new Error(`Unsupported where operator: ${operator}`);
+      }
+    });
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+module.exports = LocalVectorStore;
@@ -7,8 +7,8 @@
   // Store state
   let state = {
     messages: [],
-    isProcessing: false,
     docStatus: "Up to date",
+    conversationId: null,
   };
 
   // Try to get state from storage
@@ -21,17 +21,44 @@
   const chatContainer = document.getElementById("chat-container");
   const userInput = document.getElementById("user-input");
   const sendButton = document.getElementById("send-button");
+  const stopButton = document.getElementById("stop-button");
   const clearInputButton = document.getElementById("clear-input");
+  const modeChip = document.getElementById("mode-chip");
+  const clearModeButton = document.getElementById("clear-mode");
   const refreshDocsButton = document.getElementById("refresh-docs");
   const docStatus = document.getElementById("doc-status");
   const docStatusIndicator = document.getElementById("doc-status-indicator");
   const clearChatButton = document.getElementById("clear-chat");
+  const toggleHistoryButton = document.getElementById("toggle-history");
+  const exportChatButton = document.getElementById("export-chat");
+  const historySidebar = document.getElementById("history-sidebar");
+  const historySearch = document.getElementById("history-search");
+  const historyList = document.getElementById("history-list");
+  const toggleDocChangesButton = document.getElementById("toggle-doc-changes");
+  const docChangesPanel = document.getElementById("doc-changes-panel");
+  const docChangesList = document.getElementById("doc-changes-list");
   const getContextButton = document.getElementById("get-context");
   const codeSuggestionsButton = document.getElementById("code-suggestions");
   const docsSearchButton = document.getElementById("docs-search");
   const apiDocsButton = document.getElementById("api-docs");
   const settingsButton = document.getElementById("settings-button");
-  const apiDocsButton = document.getElementById("api-docs");
+
+  // AI responses currently being streamed, keyed by request id
+  const streamingResponses = {};
+
+  // Ids of requests the extension is still working on
+  const activeRequests = new Set();
+
+  // Chat notices for queued requests without a streaming bubble
+  const queuedNotices = {};
+
+  // Mode the next question is sent in, set by a prefilled question
+  let pendingMode = null;
+
+  function setPendingMode(mode) {
+    pendingMode = mode || null;
+    modeChip.hidden = pendingMode !== "debug";
+  }
 
   // Auto-resize textarea
   userInput.addEventListener("input", function () {
@@ -179,9 +206,7 @@
   // Handle sending messages
   function sendMessage() {
     const text = userInput.value.trim();
-    if (text && !state.isProcessing) {
-      state.isProcessing = true;
-
+    if (text) {
       // Add user message to state
       state.messages.push({
         role: "user",
@@ -219,10 +244,9 @@
       vscode.postMessage({
         command: "askAi",
         text: text,
+        mode: pendingMode,
       });
-
-      // Disable send button while processing
-      sendButton.disabled = true;
+      setPendingMode(null);
     }
   }
 
@@ -235,71 +259,211 @@
 
     // Clear state
     state.messages = [];
+    state.conversationId = null;
     vscode.setState(state);
+
+    // The previous conversation stays in the history
+    vscode.postMessage({ command: "newConversation" });
   }
 
-  // Get current context
-  function getContext() {
-    if (!state.isProcessing) {
-      state.isProcessing = true;
+  // Ask for the saved conversations matching the search box
+  function requestConversationList() {
+    vscode.postMessage({
+      command: "listConversations",
+      query: historySearch.value.trim(),
+    });
+  }
 
-      const contextQuery =
-        "Analyze my current code context and provide suggestions.";
+  // Fill the history sidebar
+  function renderConversationList(conversations, currentId) {
+    historyList.innerHTML = "";
+    if (conversations.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = historySearch.value.trim()
+        ? "No conversations match."
+        : "No saved conversations yet.";
+      historyList.appendChild(empty);
+      return;
+    }
 
-      // Add to state
-      state.messages.push({
-        role: "user",
-        content: contextQuery,
+    conversations.forEach((conversation) => {
+      const item = document.createElement("li");
+      item.className = "history-item";
+      if (conversation.id === currentId) item.classList.add("current");
+      item.title = conversation.preview;
+
+      const text = document.createElement("div");
+      text.className = "history-item-text";
+      const title = document.createElement("span");
+      title.className = "history-item-title";
+      title.textContent = conversation.title;
+      const date = document.createElement("span");
+      date.className = "history-item-date";
+      date.textContent = `${new Date(
+        conversation.updatedAt
+      ).toLocaleString()} · ${conversation.messageCount} messages`;
+      text.appendChild(title);
+      text.appendChild(date);
+      item.appendChild(text);
+
+      const renameButton = document.createElement("button");
+      renameButton.title = "Rename";
+      renameButton.innerHTML = '<i class="codicon codicon-edit"></i>';
+      renameButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        startRename(title, conversation);
       });
+      item.appendChild(renameButton);
 
-      // Update VS Code state
-      vscode.setState(state);
+      const deleteButton = document.createElement("button");
+      deleteButton.title = "Delete";
+      deleteButton.innerHTML = '<i class="codicon codicon-trash"></i>';
+      deleteButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        vscode.postMessage({
+          command: "deleteConversation",
+          id: conversation.id,
+        });
+      });
+      item.appendChild(deleteButton);
 
-      // Add user message to chat
-      const messageDiv = document.createElement("div");
-      messageDiv.className = "message user-message";
+      item.addEventListener("click", () => {
+        vscode.postMessage({
+          command: "openConversation",
+          id: conversation.id,
+        });
+      });
+      historyList.appendChild(item);
+    });
+  }
 
-      const contentDiv = document.createElement("div");
-      contentDiv.className = "message-content";
-      contentDiv.textContent = contextQuery;
-      messageDiv.appendChild(contentDiv);
+  // Edit a conversation title in place; Enter saves, Escape cancels
+  function startRename(titleSpan, conversation) {
+    const input = document.createElement("input");
+    input.className = "history-search";
+    input.value = conversation.title;
+    titleSpan.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      const title = input.value.trim();
+      input.replaceWith(titleSpan);
+      if (save && title && title !== conversation.title) {
+        titleSpan.textContent = title;
+        vscode.postMessage({
+          command: "renameConversation",
+          id: conversation.id,
+          title,
+        });
+      }
+    };
+    input.addEventListener("click", (event) => event.stopPropagation());
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") finish(true);
+      if (event.key === "Escape") finish(false);
+    });
+    input.addEventListener("blur", () => finish(true));
+  }
 
-      chatContainer.appendChild(messageDiv);
+  // Get current context
+  function getContext() {
+    const contextQuery =
+      "Analyze my current code context and provide suggestions.";
 
-      // Add typing indicator
-      const typingDiv = document.createElement("div");
-      typingDiv.className = "message ai-message typing-indicator";
-      typingDiv.innerHTML = "Thinking<span></span><span></span><span></span>";
-      chatContainer.appendChild(typingDiv);
+    // Add to state
+    state.messages.push({
+      role: "user",
+      content: contextQuery,
+    });
 
-      // Scroll to bottom
-      chatContainer.scrollTop = chatContainer.scrollHeight;
+    // Update VS Code state
+    vscode.setState(state);
 
-      // Send message to extension
-      vscode.postMessage({
-        command: "askAi",
-        text: contextQuery,
-      });
+    // Add user message to chat
+    const messageDiv = document.createElement("div");
+    messageDiv.className = "message user-message";
 
-      // Disable buttons while processing
-      sendButton.disabled = true;
-      getContextButton.disabled = true;
-      codeSuggestionsButton.disabled = true;
-      docsSearchButton.disabled = true;
-    }
+    const contentDiv = document.createElement("div");
+    contentDiv.className = "message-content";
+    contentDiv.textContent = contextQuery;
+    messageDiv.appendChild(contentDiv);
+
+    chatContainer.appendChild(messageDiv);
+
+    // Add typing indicator
+    const typingDiv = document.createElement("div");
+    typingDiv.className = "message ai-message typing-indicator";
+    typingDiv.innerHTML = "Thinking<span></span><span></span><span></span>";
+    chatContainer.appendChild(typingDiv);
+
+    // Scroll to bottom
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+
+    // Send message to extension
+    vscode.postMessage({
+      command: "askAi",
+      text: contextQuery,
+    });
   }
 
   // Get code suggestions
   function getCodeSuggestions() {
-    if (!state.isProcessing) {
-      state.isProcessing = true;
+    const suggestionsQuery = "Suggest improvements for my current code.";
+
+    // Add to state
+    state.messages.push({
+      role: "user",
+      content: suggestionsQuery,
+    });
 
-      const suggestionsQuery = "Suggest improvements for my current code.";
+    // Update VS Code state
+    vscode.setState(state);
+
+    // Add user message to chat
+    const messageDiv = document.createElement("div");
+    messageDiv.className = "message user-message";
+
+    const contentDiv = document.createElement("div");
+    contentDiv.className = "message-content";
+    contentDiv.textContent = suggestionsQuery;
+    messageDiv.appendChild(contentDiv);
+
+    chatContainer.appendChild(messageDiv);
+
+    // Add typing indicator
+    const typingDiv = document.createElement("div");
+    typingDiv.className = "message ai-message typing-indicator";
+    typingDiv.innerHTML = "Thinking<span></span><span></span><span></span>";
+    chatContainer.appendChild(typingDiv);
+
+    // Scroll to bottom
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+
+    // Send message to extension
+    vscode.postMessage({
+      command: "askAi",
+      text: suggestionsQuery,
+    });
+  }
+
+  // Search docs
+  function searchDocs() {
+    // Prompt user for search term
+    const searchTerm = prompt(
+      "What would you like to search for in the documentation?"
+    );
+    if (searchTerm) {
+      const searchQuery = `Search the documentation for: ${searchTerm}`;
 
       // Add to state
       state.messages.push({
         role: "user",
-        content: suggestionsQuery,
+        content: searchQuery,
       });
 
       // Update VS Code state
@@ -311,7 +475,7 @@
 
       const contentDiv = document.createElement("div");
       contentDiv.className = "message-content";
-      contentDiv.textContent = suggestionsQuery;
+      contentDiv.textContent = searchQuery;
       messageDiv.appendChild(contentDiv);
 
       chatContainer.appendChild(messageDiv);
@@ -328,70 +492,8 @@
       // Send message to extension
       vscode.postMessage({
         command: "askAi",
-        text: suggestionsQuery,
+        text: searchQuery,
       });
-
-      // Disable buttons while processing
-      sendButton.disabled = true;
-      getContextButton.disabled = true;
-      codeSuggestionsButton.disabled = true;
-      docsSearchButton.disabled = true;
-    }
-  }
-
-  // Search docs
-  function searchDocs() {
-    if (!state.isProcessing) {
-      // Prompt user for search term
-      const searchTerm = prompt(
-        "What would you like to search for in the documentation?"
-      );
-      if (searchTerm) {
-        state.isProcessing = true;
-
-        const searchQuery = `Search the documentation for: ${searchTerm}`;
-
-        // Add to state
-        state.messages.push({
-          role: "user",
-          content: searchQuery,
-        });
-
-        // Update VS Code state
-        vscode.setState(state);
-
-        // Add user message to chat
-        const messageDiv = document.createElement("div");
-        messageDiv.className = "message user-message";
-
-        const contentDiv = document.createElement("div");
-        contentDiv.className = "message-content";
-        contentDiv.textContent = searchQuery;
-        messageDiv.appendChild(contentDiv);
-
-        chatContainer.appendChild(messageDiv);
-
-        // Add typing indicator
-        const typingDiv = document.createElement("div");
-        typingDiv.className = "message ai-message typing-indicator";
-        typingDiv.innerHTML = "Thinking<span></span><span></span><span></span>";
-        chatContainer.appendChild(typingDiv);
-
-        // Scroll to bottom
-        chatContainer.scrollTop = chatContainer.scrollHeight;
-
-        // Send message to extension
-        vscode.postMessage({
-          command: "askAi",
-          text: searchQuery,
-        });
-
-        // Disable buttons while processing
-        sendButton.disabled = true;
-        getContextButton.disabled = true;
-        codeSuggestionsButton.disabled = true;
-        docsSearchButton.disabled = true;
-      }
     }
   }
 
@@ -550,6 +652,9 @@
         contentDiv.querySelectorAll("pre code").forEach((block) => {
           hljs.highlightElement(block);
         });
+        addCodeBlockActions(contentDiv);
+        renderAnswerSources(contentDiv, message.sources);
+        renderContextUsed(contentDiv, message.memory);
       } else {
         contentDiv.textContent = message.content;
       }
@@ -574,6 +679,12 @@
   clearInputButton.addEventListener("click", () => {
     userInput.value = "";
     userInput.style.height = "auto";
+    setPendingMode(null);
+    userInput.focus();
+  });
+
+  clearModeButton.addEventListener("click", () => {
+    setPendingMode(null);
     userInput.focus();
   });
 
@@ -588,7 +699,32 @@
     refreshDocsButton.disabled = true;
   });
 
+  stopButton.addEventListener("click", () => {
+    vscode.postMessage({ command: "cancelRequest" });
+  });
+
   clearChatButton.addEventListener("click", clearChat);
+  exportChatButton.addEventListener("click", () => {
+    vscode.postMessage({ command: "exportConversation" });
+  });
+  toggleHistoryButton.addEventListener("click", () => {
+    historySidebar.hidden = !historySidebar.hidden;
+    if (!historySidebar.hidden) {
+      requestConversationList();
+      historySearch.focus();
+    }
+  });
+  toggleDocChangesButton.addEventListener("click", () => {
+    docChangesPanel.hidden = !docChangesPanel.hidden;
+    if (!docChangesPanel.hidden) {
+      vscode.postMessage({ command: "listDocChanges" });
+    }
+  });
+  let historySearchTimer = null;
+  historySearch.addEventListener("input", () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(requestConversationList, 200);
+  });
   getContextButton.addEventListener("click", getContext);
   codeSuggestionsButton.addEventListener("click", getCodeSuggestions);
   docsSearchButton.addEventListener("click", searchDocs);
@@ -609,11 +745,595 @@
   });
   apiDocsButton.addEventListener("click", showDocumentationPage);
 
+  // Copy, Insert and Apply buttons on the code blocks of an answer
+  function addCodeBlockActions(container) {
+    container.querySelectorAll("pre > code").forEach((block) => {
+      const pre = block.parentElement;
+      if (pre.parentElement.classList.contains("code-block")) return;
+
+      const wrapper = document.createElement("div");
+      wrapper.className = "code-block";
+      pre.parentElement.insertBefore(wrapper, pre);
+      wrapper.appendChild(pre);
+
+      const actions = document.createElement("div");
+      actions.className = "code-block-actions";
+      [
+        { command: "copyCode", icon: "copy", label: "Copy" },
+        {
+          command: "insertCode",
+          icon: "insert",
+          label: "Insert",
+          title: "Insert at the cursor",
+        },
+        {
+          command: "applyCode",
+          icon: "diff",
+          label: "Apply",
+          title: "Preview as a diff against the active file and apply",
+        },
+      ].forEach(({ command, icon, label, title }) => {
+        const button = document.createElement("button");
+        button.title = title || label;
+        button.innerHTML = `<i class="codicon codicon-${icon}"></i> ${label}`;
+        button.addEventListener("click", () => {
+          vscode.postMessage({ command, code: block.textContent });
+        });
+        actions.appendChild(button);
+      });
+      wrapper.appendChild(actions);
+    });
+  }
+
+  // Create the bubble that streamed chunks are appended to
+  function startStreamingResponse(requestId) {
+    const typingIndicators =
+      document.getElementsByClassName("typing-indicator");
+    if (typingIndicators.length > 0) {
+      chatContainer.removeChild(typingIndicators[0]);
+    }
+
+    const messageDiv = document.createElement("div");
+    messageDiv.className = "message ai-message streaming";
+
+    const contentDiv = document.createElement("div");
+    contentDiv.className = "message-content markdown-body";
+    contentDiv.innerHTML =
+      '<span class="stream-placeholder">Thinking<span></span><span></span><span></span></span>';
+    messageDiv.appendChild(contentDiv);
+    chatContainer.appendChild(messageDiv);
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+
+    streamingResponses[requestId] = {
+      messageDiv,
+      contentDiv,
+      text: "",
+      renderScheduled: false,
+    };
+  }
+
+  // Re-render the streamed markdown at most once per animation frame
+  function appendStreamingChunk(requestId, chunk) {
+    const response = streamingResponses[requestId];
+    if (!response) return;
+    response.text += chunk;
+    if (response.renderScheduled) return;
+    response.renderScheduled = true;
+    requestAnimationFrame(() => {
+      response.renderScheduled = false;
+      const atBottom =
+        chatContainer.scrollHeight - chatContainer.scrollTop <=
+        chatContainer.clientHeight + 40;
+      response.contentDiv.innerHTML = marked.parse(response.text);
+      if (atBottom) {
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+      }
+    });
+  }
+
+  // Final render with syntax highlighting once the stream is done
+  function endStreamingResponse(requestId, message) {
+    const response = streamingResponses[requestId];
+    if (!response) return;
+    delete streamingResponses[requestId];
+    response.messageDiv.classList.remove("streaming");
+
+    let text = message.text || response.text;
+    if (message.status === "cancelled" && text) {
+      text += "\n\n_Stopped._";
+    }
+
+    if (message.status === "cancelled" && !response.text) {
+      response.messageDiv.className = "message ai-message";
+      response.contentDiv.className = "message-info";
+      response.contentDiv.textContent = "Request stopped.";
+    } else if (message.status === "error" && !response.text) {
+      // Nothing was streamed, the error message follows separately
+      chatContainer.removeChild(response.messageDiv);
+    } else {
+      response.contentDiv.innerHTML = marked.parse(text);
+      response.contentDiv.querySelectorAll("pre code").forEach((block) => {
+        hljs.highlightElement(block);
+      });
+      renderEditSetReview(response.contentDiv, message.editSet);
+      addCodeBlockActions(response.contentDiv);
+      renderAnswerSources(response.contentDiv, message.sources);
+      renderContextUsed(response.contentDiv, message.memory);
+      state.messages.push({
+        role: "assistant",
+        content: text,
+        sources: message.sources,
+        memory: message.memory,
+      });
+      vscode.setState(state);
+    }
+
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+  }
+
+  // Bucket a 0-1 similarity score for the relevance badge
+  function relevanceLevel(score) {
+    if (score >= 0.75) return "high";
+    if (score >= 0.5) return "medium";
+    return "low";
+  }
+
+  // Link that opens a documentation page in the external browser
+  function createSourceLink(url, label) {
+    const link = document.createElement("a");
+    link.className = "doc-source-link";
+    link.textContent = label;
+    link.href = url;
+    link.title = url;
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      vscode.postMessage({ command: "openExternalUrl", url });
+    });
+    return link;
+  }
+
+  // Fill the doc changes view, one group per source
+  function renderDocChanges(sources) {
+    docChangesList.innerHTML = "";
+    if (sources.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "doc-changes-empty";
+      empty.textContent =
+        "No documentation changes yet. Refresh the docs to see what changed.";
+      docChangesList.appendChild(empty);
+      return;
+    }
+
+    sources.forEach((change) => {
+      const group = document.createElement("section");
+      group.className = "doc-changes-source";
+      const heading = document.createElement("h4");
+      heading.textContent = change.source;
+      group.appendChild(heading);
+      const date = document.createElement("div");
+      date.className = "doc-changes-date";
+      date.textContent = `${new Date(
+        change.refreshedAt
+      ).toLocaleString()} · ${change.newDocs.length} new, ${
+        change.updatedDocs.length
+      } updated, ${change.removedDocs.length} removed`;
+      group.appendChild(date);
+
+      change.updatedDocs.forEach((doc) =>
+        group.appendChild(renderDocChange(doc, "updated"))
+      );
+      change.newDocs.forEach((doc) =>
+        group.appendChild(renderDocChange(doc, "new"))
+      );
+      change.removedDocs.forEach((doc) =>
+        group.appendChild(renderDocChange(doc, "removed"))
+      );
+      docChangesList.appendChild(group);
+    });
+  }
+
+  // One changed section; updated ones open with their inline diff
+  function renderDocChange(doc, kind) {
+    const item = document.createElement("details");
+    item.className = `doc-change doc-change-${kind}`;
+    item.open = kind === "updated";
+
+    const summary = document.createElement("summary");
+    const badge = document.createElement("span");
+    badge.className = "doc-change-badge";
+    badge.textContent = kind;
+    summary.appendChild(badge);
+    const title = document.createElement("span");
+    title.className = "doc-change-title";
+    title.textContent = doc.title;
+    title.title = doc.title;
+    summary.appendChild(title);
+    if (doc.stats) {
+      const stats = document.createElement("span");
+      stats.className = "doc-change-stats";
+      stats.textContent = `+${doc.stats.added} −${doc.stats.removed} words`;
+      summary.appendChild(stats);
+    }
+    if (doc.url) {
+      summary.appendChild(
+        createSourceLink(doc.url, kind === "removed" ? "Page" : "Open page")
+      );
+    }
+    item.appendChild(summary);
+
+    const body = document.createElement("div");
+    body.className = "doc-change-body";
+    if (doc.diff) {
+      doc.diff.forEach((segment) => {
+        const tag =
+          segment.type === "added"
+            ? "ins"
+            : segment.type === "removed"
+            ? "del"
+            : "span";
+        const piece = document.createElement(tag);
+        piece.textContent = segment.text;
+        body.appendChild(piece);
+      });
+    } else {
+      body.textContent = doc.content;
+    }
+    item.appendChild(body);
+    return item;
+  }
+
+  // Render documentation hits as cards with source links and relevance badges
+  function renderDocsSearchResults(message) {
+    const messageDiv = document.createElement("div");
+    messageDiv.className = "message ai-message";
+
+    const resultsDiv = document.createElement("div");
+    resultsDiv.className = "doc-results";
+
+    const heading = document.createElement("div");
+    heading.className = "doc-results-title";
+    heading.textContent = `Documentation results for "${message.query}"`;
+    resultsDiv.appendChild(heading);
+
+    if (message.results.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "message-info";
+      empty.textContent =
+        "No documentation found matching your query. Try refreshing the documentation or using different search terms.";
+      resultsDiv.appendChild(empty);
+    }
+
+    message.results.forEach((hit) => {
+      const card = document.createElement("div");
+      card.className = "doc-card";
+
+      const header = document.createElement("div");
+      header.className = "doc-card-header";
+      const title = document.createElement("span");
+      title.className = "doc-card-title";
+      title.textContent = hit.title;
+      header.appendChild(title);
+      if (hit.type) {
+        const typeBadge = document.createElement("span");
+        typeBadge.className = "doc-type-badge";
+        typeBadge.textContent = hit.type;
+        header.appendChild(typeBadge);
+      }
+      const relevance = document.createElement("span");
+      relevance.className = `relevance-badge relevance-${relevanceLevel(
+        hit.score
+      )}`;
+      relevance.textContent = `${Math.round(hit.score * 100)}% match`;
+      header.appendChild(relevance);
+      card.appendChild(header);
+
+      if (hit.sectionPath && hit.sectionPath !== hit.title) {
+        const section = document.createElement("div");
+        section.className = "doc-card-section";
+        section.textContent = hit.sectionPath;
+        card.appendChild(section);
+      }
+
+      // Chunks start with their section path, which is shown above already
+      const snippet = document.createElement("div");
+      snippet.className = "doc-card-snippet";
+      const body = hit.text.split("\n\n").slice(1).join("\n\n") || hit.text;
+      snippet.textContent =
+        body.length > 400 ? `${body.substring(0, 400)}...` : body;
+      card.appendChild(snippet);
+
+      const meta = document.createElement("div");
+      meta.className = "doc-card-meta";
+      if (hit.url) {
+        meta.appendChild(createSourceLink(hit.url, "Open source"));
+      }
+      if (hit.updatedAt) {
+        const updated = document.createElement("span");
+        updated.textContent = `${hit.url ? " · " : ""}Updated ${new Date(
+          hit.updatedAt
+        ).toLocaleDateString()}`;
+        meta.appendChild(updated);
+      }
+      card.appendChild(meta);
+
+      resultsDiv.appendChild(card);
+    });
+
+    messageDiv.appendChild(resultsDiv);
+    chatContainer.appendChild(messageDiv);
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+
+    // Keep a markdown summary so the results survive a reload
+    const summary = message.results.map((hit) => {
+      const title = hit.url ? `[${hit.title}](${hit.url})` : hit.title;
+      return `- ${title} (${Math.round(hit.score * 100)}% match)`;
+    });
+    state.messages.push({
+      role: "assistant",
+      content: [`Documentation results for "${message.query}":`]
+        .concat(summary)
+        .join("\n"),
+    });
+    vscode.setState(state);
+  }
+
+  // List the documentation an answer was based on below the answer
+  function renderAnswerSources(contentDiv, sources) {
+    if (!sources || sources.length === 0) return;
+    const sourcesDiv = document.createElement("div");
+    sourcesDiv.className = "answer-sources";
+    sourcesDiv.textContent = "Sources:";
+    const list = document.createElement("ul");
+    const seen = new Set();
+    sources.forEach((source) => {
+      // Several chunks of one page collapse into its best match
+      const key = `${source.title}|${source.url}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const item = document.createElement("li");
+      if (source.url) {
+        item.appendChild(createSourceLink(source.url, source.title));
+      } else {
+        item.appendChild(document.createTextNode(source.title));
+      }
+      const relevance = document.createElement("span");
+      relevance.className = `relevance-badge relevance-${relevanceLevel(
+        source.score
+      )}`;
+      relevance.textContent = `${Math.round(source.score * 100)}%`;
+      item.appendChild(document.createTextNode(" "));
+      item.appendChild(relevance);
+      list.appendChild(item);
+    });
+    sourcesDiv.appendChild(list);
+    contentDiv.appendChild(sourcesDiv);
+  }
+
+  // How many earlier turns of the conversation the answer was given
+  function renderContextUsed(contentDiv, memory) {
+    if (!memory || memory.total === 0) return;
+    const indicator = document.createElement("div");
+    indicator.className = "context-used";
+    let text = `Context used: ${memory.included} of ${memory.total} earlier ${
+      memory.total === 1 ? "turn" : "turns"
+    }`;
+    if (memory.summarized) {
+      text += `, ${memory.omitted} older summarized`;
+    }
+    indicator.textContent = text;
+    contentDiv.appendChild(indicator);
+  }
+
+  // Review card for a multi-file edit set, replacing its raw JSON block
+  function renderEditSetReview(contentDiv, review) {
+    if (!review) return;
+    const card = document.createElement("div");
+    card.className = "edit-set-review";
+    card.dataset.editSetId = review.id;
+
+    const header = document.createElement("div");
+    header.className = "edit-set-header";
+    header.textContent = `Proposed changes to ${review.files.length} file${
+      review.files.length === 1 ? "" : "s"
+    }${review.summary ? `: ${review.summary}` : ""}`;
+    card.appendChild(header);
+
+    const checkboxes = [];
+    review.files.forEach((file) => {
+      const row = document.createElement("div");
+      row.className = "edit-set-file";
+
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = file.path;
+      // Files none of whose hunks matched have nothing to apply
+      checkbox.checked = file.applied > 0;
+      checkbox.disabled = file.applied === 0;
+      checkboxes.push(checkbox);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${file.path}`));
+      row.appendChild(label);
+
+      const meta = document.createElement("span");
+      meta.className = "edit-set-meta";
+      meta.textContent = `${file.exists ? "" : "new file, "}${file.applied}/${
+        file.hunks
+      } hunk${file.hunks === 1 ? "" : "s"}`;
+      row.appendChild(meta);
+
+      const diffButton = document.createElement("button");
+      diffButton.title = "Show the diff of this file";
+      diffButton.innerHTML = '<i class="codicon codicon-diff"></i> Diff';
+      diffButton.disabled = file.applied === 0;
+      diffButton.addEventListener("click", () => {
+        vscode.postMessage({
+          command: "showEditSetDiff",
+          id: review.id,
+          path: file.path,
+        });
+      });
+      row.appendChild(diffButton);
+
+      file.failed.forEach((reason) => {
+        const failure = document.createElement("div");
+        failure.className = "edit-set-failure";
+        failure.textContent = reason;
+        row.appendChild(failure);
+      });
+      card.appendChild(row);
+    });
+
+    const applyButton = document.createElement("button");
+    applyButton.className = "edit-set-apply";
+    applyButton.innerHTML =
+      '<i class="codicon codicon-check"></i> Apply selected';
+    const updateApplyButton = () => {
+      applyButton.disabled = !checkboxes.some((checkbox) => checkbox.checked);
+    };
+    checkboxes.forEach((checkbox) =>
+      checkbox.addEventListener("change", updateApplyButton)
+    );
+    updateApplyButton();
+    applyButton.addEventListener("click", () => {
+      applyButton.disabled = true;
+      vscode.postMessage({
+        command: "applyEditSet",
+        id: review.id,
+        paths: checkboxes
+          .filter((checkbox) => checkbox.checked)
+          .map((checkbox) => checkbox.value),
+      });
+    });
+    card.appendChild(applyButton);
+
+    const status = document.createElement("div");
+    status.className = "edit-set-status";
+    card.appendChild(status);
+
+    const block = contentDiv.querySelector("pre > code.language-edit-set");
+    if (block) {
+      block.parentElement.replaceWith(card);
+    } else {
+      contentDiv.appendChild(card);
+    }
+  }
+
+  // Show the outcome of applying an edit set on its review card
+  function showEditSetResult(message) {
+    const card = chatContainer.querySelector(
+      `.edit-set-review[data-edit-set-id="${message.id}"]`
+    );
+    if (!card) return;
+    const status = card.querySelector(".edit-set-status");
+    if (message.error) {
+      status.textContent = message.error;
+      card.querySelector(".edit-set-apply").disabled = false;
+      return;
+    }
+    if (!message.applied) {
+      status.textContent = "Nothing was applied.";
+      card.querySelector(".edit-set-apply").disabled = false;
+      return;
+    }
+    status.textContent = `Applied to ${message.paths.length} file${
+      message.paths.length === 1 ? "" : "s"
+    }. Undo reverts all of them.`;
+    card
+      .querySelectorAll("input")
+      .forEach((checkbox) => (checkbox.disabled = true));
+    card.querySelector(".edit-set-apply").disabled = true;
+  }
+
+  // Show the Stop button while the extension is working on a request
+  function updateStopButton() {
+    stopButton.style.display = activeRequests.size > 0 ? "flex" : "none";
+  }
+
+  // Show where a request sits in the queue until it starts running
+  function showQueuePosition(requestId, position) {
+    const text =
+      position > 1
+        ? `Queued, ${position - 1} request(s) ahead of this one...`
+        : "Queued, waiting for the current request to finish...";
+    const response = streamingResponses[requestId];
+    if (response && !response.text) {
+      response.contentDiv.innerHTML = `<span class="stream-placeholder">${text}</span>`;
+      response.queued = true;
+      return;
+    }
+
+    let notice = queuedNotices[requestId];
+    if (!notice) {
+      notice = document.createElement("div");
+      notice.className = "message ai-message";
+      const noticeContent = document.createElement("div");
+      noticeContent.className = "message-info";
+      notice.appendChild(noticeContent);
+      chatContainer.appendChild(notice);
+      chatContainer.scrollTop = chatContainer.scrollHeight;
+      queuedNotices[requestId] = notice;
+    }
+    notice.firstChild.textContent = text;
+  }
+
+  // Drop the queue notice once the request runs or finishes
+  function clearQueuePosition(requestId) {
+    const response = streamingResponses[requestId];
+    if (response && response.queued) {
+      response.queued = false;
+      response.contentDiv.innerHTML =
+        '<span class="stream-placeholder">Thinking<span></span><span></span><span></span></span>';
+    }
+
+    const notice = queuedNotices[requestId];
+    if (notice) {
+      delete queuedNotices[requestId];
+      if (notice.parentNode) notice.parentNode.removeChild(notice);
+    }
+  }
+
   // Handle messages from the extension
   window.addEventListener("message", (event) => {
     const message = event.data;
 
     switch (message.command) {
+      case "requestStarted":
+        activeRequests.add(message.requestId);
+        updateStopButton();
+        break;
+
+      case "requestFinished":
+        activeRequests.delete(message.requestId);
+        clearQueuePosition(message.requestId);
+        updateStopButton();
+        break;
+
+      case "requestQueued":
+        showQueuePosition(message.requestId, message.position);
+        break;
+
+      case "requestRunning":
+        clearQueuePosition(message.requestId);
+        break;
+
+      case "aiResponseStart":
+        startStreamingResponse(message.requestId);
+        break;
+
+      case "aiResponseChunk":
+        appendStreamingChunk(message.requestId, message.text);
+        break;
+
+      case "aiResponseEnd":
+        endStreamingResponse(message.requestId, message);
+        break;
+
+      case "docsSearchResults":
+        renderDocsSearchResults(message);
+        break;
+
       case "aiResponse":
         // Remove typing indicator if present
         const typingIndicators =
@@ -657,6 +1377,7 @@
             document.querySelectorAll("pre code").forEach((block) => {
               hljs.highlightElement(block);
             });
+            addCodeBlockActions(contentDiv);
           } else {
             contentDiv.textContent = message.text;
           }
@@ -667,15 +1388,44 @@
 
         // Scroll to bottom
         chatContainer.scrollTop = chatContainer.scrollHeight;
+        break;
 
-        // Reset processing state
-        state.isProcessing = false;
+      case "docChanges":
+        renderDocChanges(message.sources);
+        break;
 
-        // Re-enable buttons
-        sendButton.disabled = false;
-        getContextButton.disabled = false;
-        codeSuggestionsButton.disabled = false;
-        docsSearchButton.disabled = false;
+      case "conversationList":
+        renderConversationList(message.conversations, message.currentId);
+        break;
+
+      case "conversationChanged":
+        state.conversationId = message.id;
+        vscode.setState(state);
+        if (!historySidebar.hidden) requestConversationList();
+        break;
+
+      case "loadConversation":
+        state.messages = message.conversation.messages;
+        state.conversationId = message.conversation.id;
+        vscode.setState(state);
+        restoreMessages();
+        if (!historySidebar.hidden) requestConversationList();
+        break;
+
+      case "editSetApplied":
+        showEditSetResult(message);
+        break;
+
+      case "prefillQuery":
+        // Fill the question box, e.g. from the "Fix with RealTime AI" action
+        userInput.value = message.text;
+        userInput.dispatchEvent(new Event("input"));
+        setPendingMode(message.mode);
+        userInput.focus();
+        userInput.setSelectionRange(
+          userInput.value.length,
+          userInput.value.length
+        );
         break;
 
       case "showSettings":
@@ -701,6 +1451,10 @@
           docStatusIndicator.classList.add("doc-status-refreshing");
         } else {
           docStatusIndicator.classList.remove("doc-status-refreshing");
+          // Show the changes of the refresh that just finished
+          if (!docChangesPanel.hidden) {
+            vscode.postMessage({ command: "listDocChanges" });
+          }
         }
         break;
       case "docResponse":
@@ -716,7 +1470,10 @@
         if (message.status === "error") {
           docContent.className = "message-error";
           docContent.textContent = message.text;
-        } else if (message.status === "processing") {
+        } else if (
+          message.status === "processing" ||
+          message.status === "cancelled"
+        ) {
           docContent.className = "message-info";
           docContent.textContent = message.text;
         } else {
@@ -788,9 +1545,6 @@
             }
           }
         }
-
-        // Reset processing state
-        state.isProcessing = false;
         break;
     }
   });
@@ -815,6 +1569,7 @@
         if (msg.role === "assistant") {
           contentDiv.className += " markdown-body";
           contentDiv.innerHTML = marked.parse(msg.content);
+          addCodeBlockActions(contentDiv);
 
           // Apply syntax highlighting to code blocks
           setTimeout(() => {
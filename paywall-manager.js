@@ -1,5 +1,8 @@
 const vscode = require('vscode');
 
+// Context depths from least to most context
+const CONTEXT_DEPTHS = ['file', 'project', 'workspace'];
+
 class PaywallManager {
   constructor(storageManager, telemetryService) {
     this.storageManager = storageManager;
@@ -24,6 +27,25 @@ class PaywallManager {
   }
 
   async checkAndIncrementUsage(feature) {
+    const checkResult = await this.checkUsage(feature);
+    if (!checkResult.allowed) {
+      return checkResult;
+    }
+    
+    // Increment usage
+    if (feature === 'completion') {
+      await this.storageManager.incrementDailyUsage('completions');
+    } else if (feature === 'docRefresh') {
+      await this.storageManager.incrementDailyUsage('docRefreshes');
+    }
+    
+    return { allowed: true };
+  }
+
+  // Checks the quota without using it up, e.g. before showing an inline
+  // suggestion that only counts once it is accepted. For 'contextDepth' the
+  // value is the requested depth.
+  async checkUsage(feature, value) {
     const userPlan = await this.storageManager.getUserPlan();
     const dailyUsage = await this.storageManager.getDailyUsage();
     
@@ -35,9 +57,6 @@ class PaywallManager {
           message: 'You\'ve reached your daily AI completions limit. Upgrade to Pro for unlimited completions!'
         };
       }
-      
-      // Increment usage
-      await this.storageManager.incrementDailyUsage('completions');
     } else if (feature === 'docRefresh') {
       if (dailyUsage.docRefreshes >= this.usageQuotas[userPlan].docRefreshesPerDay) {
         return {
@@ -45,14 +64,16 @@ class PaywallManager {
           message: 'You\'ve reached your daily documentation refresh limit. Upgrade to Pro for real-time updates!'
         };
       }
-      
-      // Increment usage
-      await this.storageManager.incrementDailyUsage('docRefreshes');
     } else if (feature === 'contextDepth') {
-      if (this.usageQuotas[userPlan].contextDepth === 'file' && (dailyUsage.contextDepth === 'project' || dailyUsage.contextDepth === 'workspace')) {
+      const requested = value || dailyUsage.contextDepth || 'file';
+      const allowedDepth = this.usageQuotas[userPlan].contextDepth;
+      if (CONTEXT_DEPTHS.indexOf(requested) > CONTEXT_DEPTHS.indexOf(allowedDepth)) {
         return {
           allowed: false,
-          message: 'Project-wide context is a Pro feature. Upgrade to access more context!'
+          allowedDepth,
+          message: requested === 'workspace'
+            ? 'Workspace-wide context is a Team feature. Upgrade to use related files from your whole workspace!'
+            : 'Project-wide context is a Pro feature. Upgrade to access more context!'
         };
       }
     }
@@ -60,10 +81,26 @@ class PaywallManager {
     return { allowed: true };
   }
 
+  // How many more completions or documentation refreshes the plan allows
+  // today, Infinity when unlimited
+  async remainingUsage(feature) {
+    const userPlan = await this.storageManager.getUserPlan();
+    const dailyUsage = await this.storageManager.getDailyUsage();
+    const quotas = this.usageQuotas[userPlan];
+    if (feature === 'completion') {
+      return Math.max(0, quotas.completionsPerDay - dailyUsage.completions);
+    }
+    if (feature === 'docRefresh') {
+      return Math.max(0, quotas.docRefreshesPerDay - dailyUsage.docRefreshes);
+    }
+    return Infinity;
+  }
+
   getUpgradeMessage(feature) {
     const messages = {
       realTimeUpdates: 'Upgrade to Pro for real-time documentation updates!',
       projectContext: 'Upgrade to Pro for project-wide context awareness!',
+      workspaceContext: 'Upgrade to Team for context from your whole workspace!',
       teamSharing: 'Upgrade to Team plan to share custom documentation with your team!'
     };
     
@@ -0,0 +1,332 @@
+const fs = require("fs");
+const path = require("path");
+const Bm25Index = require("./bm25-index");
+const DocChunker = require("./doc-chunker");
+const WorkspaceWalker = require("./workspace-walker");
+const ImportResolver = require("./import-resolver");
+
+/**
+ * Collects context beyond the active file for the "project" and "workspace"
+ * context depths and fits it into a token budget.
+ *
+ * - project: modules the active file imports, sibling files in its folder and
+ *   the dependencies from the nearest package.json
+ * - workspace: additionally files across all workspace folders, ranked by
+ *   whether they import the active file and by keyword similarity
+ */
+class ProjectContext {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.tokenBudget] - Tokens available for the whole prompt context
+   * @param {number} [options.maxWorkspaceFiles] - Files scanned at workspace depth
+   * @param {Object} [options.importResolver] - ImportResolver, for tsconfig path aliases
+   */
+  constructor(options = {}) {
+    this.tokenBudget = options.tokenBudget || 4000;
+    this.walker = new WorkspaceWalker({
+      maxFiles: options.maxWorkspaceFiles,
+    });
+    this.importResolver = options.importResolver || new ImportResolver();
+    this.workspaceIndex = null;
+  }
+
+  /**
+   * Collects the context for the active file
+   * @param {Object} options
+   * @param {string} options.filePath - Active file
+   * @param {string} options.text - Active file content
+   * @param {string} options.depth - "file", "project" or "workspace"
+   * @param {Array<string>} [options.workspaceFolders] - Workspace folder paths
+   * @param {string} [options.query] - Code or question used to rank workspace files
+   * @param {number} [options.reservedTokens] - Budget already used by the active file context
+   * @returns {Promise<Object>} - { depth, files, dependencies, tokens, omitted }
+   */
+  async collect(options) {
+    const { filePath, text, depth } = options;
+    const workspaceFolders = options.workspaceFolders || [];
+    const result = {
+      depth,
+      files: [],
+      dependencies: [],
+      tokens: 0,
+      omitted: 0,
+    };
+    if (depth !== "project" && depth !== "workspace") return result;
+
+    const directory = path.dirname(filePath);
+    const root =
+      workspaceFolders
+        .filter((folder) => this._contains(folder, filePath))
+        .sort((a, b) => b.length - a.length)[0] || directory;
+    const candidates = [];
+    const seen = new Set([filePath]);
+    const addCandidate = (candidatePath, reason) => {
+      if (!candidatePath || seen.has(candidatePath)) return;
+      seen.add(candidatePath);
+      candidates.push({ path: candidatePath, reason });
+    };
+
+    // Local modules first, they are what the code in front of the user calls
+    const importedPackages = new Set();
+    for (const specifier of ImportResolver.findImports(text)) {
+      const resolved = await this.importResolver.resolve(specifier, filePath);
+      if (resolved) {
+        addCandidate(resolved, "imported");
+      } else {
+        importedPackages.add(ImportResolver.packageName(specifier));
+      }
+    }
+
+    result.dependencies = await this._readDependencies(
+      directory,
+      root,
+      importedPackages
+    );
+
+    (await this._listSourceFiles(directory)).forEach((sibling) =>
+      addCandidate(sibling, "sibling")
+    );
+
+    if (depth === "workspace" && workspaceFolders.length > 0) {
+      const related = await this._rankWorkspaceFiles(
+        workspaceFolders,
+        filePath,
+        options.query || text
+      );
+      related.forEach((file) => addCandidate(file.path, file.reason));
+    }
+
+    // Fit everything into what is left of the budget, in priority order
+    let remaining = Math.max(
+      0,
+      this.tokenBudget - (options.reservedTokens || 0)
+    );
+    if (result.dependencies.length > 0) {
+      const tokens = DocChunker.estimateTokens(
+        ProjectContext.formatDependencies(result.dependencies)
+      );
+      if (tokens <= remaining) {
+        remaining -= tokens;
+        result.tokens += tokens;
+      } else {
+        result.dependencies = [];
+      }
+    }
+
+    // No single file may take more than a quarter of the budget
+    const fileCap = Math.max(200, Math.floor(this.tokenBudget / 4));
+    for (const candidate of candidates) {
+      if (remaining < 50) {
+        result.omitted++;
+        continue;
+      }
+      const content = await this.walker.readFile(candidate.path);
+      if (!content || !content.trim()) continue;
+
+      const limit = Math.min(fileCap, remaining);
+      const file = this._truncate(content, limit);
+      result.files.push({
+        path: candidate.path,
+        relativePath: path.relative(root, candidate.path) || candidate.path,
+        reason: candidate.reason,
+        language: path.extname(candidate.path).slice(1),
+        content: file.content,
+        tokens: file.tokens,
+        truncated: file.truncated,
+      });
+      remaining -= file.tokens;
+      result.tokens += file.tokens;
+    }
+
+    return result;
+  }
+
+  /**
+   * Renders dependencies as a markdown list for the prompt
+   * @param {Array<Object>} dependencies - { name, version, dev, imported }
+   * @returns {string}
+   */
+  static formatDependencies(dependencies) {
+    return dependencies
+      .map(
+        (dependency) =>
+          `- ${dependency.name}@${dependency.version}` +
+          (dependency.dev ? " (dev)" : "") +
+          (dependency.imported ? " (imported by this file)" : "")
+      )
+      .join("\n");
+  }
+
+  /**
+   * Cuts content at a line boundary so it fits the token limit
+   * @param {string} content
+   * @param {number} maxTokens
+   * @returns {Object} - { content, tokens, truncated }
+   */
+  _truncate(content, maxTokens) {
+    const tokens = DocChunker.estimateTokens(content);
+    if (tokens <= maxTokens) return { content, tokens, truncated: false };
+
+    let cut = content.slice(0, maxTokens * 4);
+    const lastNewline = cut.lastIndexOf("\n");
+    if (lastNewline > 0) cut = cut.slice(0, lastNewline);
+    return {
+      content: cut,
+      tokens: DocChunker.estimateTokens(cut),
+      truncated: true,
+    };
+  }
+
+  /**
+   * Reads dependencies from the package.json closest to the directory
+   * @param {string} directory
+   * @param {string} root - Don't look above this folder
+   * @param {Set<string>} importedPackages - Packages the active file imports
+   * @returns {Promise<Array<Object>>}
+   */
+  async _readDependencies(directory, root, importedPackages) {
+    let current = directory;
+    while (true) {
+      const manifestPath = path.join(current, "package.json");
+      if (await this._isFile(manifestPath)) {
+        try {
+          const manifest = JSON.parse(
+            await fs.promises.readFile(manifestPath, "utf8")
+          );
+          const list = (dependencies, dev) =>
+            Object.entries(dependencies || {}).map(([name, version]) => ({
+              name,
+              version,
+              dev,
+              imported: importedPackages.has(name),
+            }));
+          return [
+            ...list(manifest.dependencies, false),
+            ...list(manifest.devDependencies, true),
+          ];
+        } catch (error) {
+          console.warn(`Could not read ${manifestPath}:`, error.message);
+          return [];
+        }
+      }
+      const parent = path.dirname(current);
+      if (current === root || parent === current) return [];
+      current = parent;
+    }
+  }
+
+  /**
+   * Ranks workspace files for the active file. Files that import it come
+   * first, the rest by BM25 similarity to the query.
+   * @param {Array<string>} workspaceFolders
+   * @param {string} filePath
+   * @param {string} query
+   * @returns {Promise<Array<Object>>} - { path, reason }
+   */
+  async _rankWorkspaceFiles(workspaceFolders, filePath, query) {
+    const index = await this._getWorkspaceIndex(workspaceFolders);
+    const activeName = path.basename(filePath).replace(/\.[^.]+$/, "");
+    // An index file is imported by its folder name
+    const importNames = [activeName];
+    if (activeName === "index") {
+      importNames.push(path.basename(path.dirname(filePath)));
+    }
+    const ranked = [];
+
+    for (const [file, specifiers] of index.imports) {
+      if (file === filePath) continue;
+      for (const specifier of specifiers) {
+        // Only resolve imports that could point at the active file
+        const name = path.basename(specifier).replace(/\.[^.]+$/, "");
+        if (!importNames.includes(name)) continue;
+        const resolved = await this.importResolver.resolve(specifier, file);
+        if (resolved === filePath) {
+          ranked.push({ path: file, reason: "imports this file" });
+          break;
+        }
+      }
+    }
+
+    index.bm25
+      .search(`${activeName} ${query}`.slice(0, 2000), {
+        limit: 20,
+        filter: (file) => file !== filePath,
+      })
+      .forEach((hit) => ranked.push({ path: hit.id, reason: "related" }));
+
+    return ranked;
+  }
+
+  /**
+   * Keyword index and imports of every source file in the
+   * workspace that isn't ignored, rebuilt when older than five minutes
+   * @param {Array<string>} workspaceFolders
+   * @returns {Promise<Object>} - { bm25, imports: Map<file, specifiers> }
+   */
+  async _getWorkspaceIndex(workspaceFolders) {
+    const key = workspaceFolders.join("|");
+    const now = Date.now();
+    if (
+      this.workspaceIndex &&
+      this.workspaceIndex.key === key &&
+      now - this.workspaceIndex.builtAt < 5 * 60 * 1000
+    ) {
+      return this.workspaceIndex;
+    }
+
+    const bm25 = new Bm25Index();
+    const imports = new Map();
+    const files = await this.walker.walk(workspaceFolders);
+    for (const file of files) {
+      const content = await this.walker.readFile(file);
+      if (!content) continue;
+      const folder = workspaceFolders.find((root) =>
+        this._contains(root, file)
+      );
+      // Include the path so file and folder names count as keywords
+      bm25.add(file, `${path.relative(folder, file)}\n${content}`);
+      // Kept unresolved; only imports named like the active file are resolved
+      const specifiers = ImportResolver.findImports(content);
+      if (specifiers.length > 0) imports.set(file, specifiers);
+    }
+
+    this.workspaceIndex = { key, builtAt: now, bm25, imports };
+    return this.workspaceIndex;
+  }
+
+  async _listSourceFiles(directory) {
+    try {
+      const entries = await fs.promises.readdir(directory, {
+        withFileTypes: true,
+      });
+      return entries
+        .filter(
+          (entry) =>
+            entry.isFile() && WorkspaceWalker.isSourceFile(entry.name)
+        )
+        .map((entry) => path.join(directory, entry.name))
+        .sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async _isFile(filePath) {
+    try {
+      return (await fs.promises.stat(filePath)).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  _contains(folder, filePath) {
+    const relative = path.relative(folder, filePath);
+    return (
+      Boolean(relative) &&
+      !relative.startsWith("..") &&
+      !path.isAbsolute(relative)
+    );
+  }
+}
+
+module.exports = ProjectContext;
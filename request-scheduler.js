@@ -0,0 +1,154 @@
+const { abortReason } = require("./cancellation");
+
+/**
+ * Limits how many requests of each kind run at once and queues the rest.
+ * Kinds are independent: a docs refresh never blocks a docs lookup or an
+ * AI query, only other refreshes beyond the refresh limit.
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} limits - Maximum concurrent requests per kind, e.g. { ai: 1 }
+   * @param {Object} [options]
+   * @param {Function} [options.onChange] - Called with { id, kind, state, position }
+   *   whenever a request is queued, moves up the queue or starts running
+   */
+  constructor(limits = {}, options = {}) {
+    this.limits = limits;
+    this.defaultLimit = 1;
+    this.running = {}; // kind -> number of running requests
+    this.queues = {}; // kind -> [{ id, grant, cleanup }]
+    this.onChange =
+      typeof options.onChange === "function" ? options.onChange : () => {};
+  }
+
+  /**
+   * Waits for a free slot of the given kind
+   * @param {string} kind - Request kind, e.g. "ai", "docs" or "refresh"
+   * @param {Object} [options]
+   * @param {string} [options.id] - Request id reported to onChange
+   * @param {AbortSignal} [options.signal] - Removes the request from the queue when aborted
+   * @returns {Promise<Function>} - Resolves with a release function once the request may run
+   */
+  acquire(kind, options = {}) {
+    const { id, signal } = options;
+    if (signal && signal.aborted) return Promise.reject(abortReason(signal));
+
+    if (this._runningCount(kind) < this._limit(kind)) {
+      return Promise.resolve(this._start(kind, id));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        id,
+        grant: () => resolve(this._start(kind, id)),
+        cleanup: () => {},
+      };
+
+      if (signal) {
+        const onAbort = () => {
+          this._removeFromQueue(kind, entry);
+          reject(abortReason(signal));
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        entry.cleanup = () => signal.removeEventListener("abort", onAbort);
+      }
+
+      const queue = this._queue(kind);
+      queue.push(entry);
+      this.onChange({ id, kind, state: "queued", position: queue.length });
+    });
+  }
+
+  /**
+   * Runs a task once a slot is free and releases the slot afterwards
+   * @param {string} kind - Request kind
+   * @param {Function} task - Async function to run
+   * @param {Object} [options] - Same as acquire
+   * @returns {Promise} - The task's result
+   */
+  async schedule(kind, task, options = {}) {
+    const release = await this.acquire(kind, options);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Snapshot of running and queued requests per kind
+   * @returns {Object} - { [kind]: { running, queued } }
+   */
+  getStatus() {
+    const kinds = new Set([
+      ...Object.keys(this.running),
+      ...Object.keys(this.queues),
+    ]);
+    const status = {};
+    kinds.forEach((kind) => {
+      status[kind] = {
+        running: this._runningCount(kind),
+        queued: this._queue(kind).length,
+      };
+    });
+    return status;
+  }
+
+  _limit(kind) {
+    return this.limits[kind] || this.defaultLimit;
+  }
+
+  _runningCount(kind) {
+    return this.running[kind] || 0;
+  }
+
+  _queue(kind) {
+    if (!this.queues[kind]) this.queues[kind] = [];
+    return this.queues[kind];
+  }
+
+  _start(kind, id) {
+    this.running[kind] = this._runningCount(kind) + 1;
+    this.onChange({ id, kind, state: "running" });
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.running[kind] -= 1;
+      this._next(kind);
+    };
+  }
+
+  _next(kind) {
+    const queue = this._queue(kind);
+    while (queue.length > 0 && this._runningCount(kind) < this._limit(kind)) {
+      const entry = queue.shift();
+      entry.cleanup();
+      entry.grant();
+    }
+    this._reportPositions(kind);
+  }
+
+  _removeFromQueue(kind, entry) {
+    const queue = this._queue(kind);
+    const index = queue.indexOf(entry);
+    if (index !== -1) {
+      queue.splice(index, 1);
+      this._reportPositions(kind);
+    }
+  }
+
+  _reportPositions(kind) {
+    this._queue(kind).forEach((entry, index) => {
+      this.onChange({
+        id: entry.id,
+        kind,
+        state: "queued",
+        position: index + 1,
+      });
+    });
+  }
+}
+
+module.exports = RequestScheduler;
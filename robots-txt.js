@@ -0,0 +1,116 @@
+/**
+ * Rules of a robots.txt file for one crawler (RFC 9309): the group naming
+ * the crawler's product token, or the "*" group, decides which paths may be
+ * fetched. The longest matching rule wins and Allow wins a tie.
+ */
+class RobotsTxt {
+  /**
+   * @param {Array<Object>} rules - { allow, pattern } for the crawler
+   * @param {number|null} crawlDelay - Seconds between requests asked for
+   */
+  constructor(rules = [], crawlDelay = null) {
+    this.rules = rules;
+    this.crawlDelay = crawlDelay;
+  }
+
+  /**
+   * Reads the rules that apply to a crawler
+   * @param {string} text - robots.txt content
+   * @param {string} userAgent - Crawler product token, e.g. "RealTimeAiEditor"
+   * @returns {RobotsTxt}
+   */
+  static parse(text, userAgent) {
+    const token = String(userAgent || "").toLowerCase();
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    String(text || "")
+      .split(/\r?\n/)
+      .forEach((rawLine) => {
+        const line = rawLine.replace(/#.*$/, "").trim();
+        const separator = line.indexOf(":");
+        if (separator === -1) return;
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === "user-agent") {
+          // Consecutive user-agent lines share one group
+          if (!lastWasAgent) {
+            group = { agents: [], rules: [], crawlDelay: null };
+            groups.push(group);
+          }
+          group.agents.push(value.toLowerCase());
+          lastWasAgent = true;
+          return;
+        }
+        lastWasAgent = false;
+        if (!group) return;
+        if (field === "allow" || field === "disallow") {
+          // An empty Disallow allows everything
+          if (value) {
+            group.rules.push({ allow: field === "allow", pattern: value });
+          }
+        } else if (field === "crawl-delay") {
+          const seconds = parseFloat(value);
+          if (!isNaN(seconds) && seconds >= 0) group.crawlDelay = seconds;
+        }
+      });
+
+    const matching = groups.filter((entry) =>
+      entry.agents.some((agent) => agent !== "*" && token.includes(agent))
+    );
+    const selected =
+      matching.length > 0
+        ? matching
+        : groups.filter((entry) => entry.agents.includes("*"));
+    const delays = selected
+      .map((entry) => entry.crawlDelay)
+      .filter((delay) => delay !== null);
+    return new RobotsTxt(
+      selected.flatMap((entry) => entry.rules),
+      delays.length > 0 ? Math.max(...delays) : null
+    );
+  }
+
+  /**
+   * Rules for a site whose robots.txt could not be read
+   * @param {boolean} allowed - Whether everything may be fetched
+   * @returns {RobotsTxt}
+   */
+  static all(allowed) {
+    return new RobotsTxt(allowed ? [] : [{ allow: false, pattern: "/" }]);
+  }
+
+  /**
+   * @param {string} urlPath - Path and query of the URL, e.g. "/docs/a?b=1"
+   * @returns {boolean}
+   */
+  isAllowed(urlPath) {
+    let best = null;
+    this.rules.forEach((rule) => {
+      if (!RobotsTxt._matches(rule.pattern, urlPath)) return;
+      if (
+        !best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)
+      ) {
+        best = rule;
+      }
+    });
+    return !best || best.allow;
+  }
+
+  // "*" matches any characters and a trailing "$" anchors the end
+  static _matches(pattern, urlPath) {
+    const anchored = pattern.endsWith("$");
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const expression = body
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${expression}${anchored ? "$" : ""}`).test(urlPath);
+  }
+}
+
+module.exports = RobotsTxt;
@@ -0,0 +1,54 @@
+const cheerio = require("cheerio");
+
+/**
+ * Reads sitemap.xml files (sitemaps.org protocol): the pages a site lists
+ * with their last modification, or the further sitemaps a sitemap index
+ * points to.
+ */
+class Sitemap {
+  /**
+   * @param {string} xml - Content of a sitemap or sitemap index
+   * @returns {Object} - { pages: [{ url, lastmod }], sitemaps: [url] }, lastmod
+   *   being an ISO string or null when missing or unreadable
+   */
+  static parse(xml) {
+    const $ = cheerio.load(String(xml || ""), { xmlMode: true });
+    const pages = [];
+    $("url").each((i, el) => {
+      const url = $(el).children("loc").first().text().trim();
+      if (!url) return;
+      pages.push({
+        url,
+        lastmod: Sitemap._date($(el).children("lastmod").first().text()),
+      });
+    });
+    const sitemaps = [];
+    $("sitemapindex > sitemap > loc").each((i, el) => {
+      const url = $(el).text().trim();
+      if (url) sitemaps.push(url);
+    });
+    return { pages, sitemaps };
+  }
+
+  /**
+   * Whether a page has to be fetched again
+   * @param {Object} page - { url, lastmod } from Sitemap.parse
+   * @param {string|null} fetchedAt - ISO time the page was last fetched
+   * @returns {boolean}
+   */
+  static isChanged(page, fetchedAt) {
+    // Without a lastmod there is no telling whether it changed
+    if (!fetchedAt || !page.lastmod) return true;
+    return Date.parse(page.lastmod) > Date.parse(fetchedAt);
+  }
+
+  // W3C datetime, which may be just a date, as an ISO string
+  static _date(text) {
+    const value = String(text || "").trim();
+    if (!value) return null;
+    const time = Date.parse(value);
+    return isNaN(time) ? null : new Date(time).toISOString();
+  }
+}
+
+module.exports = Sitemap;
@@ -2,6 +2,16 @@ const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
 
+// Daily counters that incrementDailyUsage knows about. The inline* counters
+// track inline suggestions; only accepted ones count towards `completions`.
+const DAILY_COUNTERS = [
+  "completions",
+  "docRefreshes",
+  "inlineShown",
+  "inlineAccepted",
+  "inlineDismissed",
+];
+
 class StorageManager {
   constructor(context) {
     this.context = context;
@@ -29,6 +39,9 @@ class StorageManager {
             lastResetDate: new Date().toISOString().split("T")[0],
             completions: 0,
             docRefreshes: 0,
+            inlineShown: 0,
+            inlineAccepted: 0,
+            inlineDismissed: 0,
             contextDepth: "file",
           },
         };
@@ -54,6 +67,9 @@ class StorageManager {
           lastResetDate: new Date().toISOString().split("T")[0],
           completions: 0,
           docRefreshes: 0,
+          inlineShown: 0,
+          inlineAccepted: 0,
+          inlineDismissed: 0,
           contextDepth: "file",
         },
       };
@@ -89,6 +105,9 @@ class StorageManager {
         lastResetDate: today,
         completions: 0,
         docRefreshes: 0,
+        inlineShown: 0,
+        inlineAccepted: 0,
+        inlineDismissed: 0,
         contextDepth: userData.usage.contextDepth,
       };
       await this.saveUserData(userData);
@@ -101,10 +120,9 @@ class StorageManager {
     const userData = await this.getUserData();
     const usage = await this.getDailyUsage();
 
-    if (feature === "completions") {
-      usage.completions += 1;
-    } else if (feature === "docRefreshes") {
-      usage.docRefreshes += 1;
+    if (DAILY_COUNTERS.includes(feature)) {
+      // Usage files written before a counter existed don't have it yet
+      usage[feature] = (usage[feature] || 0) + 1;
     }
 
     userData.usage = usage;
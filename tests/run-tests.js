@@ -1,15 +1,54 @@
 /* Minimal test runner for RealTime CodeAi */
 const assert = require("assert");
+const http = require("http");
 
+// Tests run one after another so async tests don't interleave
+let queue = Promise.resolve();
 function log(name, fn) {
-  try {
-    fn();
-    console.log(`PASS: ${name}`);
-  } catch (e) {
-    console.error(`FAIL: ${name}`);
-    console.error(e && e.stack ? e.stack : e);
-    process.exitCode = 1;
-  }
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`PASS: ${name}`);
+    } catch (e) {
+      console.error(`FAIL: ${name}`);
+      console.error(e && e.stack ? e.stack : e);
+      process.exitCode = 1;
+    }
+  });
+}
+
+// Starts a local stub server; handler receives (req, body) and returns
+// [status, payload]. String payloads are written as-is (for streamed bodies);
+// returning null leaves the request hanging until the client gives up.
+function withServer(handler, fn) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const reply = handler(req, body ? JSON.parse(body) : null);
+        if (!reply) return;
+        const [status, payload] = reply;
+        if (typeof payload === "string") {
+          res.writeHead(status, { "Content-Type": "text/plain" });
+          res.end(payload);
+          return;
+        }
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+      });
+    });
+    server.listen(0, "127.0.0.1", async () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      try {
+        resolve(await fn(base));
+      } catch (e) {
+        reject(e);
+      } finally {
+        server.close();
+      }
+    });
+  });
 }
 
 // Unit-like tests (DocDiffer)
@@ -46,4 +85,1891 @@ log("DocDiffer.getDocsForChroma returns object", () => {
   fs.unlinkSync(tmp);
 });
 
+// LlmProvider against local stub servers
+const samplePrompt = {
+  systemPrompt: "You are an AI assistant helping with coding in javascript.",
+  contextBlocks: [
+    { type: "code", content: "const a = 1;", language: "javascript" },
+    { type: "documentation", content: "NEXTJS: Routing" },
+  ],
+  userQuery: "What does this do?",
+  validationSteps: ["Understand the user query and code context"],
+};
+
+log("LlmProvider sends chat messages to an Ollama endpoint", () => {
+  const LlmProvider = require("../llm-provider");
+  let received;
+  return withServer(
+    (req, body) => {
+      received = { url: req.url, body };
+      return [200, { message: { role: "assistant", content: "From Ollama" } }];
+    },
+    async (base) => {
+      const provider = new LlmProvider({
+        config: { provider: "ollama", apiBase: base, model: "mistral" },
+      });
+      const answer = await provider.complete(samplePrompt);
+      assert.strictEqual(answer.text, "From Ollama");
+      assert.strictEqual(received.url, "/api/chat");
+      assert.strictEqual(received.body.model, "mistral");
+      assert.strictEqual(received.body.messages[0].role, "system");
+      assert.ok(received.body.messages[1].content.includes("const a = 1;"));
+      assert.ok(received.body.messages[1].content.includes("What does this do?"));
+    }
+  );
+});
+
+log("LlmProvider sends API key to an OpenAI-compatible endpoint", () => {
+  const LlmProvider = require("../llm-provider");
+  let auth;
+  return withServer(
+    (req) => {
+      auth = req.headers.authorization;
+      return [200, { choices: [{ message: { content: "From OpenAI" } }] }];
+    },
+    async (base) => {
+      const provider = new LlmProvider({
+        config: { provider: "openai", apiBase: `${base}/v1/`, apiKey: "k" },
+      });
+      const answer = await provider.complete(samplePrompt);
+      assert.strictEqual(answer.text, "From OpenAI");
+      assert.strictEqual(answer.model, "gpt-4o-mini");
+      assert.strictEqual(auth, "Bearer k");
+    }
+  );
+});
+
+log("LlmProvider falls back to offline answers when the provider fails", () => {
+  const LlmProvider = require("../llm-provider");
+  return withServer(
+    () => [500, { error: "boom" }],
+    async (base) => {
+      const provider = new LlmProvider({
+        config: { provider: "ollama", apiBase: base },
+        fallback: (prompt) => `offline: ${prompt.userQuery}`,
+      });
+      const answer = await provider.complete(samplePrompt);
+      assert.strictEqual(answer.provider, "offline");
+      assert.strictEqual(answer.text, "offline: What does this do?");
+      assert.ok(answer.fallbackReason.includes("500"));
+    }
+  );
+});
+
+log("LlmProvider streams newline-delimited JSON from Ollama", () => {
+  const LlmProvider = require("../llm-provider");
+  const lines = [
+    { message: { content: "Hello" }, done: false },
+    { message: { content: ", world" }, done: false },
+    { message: { content: "" }, done: true },
+  ];
+  return withServer(
+    (req, body) => {
+      assert.strictEqual(body.stream, true);
+      return [200, lines.map((l) => JSON.stringify(l)).join("\n") + "\n"];
+    },
+    async (base) => {
+      const provider = new LlmProvider({
+        config: { provider: "ollama", apiBase: base },
+      });
+      const tokens = [];
+      const answer = await provider.stream(samplePrompt, (t) => tokens.push(t));
+      assert.deepStrictEqual(tokens, ["Hello", ", world"]);
+      assert.strictEqual(answer.text, "Hello, world");
+    }
+  );
+});
+
+log("LlmProvider streams server-sent events from OpenAI endpoints", () => {
+  const LlmProvider = require("../llm-provider");
+  const events = [
+    { choices: [{ delta: { role: "assistant" } }] },
+    { choices: [{ delta: { content: "Use " } }] },
+    { choices: [{ delta: { content: "app/" } }] },
+  ];
+  return withServer(
+    () => [
+      200,
+      events.map((e) => `data: ${JSON.stringify(e)}\n\n`).join("") +
+        "data: [DONE]\n\n",
+    ],
+    async (base) => {
+      const provider = new LlmProvider({
+        config: { provider: "openai", apiBase: base },
+      });
+      const tokens = [];
+      const answer = await provider.stream(samplePrompt, (t) => tokens.push(t));
+      assert.deepStrictEqual(tokens, ["Use ", "app/"]);
+      assert.strictEqual(answer.text, "Use app/");
+    }
+  );
+});
+
+log("LlmProvider streams offline answers in chunks", async () => {
+  const LlmProvider = require("../llm-provider");
+  const text = "one two three four five six seven eight nine ten";
+  const provider = new LlmProvider({ fallback: () => text });
+  const tokens = [];
+  const answer = await provider.stream(samplePrompt, (t) => tokens.push(t));
+  assert.strictEqual(tokens.length, 2);
+  assert.strictEqual(tokens.join(""), text);
+  assert.strictEqual(answer.provider, "offline");
+});
+
+// Cancellation
+log("raceWithSignal rejects with the abort reason", async () => {
+  const { raceWithSignal, abortAfter, isCancellation } = require("../cancellation");
+  const never = new Promise(() => {});
+
+  const stopped = new AbortController();
+  const pending = raceWithSignal(never, stopped.signal);
+  stopped.abort();
+  await assert.rejects(pending, (e) => isCancellation(e));
+
+  const timed = new AbortController();
+  abortAfter(timed, 10, "Lookup timed out");
+  await assert.rejects(raceWithSignal(never, timed.signal), (e) => {
+    assert.strictEqual(e.code, "TIMEOUT");
+    assert.ok(!isCancellation(e));
+    return e.message === "Lookup timed out";
+  });
+});
+
+log("LlmProvider.stream stops without falling back when aborted", () => {
+  const LlmProvider = require("../llm-provider");
+  return withServer(
+    () => null,
+    async (base) => {
+      let fellBack = false;
+      const provider = new LlmProvider({
+        config: { provider: "ollama", apiBase: base },
+        fallback: () => {
+          fellBack = true;
+          return "offline";
+        },
+      });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+      await assert.rejects(
+        provider.stream(samplePrompt, () => {}, { signal: controller.signal }),
+        (e) => e.code === "CANCELLED"
+      );
+      assert.strictEqual(fellBack, false);
+    }
+  );
+});
+
+// Request scheduler
+log("RequestScheduler limits each kind independently", async () => {
+  const RequestScheduler = require("../request-scheduler");
+  const updates = [];
+  const scheduler = new RequestScheduler(
+    { ai: 1, docs: 2 },
+    { onChange: (update) => updates.push(update) }
+  );
+
+  const releaseAi = await scheduler.acquire("ai", { id: "a1" });
+  const releaseDocs = await scheduler.acquire("docs", { id: "d1" });
+  await scheduler.acquire("docs", { id: "d2" });
+
+  let secondAiStarted = false;
+  const secondAi = scheduler
+    .acquire("ai", { id: "a2" })
+    .then((release) => {
+      secondAiStarted = true;
+      return release;
+    });
+  await Promise.resolve();
+  assert.strictEqual(secondAiStarted, false);
+  assert.deepStrictEqual(scheduler.getStatus().ai, { running: 1, queued: 1 });
+  assert.ok(
+    updates.some((u) => u.id === "a2" && u.state === "queued" && u.position === 1)
+  );
+
+  // Finishing a docs lookup doesn't let the queued AI request through
+  releaseDocs();
+  await Promise.resolve();
+  assert.strictEqual(secondAiStarted, false);
+
+  releaseAi();
+  (await secondAi)();
+  assert.deepStrictEqual(scheduler.getStatus().ai, { running: 0, queued: 0 });
+});
+
+log("RequestScheduler drops aborted requests from the queue", async () => {
+  const RequestScheduler = require("../request-scheduler");
+  const updates = [];
+  const scheduler = new RequestScheduler(
+    { refresh: 1 },
+    { onChange: (update) => updates.push(update) }
+  );
+  const release = await scheduler.acquire("refresh", { id: "r1" });
+  const controller = new AbortController();
+  const waiting = scheduler.acquire("refresh", {
+    id: "r2",
+    signal: controller.signal,
+  });
+  const third = scheduler.acquire("refresh", { id: "r3" });
+
+  controller.abort();
+  await assert.rejects(waiting, (e) => e.code === "CANCELLED");
+  assert.ok(
+    updates.some((u) => u.id === "r3" && u.state === "queued" && u.position === 1)
+  );
+
+  release();
+  (await third)();
+  assert.deepStrictEqual(scheduler.getStatus().refresh, {
+    running: 0,
+    queued: 0,
+  });
+});
+
+// Inline completions
+log("LlmProvider.fillInMiddle sends prefix and suffix to Ollama", () => {
+  const LlmProvider = require("../llm-provider");
+  let received;
+  return withServer(
+    (req, body) => {
+      received = { url: req.url, body };
+      return [200, { response: "a + b;\n}" }];
+    },
+    async (base) => {
+      const provider = new LlmProvider({
+        config: { provider: "ollama", apiBase: base },
+      });
+      const text = await provider.fillInMiddle({
+        prefix: "function add(a, b) {\n  return ",
+        suffix: "\n",
+        model: "qwen2.5-coder",
+      });
+      assert.strictEqual(received.url, "/api/generate");
+      assert.strictEqual(received.body.model, "qwen2.5-coder");
+      assert.strictEqual(received.body.suffix, "\n");
+      assert.strictEqual(text, "a + b;\n}");
+    }
+  );
+});
+
+log("InlineCompletionService cleans and caches completions", async () => {
+  const InlineCompletionService = require("../inline-completion-service");
+  let calls = 0;
+  const service = new InlineCompletionService({
+    llmProvider: {
+      fillInMiddle: async () => {
+        calls++;
+        return "```js\nconst total = items.length;\nreturn total;\n}\n```";
+      },
+    },
+    config: { debounceMs: 0 },
+  });
+  const request = {
+    prefix: "function count(items) {\n  const total",
+    suffix: "\n}\n",
+    fileName: "count.js",
+  };
+
+  const first = await service.provide(request);
+  assert.strictEqual(first, " = items.length;\nreturn total;");
+
+  // Typing the start of the suggestion reuses it without a new request
+  const next = await service.provide({
+    ...request,
+    prefix: request.prefix + " = items",
+  });
+  assert.strictEqual(next, ".length;\nreturn total;");
+  assert.strictEqual(calls, 1);
+});
+
+log("InlineCompletionService stops during debounce when cancelled", async () => {
+  const InlineCompletionService = require("../inline-completion-service");
+  let called = false;
+  const service = new InlineCompletionService({
+    llmProvider: {
+      fillInMiddle: async () => {
+        called = true;
+        return "x";
+      },
+    },
+    config: { debounceMs: 200 },
+  });
+  const controller = new AbortController();
+  const pending = service.provide(
+    { prefix: "let x", suffix: "" },
+    { signal: controller.signal }
+  );
+  controller.abort();
+  await assert.rejects(pending, (e) => e.code === "CANCELLED");
+  assert.strictEqual(called, false);
+});
+
+log("CompletionUsageTracker counts only accepted suggestions as usage", async () => {
+  const CompletionUsageTracker = require("../completion-usage-tracker");
+  const counts = {};
+  const storage = {
+    incrementDailyUsage: async (feature) => {
+      counts[feature] = (counts[feature] || 0) + 1;
+    },
+  };
+  const tracker = new CompletionUsageTracker(storage);
+
+  const first = await tracker.shown({
+    fileName: "a.js",
+    offset: 11,
+    prefix: "const total",
+    text: " = items.length;",
+  });
+  // Typing along keeps the same suggestion
+  const same = await tracker.shown({
+    fileName: "a.js",
+    offset: 19,
+    prefix: "const total = items",
+    text: ".length;",
+  });
+  assert.strictEqual(same, first);
+  assert.strictEqual(await tracker.accepted(first), true);
+  assert.strictEqual(await tracker.accepted(first), false);
+
+  // Also once the window of lines before the cursor moved down
+  const multiline = await tracker.shown({
+    fileName: "a.js",
+    offset: 40,
+    prefix: "// a\n// b\nif (ready) {",
+    text: "\n  start();\n}",
+  });
+  const moved = await tracker.shown({
+    fileName: "a.js",
+    offset: 50,
+    prefix: "// b\nif (ready) {\n  start()",
+    text: ";\n}",
+  });
+  assert.strictEqual(moved, multiline);
+  // After the code above the cursor changed it is a different suggestion
+  const elsewhere = await tracker.shown({
+    fileName: "a.js",
+    offset: 50,
+    prefix: "// c\nif (ready) {\n  start()",
+    text: ";\n}",
+  });
+  assert.notStrictEqual(elsewhere, multiline);
+
+  await tracker.shown({
+    fileName: "a.js",
+    offset: 5,
+    prefix: "let x",
+    text: " = 1;",
+  });
+  await tracker.shown({
+    fileName: "a.js",
+    offset: 5,
+    prefix: "let y",
+    text: " = 2;",
+  });
+  await tracker.flush();
+
+  assert.deepStrictEqual(counts, {
+    inlineShown: 5,
+    inlineAccepted: 1,
+    completions: 1,
+    inlineDismissed: 4,
+  });
+});
+
+// Local vector store
+log("Bm25Index ranks documents by query terms", () => {
+  const Bm25Index = require("../bm25-index");
+  const index = new Bm25Index();
+  index.add("routing", "App Router uses nested folders to define routes");
+  index.add("images", "The Image component optimizes images automatically");
+  index.add("fetch", "Use fetch in Server Components to load data");
+
+  assert.deepStrictEqual(Bm25Index.tokenize("useRouter hook"), [
+    "use",
+    "router",
+    "hook",
+  ]);
+  const hits = index.search("how do nested routes work");
+  assert.strictEqual(hits[0].id, "routing");
+  index.remove("routing");
+  assert.deepStrictEqual(index.search("nested routes"), []);
+});
+
+log("LocalVectorStore persists documents and filters queries", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const LocalVectorStore = require("../local-vector-store");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-store-"));
+  const filePath = path.join(dir, "docs.json");
+  try {
+    const store = new LocalVectorStore({ filePath });
+    await store.upsert({
+      ids: ["a", "b"],
+      documents: [
+        "Tailwind spacing utilities like padding and margin",
+        "Next.js middleware runs before a request is completed",
+      ],
+      metadatas: [{ source: "tailwind" }, { source: "nextjs" }],
+    });
+
+    // A new instance reads the saved file
+    const reopened = new LocalVectorStore({ filePath });
+    assert.strictEqual(await reopened.count(), 2);
+    const result = await reopened.query({
+      queryTexts: ["padding margin"],
+      nResults: 5,
+      where: { source: { $in: ["tailwind"] } },
+    });
+    assert.deepStrictEqual(result.ids, [["a"]]);
+
+    await reopened.delete({ where: { source: "tailwind" } });
+    assert.strictEqual(await reopened.count(), 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+log("LocalVectorStore uses embeddings when available", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const LocalVectorStore = require("../local-vector-store");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-store-"));
+  // Toy embedding: which of two topics the text mentions
+  const embeddingFunction = {
+    generate: async (texts) =>
+      texts.map((text) => [
+        /style|css/.test(text) ? 1 : 0,
+        /data/.test(text) ? 1 : 0,
+      ]),
+  };
+  try {
+    const store = new LocalVectorStore({
+      filePath: path.join(dir, "docs.json"),
+      embeddingFunction,
+    });
+    await store.add({
+      ids: ["css", "fetch"],
+      documents: ["css utilities", "loading data on the server"],
+    });
+    const result = await store.query({
+      queryTexts: ["style a button"],
+      nResults: 1,
+    });
+    assert.deepStrictEqual(result.ids, [["css"]]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+log("DocChunker splits by headings and keeps code blocks intact", () => {
+  const DocChunker = require("../doc-chunker");
+  const chunker = new DocChunker({ maxTokens: 25, overlapTokens: 10 });
+  const code = "```js\nexport default function Page() {\n\n  return null;\n}\n```";
+  const chunks = chunker.chunk({
+    title: "Routing",
+    content: [
+      "Pages live in the app folder.",
+      "## Dynamic Routes",
+      "Wrap a folder name in brackets. The segment is passed as params.",
+      "A second paragraph that pushes this section over budget.",
+      code,
+      "### Catch-all",
+      "Use [...slug] to match every segment.",
+    ].join("\n\n"),
+  });
+
+  assert.deepStrictEqual(chunks[0].sectionPath, ["Routing"]);
+  assert.deepStrictEqual(chunks[chunks.length - 1].sectionPath, [
+    "Routing",
+    "Dynamic Routes",
+    "Catch-all",
+  ]);
+  // The code block is one chunk even though it is over budget
+  assert.ok(chunks.some((chunk) => chunk.text === code));
+  // Consecutive chunks in a section overlap
+  const dynamic = chunks.filter((chunk) => chunk.sectionPath.length === 2);
+  assert.ok(dynamic[1].text.startsWith("The segment is passed as params."));
+});
+
+// Hybrid search
+log("HybridSearch filters by type and fuses rankings", async () => {
+  const HybridSearch = require("../hybrid-search");
+  assert.deepStrictEqual(HybridSearch.parseQuery("space-x-4 type:tailwind"), {
+    text: "space-x-4",
+    types: ["tailwind"],
+  });
+
+  const docs = {
+    "nextjs:Static Params": {
+      title: "Static Params",
+      type: "nextjs",
+      content: "Use generateStaticParams to statically generate routes.",
+    },
+    "nextjs:Params": {
+      title: "Params",
+      type: "nextjs",
+      content: "Dynamic params are generated at request time. Static routes too.",
+    },
+    "tailwind:Space Between": {
+      title: "Space Between",
+      type: "tailwind",
+      content: "Add space-x-4 to put space between children.",
+    },
+  };
+  const toHit = (id, text, metadata, score) => ({
+    id,
+    text,
+    ...metadata,
+    score,
+  });
+  const search = new HybridSearch({
+    getDocs: () => docs,
+    contextExtractor: {
+      chunker: {},
+      chunkDoc: (key, doc) => [
+        { id: `${key}#0`, document: doc.content, metadata: { type: doc.type } },
+      ],
+      toHit,
+      // The vector ranking prefers the generic page
+      findRelevantDocs: async (context, limit, { types }) =>
+        ["nextjs:Params#0", "nextjs:Static Params#0"]
+          .filter((id) => types.length === 0 || types.includes("nextjs"))
+          .map((id) => toHit(id, "", {}, 0.5)),
+    },
+  });
+
+  const hits = await search.search("generateStaticParams", 2);
+  assert.strictEqual(hits[0].id, "nextjs:Static Params#0");
+  assert.ok(hits[0].score > 0.9);
+  const tailwind = await search.search("space-x-4 type:tailwind");
+  assert.deepStrictEqual(
+    tailwind.map((hit) => hit.id),
+    ["tailwind:Space Between#0"]
+  );
+});
+
+// Project context
+log("ProjectContext collects project and workspace files", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const ProjectContext = require("../project-context");
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-project-"));
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  try {
+    write(
+      "package.json",
+      JSON.stringify({ dependencies: { next: "14.2.3", clsx: "2.1.0" } })
+    );
+    write("lib/format.ts", "export const formatPrice = (n) => `$${n}`;\n");
+    write(
+      "app/page.tsx",
+      'import { formatPrice } from "../lib/format";\nimport Link from "next/link";\n'
+    );
+    write("app/layout.tsx", "export default function Layout() {}\n");
+    write("components/cart.tsx", 'import Page from "../app/page";\n');
+    write("node_modules/next/index.js", "module.exports = {};\n");
+    const filePath = path.join(root, "app/page.tsx");
+    const text = fs.readFileSync(filePath, "utf8");
+    const projectContext = new ProjectContext({ tokenBudget: 4000 });
+
+    const project = await projectContext.collect({
+      filePath,
+      text,
+      depth: "project",
+      workspaceFolders: [root],
+    });
+    assert.deepStrictEqual(
+      project.files.map((file) => [file.relativePath, file.reason]),
+      [
+        [path.join("lib", "format.ts"), "imported"],
+        [path.join("app", "layout.tsx"), "sibling"],
+      ]
+    );
+    assert.ok(project.dependencies.find((d) => d.name === "next").imported);
+
+    const workspace = await projectContext.collect({
+      filePath,
+      text,
+      depth: "workspace",
+      workspaceFolders: [root],
+    });
+    const importer = workspace.files.find(
+      (file) => file.reason === "imports this file"
+    );
+    assert.strictEqual(
+      importer.relativePath,
+      path.join("components", "cart.tsx")
+    );
+    assert.ok(
+      !workspace.files.some((file) => file.path.includes("node_modules"))
+    );
+
+    // The budget left after the active file limits what is added
+    const small = await projectContext.collect({
+      filePath,
+      text,
+      depth: "project",
+      workspaceFolders: [root],
+      reservedTokens: 3990,
+    });
+    assert.strictEqual(small.files.length, 0);
+    assert.ok(small.omitted > 0);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// Workspace code index
+log("WorkspaceWalker honors .gitignore files", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const WorkspaceWalker = require("../workspace-walker");
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-walk-"));
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  try {
+    write(".gitignore", "/generated/\n*.min.js\nsrc/**/secret*.ts\n");
+    write("src/.gitignore", "!keep.min.js\n");
+    write("src/app.ts", "");
+    write("src/keep.min.js", "");
+    write("src/lib/secret-key.ts", "");
+    write("lib/bundle.min.js", "");
+    write("generated/types.ts", "");
+    write("node_modules/pkg/index.js", "");
+    write("README.md", "");
+
+    const walker = new WorkspaceWalker();
+    const files = (await walker.walk([root]))
+      .map((file) => path.relative(root, file).split(path.sep).join("/"))
+      .sort();
+    assert.deepStrictEqual(files, ["src/app.ts", "src/keep.min.js"]);
+    assert.strictEqual(
+      await walker.isIgnored(path.join(root, "generated", "types.ts"), root),
+      true
+    );
+    assert.strictEqual(
+      await walker.isIgnored(path.join(root, "src", "app.ts"), root),
+      false
+    );
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+log("CodeIndexer indexes functions and classes incrementally", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const CodeIndexer = require("../code-indexer");
+  const LocalVectorStore = require("../local-vector-store");
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-code-"));
+  const cartPath = path.join(root, "cart.js");
+  try {
+    fs.writeFileSync(
+      cartPath,
+      [
+        'const api = require("./api");',
+        "",
+        "// Sums the cart",
+        "function cartTotal(items) {",
+        "  return items.reduce((sum, item) => sum + item.price, 0);",
+        "}",
+        "",
+        "class CheckoutForm {",
+        "  submit() {}",
+        "}",
+      ].join("\n")
+    );
+    const collection = new LocalVectorStore({
+      filePath: path.join(root, ".store", "code.json"),
+    });
+    const indexer = new CodeIndexer({ collection, workspaceFolders: [root] });
+
+    const first = await indexer.indexWorkspace();
+    assert.strictEqual(first.indexed, 1);
+    assert.strictEqual(first.chunks, 3);
+    const [hit] = await indexer.search("cartTotal items price", 1);
+    assert.strictEqual(hit.name, "cartTotal");
+    assert.strictEqual(hit.startLine, 3);
+    assert.ok(hit.text.startsWith("// Sums the cart"));
+
+    // Unchanged files are skipped, deleted ones removed
+    assert.strictEqual((await indexer.indexWorkspace()).indexed, 0);
+    fs.unlinkSync(cartPath);
+    await indexer.removePaths([cartPath]);
+    assert.strictEqual(await collection.count(), 0);
+
+    // A batch of saved files is stored with a single write of the store
+    const files = ["a.js", "b.js", "c.js"].map((name) => {
+      const file = path.join(root, name);
+      fs.writeFileSync(file, `function ${name[0]}() {}\n`);
+      return file;
+    });
+    let saves = 0;
+    const save = collection._save;
+    collection._save = function () {
+      saves++;
+      return save.call(this);
+    };
+    assert.strictEqual(await indexer.updateFiles(files), 3);
+    assert.strictEqual(saves, 1);
+    fs.writeFileSync(files[0], "function a() {}\n\nfunction a2() {}\n");
+    assert.strictEqual(await indexer.updateFiles(files.slice(0, 1)), 2);
+    assert.strictEqual(saves, 2);
+    const hits = await indexer.search("a2", 5);
+    assert.ok(hits.some((hit) => hit.name === "a2"));
+    assert.strictEqual(await collection.count(), 4);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// Import resolution
+log("ImportResolver resolves path aliases to signatures", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const ImportResolver = require("../import-resolver");
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-imports-"));
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  try {
+    write(
+      "tsconfig.json",
+      '{\n  // Next.js default\n  "compilerOptions": { "paths": { "@/*": ["./src/*"] }, },\n}'
+    );
+    write(
+      "src/components/button.tsx",
+      [
+        "type ButtonProps = {",
+        '  variant?: "primary" | "ghost";',
+        "};",
+        "",
+        "export default function Button({ variant }: ButtonProps) {",
+        "  return <button className={variant} />;",
+        "}",
+      ].join("\n")
+    );
+    write("src/app/page.tsx", "");
+    const pagePath = path.join(root, "src", "app", "page.tsx");
+    const resolver = new ImportResolver();
+
+    assert.strictEqual(
+      await resolver.resolve("@/components/button", pagePath),
+      path.join(root, "src", "components", "button.tsx")
+    );
+    assert.strictEqual(await resolver.resolve("react", pagePath), null);
+
+    const modules = await resolver.collectSignatures(
+      pagePath,
+      'import Button from "@/components/button";\nimport { useState } from "react";'
+    );
+    assert.strictEqual(modules.length, 1);
+    assert.deepStrictEqual(modules[0].signatures, [
+      "export default function Button({ variant }: ButtonProps)",
+      'type ButtonProps = {\n  variant?: "primary" | "ghost";\n};',
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+log("DiagnosticHelper orders and formats diagnostics", () => {
+  const DiagnosticHelper = require("../diagnostic-helper");
+  const at = (line) => ({
+    startLine: line,
+    startCharacter: 1,
+    endLine: line,
+    endCharacter: 5,
+  });
+  const diagnostics = [
+    { message: "Missing semicolon.", severity: "warning", range: at(3) },
+    {
+      message: "'x' is declared but its value is never read.",
+      severity: "hint",
+      range: at(20),
+    },
+    { message: "Cannot find name 'user'.", severity: "error", range: at(40) },
+    {
+      message: "Type 'string' is not assignable to type 'number'.",
+      severity: "error",
+      range: at(22),
+    },
+  ];
+
+  const selected = DiagnosticHelper.select(diagnostics, {
+    startLine: 20,
+    endLine: 20,
+  });
+  assert.deepStrictEqual(
+    selected.map((diagnostic) => [
+      diagnostic.range.startLine,
+      diagnostic.nearSelection,
+    ]),
+    [[22, true], [40, false], [3, false]]
+  );
+  assert.ok(DiagnosticHelper.suggestFix(selected[1]).includes("`user`"));
+  assert.ok(
+    DiagnosticHelper.format(selected.slice(0, 1)).startsWith(
+      "1. error at line 22:1-5 (near selection): Type 'string'"
+    )
+  );
+  assert.strictEqual(
+    DiagnosticHelper.snippet(["a", "b", "c"], 2, 2, 1),
+    "1 | a\n2 | b\n3 | c"
+  );
+});
+
+log("EditLocator replaces the declarations a code block redefines", () => {
+  const EditLocator = require("../edit-locator");
+  const documentText = [
+    'import { round } from "./math";',
+    "",
+    "// Adds two numbers",
+    "function add(a, b) {",
+    "  return a + b;",
+    "}",
+    "",
+    "function sub(a, b) {",
+    "  return a - b;",
+    "}",
+    "",
+  ].join("\n");
+
+  assert.deepStrictEqual(
+    EditLocator.locate(
+      documentText,
+      "function add(a, b) {\n  return round(a + b);\n}\n"
+    ),
+    [
+      {
+        startLine: 3,
+        endLine: 5,
+        text: "function add(a, b) {\n  return round(a + b);\n}",
+      },
+    ]
+  );
+  assert.deepStrictEqual(
+    EditLocator.locate(
+      documentText,
+      'import { floor } from "./math";\n\n' +
+        "function sub(a, b) {}\n\nfunction mul(a, b) {}\n"
+    ),
+    [
+      {
+        startLine: 0,
+        endLine: 0,
+        text: 'import { round } from "./math";\nimport { floor } from "./math";',
+      },
+      {
+        startLine: 7,
+        endLine: 9,
+        text: "function sub(a, b) {}\n\nfunction mul(a, b) {}",
+      },
+    ]
+  );
+  assert.strictEqual(EditLocator.locate(documentText, "const x = 1;"), null);
+});
+
+log("EditLocator adds module-level code to the file's own", () => {
+  const EditLocator = require("../edit-locator");
+  const documentText = [
+    'const fs = require("fs");',
+    'const path = require("path");',
+    "",
+    "function foo() {",
+    "  return 1;",
+    "}",
+    "",
+    "function bar() {}",
+    "",
+    "module.exports = { foo, bar };",
+    "",
+  ].join("\n");
+
+  // The file's exports stay, the block's version of them is left out
+  assert.deepStrictEqual(
+    EditLocator.locate(
+      documentText,
+      "function foo() {\n  return 2;\n}\n\nmodule.exports = { foo };\n"
+    ),
+    [{ startLine: 3, endLine: 5, text: "function foo() {\n  return 2;\n}" }]
+  );
+  // A new import joins the file's imports, new statements go at its end
+  assert.deepStrictEqual(
+    EditLocator.locate(
+      documentText,
+      'const os = require("os");\nconst fs = require("fs");\n\n' +
+        "function bar() {\n  return os.EOL;\n}\n\nbar.sep = path.sep;\n"
+    ),
+    [
+      {
+        startLine: 1,
+        endLine: 1,
+        text: 'const path = require("path");\nconst os = require("os");',
+      },
+      {
+        startLine: 7,
+        endLine: 7,
+        text: "function bar() {\n  return os.EOL;\n}",
+      },
+      {
+        startLine: 9,
+        endLine: 9,
+        text: "module.exports = { foo, bar };\n\nbar.sep = path.sep;",
+      },
+    ]
+  );
+});
+
+log("EditSet parses answers and applies hunks", () => {
+  const EditSet = require("../edit-set");
+  const answer = [
+    "Rename the helper:",
+    "",
+    EditSet.format({
+      summary: "Rename sum to add",
+      files: [
+        {
+          path: "./src/math.js",
+          hunks: [
+            { search: "function sum(a, b) {", replace: "function add(a, b) {" },
+          ],
+        },
+        { path: "src/empty.js", hunks: [] },
+      ],
+    }),
+  ].join("\n");
+
+  const editSet = EditSet.parse(answer);
+  assert.strictEqual(editSet.summary, "Rename sum to add");
+  assert.deepStrictEqual(
+    editSet.files.map((file) => file.path),
+    ["src/math.js"]
+  );
+  assert.strictEqual(EditSet.parse("```edit-set\n{ not json\n```"), null);
+
+  const content = "function sum(a, b) {\n    return a + b;\n}\nsum(1, 2);\n";
+  const result = EditSet.applyHunks(content, [
+    ...editSet.files[0].hunks,
+    // Wrong indentation still matches
+    { search: "      return a + b;", replace: "    return a + b + 0;" },
+    { search: "missing", replace: "" },
+  ]);
+  assert.strictEqual(
+    result.content,
+    "function add(a, b) {\n    return a + b + 0;\n}\nsum(1, 2);\n"
+  );
+  assert.strictEqual(result.applied, 2);
+  assert.deepStrictEqual(result.failed, [
+    { index: 2, reason: "Search text not found" },
+  ]);
+  assert.strictEqual(
+    EditSet.applyHunks(null, [{ search: "", replace: "new" }]).content,
+    "new"
+  );
+});
+
+log("ConversationStore saves, searches and renames chats", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const ConversationStore = require("../conversation-store");
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-chat-"));
+  const options = { storagePath, workspaceFolders: ["/work/shop"] };
+  try {
+    const store = new ConversationStore(options);
+    const first = await store.create();
+    await store.addMessage(first.id, {
+      role: "user",
+      content: "How do I add a loading state to the checkout page?",
+    });
+    await store.addMessage(first.id, {
+      role: "assistant",
+      content: "Add a loading.tsx next to page.tsx.",
+      context: { file: "app/checkout/page.tsx", files: [] },
+    });
+    const second = await store.create();
+    await store.addMessage(second.id, {
+      role: "user",
+      content: "Why is my middleware not running?",
+    });
+
+    // A new store reads what the first one saved
+    const reloaded = new ConversationStore(options);
+    const titles = (await reloaded.list()).map((entry) => entry.title);
+    assert.deepStrictEqual(titles.sort(), [
+      "How do I add a loading state to the checkout page?",
+      "Why is my middleware not running?",
+    ]);
+    const found = await reloaded.list({ query: "LOADING.tsx" });
+    assert.deepStrictEqual(found.map((entry) => entry.id), [first.id]);
+    assert.strictEqual(found[0].messageCount, 2);
+
+    assert.ok(await reloaded.rename(first.id, "Checkout loading"));
+    await reloaded.addMessage(first.id, {
+      role: "user",
+      content: "And errors?",
+    });
+    assert.strictEqual(
+      (await reloaded.get(first.id)).title,
+      "Checkout loading"
+    );
+    assert.ok(await reloaded.delete(second.id));
+    assert.strictEqual((await reloaded.list()).length, 1);
+
+    // Other workspaces have their own history
+    const other = new ConversationStore({ storagePath, workspaceFolders: [] });
+    assert.strictEqual((await other.list()).length, 0);
+  } finally {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  }
+});
+
+log("ConversationMemory keeps recent turns and summarizes older ones", async () => {
+  const ConversationMemory = require("../conversation-memory");
+  const LlmProvider = require("../llm-provider");
+  const messages = [];
+  for (let i = 1; i <= 6; i++) {
+    messages.push(
+      { role: "user", content: `Question ${i} ${"x".repeat(200)}` },
+      { role: "assistant", content: `Answer ${i}. ${"y".repeat(200)}` }
+    );
+  }
+
+  const calls = [];
+  const memory = new ConversationMemory({
+    tokenBudget: 600,
+    summarize: async (previous, older, maxTokens) => {
+      calls.push(older.length);
+      return ConversationMemory.extractiveSummary(previous, older, maxTokens);
+    },
+  });
+  const first = await memory.select(messages);
+  assert.strictEqual(first.total, 6);
+  assert.ok(first.included >= 1 && first.included < 6);
+  assert.strictEqual(first.included + first.omitted, 6);
+  const lastTurn = first.turns[first.turns.length - 1];
+  assert.ok(lastTurn.content.startsWith("Answer 6."));
+  assert.ok(first.summary.text.includes("Asked: Question 1"));
+  assert.strictEqual(first.summary.upTo, first.omitted * 2);
+
+  // One more turn only summarizes the turn that dropped out of the window
+  const grown = [
+    ...messages,
+    { role: "user", content: `Question 7 ${"x".repeat(200)}` },
+    { role: "assistant", content: `Answer 7. ${"y".repeat(200)}` },
+  ];
+  const second = await memory.select(grown, first.summary);
+  assert.deepStrictEqual(calls, [first.summary.upTo, 2]);
+  assert.ok(second.summary.text.startsWith(first.summary.text));
+
+  // The turns go between the system prompt and the question
+  const provider = new LlmProvider();
+  const chat = provider.toMessages({
+    systemPrompt: "Be brief.",
+    contextBlocks: [],
+    userQuery: "And now?",
+    history: { turns: second.turns, summary: second.summary },
+  });
+  assert.ok(chat[0].content.includes("Summary of the earlier conversation"));
+  assert.strictEqual(chat.length, second.turns.length + 2);
+  assert.strictEqual(chat[chat.length - 1].role, "user");
+
+  const disabled = new ConversationMemory({ tokenBudget: 0 });
+  assert.strictEqual((await disabled.select(messages)).included, 0);
+});
+
+log("ConversationExporter writes Markdown and re-importable JSON", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const ConversationExporter = require("../conversation-exporter");
+  const ConversationStore = require("../conversation-store");
+  const conversation = {
+    id: "abc",
+    title: "Checkout loading state?",
+    createdAt: "2026-03-01T09:30:00.000Z",
+    updatedAt: "2026-03-01T09:31:00.000Z",
+    messages: [
+      {
+        role: "user",
+        content: "How do I show a spinner?",
+        timestamp: "2026-03-01T09:30:00.000Z",
+      },
+      {
+        role: "assistant",
+        content: "Add a loading file:\n\n```tsx\nexport default Loading;\n```",
+        timestamp: "2026-03-01T09:31:00.000Z",
+        context: {
+          mode: "chat",
+          file: "app/checkout/page.tsx",
+          language: "typescriptreact",
+          selectedText: "const s = `${a}`;",
+          files: ["app/layout.tsx"],
+          diagnostics: 0,
+        },
+        sources: [
+          {
+            title: "Loading UI",
+            sectionPath: "Loading UI > Instant Loading States",
+            url: "https://nextjs.org/docs/app/loading",
+            type: "nextjs",
+          },
+        ],
+      },
+    ],
+  };
+
+  const markdown = ConversationExporter.toMarkdown(conversation);
+  assert.ok(markdown.startsWith("# Checkout loading state?\n"));
+  assert.ok(markdown.includes("## You (2026-03-01 09:30 UTC)"));
+  assert.ok(markdown.includes("```tsx\nexport default Loading;\n```"));
+  assert.ok(
+    markdown.includes("**Context:** `app/checkout/page.tsx` (typescriptreact)")
+  );
+  assert.ok(markdown.includes("**Related files:** `app/layout.tsx`"));
+  assert.ok(
+    markdown.includes(
+      "- [Loading UI > Instant Loading States](https://nextjs.org/docs/app/loading) (nextjs)"
+    )
+  );
+  assert.strictEqual(
+    ConversationExporter.fileName(conversation, "md"),
+    "checkout-loading-state.md"
+  );
+
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-export-"));
+  try {
+    const store = new ConversationStore({ storagePath });
+    const imported = await store.import(
+      ConversationExporter.parseJson(ConversationExporter.toJson(conversation))
+    );
+    assert.notStrictEqual(imported.id, "abc");
+    assert.strictEqual(imported.title, "Checkout loading state?");
+    assert.deepStrictEqual(imported.messages, conversation.messages);
+    assert.strictEqual((await store.list()).length, 1);
+  } finally {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  }
+
+  assert.throws(
+    () => ConversationExporter.parseJson('{"conversations": []}'),
+    /not an exported RealTime AI conversation/
+  );
+});
+
+log("DocSourceConfig merges declared sources onto the built-in ones", () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const DocSourceConfig = require("../doc-source-config");
+  const builtIn = [
+    { name: "Next.js", url: "https://nextjs.org/docs", type: "nextjs" },
+    { name: "Tailwind", url: "https://tailwindcss.com/docs", type: "tailwind" },
+  ];
+
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-sources-"));
+  try {
+    const filePath = DocSourceConfig.filePath(folder);
+    assert.strictEqual(DocSourceConfig.readFile(filePath).entries, null);
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        sources: [
+          { type: "tailwind", enabled: false },
+          {
+            type: "prisma",
+            url: "https://www.prisma.io/docs",
+            refresh: "daily",
+          },
+        ],
+      })
+    );
+    const file = DocSourceConfig.readFile(filePath);
+    const { sources, errors } = DocSourceConfig.merge(builtIn, [
+      {
+        origin: "settings",
+        entries: [
+          { type: "nextjs", refresh: "hourly" },
+          { type: "prisma", url: "https://old.example.com" },
+          { type: "Design System", url: "https://ds.example.com" },
+          { type: "react-query", url: "ftp://example.com" },
+        ],
+      },
+      { origin: "sources.json", entries: file.entries },
+    ]);
+
+    assert.deepStrictEqual(
+      sources.map((source) => source.type),
+      ["nextjs", "prisma"]
+    );
+    assert.strictEqual(sources[0].refresh, "hourly");
+    assert.strictEqual(sources[0].url, "https://nextjs.org/docs");
+    assert.strictEqual(sources[1].url, "https://www.prisma.io/docs");
+    assert.strictEqual(sources[1].name, "prisma");
+    assert.strictEqual(sources[1].contentSelector, "p");
+    assert.strictEqual(errors.length, 2);
+    assert.ok(errors.some((error) => error.includes('"react-query"')));
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+
+  const now = Date.parse("2026-05-02T12:00:00Z");
+  const daily = { refresh: "daily" };
+  assert.ok(DocSourceConfig.isDue(daily, null, now));
+  assert.ok(!DocSourceConfig.isDue(daily, "2026-05-02T01:00:00Z", now));
+  assert.ok(DocSourceConfig.isDue(daily, "2026-05-01T11:00:00Z", now));
+  assert.ok(!DocSourceConfig.isDue({ refresh: "manual" }, null, now));
+});
+
+log("RobotsTxt picks the crawler's group and the longest matching rule", () => {
+  const RobotsTxt = require("../robots-txt");
+  const text = [
+    "User-agent: *",
+    "Disallow: /",
+    "",
+    "User-agent: OtherBot",
+    "User-agent: realtimeaieditor",
+    "Disallow: /docs/private",
+    "Allow: /docs/private/public-*.html$",
+    "Crawl-delay: 2",
+  ].join("\n");
+  const robots = RobotsTxt.parse(text, "RealTimeAiEditor");
+  assert.ok(robots.isAllowed("/docs/routing"));
+  assert.ok(!robots.isAllowed("/docs/private/keys"));
+  assert.ok(robots.isAllowed("/docs/private/public-api.html"));
+  assert.ok(!robots.isAllowed("/docs/private/public-api.html?x=1"));
+  assert.strictEqual(robots.crawlDelay, 2);
+  assert.ok(!RobotsTxt.parse(text, "SomeoneElse").isAllowed("/docs"));
+  assert.ok(RobotsTxt.parse("", "RealTimeAiEditor").isAllowed("/anything"));
+});
+
+log("DocCrawler follows in-scope navigation links politely", async () => {
+  const DocCrawler = require("../doc-crawler");
+  const nav = (links) =>
+    `<nav>${links.map((href) => `<a href="${href}">x</a>`).join("")}</nav>`;
+  const site = {
+    "/robots.txt": "User-agent: *\nDisallow: /docs/private\n",
+    "/docs": `<html><body>${nav([
+      "/docs/a",
+      "/docs/b#install",
+      "/docs/private/keys",
+      "/blog/news",
+      "https://example.com/docs",
+      "/docs/logo.png",
+    ])}<h2>Intro</h2><p>Hello</p></body></html>`,
+    "/docs/a": `<html><body>${nav(["/docs", "/docs/a/deep"])}</body></html>`,
+    // No navigation, so the links in the page are followed
+    "/docs/b": '<html><body><a href="/docs/b/child">Child</a></body></html>',
+    "/docs/a/deep": `<html><body>${nav(["/docs/a/deeper"])}</body></html>`,
+    "/docs/b/child": "<html><body><p>Leaf</p></body></html>",
+  };
+
+  const requests = [];
+  let active = 0;
+  let maxActive = 0;
+  const server = http.createServer((req, res) => {
+    requests.push({ path: req.url, at: Date.now() });
+    active++;
+    maxActive = Math.max(maxActive, active);
+    setTimeout(() => {
+      active--;
+      const body = site[req.url];
+      if (body === undefined) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": req.url.endsWith(".txt") ? "text/plain" : "text/html",
+      });
+      res.end(body);
+    }, 15);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const crawler = new DocCrawler({ delayMs: 30, concurrencyPerHost: 1 });
+    const progress = [];
+    const result = await crawler.crawl(`${base}/docs`, {
+      maxDepth: 2,
+      onPage: (count) => progress.push(count),
+    });
+    assert.deepStrictEqual(progress, [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(
+      result.pages.map((page) => [page.url.slice(base.length), page.depth]),
+      [
+        ["/docs", 0],
+        ["/docs/a", 1],
+        ["/docs/b", 1],
+        ["/docs/a/deep", 2],
+        ["/docs/b/child", 2],
+      ]
+    );
+    assert.strictEqual(result.blocked, 1);
+    assert.deepStrictEqual(
+      requests.map((request) => request.path).sort(),
+      [
+        "/docs",
+        "/docs/a",
+        "/docs/a/deep",
+        "/docs/b",
+        "/docs/b/child",
+        "/robots.txt",
+      ]
+    );
+    assert.strictEqual(maxActive, 1);
+    for (let i = 1; i < requests.length; i++) {
+      assert.ok(requests[i].at - requests[i - 1].at >= 25);
+    }
+
+    const limited = await crawler.crawl(`${base}/docs`, { maxPages: 2 });
+    assert.strictEqual(limited.pages.length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+log("Sitemap reads pages and indexes, and the crawler follows them", async () => {
+  const Sitemap = require("../sitemap");
+  const DocCrawler = require("../doc-crawler");
+  const urlset = (entries) =>
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+    entries
+      .map(([loc, lastmod]) => {
+        const modified = lastmod ? `<lastmod>${lastmod}</lastmod>` : "";
+        return `<url><loc>${loc}</loc>${modified}</url>`;
+      })
+      .join("") +
+    "</urlset>";
+
+  const parsed = Sitemap.parse(
+    urlset([
+      ["https://example.com/docs/a", "2026-04-01"],
+      ["https://example.com/docs/b", "not a date"],
+    ])
+  );
+  assert.deepStrictEqual(parsed.pages, [
+    { url: "https://example.com/docs/a", lastmod: "2026-04-01T00:00:00.000Z" },
+    { url: "https://example.com/docs/b", lastmod: null },
+  ]);
+  assert.ok(!Sitemap.isChanged(parsed.pages[0], "2026-04-02T08:00:00Z"));
+  assert.ok(Sitemap.isChanged(parsed.pages[0], "2026-03-31T08:00:00Z"));
+  assert.ok(Sitemap.isChanged(parsed.pages[1], "2026-04-02T08:00:00Z"));
+  assert.ok(Sitemap.isChanged(parsed.pages[0], null));
+
+  let base;
+  const server = http.createServer((req, res) => {
+    const bodies = {
+      "/sitemap.xml":
+        '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+        `<sitemap><loc>${base}/docs-sitemap.xml</loc></sitemap>` +
+        `<sitemap><loc>${base}/missing.xml</loc></sitemap>` +
+        "</sitemapindex>",
+      "/docs-sitemap.xml": urlset([
+        [`${base}/docs/a`, "2026-04-01T10:00:00+02:00"],
+        [`${base}/blog/post`, "2026-04-01"],
+      ]),
+    };
+    const body = bodies[req.url];
+    res.writeHead(body ? 200 : 404, { "Content-Type": "application/xml" });
+    res.end(body || "");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const crawler = new DocCrawler({ delayMs: 0 });
+    const pages = await crawler.fetchSitemap(`${base}/sitemap.xml`);
+    assert.deepStrictEqual(pages, [
+      { url: `${base}/docs/a`, lastmod: "2026-04-01T08:00:00.000Z" },
+      { url: `${base}/blog/post`, lastmod: "2026-04-01T00:00:00.000Z" },
+    ]);
+    await assert.rejects(crawler.fetchSitemap(`${base}/missing.xml`));
+  } finally {
+    server.close();
+  }
+});
+
+log("DocCrawler revalidates saved pages with ETag and Last-Modified", async () => {
+  const DocCrawler = require("../doc-crawler");
+  const site = {
+    "/docs": '<html><body><nav><a href="/docs/a">A</a></nav></body></html>',
+    "/docs/a": "<html><body><h2>A</h2><p>Text</p></body></html>",
+  };
+  const conditional = [];
+  const server = http.createServer((req, res) => {
+    if (req.url === "/robots.txt") {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const etag = `"${req.url}-v1"`;
+    conditional.push([
+      req.url,
+      req.headers["if-none-match"] || null,
+      req.headers["if-modified-since"] || null,
+    ]);
+    if (req.headers["if-none-match"] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": "text/html",
+      ETag: etag,
+      "Last-Modified": "Wed, 01 Apr 2026 10:00:00 GMT",
+    });
+    res.end(site[req.url]);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const crawler = new DocCrawler({ delayMs: 0 });
+    const first = await crawler.crawl(`${base}/docs`, { maxDepth: 1 });
+    assert.deepStrictEqual(first.pages[0].validator, {
+      etag: '"/docs-v1"',
+      lastModified: "Wed, 01 Apr 2026 10:00:00 GMT",
+    });
+    assert.deepStrictEqual(first.pages[0].links, [`${base}/docs/a`]);
+
+    // Only the start page is saved; the stored links still lead to /docs/a
+    const validators = {
+      [`${base}/docs`]: {
+        ...first.pages[0].validator,
+        url: first.pages[0].url,
+        links: first.pages[0].links,
+      },
+    };
+    conditional.length = 0;
+    const second = await crawler.crawl(`${base}/docs`, {
+      maxDepth: 1,
+      validators,
+    });
+    assert.deepStrictEqual(
+      second.pages.map((page) => [
+        page.url.slice(base.length),
+        Boolean(page.notModified),
+      ]),
+      [
+        ["/docs", true],
+        ["/docs/a", false],
+      ]
+    );
+    assert.deepStrictEqual(conditional, [
+      ["/docs", '"/docs-v1"', "Wed, 01 Apr 2026 10:00:00 GMT"],
+      ["/docs/a", null, null],
+    ]);
+  } finally {
+    server.close();
+  }
+});
+
+log("TextDiff marks the words an updated section changed", () => {
+  const TextDiff = require("../text-diff");
+  const before =
+    "Use the pages router to build apps.\n\nData fetching is unchanged.";
+  const after =
+    "Use the app router to build apps today.\n\nData fetching is unchanged.";
+  const diff = TextDiff.diff(before, after);
+  assert.deepStrictEqual(diff, [
+    { type: "equal", text: "Use the " },
+    { type: "removed", text: "pages" },
+    { type: "added", text: "app" },
+    { type: "equal", text: " router to build " },
+    { type: "removed", text: "apps." },
+    { type: "added", text: "apps today." },
+    { type: "equal", text: "\n\nData fetching is unchanged." },
+  ]);
+  const side = (type) =>
+    diff
+      .filter((segment) => segment.type === "equal" || segment.type === type)
+      .map((segment) => segment.text)
+      .join("");
+  assert.strictEqual(side("removed"), before);
+  assert.strictEqual(side("added"), after);
+  assert.deepStrictEqual(TextDiff.stats(diff), { added: 3, removed: 2 });
+
+  // A changed phrase reads as one removal and one addition
+  assert.deepStrictEqual(TextDiff.diff("a b c d", "a x y d"), [
+    { type: "equal", text: "a " },
+    { type: "removed", text: "b c" },
+    { type: "added", text: "x y" },
+    { type: "equal", text: " d" },
+  ]);
+  assert.deepStrictEqual(TextDiff.diff("", "New"), [
+    { type: "added", text: "New" },
+  ]);
+  assert.deepStrictEqual(TextDiff.diff("Same", "Same"), [
+    { type: "equal", text: "Same" },
+  ]);
+
+  // Long texts are compared line by line
+  const lines = Array.from({ length: 1200 }, (_, i) => `line ${i}`);
+  const changed = [...lines];
+  changed[600] = "line six hundred";
+  const lineDiff = TextDiff.diff(lines.join("\n"), changed.join("\n"));
+  assert.deepStrictEqual(
+    lineDiff.filter((segment) => segment.type !== "equal"),
+    [
+      { type: "removed", text: "line 600\n" },
+      { type: "added", text: "line six hundred\n" },
+    ]
+  );
+});
+
+log("ChromaVectorStore recreates collections without cosine distances", async () => {
+  const ChromaVectorStore = require("../chroma-vector-store");
+  const fakeClient = (space) => {
+    const calls = [];
+    const collection = (metadata) => ({ name: "docs", metadata });
+    return {
+      calls,
+      getOrCreateCollection: async () => {
+        calls.push("getOrCreate");
+        return collection(space ? { "hnsw:space": space } : {});
+      },
+      deleteCollection: async ({ name }) => calls.push(`delete ${name}`),
+      createCollection: async (options) => {
+        calls.push("create");
+        return collection(options.metadata);
+      },
+    };
+  };
+
+  const cosine = fakeClient("cosine");
+  const kept = new ChromaVectorStore({ name: "docs", client: cosine });
+  await kept.connect();
+  assert.deepStrictEqual(cosine.calls, ["getOrCreate"]);
+
+  for (const space of ["l2", null]) {
+    const client = fakeClient(space);
+    const store = new ChromaVectorStore({ name: "docs", client });
+    await store.connect();
+    assert.deepStrictEqual(client.calls, [
+      "getOrCreate",
+      "delete docs",
+      "create",
+    ]);
+    assert.strictEqual(store.collection.metadata["hnsw:space"], "cosine");
+  }
+});
+
+log("Queued follow-up questions get the answers recorded meanwhile", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const ConversationStore = require("../conversation-store");
+  const ConversationMemory = require("../conversation-memory");
+  const ConversationTurn = require("../conversation-turn");
+  const RequestScheduler = require("../request-scheduler");
+  const LlmProvider = require("../llm-provider");
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-chat-"));
+  try {
+    const store = new ConversationStore({ storagePath, workspaceFolders: [] });
+    const scheduler = new RequestScheduler({ ai: 1 });
+    const provider = new LlmProvider();
+    const { id } = await store.create();
+    const prompts = [];
+
+    // Both questions are saved right away, the second one then waits for
+    // the AI slot while the first is answered
+    const ask = async (query, answer) => {
+      const turn = await ConversationTurn.ask(store, id, {
+        role: "user",
+        content: query,
+      });
+      return turn.run(scheduler, {}, async (earlier) => {
+        const memory = new ConversationMemory({ tokenBudget: 1500 });
+        const history = await memory.select(earlier);
+        prompts.push(provider.toMessages({ userQuery: query, history }));
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return { role: "assistant", content: answer };
+      });
+    };
+
+    await Promise.all([
+      ask("q1: how do I add a route?", "a1: create app/about/page.tsx"),
+      ask("q2: and a layout for it?", "a2: add app/about/layout.tsx"),
+    ]);
+
+    const earlierTurns = (messages) =>
+      messages.slice(1, -1).map((message) => message.content);
+    assert.deepStrictEqual(earlierTurns(prompts[0]), []);
+    assert.deepStrictEqual(earlierTurns(prompts[1]), [
+      "q1: how do I add a route?",
+      "a1: create app/about/page.tsx",
+    ]);
+    assert.ok(prompts[1][prompts[1].length - 1].content.includes("q2"));
+    const saved = (await store.get(id)).messages;
+    assert.deepStrictEqual(
+      saved.map((message) => message.content.slice(0, 2)),
+      ["q1", "a1", "q2", "a2"]
+    );
+  } finally {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  }
+});
+
+log("DocDiffer refetches only changed sitemap pages", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const DocDiffer = require("../doc-differ");
+  let base;
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const page = (title) =>
+      `<html><body><h2>${title}</h2><p>About ${title}.</p></body></html>`;
+    const bodies = {
+      "/sitemap.xml":
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+        `<url><loc>${base}/guide/old</loc><lastmod>2020-01-01</lastmod></url>` +
+        `<url><loc>${base}/guide/new</loc><lastmod>2999-01-01</lastmod></url>` +
+        `<url><loc>${base}/blog/post</loc></url>` +
+        "</urlset>",
+      "/guide/old": page("Old"),
+      "/guide/new": page("New"),
+    };
+    if (bodies[req.url] === undefined) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const xml = req.url.endsWith(".xml");
+    res.writeHead(200, { "Content-Type": xml ? "application/xml" : "text/html" });
+    res.end(bodies[req.url]);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-docs-"));
+
+  try {
+    const differ = new DocDiffer(path.join(directory, "docs.json"));
+    differ.configureCrawler({ delayMs: 0 });
+    const errors = differ.configureSources([
+      {
+        origin: "test",
+        entries: [{ type: "guide", url: `${base}/guide`, sitemap: true }],
+      },
+    ]);
+    assert.deepStrictEqual(errors, []);
+
+    const messages = [];
+    const first = await differ.processDocs(["guide"], {
+      progress: { report: ({ message }) => messages.push(message) },
+    });
+    assert.strictEqual(first.success, true);
+    assert.deepStrictEqual(messages, [
+      "guide: 1/50 pages (1/50 in all)",
+      "guide: 2/50 pages (2/50 in all)",
+    ]);
+    assert.deepStrictEqual(first.pages, {
+      fetched: 2,
+      notModified: 0,
+      unchanged: 0,
+    });
+    assert.strictEqual(first.differences.newCount, 2);
+
+    // Only the page whose lastmod is after its last fetch is fetched again
+    requested.length = 0;
+    const second = await differ.processDocs(["guide"], { showProgress: false });
+    assert.deepStrictEqual(second.pages, {
+      fetched: 1,
+      notModified: 0,
+      unchanged: 1,
+    });
+    assert.deepStrictEqual(
+      requested.filter((url) => url !== "/robots.txt").sort(),
+      ["/guide/new", "/sitemap.xml"]
+    );
+    assert.strictEqual(second.differences.removedCount, 0);
+    assert.deepStrictEqual(Object.keys(differ.previousDocs).sort(), [
+      "guide:/guide/new#New",
+      "guide:/guide/old#Old",
+    ]);
+    assert.strictEqual(
+      DocDiffer.describePages(second.pages),
+      "Pages: 1 re-parsed, 1 unchanged in the sitemap"
+    );
+  } finally {
+    server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+log("DocDiffer keeps not-modified pages and saves their validators", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const DocDiffer = require("../doc-differ");
+  const nav = '<nav><a href="/docs/a">A</a><a href="/docs/b">B</a></nav>';
+  const site = {
+    "/docs": `<html><body>${nav}<h2>Intro</h2><p>Welcome.</p></body></html>`,
+    "/docs/a": "<html><body><h2>Routing</h2><p>Pages.</p></body></html>",
+    "/docs/b": "<html><body><h2>Styling</h2><p>CSS.</p></body></html>",
+  };
+  const versions = { "/docs": 1, "/docs/a": 1, "/docs/b": 1 };
+  const server = http.createServer((req, res) => {
+    if (site[req.url] === undefined) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const etag = `"v${versions[req.url]}"`;
+    if (req.headers["if-none-match"] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/html", ETag: etag });
+    res.end(site[req.url]);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-docs-"));
+  const savedValidators = () =>
+    JSON.parse(
+      fs.readFileSync(path.join(directory, "doc-validators.json"), "utf8")
+    ).docs.pages;
+
+  try {
+    const differ = new DocDiffer(path.join(directory, "docs.json"));
+    differ.configureCrawler({ delayMs: 0 });
+    differ.configureSources([
+      { origin: "test", entries: [{ type: "docs", url: `${base}/docs` }] },
+    ]);
+
+    const first = await differ.processDocs(["docs"], { showProgress: false });
+    assert.deepStrictEqual(first.pages, {
+      fetched: 3,
+      notModified: 0,
+      unchanged: 0,
+    });
+    assert.deepStrictEqual(savedValidators()[`${base}/docs`], {
+      etag: '"v1"',
+      lastModified: null,
+      url: `${base}/docs`,
+      links: [`${base}/docs/a`, `${base}/docs/b`],
+    });
+
+    // The start page is not modified and its saved links are still
+    // followed; /docs/a changed and /docs/b is gone
+    site["/docs/a"] = "<html><body><h2>Routing</h2><p>App.</p></body></html>";
+    versions["/docs/a"] = 2;
+    delete site["/docs/b"];
+    const second = await differ.processDocs(["docs"], { showProgress: false });
+    assert.deepStrictEqual(second.pages, {
+      fetched: 1,
+      notModified: 1,
+      unchanged: 0,
+    });
+    assert.deepStrictEqual(
+      [
+        second.differences.newCount,
+        second.differences.updatedCount,
+        second.differences.removedCount,
+      ],
+      [0, 1, 1]
+    );
+    assert.strictEqual(differ.previousDocs["docs:Intro"].content, "Welcome.");
+    const validators = savedValidators();
+    assert.deepStrictEqual(Object.keys(validators).sort(), [
+      `${base}/docs`,
+      `${base}/docs/a`,
+    ]);
+    assert.strictEqual(validators[`${base}/docs/a`].etag, '"v2"');
+    assert.strictEqual(
+      DocDiffer.describePages(second.pages),
+      "Pages: 1 re-parsed, 1 not modified"
+    );
+
+    // Other selectors make the saved sections stale, so nothing is reused
+    differ.configureSources([
+      {
+        origin: "test",
+        entries: [{ type: "docs", url: `${base}/docs`, selector: "h3" }],
+      },
+    ]);
+    const third = await differ.processDocs(["docs"], { showProgress: false });
+    assert.strictEqual(third.pages.notModified, 0);
+  } finally {
+    server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+log("DocDiffer keeps a failed source due for its next refresh", async () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const DocDiffer = require("../doc-differ");
+  const server = http.createServer((req, res) => {
+    if (req.url === "/up") {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<html><body><h2>Up</h2><p>Works.</p></body></html>");
+      return;
+    }
+    res.writeHead(req.url === "/robots.txt" ? 404 : 500);
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "rtai-docs-"));
+  const lastRefresh = "2026-01-01T00:00:00.000Z";
+  fs.writeFileSync(
+    path.join(directory, "doc-refresh-state.json"),
+    JSON.stringify({
+      sources: {
+        up: { refreshedAt: lastRefresh, pages: {} },
+        down: { refreshedAt: lastRefresh, pages: {} },
+      },
+    })
+  );
+
+  try {
+    const differ = new DocDiffer(path.join(directory, "docs.json"));
+    differ.configureCrawler({ delayMs: 0 });
+    differ.configureSources([
+      {
+        origin: "test",
+        entries: [
+          { type: "up", url: `${base}/up`, refresh: "daily" },
+          { type: "down", url: `${base}/down`, refresh: "daily" },
+        ],
+      },
+    ]);
+    const result = await differ.processDocs(["up", "down"], {
+      showProgress: false,
+    });
+    assert.strictEqual(result.success, true);
+
+    const state = differ.loadRefreshState().sources;
+    assert.notStrictEqual(state.up.refreshedAt, lastRefresh);
+    assert.strictEqual(state.down.refreshedAt, lastRefresh);
+    assert.deepStrictEqual(
+      differ.getDueSources().map((source) => source.type),
+      ["down"]
+    );
+  } finally {
+    server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
 // Basic end
@@ -0,0 +1,163 @@
+// Above this many token pairs the word diff falls back to whole lines
+const MAX_WORD_CELLS = 1000000;
+// Above this many line pairs the text is shown as replaced
+const MAX_LINE_CELLS = 4000000;
+
+/**
+ * Inline diff of two texts for reading what changed in a documentation
+ * section: words that were removed or added between the unchanged ones.
+ */
+class TextDiff {
+  /**
+   * Word-level diff, falling back to a line-level one for long texts
+   * @param {string} before
+   * @param {string} after
+   * @returns {Array<Object>} - Segments { type: "equal"|"removed"|"added",
+   *   text } in reading order; joining the equal and removed ones gives
+   *   before, the equal and added ones after
+   */
+  static diff(before, after) {
+    const words = (text) => String(text || "").match(/\s+|[^\s]+/g) || [];
+    const lines = (text) =>
+      String(text || "").match(/[^\n]*\n|[^\n]+$/g) || [];
+
+    let a = words(before);
+    let b = words(after);
+    if (a.length * b.length > MAX_WORD_CELLS) {
+      a = lines(before);
+      b = lines(after);
+    }
+    return TextDiff._merge(TextDiff._diffTokens(a, b));
+  }
+
+  /**
+   * Counts the words on each side of a diff
+   * @param {Array<Object>} segments - From TextDiff.diff
+   * @returns {Object} - { added, removed } word counts
+   */
+  static stats(segments) {
+    const count = (text) => (text.match(/[^\s]+/g) || []).length;
+    return segments.reduce(
+      (totals, segment) => {
+        if (segment.type !== "equal") {
+          totals[segment.type] += count(segment.text);
+        }
+        return totals;
+      },
+      { added: 0, removed: 0 }
+    );
+  }
+
+  // Longest common subsequence of the tokens between a shared prefix and
+  // suffix, as one segment per token
+  static _diffTokens(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const prefix = a.slice(0, start).map((text) => ({ type: "equal", text }));
+    const suffix = a.slice(endA).map((text) => ({ type: "equal", text }));
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const removed = middleA.map((text) => ({ type: "removed", text }));
+    const added = middleB.map((text) => ({ type: "added", text }));
+    if (
+      middleA.length === 0 ||
+      middleB.length === 0 ||
+      middleA.length * middleB.length > MAX_LINE_CELLS
+    ) {
+      return [...prefix, ...removed, ...added, ...suffix];
+    }
+
+    // lengths[i][j]: common tokens of middleA from i and middleB from j
+    const rows = middleA.length + 1;
+    const columns = middleB.length + 1;
+    const lengths = new Uint32Array(rows * columns);
+    for (let i = middleA.length - 1; i >= 0; i--) {
+      for (let j = middleB.length - 1; j >= 0; j--) {
+        lengths[i * columns + j] =
+          middleA[i] === middleB[j]
+            ? lengths[(i + 1) * columns + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * columns + j],
+                lengths[i * columns + j + 1]
+              );
+      }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < middleA.length && j < middleB.length) {
+      if (middleA[i] === middleB[j]) {
+        middle.push({ type: "equal", text: middleA[i] });
+        i++;
+        j++;
+      } else if (
+        lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]
+      ) {
+        middle.push(removed[i++]);
+      } else {
+        middle.push(added[j++]);
+      }
+    }
+    return [
+      ...prefix,
+      ...middle,
+      ...removed.slice(i),
+      ...added.slice(j),
+      ...suffix,
+    ];
+  }
+
+  // Joins runs of the same type, each change as its removed text followed
+  // by its added text; whitespace between two changes joins them, so a
+  // changed phrase reads as one removal and one addition
+  static _merge(tokens) {
+    const segments = [];
+    let removed = "";
+    let added = "";
+    const flush = () => {
+      if (removed) segments.push({ type: "removed", text: removed });
+      if (added) segments.push({ type: "added", text: added });
+      removed = "";
+      added = "";
+    };
+
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+      if (token.type === "removed") {
+        removed += token.text;
+      } else if (token.type === "added") {
+        added += token.text;
+      } else if (
+        (removed || added) &&
+        /^\s+$/.test(token.text) &&
+        next &&
+        next.type !== "equal"
+      ) {
+        removed += token.text;
+        added += token.text;
+      } else {
+        flush();
+        const last = segments[segments.length - 1];
+        if (last && last.type === "equal") {
+          last.text += token.text;
+        } else {
+          segments.push({ type: "equal", text: token.text });
+        }
+      }
+    });
+    flush();
+    return segments;
+  }
+}
+
+module.exports = TextDiff;
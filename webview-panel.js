@@ -1,14 +1,39 @@
 const vscode = require("vscode");
 const path = require("path");
+const os = require("os");
 const ContextExtractor = require("./context-extractor");
 const DocDiffer = require("./doc-differ");
 const DocumentationService = require("./documentation-service");
 const TelemetryService = require("./telemetry-service");
+const LlmProvider = require("./llm-provider");
+const RequestScheduler = require("./request-scheduler");
+const DiagnosticHelper = require("./diagnostic-helper");
+const CodeApplier = require("./code-applier");
+const EditSet = require("./edit-set");
+const ConversationStore = require("./conversation-store");
+const ConversationMemory = require("./conversation-memory");
+const ConversationTurn = require("./conversation-turn");
+const ConversationExporter = require("./conversation-exporter");
+const TextDiff = require("./text-diff");
+const {
+  CancellationError,
+  isCancellation,
+  abortAfter,
+  linkSignal,
+  raceWithSignal,
+  throwIfAborted,
+} = require("./cancellation");
 const marked = require("marked");
 const hljs = require("highlight.js");
 
 class WebviewPanel {
-  constructor(context, contextExtractor, docDiffer, onDocStatusChange) {
+  constructor(
+    context,
+    contextExtractor,
+    docDiffer,
+    onDocStatusChange,
+    codeApplier
+  ) {
     this.context = context;
     this.panel = null;
     this.disposables = [];
@@ -17,10 +42,28 @@ class WebviewPanel {
       docDiffer || new DocDiffer(context.asAbsolutePath("nextjs-docs.json"));
     this.documentationService = new DocumentationService();
     this.messageHistory = [];
-    this.isProcessing = false;
+    // Conversations survive the panel; the current one is reopened with it
+    this.conversationStore = new ConversationStore({
+      storagePath: context.globalStorageUri.fsPath,
+      workspaceFolders: (vscode.workspace.workspaceFolders || []).map(
+        (folder) => folder.uri.fsPath
+      ),
+    });
+    this.conversationId = null;
+    this.requestCounter = 0;
+    this.activeRequests = new Map(); // requestId -> { kind, controller }
+    // Each kind of request runs independently of the others
+    this.scheduler = new RequestScheduler(
+      { ai: 1, docs: 2, refresh: 1 },
+      { onChange: (update) => this._postSchedulerUpdate(update) }
+    );
     this.telemetryService = new TelemetryService(context);
+    this.llmProvider = new LlmProvider({
+      fallback: (prompt) => this._generateOfflineResponse(prompt),
+    });
     this.onDocStatusChange =
       typeof onDocStatusChange === "function" ? onDocStatusChange : null;
+    this.codeApplier = codeApplier || new CodeApplier();
 
     // Configure marked with syntax highlighting
     marked.setOptions({
@@ -39,14 +82,18 @@ class WebviewPanel {
         ? processResult.differences
         : null;
     if (this.panel && differences) {
+      const pages = DocDiffer.describePages(processResult.pages);
       this.panel.webview.postMessage({
         command: "refreshStatus",
-        status: `Documentation refreshed! New: ${differences.newCount}, Updated: ${differences.updatedCount}, Removed: ${differences.removedCount}`,
+        status: `Documentation refreshed! New: ${differences.newCount}, Updated: ${differences.updatedCount}, Removed: ${differences.removedCount}${
+          pages ? `. ${pages}` : ""
+        }`,
         isRefreshing: false,
         summary: {
           totalNewDocs: differences.newCount,
           totalUpdatedDocs: differences.updatedCount,
           totalRemovedDocs: differences.removedCount,
+          pages: processResult.pages,
         },
       });
     }
@@ -75,6 +122,73 @@ class WebviewPanel {
     }
   }
 
+  sendRefreshCancelled() {
+    if (this.panel) {
+      this.panel.webview.postMessage({
+        command: "refreshStatus",
+        status: "Refresh cancelled",
+        isRefreshing: false,
+      });
+    }
+    if (this.onDocStatusChange) {
+      this.onDocStatusChange({ isRefreshing: false });
+    }
+  }
+
+  /**
+   * Register an in-flight request so it can be stopped from the webview
+   * @param {string} kind - "ai", "docs" or "refresh"
+   * @param {AbortSignal} [externalSignal] - Caller's signal, e.g. from a progress notification
+   * @returns {Object} - { requestId, controller, signal }
+   */
+  _startRequest(kind, externalSignal) {
+    const requestId = `${kind}-${++this.requestCounter}`;
+    const controller = new AbortController();
+    linkSignal(externalSignal, controller);
+    this.activeRequests.set(requestId, { kind, controller });
+    if (this.panel) {
+      this.panel.webview.postMessage({
+        command: "requestStarted",
+        requestId,
+        kind,
+      });
+    }
+    return { requestId, controller, signal: controller.signal };
+  }
+
+  _finishRequest(requestId) {
+    this.activeRequests.delete(requestId);
+    if (this.panel) {
+      this.panel.webview.postMessage({ command: "requestFinished", requestId });
+    }
+  }
+
+  _postSchedulerUpdate({ id, kind, state, position }) {
+    if (!this.panel || !id) return;
+    this.panel.webview.postMessage({
+      command: state === "queued" ? "requestQueued" : "requestRunning",
+      requestId: id,
+      kind,
+      position,
+    });
+  }
+
+  /**
+   * Abort an in-flight or queued request
+   * @param {string} [requestId] - The request to stop, or every active request when omitted
+   */
+  cancelRequest(requestId) {
+    const ids = requestId
+      ? [requestId]
+      : Array.from(this.activeRequests.keys());
+    ids.forEach((id) => {
+      const request = this.activeRequests.get(id);
+      if (request) {
+        request.controller.abort(new CancellationError());
+      }
+    });
+  }
+
   _getNonce() {
     const possible =
       "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
@@ -119,12 +233,19 @@ class WebviewPanel {
     // Listen for when the panel is disposed
     this.panel.onDidDispose(() => this.dispose(), null, this.disposables);
 
+    // Pick up where the closed panel left off
+    if (this.conversationId) {
+      this.openConversation(this.conversationId);
+    }
+
     // Handle messages from the webview
     this.panel.webview.onDidReceiveMessage(
       (message) => {
         switch (message.command) {
           case "askAi":
-            this.handleAiQuery(message.text);
+            this.handleAiQuery(message.text, null, null, {
+              mode: message.mode,
+            });
             return;
           case "refreshDocs":
             this.handleRefreshDocs();
@@ -138,6 +259,48 @@ class WebviewPanel {
           case "lookupDocs":
             this.handleDocumentationQuery(message.query, message.type);
             return;
+          case "cancelRequest":
+            this.cancelRequest(message.requestId);
+            return;
+          case "openExternalUrl":
+            this._openExternalUrl(message.url);
+            return;
+          case "copyCode":
+          case "insertCode":
+          case "applyCode":
+            this._handleCodeAction(message.command, message.code);
+            return;
+          case "showEditSetDiff":
+            this.codeApplier
+              .showEditSetDiff(message.id, message.path)
+              .catch((error) => {
+                console.error("Error showing edit set diff:", error);
+              });
+            return;
+          case "applyEditSet":
+            this.applyEditSet(message.id, message.paths);
+            return;
+          case "listConversations":
+            this.sendConversationList(message.query);
+            return;
+          case "openConversation":
+            this.openConversation(message.id);
+            return;
+          case "newConversation":
+            this.newConversation();
+            return;
+          case "renameConversation":
+            this.renameConversation(message.id, message.title);
+            return;
+          case "deleteConversation":
+            this.deleteConversation(message.id);
+            return;
+          case "exportConversation":
+            this.exportConversation(this.conversationId);
+            return;
+          case "listDocChanges":
+            this.sendDocChanges();
+            return;
         }
       },
       null,
@@ -145,7 +308,7 @@ class WebviewPanel {
     );
   }
 
-  async handleDocumentationQuery(query, type = null) {
+  async handleDocumentationQuery(query, type = null, options = {}) {
     // Validate input
     if (!query || query.trim() === '') {
       this.panel.webview.postMessage({
@@ -157,38 +320,40 @@ class WebviewPanel {
       return;
     }
     
-    // Check if already processing
-    if (this.isProcessing) {
-      this.panel.webview.postMessage({
-        command: "docResponse",
-        text: "I'm still processing your previous request. Please wait a moment...",
-        status: "info",
-        isMarkdown: false,
-      });
-      return;
-    }
-
-    this.isProcessing = true;
+    const { requestId, controller, signal } = this._startRequest(
+      "docs",
+      options.signal
+    );
+    let release = null;
+    let clearTimer = () => {};
 
     // Send processing message
     this.panel.webview.postMessage({
       command: "docResponse",
+      requestId,
       text: "Searching for documentation...",
       status: "processing",
       isMarkdown: false,
     });
 
     try {
+      // Wait for a free docs slot; AI queries and refreshes don't block this
+      release = await this.scheduler.acquire("docs", { id: requestId, signal });
+      clearTimer = abortAfter(
+        controller,
+        15000,
+        "Documentation search timed out after 15 seconds"
+      );
+
       // Log telemetry for documentation lookup
       this.telemetryService.logFeatureUsage('documentation_lookup', { query, type: type || 'auto' });
 
-      // Fetch documentation from the service with timeout
-      const docResult = await Promise.race([
-        this.documentationService.getDocumentation(query, type),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Documentation search timed out after 15 seconds')), 15000)
-        )
-      ]);
+      // Fetch documentation from the service, aborted on timeout or stop
+      const docResult = await this.documentationService.getDocumentation(
+        query,
+        type,
+        { signal }
+      );
 
       // Format the documentation result as markdown
       let formattedResult = '';
@@ -245,8 +410,10 @@ ${docResult.error}\n\nTry refining your search query or selecting a different do
       }
 
       // Send the formatted documentation back to the webview
+      if (!this.panel) return;
       this.panel.webview.postMessage({
         command: "docResponse",
+        requestId,
         text: formattedResult,
         status: "success",
         isMarkdown: true,
@@ -255,11 +422,24 @@ ${docResult.error}\n\nTry refining your search query or selecting a different do
         type: type
       });
     } catch (error) {
+      if (!this.panel) return;
+      if (isCancellation(error)) {
+        this.panel.webview.postMessage({
+          command: "docResponse",
+          requestId,
+          text: "Documentation search stopped.",
+          status: "cancelled",
+          isMarkdown: false,
+        });
+        return;
+      }
+
       console.error('Error fetching documentation:', error);
       
       // Send error message
       this.panel.webview.postMessage({
         command: "docResponse",
+        requestId,
         text: `## Error Fetching Documentation
 
 Sorry, there was an error while fetching documentation: ${error.message}\n\nPlease try again with a more specific query or select a different documentation source.`,
@@ -267,11 +447,27 @@ Sorry, there was an error while fetching documentation: ${error.message}\n\nPlea
         isMarkdown: true
       });
     } finally {
-      this.isProcessing = false;
+      clearTimer();
+      if (release) release();
+      this._finishRequest(requestId);
     }
   }
 
-  async handleAiQuery(query, providedContext = null, providedDocs = null) {
+  /**
+   * Answer a query with the AI provider, streaming the response to the webview
+   * @param {string} query - The user's question
+   * @param {Object} [providedContext] - Editor context, extracted when omitted
+   * @param {Array} [providedDocs] - Relevant docs, looked up when omitted
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the request, e.g. from a progress notification
+   * @param {string} [options.mode] - "debug" to answer the file's diagnostics one by one
+   */
+  async handleAiQuery(
+    query,
+    providedContext = null,
+    providedDocs = null,
+    options = {}
+  ) {
     // Validate input
     if (!query || query.trim() === '') {
       this.panel.webview.postMessage({
@@ -283,120 +479,88 @@ Sorry, there was an error while fetching documentation: ${error.message}\n\nPlea
       return;
     }
     
-    if (this.isProcessing) {
-      this.panel.webview.postMessage({
-        command: "aiResponse",
-        text: "I'm still processing your previous request. Please wait a moment...",
-        status: "info",
-        isMarkdown: false,
-      });
-      return;
-    }
-
-    this.isProcessing = true;
-
     // Store the query in message history
     this.messageHistory.push({ role: "user", content: query });
+    // The conversation and stored question this answer belongs to, even
+    // when the chat moves on while the question waits in the queue
+    const turn = await this._askTurn(query);
+    if (!this.panel) return;
 
-    // Send processing message
-    this.panel.webview.postMessage({
-      command: "aiResponse",
-      text: "Processing your query...",
-      status: "processing",
-      isMarkdown: false,
-    });
+    // Open a streaming response bubble in the webview
+    const { requestId, controller, signal } = this._startRequest(
+      "ai",
+      options.signal
+    );
+    this.panel.webview.postMessage({ command: "aiResponseStart", requestId });
+    let streamOpen = true;
 
     // Log telemetry for AI query
     this.telemetryService.logFeatureUsage('ai_query', { queryLength: query.length });
 
     try {
-      // Use provided context and docs if available, otherwise fetch them with timeout
-      const contextPromise = providedContext ? 
-        Promise.resolve(providedContext) : 
-        Promise.race([
-          this.contextExtractor.extractActiveEditorContext(),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Context extraction timed out')), 10000))
-        ]);
-      
-      const context = await contextPromise;
-      let relevantDocs = providedDocs || [];
-
-      // If docs weren't provided, fetch them with timeout
-      if (!providedDocs && context) {
-        const docsPromise = Promise.race([
-          this.contextExtractor.findRelevantDocs(context, 5),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Documentation search timed out')), 10000))
-        ]);
-        
+      // Wait for a free AI slot; docs lookups and refreshes don't block this
+      const message = await turn.run(
+        this.scheduler,
+        { id: requestId, signal },
+        (earlier) =>
+          this._answerQuery(query, earlier, {
+            turn,
+            requestId,
+            controller,
+            signal,
+            providedContext,
+            providedDocs,
+            mode: options.mode,
+          })
+      );
+      if (!this.panel) return;
+      await this._postConversationChanged(turn.conversationId);
+      const response = message.content;
+
+      // Proposed multi-file changes are reviewed before anything is edited
+      const editSet = EditSet.parse(response);
+      let editSetReview = null;
+      if (editSet) {
         try {
-          relevantDocs = await docsPromise;
-        } catch (docError) {
-          console.warn('Error fetching relevant docs:', docError);
-          // Continue without docs if there's an error
-          relevantDocs = [];
+          editSetReview = await this.codeApplier.prepareEditSet(editSet);
+        } catch (editSetError) {
+          console.warn("Error preparing edit set:", editSetError);
         }
       }
 
-      // Check collection status
-      const collectionStatus =
-        await this.contextExtractor.getCollectionStatus();
-
-      // Determine the type of query and generate appropriate response
-      let response = "";
-      let isMarkdown = true;
-      const queryLower = query.toLowerCase();
-
-      if (
-        queryLower.includes("explain") ||
-        queryLower.includes("what does") ||
-        queryLower.includes("how does")
-      ) {
-        // Code explanation
-        response = this._generateCodeExplanation(context, relevantDocs);
-      } else if (
-        queryLower.includes("improve") ||
-        queryLower.includes("optimize") ||
-        queryLower.includes("better")
-      ) {
-        // Code improvement suggestions
-        response = this._generateCodeImprovements(context, relevantDocs);
-      } else if (
-        queryLower.includes("debug") ||
-        queryLower.includes("fix") ||
-        queryLower.includes("error") ||
-        queryLower.includes("issue")
-      ) {
-        // Debugging help
-        response = this._generateDebuggingHelp(context, relevantDocs);
-      } else if (
-        queryLower.includes("example") ||
-        queryLower.includes("sample") ||
-        queryLower.includes("how to")
-      ) {
-        // Code examples
-        response = this._generateCodeExamples(context, relevantDocs);
-      } else {
-        // General response
-        response = this._generateGeneralResponse(
-          query,
-          context,
-          relevantDocs,
-          collectionStatus
-        );
-      }
-
-      // Store the response in message history
-      this.messageHistory.push({ role: "assistant", content: response });
-
-      // Send the response back to the webview
+      // Close the stream with the final text so the webview can re-render it
+      streamOpen = false;
+      if (!this.panel) return;
       this.panel.webview.postMessage({
-        command: "aiResponse",
+        command: "aiResponseEnd",
+        requestId,
         text: response,
         status: "complete",
-        isMarkdown: true,
+        sources: message.sources,
+        editSet: editSetReview,
+        memory: message.memory,
       });
     } catch (error) {
+      if (!this.panel) return;
+      if (isCancellation(error)) {
+        // Keep whatever was streamed so far
+        this.panel.webview.postMessage({
+          command: "aiResponseEnd",
+          requestId,
+          status: "cancelled",
+        });
+        return;
+      }
+
       console.error("Error processing AI query:", error);
+
+      if (streamOpen) {
+        this.panel.webview.postMessage({
+          command: "aiResponseEnd",
+          requestId,
+          status: "error",
+        });
+      }
       
       // Provide more helpful error messages based on error type
       let errorMessage = "I encountered an error while processing your request.";
@@ -418,21 +582,524 @@ Sorry, there was an error while fetching documentation: ${error.message}\n\nPlea
         isMarkdown: true,
       });
     } finally {
-      this.isProcessing = false;
+      this._finishRequest(requestId);
     }
   }
 
-  async handleRefreshDocs() {
-    if (this.isProcessing) {
+  /**
+   * Builds the prompt for a query and streams the provider's answer
+   * @param {string} query
+   * @param {Array<Object>} earlier - Stored messages before the question
+   * @param {Object} request - The turn, request id, controller and signal,
+   *   and handleAiQuery's context, docs and mode
+   * @returns {Promise<Object>} - The answer message to save
+   */
+  async _answerQuery(query, earlier, request) {
+    const { turn, requestId, controller, signal } = request;
+    const { providedContext, providedDocs, mode } = request;
+
+    // Use provided context and docs if available, otherwise fetch them with timeout
+    let context = providedContext;
+    if (!context) {
+      const clearTimer = abortAfter(
+        controller,
+        10000,
+        "Context extraction timed out"
+      );
+      try {
+        context = await raceWithSignal(
+          this.contextExtractor.extractActiveEditorContext(),
+          signal
+        );
+      } finally {
+        clearTimer();
+      }
+    }
+    let relevantDocs = providedDocs || [];
+
+    // If docs weren't provided, fetch them with their own timeout
+    if (!providedDocs && context) {
+      const docsController = new AbortController();
+      linkSignal(signal, docsController);
+      const clearTimer = abortAfter(
+        docsController,
+        10000,
+        "Documentation search timed out"
+      );
+
+      try {
+        relevantDocs = await raceWithSignal(
+          this.contextExtractor.findRelevantDocs(context, 5),
+          docsController.signal
+        );
+      } catch (docError) {
+        // A stop from the user ends the whole request
+        if (signal.aborted) throw docError;
+        console.warn('Error fetching relevant docs:', docError);
+        // Continue without docs if there's an error
+        relevantDocs = [];
+      } finally {
+        clearTimer();
+      }
+    }
+
+    // Ask the configured provider, falling back to the offline templates
+    this.llmProvider.configure(this._getAiConfig());
+    const prompt = await this.contextExtractor.buildPrompt(
+      query,
+      context || null,
+      relevantDocs,
+      { mode }
+    );
+    prompt.history = await this._conversationHistory(
+      turn.conversationId,
+      earlier,
+      signal
+    );
+    if (!this.panel) throw new CancellationError("The chat panel was closed");
+    const answer = await this.llmProvider.stream(
+      prompt,
+      (token) => {
+        if (!this.panel) return;
+        this.panel.webview.postMessage({
+          command: "aiResponseChunk",
+          requestId,
+          text: token,
+        });
+      },
+      { signal }
+    );
+
+    let response = answer.text;
+    if (answer.fallbackReason) {
+      response = `> ${answer.fallbackReason}. Showing an offline answer instead.\n\n${response}`;
+    }
+
+    // Store the response in message history, unless the user switched
+    // to another conversation in the meantime
+    if (this.conversationId === turn.conversationId) {
+      this.messageHistory.push({ role: "assistant", content: response });
+    }
+    const sources = relevantDocs.map((hit) => this._toSource(hit));
+    const memory = {
+      included: prompt.history.included,
+      omitted: prompt.history.omitted,
+      total: prompt.history.total,
+      summarized: Boolean(prompt.history.summary),
+    };
+    return {
+      role: "assistant",
+      content: response,
+      sources,
+      memory,
+      context: this._contextSnapshot(prompt),
+    };
+  }
+
+  /**
+   * Save a question to the current conversation, starting one if there is
+   * none yet
+   * @param {string} query
+   * @returns {Promise<ConversationTurn>} - Not saved if saving failed
+   */
+  async _askTurn(query) {
+    try {
+      const turn = await ConversationTurn.ask(
+        this.conversationStore,
+        this.conversationId,
+        { role: "user", content: query }
+      );
+      if (!this.conversationId) this.conversationId = turn.conversationId;
+      await this._postConversationChanged(turn.conversationId);
+      return turn;
+    } catch (error) {
+      console.error("Failed to save conversation message:", error);
+      return new ConversationTurn(this.conversationStore, null, null);
+    }
+  }
+
+  /**
+   * Tell the webview the current conversation's title, which its first
+   * question sets
+   * @param {string|null} id - Conversation that changed
+   */
+  async _postConversationChanged(id) {
+    if (!id || id !== this.conversationId) return;
+    const conversation = await this.conversationStore.get(id);
+    if (this.panel && conversation) {
       this.panel.webview.postMessage({
-        command: "refreshStatus",
-        status: "error",
-        message: "Already processing a request. Please wait.",
+        command: "conversationChanged",
+        id,
+        title: conversation.title,
+      });
+    }
+  }
+
+  /**
+   * Earlier turns of the conversation for the prompt: recent ones verbatim
+   * within realtimeAiEditor.historyTokenBudget, older ones summarized
+   * @param {string|null} conversationId
+   * @param {Array<Object>} earlier - Stored messages before the question
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Object>} - Result of ConversationMemory.select
+   */
+  async _conversationHistory(conversationId, earlier, signal) {
+    const config = vscode.workspace.getConfiguration("realtimeAiEditor");
+    const memory = new ConversationMemory({
+      tokenBudget: config.get("historyTokenBudget", 1500),
+      summarize: (previous, messages, maxTokens) =>
+        this._summarizeTurns(previous, messages, maxTokens, signal),
+    });
+
+    try {
+      const conversation = conversationId
+        ? await this.conversationStore.get(conversationId)
+        : null;
+      const history = await memory.select(
+        earlier,
+        conversation ? conversation.summary : null
+      );
+      if (conversation && history.summary !== conversation.summary) {
+        await this.conversationStore.setSummary(
+          conversationId,
+          history.summary
+        );
+      }
+      return history;
+    } catch (error) {
+      if (isCancellation(error)) throw error;
+      console.warn("Error building conversation memory:", error);
+      const total = ConversationMemory.groupTurns(earlier).length;
+      return {
+        turns: [],
+        summary: null,
+        included: 0,
+        omitted: total,
+        total,
+        tokens: 0,
+      };
+    }
+  }
+
+  /**
+   * Summarizes older turns with the AI provider, or extractively offline
+   * @param {string} previous - Summary of the turns before these
+   * @param {Array<Object>} messages - Turns to add to the summary
+   * @param {number} maxTokens
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string>}
+   */
+  async _summarizeTurns(previous, messages, maxTokens, signal) {
+    if (!this.llmProvider.isRemote()) {
+      return ConversationMemory.extractiveSummary(previous, messages, maxTokens);
+    }
+
+    const transcript = messages
+      .map(
+        (message) =>
+          `${message.role === "user" ? "User" : "Assistant"}: ${ConversationMemory.truncate(
+            message.content,
+            500
+          )}`
+      )
+      .join("\n\n");
+    const answer = await this.llmProvider.complete(
+      {
+        systemPrompt:
+          "You summarize a conversation between a developer and a coding assistant. " +
+          `Stay under ${Math.floor(maxTokens * 0.75)} words and keep the decisions, ` +
+          "file names, APIs and code choices later questions may refer to.",
+        contextBlocks: [
+          { type: "summary", content: previous },
+          { type: "conversation", content: transcript },
+        ],
+        userQuery:
+          "Write the updated summary of the whole conversation. Reply with the summary only.",
+      },
+      { signal }
+    );
+    // A failed request falls back to an offline answer, which is no summary
+    if (answer.provider === "offline") {
+      return ConversationMemory.extractiveSummary(previous, messages, maxTokens);
+    }
+    return ConversationMemory.truncate(answer.text.trim(), maxTokens);
+  }
+
+  /**
+   * What an answer was based on, saved along with it
+   * @param {Object} prompt - The prompt from ContextExtractor.buildPrompt
+   * @returns {Object} - { mode, file, language, selectedText, files, diagnostics }
+   */
+  _contextSnapshot(prompt) {
+    const context = prompt.context;
+    return {
+      mode: prompt.mode || "chat",
+      file: context ? vscode.workspace.asRelativePath(context.fileName) : null,
+      language: context ? context.language : null,
+      selectedText:
+        context && context.selectedText
+          ? context.selectedText.slice(0, 2000)
+          : "",
+      files: prompt.contextBlocks
+        .filter((block) => block.type === "file")
+        .map((block) => block.path),
+      diagnostics:
+        context && context.diagnostics ? context.diagnostics.length : 0,
+    };
+  }
+
+  /**
+   * Send the saved conversations to the history sidebar
+   * @param {string} [query] - Search text
+   */
+  async sendConversationList(query = "") {
+    if (!this.panel) return;
+    const conversations = await this.conversationStore.list({ query });
+    this.panel.webview.postMessage({
+      command: "conversationList",
+      conversations,
+      currentId: this.conversationId,
+      query,
+    });
+  }
+
+  /**
+   * Send what the documentation refreshes changed to the doc changes view,
+   * with an inline diff of each updated section
+   */
+  sendDocChanges() {
+    if (!this.panel) return;
+    const sources = this.docDiffer.getChanges().map((change) => {
+      const source = this.docDiffer.docSources.find(
+        (entry) => entry.type === change.type
+      );
+      // Docs saved before pages were crawled have no URL of their own
+      const entry = (doc) => ({
+        title: doc.title,
+        url: doc.url || (source ? source.url : null),
+        content: doc.content,
+      });
+      return {
+        type: change.type,
+        source: change.source,
+        refreshedAt: change.refreshedAt,
+        newDocs: change.newDocs.map(entry),
+        updatedDocs: change.updatedDocs.map((doc) => {
+          const diff = TextDiff.diff(doc.previousContent, doc.content);
+          return { ...entry(doc), diff, stats: TextDiff.stats(diff) };
+        }),
+        removedDocs: change.removedDocs.map(entry),
+      };
+    });
+    this.panel.webview.postMessage({ command: "docChanges", sources });
+  }
+
+  /**
+   * Switch the chat to a saved conversation
+   * @param {string} id
+   */
+  async openConversation(id) {
+    const conversation = await this.conversationStore.get(id);
+    if (!conversation) {
+      vscode.window.showWarningMessage("That conversation no longer exists.");
+      return;
+    }
+    this.conversationId = conversation.id;
+    this.messageHistory = conversation.messages.map(({ role, content }) => ({
+      role,
+      content,
+    }));
+    if (!this.panel) return;
+    this.panel.webview.postMessage({
+      command: "loadConversation",
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        messages: conversation.messages.map(
+          ({ role, content, sources, memory }) => ({
+            role,
+            content,
+            sources,
+            memory,
+          })
+        ),
+      },
+    });
+  }
+
+  /**
+   * Start a new conversation; the current one stays in the history
+   */
+  newConversation() {
+    this.conversationId = null;
+    this.messageHistory = [];
+    if (!this.panel) return;
+    this.panel.webview.postMessage({
+      command: "conversationChanged",
+      id: null,
+      title: null,
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} title
+   */
+  async renameConversation(id, title) {
+    await this.conversationStore.rename(id, title);
+    if (this.panel && id === this.conversationId) {
+      const conversation = await this.conversationStore.get(id);
+      this.panel.webview.postMessage({
+        command: "conversationChanged",
+        id,
+        title: conversation.title,
       });
+    }
+    await this.sendConversationList();
+  }
+
+  /**
+   * Delete a conversation after confirmation
+   * @param {string} id
+   */
+  async deleteConversation(id) {
+    const conversation = await this.conversationStore.get(id);
+    if (!conversation) return;
+    const choice = await vscode.window.showWarningMessage(
+      `Delete the conversation "${conversation.title}"?`,
+      { modal: true },
+      "Delete"
+    );
+    if (choice !== "Delete") return;
+
+    await this.conversationStore.delete(id);
+    if (id === this.conversationId) {
+      this.newConversation();
+      if (this.panel) {
+        this.panel.webview.postMessage({
+          command: "loadConversation",
+          conversation: { id: null, title: null, messages: [] },
+        });
+      }
+    }
+    await this.sendConversationList();
+  }
+
+  /**
+   * Save a conversation to a Markdown or JSON file the user picks
+   * @param {string} [id] - Asks which saved conversation when omitted
+   */
+  async exportConversation(id) {
+    let conversation = id ? await this.conversationStore.get(id) : null;
+    if (!conversation) {
+      const conversations = await this.conversationStore.list();
+      if (conversations.length === 0) {
+        vscode.window.showInformationMessage(
+          "There are no conversations to export yet."
+        );
+        return;
+      }
+      const picked = await vscode.window.showQuickPick(
+        conversations.map((entry) => ({
+          label: entry.title,
+          description: new Date(entry.updatedAt).toLocaleString(),
+          id: entry.id,
+        })),
+        { placeHolder: "Conversation to export" }
+      );
+      if (!picked) return;
+      conversation = await this.conversationStore.get(picked.id);
+    }
+
+    const format = await vscode.window.showQuickPick(
+      [
+        {
+          label: "Markdown",
+          description: "For PR descriptions and design docs",
+          extension: "md",
+        },
+        {
+          label: "JSON",
+          description: "Can be imported into the history again",
+          extension: "json",
+        },
+      ],
+      { placeHolder: `Export "${conversation.title}" as` }
+    );
+    if (!format) return;
+
+    const fileName = ConversationExporter.fileName(
+      conversation,
+      format.extension
+    );
+    const folder = (vscode.workspace.workspaceFolders || [])[0];
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: folder
+        ? vscode.Uri.joinPath(folder.uri, fileName)
+        : vscode.Uri.file(path.join(os.homedir(), fileName)),
+      filters: { [format.label]: [format.extension] },
+      saveLabel: "Export",
+    });
+    if (!uri) return;
+
+    const text =
+      format.extension === "md"
+        ? ConversationExporter.toMarkdown(conversation)
+        : ConversationExporter.toJson(conversation);
+    try {
+      await vscode.workspace.fs.writeFile(uri, Buffer.from(text, "utf8"));
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Could not export the conversation: ${error.message}`
+      );
       return;
     }
+    this.telemetryService.logFeatureUsage("export_conversation");
+
+    const choice = await vscode.window.showInformationMessage(
+      `Exported "${conversation.title}" to ${path.basename(uri.fsPath)}.`,
+      "Open"
+    );
+    if (choice === "Open") await vscode.window.showTextDocument(uri);
+  }
+
+  /**
+   * Add a conversation from a JSON export to the history and open it
+   */
+  async importConversation() {
+    const uris = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      filters: { JSON: ["json"] },
+      openLabel: "Import",
+    });
+    if (!uris || uris.length === 0) return;
+
+    let conversation;
+    try {
+      const bytes = await vscode.workspace.fs.readFile(uris[0]);
+      conversation = await this.conversationStore.import(
+        ConversationExporter.parseJson(Buffer.from(bytes).toString("utf8"))
+      );
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Could not import the conversation: ${error.message}`
+      );
+      return;
+    }
+    this.telemetryService.logFeatureUsage("import_conversation");
+
+    this.createOrShow();
+    await this.openConversation(conversation.id);
+    await this.sendConversationList();
+    vscode.window.showInformationMessage(
+      `Imported "${conversation.title}" into the conversation history.`
+    );
+  }
 
-    this.isProcessing = true;
+  async handleRefreshDocs() {
+    const { requestId, controller, signal } = this._startRequest("refresh");
+    let release = null;
+    let clearTimer = () => {};
 
     // Log telemetry for documentation refresh
     this.telemetryService.logFeatureUsage('documentation_refresh');
@@ -444,13 +1111,15 @@ Sorry, there was an error while fetching documentation: ${error.message}\n\nPlea
     });
 
     try {
-      // Process the documentation with timeout
-      const processPromise = Promise.race([
-        this.docDiffer.processDocs(),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Documentation processing timed out after 30 seconds')), 30000))
-      ]);
-      
-      const processResult = await processPromise;
+      // Only one refresh runs at a time; lookups and AI queries continue meanwhile
+      release = await this.scheduler.acquire("refresh", {
+        id: requestId,
+        signal,
+      });
+
+      // Process the documentation. Crawling can take minutes, so there is
+      // no timeout: the progress notification's Cancel and Stop end it.
+      const processResult = await this.docDiffer.processDocs([], { signal });
       if (!processResult.success) {
         throw new Error(
           processResult.error || "Failed to process documentation"
@@ -458,31 +1127,37 @@ Sorry, there was an error while fetching documentation: ${error.message}\n\nPlea
       }
 
       // Update the vector database with latest docs
-      const docsForChroma = this.docDiffer.getDocsForChroma();
-      
-      const updatePromise = Promise.race([
-        this.contextExtractor.updateCollection(docsForChroma),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Vector database update timed out after 30 seconds')), 30000))
-      ]);
-      
-      const updateResult = await updatePromise;
+      throwIfAborted(signal);
+      clearTimer = abortAfter(
+        controller,
+        30000,
+        "Vector database update timed out after 30 seconds"
+      );
+      const updateResult = await raceWithSignal(
+        this.contextExtractor.updateCollection(processResult.differences),
+        signal
+      );
+      clearTimer();
       if (!updateResult.success) {
         throw new Error(
           updateResult.error || "Failed to update vector database"
         );
       }
+      console.log(updateResult.message);
 
       const { differences } = processResult;
+      const pages = DocDiffer.describePages(processResult.pages);
 
       // Send success message with summary
       this.panel.webview.postMessage({
         command: "refreshStatus",
-        status: `Documentation refreshed! New: ${differences.newCount}, Updated: ${differences.updatedCount}, Removed: ${differences.removedCount}`,
+        status: `Documentation refreshed! New: ${differences.newCount}, Updated: ${differences.updatedCount}, Removed: ${differences.removedCount}${pages ? `. ${pages}` : ''}`,
         isRefreshing: false,
         summary: {
           totalNewDocs: differences.newCount,
           totalUpdatedDocs: differences.updatedCount,
           totalRemovedDocs: differences.removedCount,
+          pages: processResult.pages,
           timestamp: new Date().toISOString()
         },
       });
@@ -509,6 +1184,12 @@ You now have access to the latest documentation!`,
         isMarkdown: true,
       });
     } catch (error) {
+      if (!this.panel) return;
+      if (isCancellation(error)) {
+        this.sendRefreshCancelled();
+        return;
+      }
+
       console.error("Error refreshing docs:", error);
       
       // Log telemetry for refresh failure
@@ -549,7 +1230,9 @@ Please try again later.`,
         isMarkdown: true,
       });
     } finally {
-      this.isProcessing = false;
+      clearTimer();
+      if (release) release();
+      this._finishRequest(requestId);
     }
   }
 
@@ -631,7 +1314,7 @@ Please try again later.`,
           }
           .container {
             display: grid;
-            grid-template-rows: auto 1fr auto;
+            grid-template-rows: auto auto 1fr auto auto;
             height: 100vh;
             width: 100%;
           }
@@ -717,6 +1400,23 @@ Please try again later.`,
             font-size: 0.8em;
             margin: 8px 0;
           }
+          .mode-chip {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 20px 0;
+            font-size: 0.85em;
+            color: var(--vscode-descriptionForeground);
+          }
+          .mode-chip[hidden] {
+            display: none;
+          }
+          .mode-chip button {
+            margin-left: 0;
+            padding: 2px;
+            background-color: transparent;
+            color: inherit;
+          }
           .input-container {
             display: flex;
             padding: 16px 20px;
@@ -776,6 +1476,15 @@ Please try again later.`,
           .send-button {
             padding: 8px 16px;
           }
+          .stop-button {
+            display: none;
+            padding: 8px 16px;
+            background-color: var(--vscode-button-secondaryBackground);
+            color: var(--vscode-button-secondaryForeground);
+          }
+          .stop-button:hover {
+            background-color: var(--vscode-button-secondaryHoverBackground);
+          }
           .status-bar {
             display: flex;
             align-items: center;
@@ -841,6 +1550,82 @@ Please try again later.`,
           .toolbar-button .codicon {
             margin-right: 4px;
           }
+          .chat-body {
+            display: flex;
+            min-height: 0;
+          }
+          .chat-body .chat-container {
+            flex: 1;
+          }
+          .history-sidebar {
+            display: flex;
+            flex-direction: column;
+            width: 240px;
+            border-right: 1px solid var(--vscode-panel-border);
+            background-color: var(--vscode-sideBar-background);
+          }
+          .history-sidebar[hidden] {
+            display: none;
+          }
+          .history-search {
+            margin: 8px;
+            padding: 4px 6px;
+            background-color: var(--vscode-input-background);
+            color: var(--vscode-input-foreground);
+            border: 1px solid var(--vscode-input-border);
+            border-radius: 2px;
+          }
+          .history-list {
+            flex: 1;
+            overflow-y: auto;
+            list-style: none;
+            margin: 0;
+            padding: 0;
+          }
+          .history-item {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 6px 8px;
+            cursor: pointer;
+          }
+          .history-item:hover {
+            background-color: var(--vscode-list-hoverBackground);
+          }
+          .history-item.current {
+            background-color: var(--vscode-list-activeSelectionBackground);
+            color: var(--vscode-list-activeSelectionForeground);
+          }
+          .history-item-text {
+            flex: 1;
+            min-width: 0;
+          }
+          .history-item-title,
+          .history-item-date {
+            display: block;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+          }
+          .history-item-date,
+          .history-empty {
+            font-size: 0.8em;
+            color: var(--vscode-descriptionForeground);
+          }
+          .history-empty {
+            padding: 8px;
+          }
+          .history-item button {
+            margin-left: 0;
+            padding: 2px;
+            background-color: transparent;
+            color: inherit;
+            visibility: hidden;
+          }
+          .history-item:hover button,
+          .history-item button:focus {
+            visibility: visible;
+          }
           .typing-indicator {
             display: flex;
             align-items: center;
@@ -863,6 +1648,30 @@ Please try again later.`,
           .typing-indicator span:nth-child(3) {
             animation-delay: 0.4s;
           }
+          .stream-placeholder {
+            font-style: italic;
+            color: var(--vscode-descriptionForeground);
+          }
+          .stream-placeholder span {
+            width: 4px;
+            height: 4px;
+            margin: 0 1px;
+            background-color: var(--vscode-descriptionForeground);
+            border-radius: 50%;
+            display: inline-block;
+            animation: typing 1.4s infinite both;
+          }
+          .stream-placeholder span:nth-child(2) {
+            animation-delay: 0.2s;
+          }
+          .stream-placeholder span:nth-child(3) {
+            animation-delay: 0.4s;
+          }
+          .streaming .message-content > :last-child::after {
+            content: "▍";
+            margin-left: 2px;
+            animation: pulse 1s infinite;
+          }
           @keyframes typing {
             0% { opacity: 0.4; transform: translateY(0); }
             50% { opacity: 1; transform: translateY(-4px); }
@@ -1015,6 +1824,32 @@ Please try again later.`,
             padding: 0;
             border-radius: 0;
           }
+          .code-block {
+            position: relative;
+          }
+          .code-block-actions {
+            position: absolute;
+            top: 4px;
+            right: 4px;
+            display: flex;
+            gap: 4px;
+            opacity: 0;
+            transition: opacity 0.2s;
+          }
+          .code-block:hover .code-block-actions,
+          .code-block-actions:focus-within {
+            opacity: 1;
+          }
+          .code-block-actions button {
+            margin-left: 0;
+            padding: 2px 6px;
+            font-size: 0.8em;
+            background-color: var(--vscode-button-secondaryBackground);
+            color: var(--vscode-button-secondaryForeground);
+          }
+          .code-block-actions button:hover {
+            background-color: var(--vscode-button-secondaryHoverBackground);
+          }
           .markdown-body blockquote {
             border-left: 3px solid var(--vscode-activityBar-background);
             margin: 8px 0;
@@ -1042,6 +1877,187 @@ Please try again later.`,
             border-top: 1px solid var(--vscode-panel-border);
             margin: 16px 0;
           }
+          /* Documentation hits */
+          .doc-results {
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            width: 100%;
+          }
+          .doc-results-title {
+            font-weight: bold;
+          }
+          .doc-card {
+            border: 1px solid var(--vscode-panel-border);
+            border-radius: 6px;
+            padding: 8px 12px;
+            background-color: var(--vscode-editor-inactiveSelectionBackground);
+          }
+          .doc-card-header {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+          }
+          .doc-card-title {
+            font-weight: bold;
+            flex: 1;
+          }
+          .doc-card-section,
+          .doc-card-meta {
+            font-size: 0.85em;
+            color: var(--vscode-descriptionForeground);
+          }
+          .doc-card-snippet {
+            margin: 6px 0;
+            white-space: pre-wrap;
+            font-size: 0.9em;
+          }
+          .doc-type-badge,
+          .relevance-badge {
+            font-size: 0.75em;
+            padding: 1px 6px;
+            border-radius: 10px;
+            background-color: var(--vscode-badge-background);
+            color: var(--vscode-badge-foreground);
+          }
+          .relevance-high {
+            background-color: var(--vscode-testing-iconPassed, #388a34);
+            color: var(--vscode-editor-background);
+          }
+          .relevance-medium {
+            background-color: var(--vscode-editorWarning-foreground, #cca700);
+            color: var(--vscode-editor-background);
+          }
+          .doc-source-link {
+            color: var(--vscode-textLink-foreground);
+            cursor: pointer;
+            font-size: 0.85em;
+          }
+          .edit-set-review {
+            margin-top: 12px;
+            padding: 8px 12px;
+            border: 1px solid var(--vscode-panel-border);
+            border-radius: 4px;
+          }
+          .edit-set-header {
+            font-weight: bold;
+            margin-bottom: 6px;
+          }
+          .edit-set-file {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            padding: 4px 0;
+          }
+          .edit-set-file label {
+            flex: 1;
+            font-family: var(--vscode-editor-font-family);
+          }
+          .edit-set-file button {
+            margin-left: 0;
+            padding: 2px 6px;
+          }
+          .edit-set-meta,
+          .edit-set-status {
+            font-size: 0.85em;
+            color: var(--vscode-descriptionForeground);
+          }
+          .edit-set-failure {
+            flex-basis: 100%;
+            font-size: 0.85em;
+            color: var(--vscode-errorForeground);
+          }
+          .edit-set-apply {
+            margin: 8px 0 0;
+          }
+          .answer-sources {
+            margin-top: 8px;
+            padding-top: 6px;
+            border-top: 1px solid var(--vscode-panel-border);
+            font-size: 0.85em;
+          }
+          .answer-sources ul {
+            margin: 4px 0 0;
+            padding-left: 18px;
+          }
+          .context-used {
+            margin-top: 6px;
+            font-size: 0.8em;
+            color: var(--vscode-descriptionForeground);
+          }
+          .doc-changes-panel {
+            width: 40%;
+            min-width: 280px;
+            overflow-y: auto;
+            padding: 8px;
+            border-left: 1px solid var(--vscode-panel-border);
+            background-color: var(--vscode-sideBar-background);
+          }
+          .doc-changes-panel[hidden] {
+            display: none;
+          }
+          .doc-changes-panel h3 {
+            margin: 0 0 8px;
+          }
+          .doc-changes-source {
+            margin-bottom: 16px;
+          }
+          .doc-changes-source h4 {
+            margin: 0;
+          }
+          .doc-changes-date,
+          .doc-changes-empty,
+          .doc-change-stats {
+            font-size: 0.8em;
+            color: var(--vscode-descriptionForeground);
+          }
+          .doc-change {
+            margin-top: 6px;
+            border: 1px solid var(--vscode-panel-border);
+            border-radius: 4px;
+          }
+          .doc-change summary {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 4px 6px;
+            cursor: pointer;
+          }
+          .doc-change-title {
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+          }
+          .doc-change-badge {
+            font-size: 0.75em;
+            text-transform: uppercase;
+          }
+          .doc-change-new .doc-change-badge {
+            color: var(--vscode-gitDecoration-addedResourceForeground);
+          }
+          .doc-change-updated .doc-change-badge {
+            color: var(--vscode-gitDecoration-modifiedResourceForeground);
+          }
+          .doc-change-removed .doc-change-badge {
+            color: var(--vscode-gitDecoration-deletedResourceForeground);
+          }
+          .doc-change-body {
+            padding: 6px;
+            white-space: pre-wrap;
+            font-size: 0.9em;
+            border-top: 1px solid var(--vscode-panel-border);
+          }
+          .doc-change-body ins {
+            text-decoration: none;
+            background-color: var(--vscode-diffEditor-insertedTextBackground);
+          }
+          .doc-change-body del {
+            background-color: var(--vscode-diffEditor-removedTextBackground);
+          }
         </style>
       </head>
       <body>
@@ -1062,8 +2078,17 @@ Please try again later.`,
           </header>
           
           <div class="toolbar">
-            <button class="toolbar-button" id="clear-chat">
-              <i class="codicon codicon-clear-all"></i> Clear Chat
+            <button class="toolbar-button" id="toggle-history" title="Show past conversations">
+              <i class="codicon codicon-history"></i> History
+            </button>
+            <button class="toolbar-button" id="clear-chat" title="Start a new conversation; this one stays in the history">
+              <i class="codicon codicon-add"></i> New Chat
+            </button>
+            <button class="toolbar-button" id="export-chat" title="Save this conversation as Markdown or JSON">
+              <i class="codicon codicon-export"></i> Export
+            </button>
+            <button class="toolbar-button" id="toggle-doc-changes" title="What changed in the docs">
+              <i class="codicon codicon-diff"></i> Doc Changes
             </button>
             <button class="toolbar-button" id="get-context">
               <i class="codicon codicon-symbol-file"></i> Get Current Context
@@ -1082,22 +2107,39 @@ Please try again later.`,
             </button>
           </div>
           
-          <div class="chat-container" id="chat-container">
-            <div class="message ai-message">
-              <div class="message-content markdown-body">
-                <h2>Welcome to RealTime AI Editor!</h2>
-                <p>I'm your AI coding assistant with access to the latest Next.js and Tailwind CSS documentation. I can help you with:</p>
-                <ul>
-                  <li>Code suggestions and improvements</li>
-                  <li>Documentation lookups</li>
-                  <li>Best practices and patterns</li>
-                  <li>Debugging and troubleshooting</li>
-                </ul>
-                <p>How can I assist you with your project today?</p>
+          <div class="chat-body">
+            <aside id="history-sidebar" class="history-sidebar" hidden>
+              <input id="history-search" class="history-search" type="search" placeholder="Search conversations">
+              <ul id="history-list" class="history-list"></ul>
+            </aside>
+            <div class="chat-container" id="chat-container">
+              <div class="message ai-message">
+                <div class="message-content markdown-body">
+                  <h2>Welcome to RealTime AI Editor!</h2>
+                  <p>I'm your AI coding assistant with access to the latest Next.js and Tailwind CSS documentation. I can help you with:</p>
+                  <ul>
+                    <li>Code suggestions and improvements</li>
+                    <li>Documentation lookups</li>
+                    <li>Best practices and patterns</li>
+                    <li>Debugging and troubleshooting</li>
+                  </ul>
+                  <p>How can I assist you with your project today?</p>
+                </div>
               </div>
             </div>
+            <aside id="doc-changes-panel" class="doc-changes-panel" hidden>
+              <h3>What changed in the docs</h3>
+              <div id="doc-changes-list"></div>
+            </aside>
           </div>
           
+          <div id="mode-chip" class="mode-chip" hidden>
+            <i class="codicon codicon-debug"></i>
+            <span>Debug mode: answers each diagnostic in the active file</span>
+            <button id="clear-mode" title="Ask without debug mode">
+              <i class="codicon codicon-close"></i>
+            </button>
+          </div>
           <div class="input-container">
             <div class="input-wrapper">
               <textarea id="user-input" placeholder="Ask me anything about your code or Next.js/Tailwind..." rows="1"></textarea>
@@ -1107,6 +2149,9 @@ Please try again later.`,
                 </button>
               </div>
             </div>
+            <button id="stop-button" class="stop-button" title="Stop the running request">
+              <i class="codicon codicon-debug-stop"></i> Stop
+            </button>
             <button id="send-button" class="send-button">
               <i class="codicon codicon-send"></i> Send
             </button>
@@ -1145,6 +2190,22 @@ This context will be used for AI responses. You can ask questions about this cod
     });
   }
 
+  /**
+   * Fill the question box without sending it, so the user can edit it first
+   * @param {string} text - The question
+   * @param {Object} [options]
+   * @param {string} [options.mode] - Mode the question is sent in, e.g. "debug"
+   */
+  prefillQuery(text, options = {}) {
+    if (!this.panel) return;
+
+    this.panel.webview.postMessage({
+      command: "prefillQuery",
+      text,
+      mode: options.mode || null,
+    });
+  }
+
   /**
    * Send code suggestions to the webview
    * @param {Object} context - The context information
@@ -1182,38 +2243,103 @@ Would you like me to help implement any of these suggestions?`,
   }
 
   /**
-   * Send documentation search results to the webview
+   * Send documentation search results to the webview, rendered as cards
    * @param {string} query - The search query
-   * @param {Array} results - The search results
+   * @param {Array} results - Hits from ContextExtractor.findRelevantDocs
    */
   sendDocsSearchResults(query, results) {
     if (!this.panel) return;
 
-    let responseText = `## Documentation Search Results
+    this.panel.webview.postMessage({
+      command: "docsSearchResults",
+      query,
+      results: (results || []).map((hit) => this._toSource(hit)),
+    });
+  }
+
+  /**
+   * The parts of a retrieval hit the webview shows
+   * @param {Object} hit - Hit from ContextExtractor.findRelevantDocs
+   * @returns {Object}
+   */
+  _toSource(hit) {
+    return {
+      title: hit.title,
+      type: hit.type,
+      url: hit.url,
+      score: hit.score,
+      updatedAt: hit.updatedAt,
+      sectionPath: hit.sectionPath,
+      text: hit.text,
+    };
+  }
 
-Query: "${query}"
+  /**
+   * Markdown link to a doc's source page, or its title when it has no URL
+   * @param {Object} doc - Hit from ContextExtractor.findRelevantDocs
+   * @returns {string}
+   */
+  _docLink(doc) {
+    return doc.url ? `[${doc.title}](${doc.url})` : doc.title;
+  }
 
-`;
+  /**
+   * Open an http(s) link from the webview in the external browser
+   * @param {string} url
+   */
+  _openExternalUrl(url) {
+    if (typeof url !== "string" || !/^https?:\/\//i.test(url)) return;
+    vscode.env.openExternal(vscode.Uri.parse(url));
+  }
 
-    if (results && results.length > 0) {
-      responseText += "### Results\n\n";
+  /**
+   * Copy, insert or apply a code block from an answer
+   * @param {string} command - "copyCode", "insertCode" or "applyCode"
+   * @param {string} code
+   */
+  async _handleCodeAction(command, code) {
+    if (typeof code !== "string" || !code) return;
+    try {
+      if (command === "copyCode") {
+        await this.codeApplier.copy(code);
+      } else if (command === "insertCode") {
+        await this.codeApplier.insert(code);
+      } else {
+        await this.codeApplier.applyAsDiff(code);
+      }
+      this.telemetryService.logFeatureUsage("code_block_action", { command });
+    } catch (error) {
+      console.error("Code block action failed:", error);
+      vscode.window.showErrorMessage(
+        `Could not use the code block: ${error.message}`
+      );
+    }
+  }
 
-      results.forEach((doc, index) => {
-        responseText += `**${index + 1}. ${
-          doc.split("\n")[0] || "Untitled Document"
-        }**\n\n`;
-        responseText += `${doc.split("\n").slice(1).join("\n")}\n\n`;
+  /**
+   * Apply the accepted files of a reviewed edit set and report back
+   * @param {string} id - Review id from CodeApplier.prepareEditSet
+   * @param {Array<string>} paths - Accepted file paths
+   */
+  async applyEditSet(id, paths) {
+    let result;
+    try {
+      result = await this.codeApplier.applyEditSet(
+        id,
+        Array.isArray(paths) ? paths : []
+      );
+      this.telemetryService.logFeatureUsage("apply_edit_set", {
+        files: result.paths.length,
       });
-    } else {
-      responseText +=
-        "No documentation found matching your query. Try refreshing the documentation or using different search terms.";
+    } catch (error) {
+      console.error("Error applying edit set:", error);
+      result = { applied: false, paths: [], error: error.message };
     }
-
+    if (!this.panel) return;
     this.panel.webview.postMessage({
-      command: "aiResponse",
-      text: responseText,
-      status: "complete",
-      isMarkdown: true,
+      command: "editSetApplied",
+      id,
+      ...result,
     });
   }
 
@@ -1265,12 +2391,12 @@ Query: "${query}"
 
       // Update context depth setting
       if (settings.contextDepth !== undefined) {
-        // Validate context depth is a number and within reasonable range
-        const contextDepth = parseInt(settings.contextDepth);
-        if (isNaN(contextDepth) || contextDepth < 1 || contextDepth > 10) {
-          throw new Error('Context depth must be a number between 1 and 10');
+        // Validate context depth is one of the configuration's options
+        const contextDepth = settings.contextDepth;
+        if (!["file", "project", "workspace"].includes(contextDepth)) {
+          throw new Error('Context depth must be "file", "project" or "workspace"');
         }
-        
+
         await config.update(
           "contextDepth",
           contextDepth,
@@ -1305,6 +2431,73 @@ Query: "${query}"
     }
   }
 
+  /**
+   * Read the AI provider settings
+   * @returns {Object} - Provider configuration for LlmProvider
+   */
+  _getAiConfig() {
+    const config = vscode.workspace.getConfiguration("realtimeAiEditor");
+    return {
+      provider: config.get("ai.provider", "offline"),
+      apiBase: config.get("ai.apiBase", ""),
+      model: config.get("ai.model", ""),
+      apiKey: config.get("ai.apiKey", ""),
+      timeout: config.get("ai.requestTimeout", 60000),
+    };
+  }
+
+  /**
+   * Offline provider: answer from the built-in templates based on query keywords
+   * @param {Object} prompt - The prompt from ContextExtractor.buildPrompt
+   * @returns {Promise<string>} - Markdown formatted response
+   */
+  async _generateOfflineResponse(prompt) {
+    const { userQuery, context, relevantDocs } = prompt;
+    const queryLower = userQuery.toLowerCase();
+
+    if (prompt.mode === "debug") {
+      return this._generateDebuggingHelp(context, relevantDocs);
+    } else if (
+      queryLower.includes("explain") ||
+      queryLower.includes("what does") ||
+      queryLower.includes("how does")
+    ) {
+      // Code explanation
+      return this._generateCodeExplanation(context, relevantDocs);
+    } else if (
+      queryLower.includes("improve") ||
+      queryLower.includes("optimize") ||
+      queryLower.includes("better")
+    ) {
+      // Code improvement suggestions
+      return this._generateCodeImprovements(context, relevantDocs);
+    } else if (
+      queryLower.includes("debug") ||
+      queryLower.includes("fix") ||
+      queryLower.includes("error") ||
+      queryLower.includes("issue")
+    ) {
+      // Debugging help
+      return this._generateDebuggingHelp(context, relevantDocs);
+    } else if (
+      queryLower.includes("example") ||
+      queryLower.includes("sample") ||
+      queryLower.includes("how to")
+    ) {
+      // Code examples
+      return this._generateCodeExamples(context, relevantDocs);
+    }
+
+    // General response
+    const collectionStatus = await this.contextExtractor.getCollectionStatus();
+    return this._generateGeneralResponse(
+      userQuery,
+      context,
+      relevantDocs,
+      collectionStatus
+    );
+  }
+
   /**
    * Generate code explanation response
    * @param {Object} context - The context information
@@ -1384,8 +2577,8 @@ This code ${
 
 `;
       docs.slice(0, 2).forEach((doc, index) => {
-        explanation += `#### Reference ${index + 1}
-${doc.substring(0, 300)}...
+        explanation += `#### Reference ${index + 1}: ${this._docLink(doc)}
+${doc.text.substring(0, 300)}...
 
 `;
       });
@@ -1444,6 +2637,31 @@ ${this._generateImprovedCodeExample(context)}
 \`\`\`
 `;
 
+    // Offer the example as an edit set so it can be reviewed and applied
+    const original =
+      context.selectedText ||
+      context.surroundingCode.split("\n").slice(0, 5).join("\n");
+    const improved = this._generateImprovedCodeExample(context);
+    if (
+      original.trim() &&
+      improved !== original &&
+      vscode.workspace.getWorkspaceFolder(vscode.Uri.file(context.fileName))
+    ) {
+      improvements += `
+### Proposed Edit
+
+${EditSet.format({
+  summary: "Apply the example improvement",
+  files: [
+    {
+      path: vscode.workspace.asRelativePath(context.fileName),
+      hunks: [{ search: original, replace: improved }],
+    },
+  ],
+})}
+`;
+    }
+
     return improvements;
   }
 
@@ -1462,6 +2680,32 @@ ${this._generateImprovedCodeExample(context)}
 
 `;
 
+    // Answer what the editor already reports before the generic checklist
+    if (context.diagnostics && context.diagnostics.length > 0) {
+      debugging += `### Diagnostics
+
+`;
+      context.diagnostics.forEach((diagnostic, index) => {
+        const origin = diagnostic.source
+          ? ` (${[diagnostic.source, diagnostic.code]
+              .filter((part) => part !== undefined && part !== "")
+              .join(" ")})`
+          : "";
+        debugging += `${index + 1}. **${DiagnosticHelper.location(
+          diagnostic.range
+        )}**, ${diagnostic.severity}${origin}: ${diagnostic.message}
+
+\`\`\`${context.language}
+${diagnostic.snippet}
+\`\`\`
+
+   **Suggested fix:** ${DiagnosticHelper.suggestFix(diagnostic)}
+
+`;
+      });
+      return debugging;
+    }
+
     // Add potential issues based on language
     debugging += `### Potential Issues
 
@@ -1739,8 +2983,9 @@ function processData(data) {
 
 `;
       docs.slice(0, 2).forEach((doc, index) => {
-        examples += `#### Example from Documentation ${index + 1}
-${doc.substring(0, 300)}...
+        const link = this._docLink(doc);
+        examples += `#### Example from Documentation ${index + 1}: ${link}
+${doc.text.substring(0, 300)}...
 
 `;
       });
@@ -1801,8 +3046,8 @@ ${
 
 `;
       docs.forEach((doc, index) => {
-        response += `#### Reference ${index + 1}
-${doc.substring(0, 300)}...
+        response += `#### Reference ${index + 1}: ${this._docLink(doc)}
+${doc.text.substring(0, 300)}...
 
 `;
       });
@@ -0,0 +1,222 @@
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE_EXTENSIONS = new Set([
+  ".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs", ".vue", ".svelte", ".css",
+  ".scss", ".py", ".go", ".rs", ".java", ".rb", ".php",
+]);
+// Skipped even without a .gitignore
+const IGNORED_DIRECTORIES = new Set([
+  "node_modules", ".git", ".next", ".vercel", ".turbo", ".cache", "dist",
+  "build", "out", "coverage",
+]);
+
+/**
+ * Lists and reads the source files of the workspace, honoring .gitignore
+ * files at any level of the tree.
+ */
+class WorkspaceWalker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxFiles] - Stop listing after this many files
+   * @param {number} [options.maxFileBytes] - Bigger files are usually generated or minified
+   */
+  constructor(options = {}) {
+    this.maxFiles = options.maxFiles || 2000;
+    this.maxFileBytes = options.maxFileBytes || 100 * 1024;
+    this.ignoreRules = new Map(); // directory -> parsed .gitignore rules
+  }
+
+  /**
+   * Whether the file has a source code extension
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  static isSourceFile(filePath) {
+    return SOURCE_EXTENSIONS.has(path.extname(filePath));
+  }
+
+  /**
+   * Parses .gitignore content into rules
+   * @param {string} text
+   * @returns {Array<Object>} - Rules as { regex, negate, directoryOnly }
+   */
+  static parseGitignore(text) {
+    return String(text || "")
+      .split(/\r?\n/)
+      .map((line) => line.replace(/(?<!\\)\s+$/, ""))
+      .filter((line) => line && !line.startsWith("#"))
+      .map((line) => {
+        const negate = line.startsWith("!");
+        let pattern = negate ? line.slice(1) : line;
+        pattern = pattern.replace(/^\\([#!])/, "$1");
+        const directoryOnly = pattern.endsWith("/");
+        if (directoryOnly) pattern = pattern.slice(0, -1);
+        return {
+          regex: WorkspaceWalker._patternToRegex(pattern),
+          negate,
+          directoryOnly,
+        };
+      });
+  }
+
+  /**
+   * Converts a gitignore glob to a regex over slash separated relative paths.
+   * Patterns with a slash are anchored to the .gitignore's folder, others
+   * match a name at any depth.
+   * @param {string} pattern
+   * @returns {RegExp}
+   */
+  static _patternToRegex(pattern) {
+    const anchored = pattern.includes("/");
+    if (pattern.startsWith("/")) pattern = pattern.slice(1);
+
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === "*" && pattern[i + 1] === "*") {
+        // "**/" matches zero or more folders, any other "**" everything
+        if (pattern[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else if (char === "*") {
+        source += "[^/]*";
+      } else if (char === "?") {
+        source += "[^/]";
+      } else if (char === "[" && pattern.indexOf("]", i + 2) !== -1) {
+        const end = pattern.indexOf("]", i + 2);
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, "^")}]`;
+        i = end;
+      } else if (char === "\\" && i + 1 < pattern.length) {
+        source += pattern[i + 1].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        i += 1;
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }
+    }
+    return new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`);
+  }
+
+  /**
+   * Lists source files below the folders that are not ignored
+   * @param {Array<string>} folders
+   * @returns {Promise<Array<string>>}
+   */
+  async walk(folders) {
+    const files = [];
+    const queue = folders.map((folder) => ({ directory: folder, ruleSets: [] }));
+    while (queue.length > 0 && files.length < this.maxFiles) {
+      const { directory, ruleSets: parentRuleSets } = queue.shift();
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        continue;
+      }
+      const ruleSets = [
+        ...parentRuleSets,
+        { directory, rules: await this._rules(directory) },
+      ];
+
+      entries.forEach((entry) => {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          if (
+            !IGNORED_DIRECTORIES.has(entry.name) &&
+            !this._ignoredBy(ruleSets, entryPath, true)
+          ) {
+            queue.push({ directory: entryPath, ruleSets });
+          }
+        } else if (
+          entry.isFile() &&
+          files.length < this.maxFiles &&
+          WorkspaceWalker.isSourceFile(entry.name) &&
+          !this._ignoredBy(ruleSets, entryPath, false)
+        ) {
+          files.push(entryPath);
+        }
+      });
+    }
+    return files;
+  }
+
+  /**
+   * Whether a file is excluded by a .gitignore or lives in a skipped folder
+   * @param {string} filePath
+   * @param {string} root - Workspace folder containing the file
+   * @returns {Promise<boolean>}
+   */
+  async isIgnored(filePath, root) {
+    const parts = path.relative(root, filePath).split(path.sep);
+    const ruleSets = [];
+    let directory = root;
+    for (let i = 0; i < parts.length; i++) {
+      ruleSets.push({ directory, rules: await this._rules(directory) });
+      const entryPath = path.join(directory, parts[i]);
+      const isDirectory = i < parts.length - 1;
+      if (isDirectory && IGNORED_DIRECTORIES.has(parts[i])) return true;
+      if (this._ignoredBy(ruleSets, entryPath, isDirectory)) return true;
+      directory = entryPath;
+    }
+    return false;
+  }
+
+  /**
+   * Forgets parsed .gitignore files, e.g. after one was edited
+   */
+  clearCache() {
+    this.ignoreRules.clear();
+  }
+
+  /**
+   * Reads a file unless it is missing, binary-sized or too big
+   * @param {string} filePath
+   * @returns {Promise<string|null>}
+   */
+  async readFile(filePath) {
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile() || stats.size > this.maxFileBytes) return null;
+      return await fs.promises.readFile(filePath, "utf8");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async _rules(directory) {
+    if (!this.ignoreRules.has(directory)) {
+      let rules = [];
+      try {
+        rules = WorkspaceWalker.parseGitignore(
+          await fs.promises.readFile(path.join(directory, ".gitignore"), "utf8")
+        );
+      } catch (error) {
+        // No .gitignore in this folder
+      }
+      this.ignoreRules.set(directory, rules);
+    }
+    return this.ignoreRules.get(directory);
+  }
+
+  // Later rules and deeper .gitignore files win, like in git
+  _ignoredBy(ruleSets, entryPath, isDirectory) {
+    let ignored = false;
+    ruleSets.forEach(({ directory, rules }) => {
+      const relative = path
+        .relative(directory, entryPath)
+        .split(path.sep)
+        .join("/");
+      rules.forEach((rule) => {
+        if (rule.directoryOnly && !isDirectory) return;
+        if (rule.regex.test(relative)) ignored = !rule.negate;
+      });
+    });
+    return ignored;
+  }
+}
+
+module.exports = WorkspaceWalker;